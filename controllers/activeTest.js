@@ -4,7 +4,52 @@ const Section = require('../models/Section');
 const Group = require('../models/Group');
 const CourseGrade = require('../models/CourseGrade');
 const { awardPointsInternal, awardOnceForActivityInternal } = require('./gamification');
+const { emitInstructorPendingSummaryUpdate } = require('./instructorDashboard');
+const { getSectionUnlockStatus, lockedResponse } = require('../services/sectionUnlockService');
+const { INTEGRITY_SELECT, summarizeIntegrity } = require('../services/testIntegrityService');
+const {
+  REVIEW_TIMINGS,
+  resolveReviewAvailability,
+  validateReferenceContents,
+  loadReferenceContents,
+  buildAttemptReview
+} = require('../services/testReviewService');
 const { calculateCourseGrade } = require('../services/gradingService');
+const {
+  validateQuestion,
+  validateQuestions,
+  scoreAnswers,
+  buildAnswerOrders,
+  sanitizeQuestionForStudent,
+  sanitizeQuestionsForAttempt,
+  sanitizeAttemptForStudent,
+  buildQuestionStatistics,
+  hasPendingReview,
+  carryOverManualGrades
+} = require('../services/testScoringService');
+const {
+  validateQuestionDraws,
+  drawQuestionsForAttempt,
+  getAttemptQuestions,
+  refreshDrawnQuestions
+} = require('../services/questionBankService');
+const {
+  SUBMIT_GRACE_SECONDS,
+  getRemainingSeconds,
+  isAttemptExpired,
+  mergeSavedAnswers,
+  finalizeAttempt
+} = require('../services/testAttemptService');
+const { getEffectiveTestSettings } = require('../services/testAccommodationService');
+const { buildItemAnalysis, itemAnalysisToCsv } = require('../services/itemAnalysisService');
+const {
+  SUPPORTED_FORMATS,
+  parseGift,
+  parseMoodleXml,
+  exportGift,
+  exportMoodleXml,
+  detectFormat
+} = require('../services/questionFormatService');
 
 // @desc    Create a new active test
 // @route   POST /api/active-tests
@@ -18,6 +63,7 @@ exports.createTest = async (req, res) => {
       courseId,
       groupId,
       questions,
+      questionDraws,
       timeLimitMinutes,
       passingScore,
       maxAttempts,
@@ -26,7 +72,8 @@ exports.createTest = async (req, res) => {
       shuffleQuestions,
       shuffleOptions,
       showResultsImmediately,
-      showCorrectAnswers
+      showCorrectAnswers,
+      reviewTiming
     } = req.body;
 
     // Validate required fields
@@ -62,30 +109,39 @@ exports.createTest = async (req, res) => {
       });
     }
 
-    // Validate questions
-    if (!questions || questions.length === 0) {
+    // A test needs fixed questions, questions drawn from banks, or both
+    const hasFixedQuestions = Array.isArray(questions) && questions.length > 0;
+    const drawValidation = await validateQuestionDraws(questionDraws, req.user);
+    if (drawValidation.error) {
       return res.status(400).json({
         success: false,
-        message: 'Test must have at least one question'
+        message: drawValidation.error
       });
     }
 
-    // Validate each question has at least one correct answer
-    for (let i = 0; i < questions.length; i++) {
-      const question = questions[i];
-      if (!question.options || question.options.length < 2) {
-        return res.status(400).json({
-          success: false,
-          message: `Question ${i + 1} must have at least 2 options`
-        });
-      }
-      const hasCorrectAnswer = question.options.some(opt => opt.isCorrect);
-      if (!hasCorrectAnswer) {
-        return res.status(400).json({
-          success: false,
-          message: `Question ${i + 1} must have at least one correct answer`
-        });
-      }
+    if (!hasFixedQuestions && drawValidation.draws.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one question is required'
+      });
+    }
+
+    // Validate questions according to their type
+    const questionsError = hasFixedQuestions
+      ? validateQuestions(questions) || await validateReferenceContents(questions, courseId)
+      : null;
+    if (questionsError) {
+      return res.status(400).json({
+        success: false,
+        message: questionsError
+      });
+    }
+
+    if (reviewTiming !== undefined && !REVIEW_TIMINGS.includes(reviewTiming)) {
+      return res.status(400).json({
+        success: false,
+        message: `reviewTiming must be one of: ${REVIEW_TIMINGS.join(', ')}`
+      });
     }
 
     const test = await ActiveTest.create({
@@ -95,7 +151,8 @@ exports.createTest = async (req, res) => {
       course: courseId,
       group: groupId,
       instructor: req.user.id,
-      questions,
+      questions: hasFixedQuestions ? questions : [],
+      questionDraws: drawValidation.draws,
       timeLimitMinutes,
       passingScore: passingScore || 60,
       maxAttempts: maxAttempts || 1,
@@ -104,7 +161,8 @@ exports.createTest = async (req, res) => {
       shuffleQuestions: shuffleQuestions || false,
       shuffleOptions: shuffleOptions || false,
       showResultsImmediately: showResultsImmediately !== false,
-      showCorrectAnswers: showCorrectAnswers !== false
+      showCorrectAnswers: showCorrectAnswers !== false,
+      reviewTiming: reviewTiming || 'immediately'
     });
 
     res.status(201).json({
@@ -129,7 +187,7 @@ exports.getTestsBySection = async (req, res) => {
   try {
     const { sectionId } = req.params;
 
-    const tests = await ActiveTest.find({ 
+    let tests = await ActiveTest.find({ 
       section: sectionId,
       isActive: true
     })
@@ -138,12 +196,10 @@ exports.getTestsBySection = async (req, res) => {
 
     // For students, hide correct answers
     if (req.user.role === 'student') {
-      tests.forEach(test => {
-        test.questions.forEach(question => {
-          question.options.forEach(option => {
-            delete option.isCorrect;
-          });
-        });
+      tests = tests.map(test => {
+        const testObj = test.toObject();
+        testObj.questions = testObj.questions.map(sanitizeQuestionForStudent);
+        return testObj;
       });
     }
 
@@ -181,19 +237,26 @@ exports.getTest = async (req, res) => {
 
     // For students, hide correct answers unless they've completed the test
     if (req.user.role === 'student') {
-      const attempt = await TestAttempt.findOne({
-        test: test._id,
-        student: req.user.id,
-        status: { $in: ['submitted', 'graded'] }
-      });
-
-      if (!attempt || !test.showCorrectAnswers) {
-        test.questions.forEach(question => {
-          question.options.forEach(option => {
-            delete option.isCorrect;
-          });
+      const effectiveSettings = await getEffectiveTestSettings(test, req.user.id);
+      const review = await resolveReviewAvailability(test, req.user.id);
+
+      if (!review.available || !test.showCorrectAnswers) {
+        const testObj = test.toObject();
+        testObj.questions = testObj.questions.map(sanitizeQuestionForStudent);
+        return res.json({
+          success: true,
+          test: testObj,
+          effectiveSettings,
+          review
         });
       }
+
+      return res.json({
+        success: true,
+        test,
+        effectiveSettings,
+        review
+      });
     }
 
     res.json({
@@ -231,14 +294,49 @@ exports.updateTest = async (req, res) => {
       });
     }
 
-    // Check if test has any graded attempts
-    const attemptCount = await TestAttempt.countDocuments({ 
-      test: test._id,
-      status: 'graded'
-    });
+    // Started and submitted attempts refer to the current questions
+    const attemptCount = await TestAttempt.countDocuments({ test: test._id });
     
     // Prepare update data
     const updateData = { ...req.body };
+
+    if (req.body.questions !== undefined && !(Array.isArray(req.body.questions) && req.body.questions.length === 0)) {
+      const questionsError = validateQuestions(req.body.questions) ||
+        await validateReferenceContents(req.body.questions, test.course);
+      if (questionsError) {
+        return res.status(400).json({
+          success: false,
+          message: questionsError
+        });
+      }
+    }
+
+    if (req.body.reviewTiming !== undefined && !REVIEW_TIMINGS.includes(req.body.reviewTiming)) {
+      return res.status(400).json({
+        success: false,
+        message: `reviewTiming must be one of: ${REVIEW_TIMINGS.join(', ')}`
+      });
+    }
+
+    if (req.body.questionDraws !== undefined) {
+      const drawValidation = await validateQuestionDraws(req.body.questionDraws, req.user);
+      if (drawValidation.error) {
+        return res.status(400).json({
+          success: false,
+          message: drawValidation.error
+        });
+      }
+      updateData.questionDraws = drawValidation.draws;
+    }
+
+    const nextQuestions = req.body.questions !== undefined ? req.body.questions : test.questions;
+    const nextDraws = updateData.questionDraws !== undefined ? updateData.questionDraws : test.questionDraws;
+    if ((!nextQuestions || nextQuestions.length === 0) && (!nextDraws || nextDraws.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one question is required'
+      });
+    }
     
     // If there are attempts, prevent question modifications
     if (attemptCount > 0 && req.body.questions) {
@@ -247,7 +345,7 @@ exports.updateTest = async (req, res) => {
       if (questionsChanged) {
         return res.status(400).json({
           success: false,
-          message: `Cannot modify questions after ${attemptCount} student(s) have completed the test. You can update other settings like time limit, passing score, etc.`
+          message: `Cannot modify questions after ${attemptCount} attempt(s) have been started. You can update other settings like time limit, passing score, etc.`
         });
       }
     }
@@ -261,7 +359,7 @@ exports.updateTest = async (req, res) => {
     res.json({
       success: true,
       message: attemptCount > 0 
-        ? `Test updated successfully. Note: ${attemptCount} student(s) have already taken this test.`
+        ? `Test updated successfully. Note: ${attemptCount} attempt(s) have already been started.`
         : 'Test updated successfully',
       test: updatedTest,
       hasAttempts: attemptCount > 0
@@ -336,15 +434,18 @@ exports.startTest = async (req, res) => {
       });
     }
 
+    // Accommodations may change the window, attempts and time limit for this student
+    const settings = await getEffectiveTestSettings(test, req.user.id);
+
     // Check if test is within available dates
     const now = new Date();
-    if (test.startDate && now < test.startDate) {
+    if (settings.startDate && now < settings.startDate) {
       return res.status(400).json({
         success: false,
         message: 'Test has not started yet'
       });
     }
-    if (test.endDate && now > test.endDate) {
+    if (settings.endDate && now > settings.endDate) {
       return res.status(400).json({
         success: false,
         message: 'Test has ended'
@@ -371,6 +472,14 @@ exports.startTest = async (req, res) => {
       });
     }
 
+    const section = await Section.findById(test.section).select('unlockRules');
+    if (section) {
+      const unlockStatus = await getSectionUnlockStatus(section, req.user.id);
+      if (!unlockStatus.unlocked) {
+        return res.status(403).json(lockedResponse(unlockStatus));
+      }
+    }
+
     // Check existing attempts
     const allAttempts = await TestAttempt.find({
       test: test._id,
@@ -379,26 +488,41 @@ exports.startTest = async (req, res) => {
 
     // Check for in-progress attempt
     const inProgressAttempt = allAttempts.find(a => a.status === 'in_progress');
-    if (inProgressAttempt) {
+    if (inProgressAttempt && isAttemptExpired(inProgressAttempt, now)) {
+      // Time ran out while the student was away: submit what was saved
+      await finalizeAttempt(
+        inProgressAttempt,
+        test,
+        inProgressAttempt.answers.map(a => a.toObject()),
+        { autoSubmitted: true, now }
+      );
+    } else if (inProgressAttempt) {
+      // Attempts started before answer orders existed get one now; their
+      // saved answers are stored as original indexes either way
+      if (!inProgressAttempt.answerOrders.length) {
+        inProgressAttempt.answerOrders = buildAnswerOrders(getAttemptQuestions(test, inProgressAttempt));
+        await inProgressAttempt.save();
+      }
+
       // Return test with questions (without correct answers)
       const testObj = test.toObject();
-      testObj.questions.forEach(question => {
-        question.options.forEach(option => {
-          delete option.isCorrect;
-        });
-      });
+      testObj.questions = sanitizeQuestionsForAttempt(getAttemptQuestions(testObj, inProgressAttempt.toObject()), inProgressAttempt);
+      const attemptObj = sanitizeAttemptForStudent(inProgressAttempt);
 
       return res.json({
         success: true,
         message: 'Resuming existing attempt',
-        attempt: inProgressAttempt,
+        attempt: attemptObj,
+        savedAnswers: attemptObj.answers,
+        remainingSeconds: getRemainingSeconds(inProgressAttempt, now),
+        effectiveSettings: settings,
         test: testObj
       });
     }
 
     // Check if max attempts reached (only count completed/graded attempts)
-    const completedAttempts = allAttempts.filter(a => a.status === 'graded');
-    if (completedAttempts.length >= test.maxAttempts) {
+    const completedAttempts = allAttempts.filter(a => ['graded', 'pending_review'].includes(a.status));
+    if (completedAttempts.length >= settings.maxAttempts) {
       // Get best attempt to show results
       const bestAttempt = completedAttempts.reduce((best, current) => {
         return (current.score || 0) > (best.score || 0) ? current : best;
@@ -406,18 +530,21 @@ exports.startTest = async (req, res) => {
 
       return res.status(400).json({
         success: false,
-        message: `Maximum attempts (${test.maxAttempts}) reached. View your best result.`,
+        message: `Maximum attempts (${settings.maxAttempts}) reached. View your best result.`,
         showResults: true,
         attemptId: bestAttempt._id
       });
     }
 
+    // Draw this attempt's questions from the test's question banks
+    const drawnQuestions = await drawQuestionsForAttempt(test);
+
     // Calculate total points
-    const totalPoints = test.questions.reduce((sum, q) => sum + (q.points || 1), 0);
+    const totalPoints = [...test.questions, ...drawnQuestions].reduce((sum, q) => sum + (q.points || 1), 0);
 
     // Create new attempt
     const attemptNumber = allAttempts.length + 1;
-    const endTime = new Date(Date.now() + test.timeLimitMinutes * 60 * 1000);
+    const endTime = new Date(Date.now() + settings.timeLimitMinutes * 60 * 1000);
 
     const attempt = await TestAttempt.create({
       test: test._id,
@@ -429,21 +556,24 @@ exports.startTest = async (req, res) => {
       endTime,
       totalPoints,
       attemptNumber,
-      status: 'in_progress'
+      drawnQuestions,
+      // Each attempt sees matching and ordering answers in its own order
+      answerOrders: buildAnswerOrders([...test.questions, ...drawnQuestions]),
+      status: 'in_progress',
+      startIp: req.ip || null
     });
 
     // Return test with questions (without correct answers)
     const testObj = test.toObject();
-    testObj.questions.forEach(question => {
-      question.options.forEach(option => {
-        delete option.isCorrect;
-      });
-    });
+    testObj.questions = sanitizeQuestionsForAttempt(getAttemptQuestions(testObj, attempt.toObject()), attempt);
 
     res.json({
       success: true,
       message: 'Test started successfully',
-      attempt,
+      attempt: sanitizeAttemptForStudent(attempt),
+      savedAnswers: [],
+      remainingSeconds: getRemainingSeconds(attempt),
+      effectiveSettings: settings,
       test: testObj
     });
   } catch (error) {
@@ -489,65 +619,34 @@ exports.submitTest = async (req, res) => {
 
     const test = attempt.test;
     const now = new Date();
-
-    // Check if time expired
-    const autoSubmitted = now > attempt.endTime;
-
-    // Grade the test
-    let pointsEarned = 0;
-    const gradedAnswers = answers.map(answer => {
-      const question = test.questions.id(answer.questionId);
-      if (!question) {
-        return {
-          questionId: answer.questionId,
-          selectedOptionIndex: answer.selectedOptionIndex,
-          isCorrect: false,
-          pointsEarned: 0
-        };
+    const questions = getAttemptQuestions(test, attempt);
+    const savedAnswers = attempt.answers.map(a => a.toObject());
+
+    // Past the time limit only the answers saved in time count
+    const autoSubmitted = isAttemptExpired(attempt, now);
+    const finalAnswers = isAttemptExpired(attempt, now, SUBMIT_GRACE_SECONDS)
+      ? savedAnswers
+      : mergeSavedAnswers(questions, savedAnswers, answers, attempt.answerOrders);
+
+    // Grade the test (each question is scored according to its type) and
+    // recalculate the section grade
+    await finalizeAttempt(attempt, test, finalAnswers, { autoSubmitted, now });
+    const { score } = attempt;
+
+    if (attempt.status === 'pending_review') {
+      try {
+        const io = req.app.get('io');
+        if (io) {
+          await emitInstructorPendingSummaryUpdate(io, test.instructor.toString());
+        }
+      } catch (e) {
+        console.error('Failed to emit instructor pending summary after test submission:', e.message);
       }
-
-      const selectedOption = question.options[answer.selectedOptionIndex];
-      const isCorrect = selectedOption && selectedOption.isCorrect;
-      const points = isCorrect ? (question.points || 1) : 0;
-      pointsEarned += points;
-
-      return {
-        questionId: answer.questionId,
-        selectedOptionIndex: answer.selectedOptionIndex,
-        isCorrect,
-        pointsEarned: points
-      };
-    });
-
-    // Calculate score percentage
-    const score = attempt.totalPoints > 0 
-      ? Math.round((pointsEarned / attempt.totalPoints) * 100) 
-      : 0;
-    const passed = score >= test.passingScore;
-
-    // Update attempt
-    attempt.answers = gradedAnswers;
-    attempt.submitTime = now;
-    attempt.status = 'graded';
-    attempt.score = score;
-    attempt.pointsEarned = pointsEarned;
-    attempt.passed = passed;
-    attempt.autoSubmitted = autoSubmitted;
-
-    await attempt.save();
+    }
 
     // Populate test details for response
     await attempt.populate('test');
 
-    // Trigger grade recalculation for this section
-    try {
-      const { updateSectionGrade } = require('../services/gradingService');
-      await updateSectionGrade(req.user.id, test.section);
-    } catch (gradeError) {
-      console.error('Error updating section grade after test submission:', gradeError);
-      // Don't fail the test submission if grade update fails
-    }
-
     let quizAward = null;
     try {
       if (attempt.passed) {
@@ -589,9 +688,12 @@ exports.submitTest = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Test submitted successfully',
-      attempt,
+      message: attempt.status === 'pending_review'
+        ? 'Test submitted successfully. Your written answers will be graded by the instructor.'
+        : 'Test submitted successfully',
+      attempt: sanitizeAttemptForStudent(attempt),
       autoSubmitted,
+      pendingReview: attempt.status === 'pending_review',
       gamification: Object.keys(gamification).length ? gamification : { success: true, pointsAwarded: 0, awardedBadges: [], assignedTitle: null }
     });
   } catch (error) {
@@ -604,8 +706,77 @@ exports.submitTest = async (req, res) => {
   }
 };
 
+// @desc    Save answers of an in-progress attempt
+// @route   PUT /api/active-tests/:testId/progress
+// @access  Private (Student)
+exports.saveProgress = async (req, res) => {
+  try {
+    const { attemptId, answers } = req.body;
+
+    const attempt = await TestAttempt.findById(attemptId).populate('test');
+
+    if (!attempt || attempt.test?._id.toString() !== req.params.testId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found'
+      });
+    }
+
+    if (attempt.student.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'This attempt has already been submitted',
+        attemptId: attempt._id
+      });
+    }
+
+    const now = new Date();
+    const test = attempt.test;
+
+    if (isAttemptExpired(attempt, now)) {
+      await finalizeAttempt(attempt, test, attempt.answers.map(a => a.toObject()), { autoSubmitted: true, now });
+      return res.status(400).json({
+        success: false,
+        message: 'Time is up. Your saved answers have been submitted.',
+        autoSubmitted: true,
+        attemptId: attempt._id
+      });
+    }
+
+    attempt.answers = mergeSavedAnswers(
+      getAttemptQuestions(test, attempt),
+      attempt.answers.map(a => a.toObject()),
+      answers,
+      attempt.answerOrders
+    );
+    attempt.lastSavedAt = now;
+    await attempt.save();
+
+    res.json({
+      success: true,
+      message: 'Progress saved',
+      savedCount: attempt.answers.length,
+      lastSavedAt: attempt.lastSavedAt,
+      remainingSeconds: getRemainingSeconds(attempt, now)
+    });
+  } catch (error) {
+    console.error('Save progress error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Get student's attempts for a test
-// @route   GET /api/active-tests/:id/attempts
+// @route   GET /api/active-tests/:id/attempts?flagged=true
 // @access  Private (Student/Instructor)
 exports.getTestAttempts = async (req, res) => {
   try {
@@ -623,24 +794,43 @@ exports.getTestAttempts = async (req, res) => {
     // Students can only see their own attempts
     if (req.user.role === 'student') {
       query.student = req.user.id;
-    } else if (req.user.role === 'instructor') {
-      // Instructors can see all attempts for their tests
-      if (test.instructor.toString() !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized'
-        });
-      }
+
+      const attempts = await TestAttempt.find(query)
+        .populate('student', 'name email')
+        .sort({ createdAt: -1 });
+
+      return res.json({
+        success: true,
+        count: attempts.length,
+        attempts: attempts.map(sanitizeAttemptForStudent)
+      });
+    }
+
+    // Instructors can see all attempts for their tests
+    if (req.user.role === 'instructor' && test.instructor.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
     }
 
+    if (req.query.flagged === 'true') query.flagged = true;
+
     const attempts = await TestAttempt.find(query)
+      .select(INTEGRITY_SELECT)
       .populate('student', 'name email')
       .sort({ createdAt: -1 });
 
+    const data = attempts.map((attempt) => {
+      const { integrityEvents, startIp, lastIp, ...attemptObj } = attempt.toObject();
+      return { ...attemptObj, integrity: summarizeIntegrity(attempt) };
+    });
+
     res.json({
       success: true,
-      count: attempts.length,
-      attempts
+      count: data.length,
+      flaggedCount: data.filter(a => a.integrity.flagged).length,
+      attempts: data
     });
   } catch (error) {
     console.error('Get attempts error:', error);
@@ -656,7 +846,10 @@ exports.getTestAttempts = async (req, res) => {
 // @access  Private (Student/Instructor)
 exports.getSingleAttempt = async (req, res) => {
   try {
-    const attempt = await TestAttempt.findById(req.params.attemptId)
+    const query = TestAttempt.findById(req.params.attemptId);
+    if (req.user.role !== 'student') query.select(INTEGRITY_SELECT);
+
+    const attempt = await query
       .populate('test')
       .populate('student', 'name email');
 
@@ -683,6 +876,32 @@ exports.getSingleAttempt = async (req, res) => {
       });
     }
 
+    // Students only see the answer key once the test's review has opened
+    const revealAnswers = req.user.role !== 'student' || (
+      attempt.status !== 'in_progress' &&
+      attempt.test.showCorrectAnswers &&
+      (await resolveReviewAvailability(attempt.test, req.user.id)).available
+    );
+    if (!revealAnswers) {
+      const attemptObj = sanitizeAttemptForStudent(attempt);
+      if (attemptObj.test && attemptObj.test.questions) {
+        attemptObj.test.questions = sanitizeQuestionsForAttempt(attemptObj.test.questions, attempt);
+      }
+      return res.json({
+        success: true,
+        attempt: attemptObj
+      });
+    }
+
+    if (req.user.role !== 'student') {
+      const { integrityEvents, startIp, lastIp, ...attemptObj } = attempt.toObject();
+      return res.json({
+        success: true,
+        attempt: attemptObj,
+        integrity: summarizeIntegrity(attempt, { includeEvents: true })
+      });
+    }
+
     res.json({
       success: true,
       attempt
@@ -696,6 +915,161 @@ exports.getSingleAttempt = async (req, res) => {
   }
 };
 
+// @desc    Get the post-test review of an attempt
+// @route   GET /api/active-tests/attempts/:attemptId/review
+// @access  Private (Student/Instructor/Admin)
+exports.getAttemptReview = async (req, res) => {
+  try {
+    const attempt = await TestAttempt.findById(req.params.attemptId).populate('test');
+
+    if (!attempt || !attempt.test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found'
+      });
+    }
+
+    const test = attempt.test;
+    if (
+      (req.user.role === 'student' && attempt.student.toString() !== req.user.id) ||
+      (req.user.role === 'instructor' && test.instructor.toString() !== req.user.id)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this attempt'
+      });
+    }
+
+    if (!['pending_review', 'graded'].includes(attempt.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only submitted attempts can be reviewed'
+      });
+    }
+
+    let showCorrectAnswers = true;
+    if (req.user.role === 'student') {
+      const availability = await resolveReviewAvailability(test, req.user.id);
+      if (!availability.available) {
+        return res.status(403).json({
+          success: false,
+          message: availability.reason,
+          availableAt: availability.availableAt
+        });
+      }
+      showCorrectAnswers = test.showCorrectAnswers;
+    }
+
+    const questions = getAttemptQuestions(test, attempt);
+    const contents = await loadReferenceContents(questions, test.course);
+
+    res.json({
+      success: true,
+      review: {
+        attemptId: attempt._id,
+        test: { _id: test._id, title: test.title, reviewTiming: test.reviewTiming },
+        attemptNumber: attempt.attemptNumber,
+        status: attempt.status,
+        score: attempt.score,
+        passed: attempt.passed,
+        pointsEarned: attempt.pointsEarned,
+        totalPoints: attempt.totalPoints,
+        submitTime: attempt.submitTime,
+        timeSpentSeconds: attempt.timeSpentSeconds,
+        showCorrectAnswers,
+        questions: buildAttemptReview(questions, attempt, { showCorrectAnswers, contents })
+      }
+    });
+  } catch (error) {
+    console.error('Get attempt review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Regrade an attempt against the current version of its questions
+// @route   POST /api/active-tests/attempts/:attemptId/regrade
+// @access  Private (Instructor)
+exports.regradeAttempt = async (req, res) => {
+  try {
+    const attempt = await TestAttempt.findById(req.params.attemptId).populate('test');
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found'
+      });
+    }
+
+    const test = attempt.test;
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && test.instructor.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (!['graded', 'pending_review'].includes(attempt.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only submitted attempts can be regraded'
+      });
+    }
+
+    // Pick up fixes made to bank questions since the attempt was drawn
+    const refreshedQuestions = await refreshDrawnQuestions(attempt);
+
+    const previousScore = attempt.score;
+    const questions = getAttemptQuestions(test, attempt);
+    const storedAnswers = attempt.answers.map(a => a.toObject());
+    // Essays keep the instructor's grade unless they need a fresh review
+    const answers = carryOverManualGrades(scoreAnswers(questions, storedAnswers).gradedAnswers, storedAnswers);
+    const pointsEarned = Math.round(answers.reduce((sum, a) => sum + (a.pointsEarned || 0), 0) * 100) / 100;
+    const totalPoints = questions.reduce((sum, q) => sum + (q.points || 1), 0);
+    const score = totalPoints > 0 ? Math.round((pointsEarned / totalPoints) * 100) : 0;
+    const needsReview = hasPendingReview(answers);
+
+    attempt.answers = answers;
+    attempt.totalPoints = totalPoints;
+    attempt.pointsEarned = pointsEarned;
+    attempt.score = score;
+    attempt.status = needsReview ? 'pending_review' : 'graded';
+    const { passingScore } = await getEffectiveTestSettings(test, attempt.student);
+    attempt.passed = needsReview ? false : score >= passingScore;
+    await attempt.save();
+
+    try {
+      const { updateSectionGrade } = require('../services/gradingService');
+      await updateSectionGrade(attempt.student.toString(), test.section);
+    } catch (gradeError) {
+      console.error('Error updating section grade after regrade:', gradeError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Attempt regraded successfully',
+      previousScore,
+      refreshedQuestions,
+      attempt
+    });
+  } catch (error) {
+    console.error('Regrade attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Get test statistics (for instructor)
 // @route   GET /api/active-tests/:id/statistics
 // @access  Private (Instructor)
@@ -741,6 +1115,8 @@ exports.getTestStatistics = async (req, res) => {
     const highestScore = scores.length > 0 ? Math.max(...scores) : 0;
     const lowestScore = scores.length > 0 ? Math.min(...scores) : 0;
 
+    const questionStats = buildQuestionStatistics(test.questions, validAttempts);
+
     res.json({
       success: true,
       statistics: {
@@ -753,6 +1129,7 @@ exports.getTestStatistics = async (req, res) => {
         passedCount,
         failedCount: totalAttempts - passedCount
       },
+      questionStats,
       attempts: validAttempts
     });
   } catch (error) {
@@ -764,6 +1141,283 @@ exports.getTestStatistics = async (req, res) => {
   }
 };
 
+// @desc    Item analysis report (difficulty, discrimination, distractors, reliability)
+// @route   GET /api/active-tests/:id/item-analysis?attempts=all|first|best&format=json|csv
+// @access  Private (Instructor)
+exports.getItemAnalysis = async (req, res) => {
+  try {
+    const test = await ActiveTest.findById(req.params.id);
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && test.instructor.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const attemptMode = ['first', 'best'].includes(req.query.attempts) ? req.query.attempts : 'all';
+    let attempts = await TestAttempt.find({ test: test._id, status: 'graded' })
+      .select('student answers drawnQuestions score attemptNumber')
+      .sort({ attemptNumber: 1 })
+      .lean();
+
+    // Optionally keep a single attempt per student so retakes don't skew the figures
+    if (attemptMode !== 'all') {
+      const perStudent = new Map();
+      attempts.forEach((attempt) => {
+        const key = attempt.student.toString();
+        const current = perStudent.get(key);
+        if (!current || (attemptMode === 'best' && attempt.score > current.score)) {
+          perStudent.set(key, attempt);
+        }
+      });
+      attempts = Array.from(perStudent.values());
+    }
+
+    const analysis = buildItemAnalysis(test.questions, attempts);
+
+    if (req.query.format === 'csv') {
+      const safeTitle = (test.title || 'test').replace(/[^a-z0-9]+/gi, '_').toLowerCase();
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=item_analysis_${safeTitle}_${Date.now()}.csv`);
+      return res.send(itemAnalysisToCsv(analysis));
+    }
+
+    res.json({
+      success: true,
+      attemptMode,
+      analysis
+    });
+  } catch (error) {
+    console.error('Get item analysis error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Import GIFT or Moodle XML questions into a new or existing test
+// @route   POST /api/active-tests/import
+// @access  Private (Instructor)
+exports.importTest = async (req, res) => {
+  try {
+    const {
+      testId,
+      sectionId,
+      courseId,
+      groupId,
+      title,
+      description,
+      timeLimitMinutes,
+      passingScore,
+      maxAttempts
+    } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (!content || !String(content).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a GIFT or Moodle XML file, or send its content'
+      });
+    }
+
+    const format = req.body.format || detectFormat(content, req.file?.originalname);
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported format. Use one of: ${SUPPORTED_FORMATS.join(', ')}`
+      });
+    }
+
+    const parsed = format === 'gift' ? parseGift(content) : parseMoodleXml(content);
+    const rejected = [...parsed.rejected];
+    const questions = [];
+
+    // Apply the same rules as questions entered by hand
+    parsed.questions.forEach(({ sourceLine, ...question }) => {
+      const ruleError = validateQuestion(question, questions.length);
+      const schemaError = ruleError ? null : new ActiveTest({ questions: [question] }).validateSync();
+      const fieldError = schemaError && Object.keys(schemaError.errors).find(path => path.startsWith('questions.'));
+      if (ruleError || fieldError) {
+        rejected.push({
+          line: sourceLine,
+          text: String(question.questionText || '').slice(0, 200),
+          reason: ruleError ? ruleError.replace(/^Question \d+ /, 'Question ') : schemaError.errors[fieldError].message
+        });
+        return;
+      }
+      questions.push(question);
+    });
+    rejected.sort((a, b) => (a.line || 0) - (b.line || 0));
+
+    if (questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid questions found in the file',
+        format,
+        rejected
+      });
+    }
+
+    let test;
+    if (testId) {
+      test = await ActiveTest.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+      if (test.instructor.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to update this test'
+        });
+      }
+      // Started and submitted attempts refer to the current questions
+      const attemptCount = await TestAttempt.countDocuments({ test: test._id });
+      if (attemptCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot add questions after ${attemptCount} student(s) have taken the test`
+        });
+      }
+    } else {
+      if (!sectionId || !courseId || !groupId || !title || !timeLimitMinutes) {
+        return res.status(400).json({
+          success: false,
+          message: 'Title, time limit, Section ID, Course ID, and Group ID are required to create a test'
+        });
+      }
+
+      const section = await Section.findById(sectionId);
+      if (!section) {
+        return res.status(404).json({
+          success: false,
+          message: 'Section not found'
+        });
+      }
+
+      const group = await Group.findById(groupId);
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+
+      if (group.instructor.toString() !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to create tests for this group'
+        });
+      }
+    }
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: `${questions.length} question(s) can be imported, ${rejected.length} rejected`,
+        dryRun: true,
+        format,
+        questions,
+        rejected
+      });
+    }
+
+    if (test) {
+      test.questions.push(...questions);
+      await test.save();
+    } else {
+      test = await ActiveTest.create({
+        title,
+        description,
+        section: sectionId,
+        course: courseId,
+        group: groupId,
+        instructor: req.user.id,
+        questions,
+        timeLimitMinutes,
+        passingScore: passingScore || 60,
+        maxAttempts: maxAttempts || 1
+      });
+    }
+
+    res.status(testId ? 200 : 201).json({
+      success: true,
+      message: `Imported ${questions.length} question(s)${rejected.length ? `, rejected ${rejected.length}` : ''}`,
+      format,
+      importedCount: questions.length,
+      rejected,
+      test
+    });
+  } catch (error) {
+    console.error('Import test error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export a test's questions as GIFT or Moodle XML
+// @route   GET /api/active-tests/:id/export?format=gift|moodle_xml
+// @access  Private (Instructor)
+exports.exportTest = async (req, res) => {
+  try {
+    const test = await ActiveTest.findById(req.params.id);
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && test.instructor.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const format = req.query.format || 'gift';
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported format. Use one of: ${SUPPORTED_FORMATS.join(', ')}`
+      });
+    }
+
+    const questions = test.questions.map(q => q.toObject());
+    const { content, skipped } = format === 'gift'
+      ? exportGift(questions, { category: test.title })
+      : exportMoodleXml(questions, { category: test.title });
+
+    const safeTitle = (test.title || 'test').replace(/[^a-z0-9]+/gi, '_').toLowerCase();
+    res.setHeader('Content-Type', format === 'gift' ? 'text/plain; charset=utf-8' : 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=${safeTitle}.${format === 'gift' ? 'gift.txt' : 'xml'}`);
+    res.setHeader('X-Skipped-Questions', String(skipped.length));
+    res.send(content);
+  } catch (error) {
+    console.error('Export test error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Reset student attempts (for instructor)
 // @route   DELETE /api/active-tests/:id/attempts/:studentId
 // @access  Private (Instructor)
@@ -1,4 +1,5 @@
 const AdminSettings = require('../models/AdminSettings');
+const { validateCertificateTemplate } = require('../services/certificatePdfService');
 
 const toProviderKey = (value) => {
   const raw = String(value || '').trim();
@@ -375,6 +376,22 @@ exports.updateSettings = async (req, res) => {
       updates.logoUrl = body.logoUrl.trim();
     }
 
+    // Certificate wording ({placeholders}) and signature (image path or signer name)
+    if (body.certificateTemplate !== undefined) {
+      const templateError = validateCertificateTemplate(body.certificateTemplate);
+      if (templateError) {
+        return res.status(400).json({
+          success: false,
+          message: templateError
+        });
+      }
+      updates.certificateTemplate = body.certificateTemplate.trim();
+    }
+
+    if (typeof body.certificateSignature === 'string') {
+      updates.certificateSignature = body.certificateSignature.trim();
+    }
+
     if (Array.isArray(body.paymentProviders)) {
       const sanitizedProviders = body.paymentProviders
         .map((p) => {
@@ -1,4 +1,6 @@
+const mongoose = require('mongoose');
 const CertificateRequest = require('../models/CertificateRequest');
+const CertificateIssueJob = require('../models/CertificateIssueJob');
 const CourseGrade = require('../models/CourseGrade');
 const Course = require('../models/Course');
 const Group = require('../models/Group');
@@ -6,13 +8,101 @@ const User = require('../models/User');
 const Enrollment = require('../models/Enrollment');
 const Progress = require('../models/Progress');
 const Message = require('../models/Message');
-const AdminSettings = require('../models/AdminSettings');
 const { sendEmail } = require('../utils/sendEmail');
 const { calculateCourseGrade } = require('../services/gradingService');
-const { ELIGIBILITY_STATUSES, isStudentEligibleForCertificate } = require('../services/certificateEligibilityService');
+const {
+  ELIGIBILITY_STATUSES,
+  getCoursePassingGrade,
+  isStudentEligibleForCertificate
+} = require('../services/certificateEligibilityService');
 const { sendCertificateReceivedEmail } = require('../utils/emailNotifications');
 const { constructUploadPath, constructFileUrl } = require('../utils/urlHelper');
 const { emitInstructorPendingSummaryUpdate } = require('./instructorDashboard');
+const { generateCertificate } = require('../services/certificatePdfService');
+const { verifyCertificateSerial } = require('../services/certificateVerificationService');
+const { previewGroupEligibility, runCertificateIssueJob } = require('../services/certificateBatchService');
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#039;');
+
+// Store an uploaded certificate file (PDF or image) on the request
+const attachUploadedCertificate = async (request, file, userId) => {
+  request.status = 'issued';
+  request.issuedAt = new Date();
+  request.issuedBy = userId;
+  request.certificateFile = {
+    originalName: file.originalname,
+    storedName: file.filename,
+    url: constructUploadPath('certificates', file.filename),
+    mimeType: file.mimetype,
+    size: file.size,
+    uploadedAt: new Date()
+  };
+  await request.save();
+  return request;
+};
+
+// Tell the student their certificate is ready: in-app message, socket event
+// and email. Expects request.student and request.course to be populated.
+const notifyCertificateIssued = async (req, request, senderId) => {
+  const messageContent = `Hi ${request.student.name}, your certificate for "${request.course.name}" is ready. Download from your certificates page.`;
+  const subject = `Certificate available for ${request.course.name}`;
+
+  await Message.create({
+    sender: senderId,
+    recipient: request.student._id,
+    conversationType: 'direct',
+    subject,
+    content: messageContent,
+    course: request.course._id,
+    group: request.group
+  });
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`user:${request.student._id}`).emit('certificate_issued', {
+      certificateId: request._id,
+      courseName: request.course.name,
+      certificateUrl: request.certificateFile.url
+    });
+  }
+
+  try {
+    await sendCertificateReceivedEmail(
+      request.student.email,
+      request.student.name,
+      request.course.name,
+      request.certificateFile.url
+    );
+  } catch (emailError) {
+    console.error('Email send error:', emailError);
+  }
+};
+
+// Courses in automatic mode issue the certificate as soon as the student is
+// eligible. Returns the issued request, or null when rendering failed and the
+// request was left for the instructor.
+const issueAutomatically = async (req, request) => {
+  try {
+    await generateCertificate(request);
+    await request.populate([
+      { path: 'course', select: 'instructor name' },
+      { path: 'student', select: 'name email' }
+    ]);
+    await notifyCertificateIssued(req, request, request.issuedBy || request.course.instructor);
+    return request;
+  } catch (error) {
+    console.error('[Certificate] Automatic issue failed:', {
+      requestId: request._id,
+      error: error.message
+    });
+    return null;
+  }
+};
 
 // @desc    Request certificate
 // @route   POST /api/certificates/request
@@ -79,17 +169,16 @@ exports.requestCertificate = async (req, res) => {
     // Calculate course grade using unified grading service (group-aware)
     const { courseGrade, sectionGrades, stats } = await calculateCourseGrade(req.user.id, courseId, groupId);
 
-    // Get CourseGrade record and global passing grade to check completion
-    const [courseGradeRecord, settings] = await Promise.all([
+    // Get CourseGrade record and the course's passing grade (the same one
+    // the eligibility check uses) to check completion
+    const [courseGradeRecord, passingGrade] = await Promise.all([
       CourseGrade.findOne({
         student: req.user.id,
         course: courseId
       }),
-      AdminSettings.getSettings()
+      getCoursePassingGrade(courseId)
     ]);
 
-    const passingGrade = typeof settings.passingGrade === 'number' ? settings.passingGrade : 60;
-
     console.log('[CertificateRequest] Course completion check:', {
       studentId: req.user.id,
       courseId,
@@ -106,7 +195,7 @@ exports.requestCertificate = async (req, res) => {
 
     // Use CourseGrade helper to enforce new 100% definition:
     // - all sections completed (isComplete)
-    // - overall grade >= AdminSettings.passingGrade
+    // - overall grade >= the course's passing grade
     const canRequestFromGrade = courseGradeRecord
       ? courseGradeRecord.canRequestCertificate(passingGrade)
       : false;
@@ -160,6 +249,17 @@ exports.requestCertificate = async (req, res) => {
       courseGrade,
       status: 'requested'
     });
+
+    if (certificateMode === 'automatic') {
+      const issued = await issueAutomatically(req, request);
+      if (issued) {
+        return res.status(201).json({
+          success: true,
+          request: issued,
+          message: 'Certificate issued'
+        });
+      }
+    }
     
     // Notify instructor via Socket.IO and refresh instructor pending summary strip
     const io = req.app.get('io');
@@ -359,6 +459,14 @@ exports.getMyCertificateEligibility = async (req, res) => {
         });
       }
 
+      // Automatic mode issues on POST /api/certificates/request; a revoked
+      // certificate is only given back through an admin reissue
+      const existing = await CertificateRequest.findOne({
+        student: req.user.id,
+        course: enrollment.course._id,
+        status: { $in: ['requested', 'issued', 'revoked'] }
+      }).select('status');
+
       const details = eligibility?.details || {};
       const overallGrade =
         typeof details.overallGrade === 'number'
@@ -376,7 +484,8 @@ exports.getMyCertificateEligibility = async (req, res) => {
         overallGrade,
         hasGrade,
         eligibilityStatus: eligibility?.status || null,
-        eligibilityDetails: details
+        eligibilityDetails: details,
+        certificateStatus: existing ? existing.status : null
       });
     }
 
@@ -390,7 +499,7 @@ exports.getMyCertificateEligibility = async (req, res) => {
   }
 };
 
-// @desc    Approve certificate and upload file
+// @desc    Approve certificate; without an uploaded file the certificate is rendered
 // @route   POST /api/certificates/:id/approve
 // @access  Private (Instructor/Admin)
 exports.approveCertificate = async (req, res) => {
@@ -408,27 +517,12 @@ exports.approveCertificate = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
     
-    // Require certificate file upload (PDF or image)
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'Certificate file (PDF, JPG, or PNG) is required'
-      });
+    // An uploaded file (PDF or image) replaces the rendered certificate
+    if (req.file) {
+      await attachUploadedCertificate(request, req.file, req.user.id);
+    } else {
+      await generateCertificate(request, { issuedBy: req.user.id });
     }
-    
-    request.status = 'issued';
-    request.issuedAt = new Date();
-    request.issuedBy = req.user.id;
-    request.certificateFile = {
-      originalName: req.file.originalname,
-      storedName: req.file.filename,
-      url: constructUploadPath('certificates', req.file.filename),
-      mimeType: req.file.mimetype,
-      size: req.file.size,
-      uploadedAt: new Date()
-    };
-    
-    await request.save();
 
     // Update instructor pending summary (one fewer pending certificate)
     try {
@@ -440,50 +534,333 @@ exports.approveCertificate = async (req, res) => {
       console.error('Failed to emit instructor pending summary after certificate approval:', e.message);
     }
 
-    // Create in-app message
-    const messageContent = `Hi ${request.student.name}, your certificate for "${request.course.name}" is ready. Download from your certificates page.`;
-    const subject = `Certificate available for ${request.course.name}`;
+    await notifyCertificateIssued(req, request, req.user.id);
     
-    await Message.create({
-      sender: req.user.id,
-      recipient: request.student._id,
-      conversationType: 'direct',
-      subject,
-      content: messageContent,
-      course: request.course._id,
-      group: request.group
+    res.json({
+      success: true,
+      request,
+      message: 'Certificate approved and student notified'
     });
-    
-    // Notify student via Socket.IO
+  } catch (error) {
+    console.error('Approve certificate error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// Load a group and check the user teaches its course
+const loadManagedGroup = async (req, res) => {
+  const group = mongoose.Types.ObjectId.isValid(req.params.groupId)
+    ? await Group.findById(req.params.groupId).populate('course', 'name instructor offersCertificate certificateMode')
+    : null;
+  if (!group || !group.course) {
+    res.status(404).json({ success: false, message: 'Group not found' });
+    return null;
+  }
+  if (req.user.role !== 'admin' && group.course.instructor.toString() !== req.user.id) {
+    res.status(403).json({ success: false, message: 'Not authorized' });
+    return null;
+  }
+  return group;
+};
+
+// Optional list of picked students (query string or body)
+const parseStudentIds = (value) => {
+  const ids = Array.isArray(value) ? value : String(value || '').split(',');
+  return ids.map(id => String(id).trim()).filter(Boolean);
+};
+
+// @desc    Preview who in a group would get a certificate
+// @route   GET /api/certificates/groups/:groupId/preview
+// @access  Private (Instructor/Admin)
+exports.previewGroupCertificates = async (req, res) => {
+  try {
+    const group = await loadManagedGroup(req, res);
+    if (!group) return;
+
+    const studentIds = parseStudentIds(req.query.studentIds);
+    if (studentIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: 'Invalid student ID' });
+    }
+
+    const { eligible, skipped } = await previewGroupEligibility(group, studentIds);
+
+    res.json({
+      success: true,
+      group: { _id: group._id, name: group.name },
+      course: { _id: group.course._id, name: group.course.name },
+      summary: { eligible: eligible.length, skipped: skipped.length },
+      eligible,
+      skipped
+    });
+  } catch (error) {
+    console.error('Preview group certificates error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// @desc    Issue the certificates of a group in a background job
+// @route   POST /api/certificates/groups/:groupId/issue
+// @access  Private (Instructor/Admin)
+exports.issueGroupCertificates = async (req, res) => {
+  try {
+    const group = await loadManagedGroup(req, res);
+    if (!group) return;
+
+    const studentIds = parseStudentIds(req.body.studentIds);
+    if (studentIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: 'Invalid student ID' });
+    }
+
+    // A job cut off by a restart stays 'running'; it no longer blocks after an hour
+    const running = await CertificateIssueJob.findOne({
+      group: group._id,
+      status: 'running',
+      createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) }
+    }).select('_id');
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        message: 'Certificates of this group are already being issued',
+        jobId: running._id
+      });
+    }
+
+    const job = await CertificateIssueJob.create({
+      group: group._id,
+      course: group.course._id,
+      requestedBy: req.user.id,
+      students: [...new Set(studentIds)]
+    });
+
+    // Rendering every certificate takes a while, so progress is pushed to
+    // the instructor as the job goes
     const io = req.app.get('io');
-    if (io) {
-      io.to(`user:${request.student._id}`).emit('certificate_issued', {
-        certificateId: request._id,
-        courseName: request.course.name,
-        certificateUrl: request.certificateFile.url
+    const userId = req.user.id;
+    const emit = (event, data) => {
+      if (io) io.to(`user:${userId}`).emit(event, { jobId: job._id, groupId: group._id, ...data });
+    };
+    runCertificateIssueJob(job, {
+      onProgress: (current) => emit('certificate_issue_progress', {
+        processed: current.processed,
+        total: current.total
+      }),
+      onIssued: async (request) => {
+        await request.populate([
+          { path: 'course', select: 'instructor name' },
+          { path: 'student', select: 'name email' }
+        ]);
+        await notifyCertificateIssued(req, request, userId);
+      }
+    })
+      .then((done) => {
+        emit('certificate_issue_completed', {
+          status: done.status,
+          issued: done.issued.length,
+          skipped: done.skipped.length
+        });
+        if (io && group.course.instructor) {
+          emitInstructorPendingSummaryUpdate(io, group.course.instructor.toString())
+            .catch(e => console.error('Failed to emit instructor pending summary after bulk issue:', e.message));
+        }
+      })
+      .catch((error) => {
+        console.error('Run certificate issue job error:', error);
+      });
+
+    res.status(202).json({
+      success: true,
+      message: 'Issuing certificates',
+      jobId: job._id
+    });
+  } catch (error) {
+    console.error('Issue group certificates error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// @desc    Progress and result of a bulk certificate job
+// @route   GET /api/certificates/jobs/:jobId
+// @access  Private (Instructor/Admin)
+exports.getCertificateIssueJob = async (req, res) => {
+  try {
+    const job = mongoose.Types.ObjectId.isValid(req.params.jobId)
+      ? await CertificateIssueJob.findById(req.params.jobId)
+        .populate('group', 'name')
+        .populate('course', 'name instructor')
+        .populate('issued.student', 'name email')
+        .populate('skipped.student', 'name email')
+        .populate('requestedBy', 'name')
+      : null;
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    if (req.user.role !== 'admin' && (!job.course || job.course.instructor.toString() !== req.user.id)) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Get certificate issue job error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// @desc    Check a certificate by its serial
+// @route   GET /api/certificates/verify/:code
+// @access  Public
+exports.verifyCertificate = async (req, res) => {
+  try {
+    const certificate = await verifyCertificateSerial(req.params.code);
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'No certificate was issued with this serial'
       });
     }
-    
-    // Send email notification
+
+    res.json({
+      success: true,
+      certificate
+    });
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// @desc    Revoke an issued certificate
+// @route   POST /api/certificates/:id/revoke
+// @access  Private (Admin)
+exports.revokeCertificate = async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason for the revocation is required' });
+    }
+
+    const request = await CertificateRequest.findById(req.params.id)
+      .populate('course', 'name')
+      .populate('student', 'name email');
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Certificate not found' });
+    }
+    if (request.status !== 'issued') {
+      return res.status(400).json({ success: false, message: 'Only issued certificates can be revoked' });
+    }
+
+    request.status = 'revoked';
+    request.revokedAt = new Date();
+    request.revokedBy = req.user.id;
+    request.revocationReason = reason;
+    await request.save();
+
     try {
-      await sendCertificateReceivedEmail(
-        request.student.email,
-        request.student.name,
-        request.course.name,
-        request.certificateFile.url
-      );
-    } catch (emailError) {
-      console.error('Email send error:', emailError);
+      if (request.student) {
+        await User.updateOne(
+          { _id: request.student._id },
+          { $push: { notifications: { message: `Your certificate for ${request.course.name} was revoked: ${reason}`, type: 'warning', read: false } } }
+        );
+        await sendEmail({
+          email: request.student.email,
+          subject: `Certificate revoked: ${request.course.name}`,
+          html: `
+            <p>Dear ${escapeHtml(request.student.name)},</p>
+            <p>Your certificate for <strong>${escapeHtml(request.course.name)}</strong> (serial ${escapeHtml(request.verificationCode)}) has been revoked.</p>
+            <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+          `
+        });
+      }
+    } catch (notifyError) {
+      console.error('[Certificate] Revocation notice failed:', notifyError.message);
     }
-    
+
     res.json({
       success: true,
       request,
-      message: 'Certificate approved and student notified'
+      message: 'Certificate revoked'
     });
   } catch (error) {
-    console.error('Approve certificate error:', error);
-    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+    console.error('Revoke certificate error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// @desc    Revoke a certificate and issue a new one under a new serial
+// @route   POST /api/certificates/:id/reissue
+// @access  Private (Admin)
+exports.reissueCertificate = async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason for reissuing is required' });
+    }
+
+    const original = await CertificateRequest.findById(req.params.id);
+    if (!original) {
+      return res.status(404).json({ success: false, message: 'Certificate not found' });
+    }
+    if (original.replacedBy || !['issued', 'revoked'].includes(original.status)) {
+      return res.status(400).json({
+        success: false,
+        message: original.replacedBy
+          ? 'This certificate has already been reissued'
+          : 'Only issued or revoked certificates can be reissued'
+      });
+    }
+
+    // The new certificate is rendered (or uploaded) before the old one is
+    // revoked, so a failure leaves the student with a valid certificate
+    const replacement = new CertificateRequest({
+      student: original.student,
+      course: original.course,
+      group: original.group,
+      courseGrade: original.courseGrade,
+      requestedAt: original.requestedAt,
+      status: 'requested',
+      reissuedFrom: original._id
+    });
+    try {
+      if (req.file) {
+        await attachUploadedCertificate(replacement, req.file, req.user.id);
+      } else {
+        await generateCertificate(replacement, { issuedBy: req.user.id });
+      }
+    } catch (issueError) {
+      if (!replacement.isNew) await replacement.deleteOne();
+      throw issueError;
+    }
+
+    if (original.status === 'issued') {
+      original.status = 'revoked';
+      original.revokedAt = new Date();
+      original.revokedBy = req.user.id;
+    }
+    original.revocationReason = original.revocationReason
+      ? `${original.revocationReason}; reissued: ${reason}`
+      : `Reissued: ${reason}`;
+    original.replacedBy = replacement._id;
+    await original.save();
+
+    await replacement.populate([
+      { path: 'course', select: 'instructor name' },
+      { path: 'student', select: 'name email' }
+    ]);
+    if (replacement.student) {
+      await notifyCertificateIssued(req, replacement, req.user.id);
+    }
+
+    res.status(201).json({
+      success: true,
+      request: replacement,
+      replaced: original._id,
+      message: 'Certificate reissued'
+    });
+  } catch (error) {
+    console.error('Reissue certificate error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
 };
 
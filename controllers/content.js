@@ -5,6 +5,7 @@ const StudentProgress = require('../models/StudentProgress');
 const SectionPayment = require('../models/SectionPayment');
 const Enrollment = require('../models/Enrollment');
 const StudentContentGrade = require('../models/StudentContentGrade');
+const SubmissionExtension = require('../models/SubmissionExtension');
 const DeleteRequest = require('../models/DeleteRequest');
 const TelegramFile = require('../models/TelegramFile');
 const YouTubeVideo = require('../models/YouTubeVideo');
@@ -20,6 +21,14 @@ const { getVideoProvider, getFileProvider } = require('../services/storage');
 const uploadService = require('../services/uploadService');
 const { extractYouTubeVideoId, normalizeYouTubeUrl } = require('../utils/youtubeHelper');
 const { notifyAdminsAboutUploadIssue } = require('../utils/uploadIssueNotifier');
+const { getSectionUnlockStatus, lockedResponse } = require('../services/sectionUnlockService');
+const {
+  getContentReleaseStatus,
+  getSectionReleaseStatus,
+  toUnreleasedItem,
+  unreleasedResponse
+} = require('../services/contentReleaseService');
+const { isMediaShared } = require('../services/courseCloneService');
 
 const stripYouTubeFieldsFromContent = (docOrObj) => {
   if (!docOrObj) return docOrObj;
@@ -180,10 +189,19 @@ exports.getContentBySection = async (req, res) => {
     // Fetch content list first; we will filter archived items per-student conditions below
     let content = await Content.find(query)
       .populate('createdBy', 'name email')
+      .populate('rubric', 'title description criteria')
       .sort('order type');
 
     // If student, include their progress/grades for each item
     if (req.user.role === 'student') {
+      const section = await Section.findById(sectionId).select('unlockRules');
+      if (section) {
+        const unlockStatus = await getSectionUnlockStatus(section, req.user.id);
+        if (!unlockStatus.unlocked) {
+          return res.status(403).json(lockedResponse(unlockStatus));
+        }
+      }
+
       const progressDocs = await StudentProgress.find({
         student: req.user.id,
         section: sectionId
@@ -196,9 +214,23 @@ exports.getContentBySection = async (req, res) => {
           .map(id => id.toString())
       );
 
+      const extensions = await SubmissionExtension.find({
+        student: req.user.id,
+        content: { $in: content.map(c => c._id) }
+      }).select('content dueDate');
+      const extendedDueDates = new Map(extensions.map(e => [e.content.toString(), e.dueDate]));
+
+      const releases = content.length > 0 ? await getSectionReleaseStatus(content, req.user.id) : new Map();
+
       // Include progress/grade fields in response
       const contentWithProgress = await Promise.all(
         content.map(async (item) => {
+          // Items not released yet only show when they will open
+          const release = releases.get(item._id.toString());
+          if (!release.released) {
+            return toUnreleasedItem(item, release);
+          }
+
           const progress = await StudentProgress.findOne({
             student: req.user.id,
             content: item._id
@@ -215,6 +247,9 @@ exports.getContentBySection = async (req, res) => {
           let gradePercent = 0;
           let completed = false;
           let instructorFeedback = null;
+          let rubricAssessment = null;
+          let rawGradePercent = null;
+          let latePenalty = null;
           let reupload = {
             requested: false,
             status: 'none',
@@ -232,6 +267,9 @@ exports.getContentBySection = async (req, res) => {
             status = gradeData.status;
             gradePercent = gradeData.gradePercent || 0;
             instructorFeedback = gradeData.instructorFeedback;
+            rubricAssessment = gradeData.status === 'graded' ? gradeData.rubricAssessment || null : null;
+            rawGradePercent = gradeData.rawGradePercent;
+            latePenalty = gradeData.latePenalty || null;
 
             reupload.requested = !!gradeData.reuploadRequested;
             reupload.status = gradeData.reuploadStatus || 'none';
@@ -277,11 +315,18 @@ exports.getContentBySection = async (req, res) => {
 
           return {
             ...item.toObject(),
+            released: true,
+            releaseDate: release.releaseDate,
             progress: {
               completed,
               status,
               gradePercent,
               instructorFeedback,
+              rubricAssessment,
+              // Grade before the late penalty, shown next to the penalized grade
+              rawGradePercent,
+              latePenalty,
+              extendedDueDate: extendedDueDates.get(item._id.toString()) || null,
               viewedAt: progress?.viewedAt || gradeData?.updatedAt,
               submittedAt: gradeData?.submittedAt,
               reupload
@@ -321,7 +366,8 @@ exports.getContentById = async (req, res) => {
       .populate('section', 'name isFree')
       .populate('group', 'name')
       .populate('course', 'name')
-      .populate('createdBy', 'name email');
+      .populate('createdBy', 'name email')
+      .populate('rubric', 'title description criteria');
 
     if (!content) {
       return res.status(404).json({
@@ -367,6 +413,16 @@ exports.getContentById = async (req, res) => {
         }
       }
 
+      const unlockStatus = await getSectionUnlockStatus(section, req.user.id);
+      if (!unlockStatus.unlocked) {
+        return res.status(403).json(lockedResponse(unlockStatus));
+      }
+
+      const release = await getContentReleaseStatus(content, req.user.id);
+      if (!release.released) {
+        return res.status(403).json(unreleasedResponse(release));
+      }
+
       // Get progress
       const progress = await StudentProgress.findOne({
         student: req.user.id,
@@ -1306,6 +1362,8 @@ exports.updateContent = async (req, res) => {
     if (maxScore !== undefined) content.maxScore = maxScore;
     if (dueDate !== undefined) content.dueDate = dueDate ? new Date(dueDate) : null;
 
+    const isShared = (field, value) => isMediaShared(field, value, { _id: content._id });
+
     // Handle file replacement if new file uploaded
     if (req.file) {
       if (content.type === 'lecture') {
@@ -1323,7 +1381,7 @@ exports.updateContent = async (req, res) => {
 
         const previousYouTubeVideoId = content?.video?.youtubeVideoId || null;
 
-        if (providerType === 'local' && content.videoPath) {
+        if (providerType === 'local' && content.videoPath && !(await isShared('videoPath', content.videoPath))) {
           const oldPath = path.join(__dirname, '../uploads/videos', content.videoPath);
           await fs.unlink(oldPath).catch(console.error);
         }
@@ -1375,7 +1433,7 @@ exports.updateContent = async (req, res) => {
           });
         }
 
-        if (fileProviderType === 'local' && content.filePath) {
+        if (fileProviderType === 'local' && content.filePath && !(await isShared('filePath', content.filePath))) {
           const oldPath = path.join(__dirname, '../uploads/files', content.filePath);
           await fs.unlink(oldPath).catch(console.error);
         }
@@ -1457,7 +1515,7 @@ exports.updateContent = async (req, res) => {
         }
 
         const previousYouTubeVideoId = content?.video?.youtubeVideoId || null;
-        if (videoProviderType === 'local' && content.videoPath) {
+        if (videoProviderType === 'local' && content.videoPath && !(await isShared('videoPath', content.videoPath))) {
           const oldPath = path.join(__dirname, '../uploads/videos', content.videoPath);
           await fs.unlink(oldPath).catch(() => {});
         }
@@ -1511,7 +1569,7 @@ exports.updateContent = async (req, res) => {
           });
         }
 
-        if (fileProviderType === 'local' && content.starterFilePath) {
+        if (fileProviderType === 'local' && content.starterFilePath && !(await isShared('starterFilePath', content.starterFilePath))) {
           const oldPath = path.join(__dirname, '../uploads/files', content.starterFilePath);
           await fs.unlink(oldPath).catch(() => {});
         }
@@ -1718,6 +1776,11 @@ exports.markAsCompleted = async (req, res) => {
       });
     }
 
+    const release = await getContentReleaseStatus(content, studentId);
+    if (!release.released) {
+      return res.status(403).json(unreleasedResponse(release));
+    }
+
     // Find or create progress record
     let progress = await StudentProgress.findOne({
       student: studentId,
@@ -1845,6 +1908,11 @@ exports.markVideoWatched = async (req, res) => {
       });
     }
 
+    const release = await getContentReleaseStatus(content, studentId);
+    if (!release.released) {
+      return res.status(403).json(unreleasedResponse(release));
+    }
+
     // Update StudentProgress for backward compatibility
     let progress = await StudentProgress.findOne({
       student: studentId,
@@ -1972,6 +2040,11 @@ exports.updateWatchProgress = async (req, res) => {
       });
     }
 
+    const release = await getContentReleaseStatus(content, studentId);
+    if (!release.released) {
+      return res.status(403).json(unreleasedResponse(release));
+    }
+
     let progress = await StudentProgress.findOne({
       student: studentId,
       content: id
@@ -2043,6 +2116,13 @@ exports.downloadContentFile = async (req, res) => {
       });
     }
 
+    if (req.user?.role === 'student') {
+      const release = await getContentReleaseStatus(content, req.user.id);
+      if (!release.released) {
+        return res.status(403).json(unreleasedResponse(release));
+      }
+    }
+
     console.log('[DownloadFile] Content details:', {
       contentId: content._id,
       type: content.type,
@@ -2228,6 +2308,14 @@ exports.submitStudentAssignment = async (req, res) => {
       });
     }
 
+    const release = await getContentReleaseStatus(content, req.user.id);
+    if (!release.released) {
+      if (req.file?.path) {
+        await fs.unlink(req.file.path).catch(() => {});
+      }
+      return res.status(403).json(unreleasedResponse(release));
+    }
+
     if (!req.file) {
       return res.status(400).json({
         success: false,
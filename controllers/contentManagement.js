@@ -13,6 +13,16 @@ const { streamTelegramFile } = require('../services/telegramFileService');
 const { getVideoProvider, getFileProvider } = require('../services/storage');
 const uploadService = require('../services/uploadService');
 const { notifyAdminsAboutUploadIssue } = require('../utils/uploadIssueNotifier');
+const { getSectionUnlockStatus, lockedResponse } = require('../services/sectionUnlockService');
+const {
+  validateReleaseRule,
+  getReleaseDate,
+  getContentReleaseStatus,
+  getSectionReleaseStatus,
+  toUnreleasedItem,
+  unreleasedResponse
+} = require('../services/contentReleaseService');
+const { isMediaShared } = require('../services/courseCloneService');
 const {
   createJob,
   updateJob,
@@ -39,6 +49,16 @@ exports.getContentBySection = async (req, res) => {
   try {
     const { sectionId } = req.params;
 
+    if (req.user?.role === 'student') {
+      const section = await Section.findById(sectionId).select('unlockRules');
+      if (section) {
+        const unlockStatus = await getSectionUnlockStatus(section, req.user.id);
+        if (!unlockStatus.unlocked) {
+          return res.status(403).json(lockedResponse(unlockStatus));
+        }
+      }
+    }
+
     const query = { section: sectionId };
     const includeDeleted = req.user?.role === 'admin' && req.query?.includeDeleted === 'true';
     if (!includeDeleted) {
@@ -49,6 +69,21 @@ exports.getContentBySection = async (req, res) => {
       .populate('createdBy', 'name email')
       .sort({ type: 1, order: 1, createdAt: 1 });
 
+    if (req.user?.role === 'student' && content.length > 0) {
+      // Items not released yet only show when they will open
+      const releases = await getSectionReleaseStatus(content, req.user.id);
+      return res.status(200).json({
+        success: true,
+        count: content.length,
+        data: content.map((item) => {
+          const release = releases.get(item._id.toString());
+          return release.released
+            ? { ...item.toObject(), released: true, releaseDate: release.releaseDate }
+            : toUnreleasedItem(item, release);
+        })
+      });
+    }
+
     res.status(200).json({
       success: true,
       count: content.length,
@@ -1174,6 +1209,11 @@ exports.streamVideo = async (req, res) => {
           });
         }
       }
+
+      const release = await getContentReleaseStatus(item, req.user.id);
+      if (!release.released) {
+        return res.status(403).json(unreleasedResponse(release));
+      }
     } else if (req.user.role === 'instructor') {
       if (item.course?.instructor?.toString() !== req.user.id) {
         return res.status(403).json({
@@ -1390,6 +1430,13 @@ exports.downloadFile = async (req, res) => {
         message: 'Content not found'
       });
     }
+
+    if (req.user?.role === 'student') {
+      const release = await getContentReleaseStatus(item, req.user.id);
+      if (!release.released) {
+        return res.status(403).json(unreleasedResponse(release));
+      }
+    }
     
     if (item.file?.storageType === 'telegram' && item.file?.telegramFileId && type !== 'video') {
       const fileName =
@@ -1523,13 +1570,19 @@ exports.updateContent = async (req, res) => {
       content.materials = Array.isArray(parsedMaterials) ? parsedMaterials : [];
     }
     
+    const isShared = (field, value) => isMediaShared(field, value, { _id: content._id });
+
     // Handle file replacements
     if (req.file) {
       // Delete old file
       if (content.type === 'lecture' && content.video && content.video.path) {
-        if (fs.existsSync(content.video.path)) fs.unlinkSync(content.video.path);
+        if (fs.existsSync(content.video.path) && !(await isShared('video.path', content.video.path))) {
+          fs.unlinkSync(content.video.path);
+        }
       } else if (content.file && content.file.path) {
-        if (fs.existsSync(content.file.path)) fs.unlinkSync(content.file.path);
+        if (fs.existsSync(content.file.path) && !(await isShared('file.path', content.file.path))) {
+          fs.unlinkSync(content.file.path);
+        }
       }
       
       // Update with new file
@@ -1553,7 +1606,8 @@ exports.updateContent = async (req, res) => {
     // Handle project files (video and file separately)
     if (req.files) {
       if (req.files.video && req.files.video[0]) {
-        if (content.video && content.video.path && fs.existsSync(content.video.path)) {
+        if (content.video && content.video.path && fs.existsSync(content.video.path) &&
+          !(await isShared('video.path', content.video.path))) {
           fs.unlinkSync(content.video.path);
         }
         content.video = {
@@ -1564,7 +1618,8 @@ exports.updateContent = async (req, res) => {
         };
       }
       if (req.files.file && req.files.file[0]) {
-        if (content.file && content.file.path && fs.existsSync(content.file.path)) {
+        if (content.file && content.file.path && fs.existsSync(content.file.path) &&
+          !(await isShared('file.path', content.file.path))) {
           fs.unlinkSync(content.file.path);
         }
         content.file = {
@@ -1645,6 +1700,69 @@ exports.updateContent = async (req, res) => {
   }
 };
 
+// @desc    Set when a content item is released to students
+// @route   PUT /api/content/:contentId/release
+// @access  Private (Instructor/Admin)
+exports.updateContentRelease = async (req, res) => {
+  try {
+    if (req.body.release === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'release is required (null to release immediately)'
+      });
+    }
+
+    const content = await Content.findById(req.params.contentId)
+      .populate('course', 'instructor')
+      .populate('group', 'startDate');
+    if (!content || content.deletionStatus === 'deleted') {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && content.course?.instructor?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const { error, release } = validateReleaseRule(req.body.release);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Students are only notified of releases after this change
+    content.release = { ...release, notifiedAt: new Date() };
+    await content.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Release schedule updated',
+      data: {
+        contentId: content._id,
+        release: content.release,
+        // Same for the whole group, unless it depends on each enrollment
+        releaseDate: release.type === 'after_enrollment'
+          ? null
+          : getReleaseDate(release, { groupStartDate: content.group?.startDate }).releaseDate
+      }
+    });
+  } catch (error) {
+    console.error('Error updating content release:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update release schedule',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Reorder content
 // @route   PUT /api/sections/:sectionId/content/reorder
 // @access  Private (Instructor/Admin)
@@ -8,6 +8,7 @@ const Submission = require('../models/Submission');
 const Enrollment = require('../models/Enrollment');
 const Message = require('../models/Message');
 const { sendEmail } = require('../utils/sendEmail');
+const fs = require('fs');
 const cache = require('../utils/cache');
 
 const {
@@ -19,8 +20,22 @@ const {
   getSectionGradesForStudents,
   getStudentEnrollment,
   loadCourseSections,
-  toPlainPayment
+  toPlainPayment,
+  loadCourseGradeScale,
+  gradeLabelOf
 } = require('../utils/gradeUtils');
+const {
+  loadGradebook,
+  gradebookToTable,
+  tableToCsv,
+  tableToXlsx,
+  readSpreadsheet,
+  planGradeImport
+} = require('../services/gradebookService');
+const { gradeAssignment, calculateCourseGrade } = require('../services/gradingService');
+const { emitInstructorPendingSummaryUpdate } = require('./instructorDashboard');
+const { DAY_MS, cloneCourse } = require('../services/courseCloneService');
+const { buildCoursePackage, importCoursePackage } = require('../services/coursePackageService');
 
 // @desc    Get instructor's courses
 // @route   GET /api/courses/my-courses
@@ -438,10 +453,11 @@ exports.getCourseSummary = async (req, res) => {
     const sections = await loadCourseSections(courseId);
     const sectionIds = sections.map((section) => section._id);
 
-    const [enrollment, gradesMap, paymentsMap] = await Promise.all([
+    const [enrollment, gradesMap, paymentsMap, gradeScale] = await Promise.all([
       getStudentEnrollment(req.user.id, courseId),
       getSectionGradesForStudent(req.user.id, sectionIds),
-      getLatestPaymentsForStudent(req.user.id, sectionIds)
+      getLatestPaymentsForStudent(req.user.id, sectionIds),
+      loadCourseGradeScale(courseId)
     ]);
 
     if (!enrollment) {
@@ -466,6 +482,7 @@ exports.getCourseSummary = async (req, res) => {
         priceCents: section.priceCents,
         currency: section.currency,
         gradePercent,
+        gradeLabel: gradeLabelOf(gradePercent, gradeScale),
         access,
         latestPayment: access.latestPayment
       };
@@ -483,7 +500,8 @@ exports.getCourseSummary = async (req, res) => {
         level: course.level,
         currency: course.currency,
         cost: course.cost,
-        instructor: course.instructor
+        instructor: course.instructor,
+        gradeScale
       },
       enrollment: {
         id: enrollment._id,
@@ -491,6 +509,7 @@ exports.getCourseSummary = async (req, res) => {
         enrolledSections: enrollment.enrolledSections
       },
       overallGrade,
+      overallGradeLabel: gradeLabelOf(overallGrade, gradeScale),
       sections: sectionSummaries
     });
   } catch (error) {
@@ -534,9 +553,10 @@ exports.getCourseGradebook = async (req, res) => {
         : enrollment.student
     );
 
-    const [gradesMap, paymentsMap] = await Promise.all([
+    const [gradesMap, paymentsMap, gradeScale] = await Promise.all([
       getSectionGradesForStudents(studentIds, sectionIds),
-      getLatestPaymentsForStudents(studentIds, sectionIds)
+      getLatestPaymentsForStudents(studentIds, sectionIds),
+      loadCourseGradeScale(courseId)
     ]);
 
     const studentSummaries = enrollments.map((enrollment) => {
@@ -557,6 +577,7 @@ exports.getCourseGradebook = async (req, res) => {
           name: section.name,
           order: section.order,
           gradePercent,
+          gradeLabel: gradeLabelOf(gradePercent, gradeScale),
           access,
           latestPayment: access.latestPayment
         };
@@ -579,6 +600,7 @@ exports.getCourseGradebook = async (req, res) => {
           enrolledSections: enrollment.enrolledSections
         },
         overallGrade,
+        overallGradeLabel: gradeLabelOf(overallGrade, gradeScale),
         sections: sectionSummaries
       };
     });
@@ -589,7 +611,8 @@ exports.getCourseGradebook = async (req, res) => {
         id: course._id,
         name: course.name,
         level: course.level,
-        sectionCount: sections.length
+        sectionCount: sections.length,
+        gradeScale
       },
       sections: sections.map((section) => ({
         id: section._id,
@@ -610,6 +633,170 @@ exports.getCourseGradebook = async (req, res) => {
   }
 };
 
+const GRADEBOOK_FORMATS = ['csv', 'xlsx'];
+
+// Load a course the user may grade, or send the error response
+const loadGradebookCourse = async (req, res) => {
+  const course = await Course.findById(req.params.id).select('name instructor');
+  if (!course) {
+    res.status(404).json({ success: false, message: 'Course not found' });
+    return null;
+  }
+  if (req.user.role === 'instructor' && course.instructor.toString() !== req.user.id) {
+    res.status(403).json({ success: false, message: 'Not authorized to view this gradebook' });
+    return null;
+  }
+  return course;
+};
+
+// @desc    Export the course gradebook as CSV or XLSX
+// @route   GET /api/courses/:id/grades/export?format=csv|xlsx
+// @access  Private (Instructor/Admin)
+exports.exportCourseGradebook = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!GRADEBOOK_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported format. Use one of: ${GRADEBOOK_FORMATS.join(', ')}`
+      });
+    }
+
+    const course = await loadGradebookCourse(req, res);
+    if (!course) return;
+
+    const table = gradebookToTable(await loadGradebook(course._id));
+    const safeName = String(course.name || 'course').replace(/[^a-z0-9_-]+/gi, '_').slice(0, 80);
+
+    if (format === 'xlsx') {
+      const buffer = await tableToXlsx(table, course.name);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=${safeName}-gradebook.xlsx`);
+      return res.send(buffer);
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=${safeName}-gradebook.csv`);
+    // BOM so spreadsheet apps read the file as UTF-8
+    res.send(`\uFEFF${tableToCsv(table)}`);
+  } catch (error) {
+    console.error('Export course gradebook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export course gradebook'
+    });
+  }
+};
+
+// @desc    Import assignment/project grades from a CSV or XLSX gradebook.
+//          Runs as a dry run returning the changes unless dryRun is false;
+//          nothing is applied while any row has errors.
+// @route   POST /api/courses/:id/grades/import
+// @access  Private (Instructor/Admin)
+exports.importCourseGrades = async (req, res) => {
+  try {
+    const dryRun = !(req.body.dryRun === false || req.body.dryRun === 'false');
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV or XLSX gradebook file'
+      });
+    }
+
+    const course = await loadGradebookCourse(req, res);
+    if (!course) return;
+
+    let table;
+    try {
+      table = await readSpreadsheet(req.file.buffer, req.file.originalname);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file could not be read as CSV or XLSX'
+      });
+    }
+
+    const gradebook = await loadGradebook(course._id);
+    const { changes, errors, unchanged, ignoredColumns } = planGradeImport(table, gradebook);
+    const summary = { changes: changes.length, unchanged, errors: errors.length };
+
+    if (dryRun || errors.length > 0) {
+      return res.status(errors.length > 0 && !dryRun ? 400 : 200).json({
+        success: errors.length === 0,
+        message: errors.length > 0
+          ? 'Fix the errors in the file before importing'
+          : `${changes.length} grade(s) would change`,
+        dryRun: true,
+        summary,
+        changes,
+        errors,
+        ignoredColumns
+      });
+    }
+
+    const applied = [];
+    const failed = [];
+    for (const change of changes) {
+      try {
+        const existing = gradebook.currentGrades.get(`${change.studentId}:${change.contentId}`);
+        const grade = await gradeAssignment(
+          change.studentId,
+          change.contentId,
+          change.to,
+          existing ? existing.instructorFeedback : '',
+          req.user.id,
+          // Keep the rubric breakdown of rubric-graded submissions
+          existing && existing.rubricAssessment ? existing.rubricAssessment.toObject() : null,
+          { action: 'imported', reason: 'Gradebook import' }
+        );
+
+        // Same regrade bookkeeping as grading a single submission
+        if (existing && existing.reuploadUsed && !existing.regradeUsed) {
+          grade.regradeUsed = true;
+          grade.regradeAt = new Date();
+          grade.reuploadStatus = 'completed';
+          await grade.save();
+        }
+        applied.push(change);
+      } catch (applyError) {
+        console.error('Import grade error:', applyError.message);
+        failed.push({ ...change, message: applyError.message });
+      }
+    }
+
+    const studentIds = [...new Set(applied.map(c => c.studentId))];
+    for (const studentId of studentIds) {
+      await calculateCourseGrade(studentId, course._id.toString()).catch((err) => {
+        console.error('Recalculate course grade after import error:', err.message);
+      });
+    }
+
+    try {
+      const io = req.app.get('io');
+      if (io) await emitInstructorPendingSummaryUpdate(io, course.instructor.toString());
+    } catch (e) {
+      console.error('Failed to emit instructor pending summary after grade import:', e.message);
+    }
+
+    res.json({
+      success: failed.length === 0,
+      message: `${applied.length} grade(s) imported${failed.length ? `, ${failed.length} failed` : ''}`,
+      dryRun: false,
+      summary: { ...summary, applied: applied.length, failed: failed.length },
+      changes: applied,
+      failed,
+      ignoredColumns
+    });
+  } catch (error) {
+    console.error('Import course grades error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import grades'
+    });
+  }
+};
+
 // @desc    Create course
 // @route   POST /api/courses
 // @access  Private (Admin/Instructor)
@@ -1116,6 +1303,218 @@ exports.archiveCourse = async (req, res) => {
     });
   }
 };
+
+// @desc    Copy a course with its groups, sections, content and tests into a new cohort
+// @route   POST /api/courses/:id/clone
+// @access  Private (Admin/Instructor - own courses only)
+exports.cloneCourse = async (req, res) => {
+  try {
+    const { name, startDate, offsetDays, includeArchived } = req.body || {};
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (req.user.role === 'instructor' && course.instructor.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to copy this course'
+      });
+    }
+
+    // Same approval rule as a new course: admins and trusted instructors skip review
+    const instructorUser = req.user.role === 'instructor'
+      ? await User.findById(req.user.id).select('trustedInstructor')
+      : null;
+    const approved = req.user.role === 'admin' || Boolean(instructorUser?.trustedInstructor);
+
+    const result = await cloneCourse(course, {
+      name,
+      startDate,
+      offsetDays,
+      includeArchived: includeArchived === true || includeArchived === 'true',
+      approved,
+      userId: req.user.id
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    cache.clear();
+
+    res.status(201).json({
+      success: true,
+      message: approved
+        ? 'Course copied successfully. Review the dates, then publish it.'
+        : 'Course copied successfully. It will need admin approval before publishing.',
+      course: result.course,
+      dateOffsetDays: result.offsetMs / DAY_MS,
+      mapping: result.mapping
+    });
+  } catch (error) {
+    console.error('Clone course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to copy course',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export a course as an IMS Common Cartridge package
+// @route   GET /api/courses/:id/export?groupId=
+// @access  Private (Instructor/Admin)
+exports.exportCoursePackage = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (req.user.role === 'instructor' && course.instructor.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export this course'
+      });
+    }
+
+    // The package holds one group; default to the latest active one
+    const group = req.query.groupId
+      ? await Group.findOne({ _id: req.query.groupId, course: course._id })
+      : await Group.findOne({ course: course._id, isArchived: { $ne: true } }).sort({ startDate: -1 })
+        || await Group.findOne({ course: course._id }).sort({ startDate: -1 });
+    if (!group) {
+      return res.status(req.query.groupId ? 404 : 400).json({
+        success: false,
+        message: req.query.groupId ? 'Group not found in this course' : 'The course has no groups to export'
+      });
+    }
+
+    const { buffer, filename, warnings } = await buildCoursePackage(course, group);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.setHeader('X-Export-Warnings', String(warnings.length));
+    res.send(buffer);
+  } catch (error) {
+    console.error('Export course package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export course',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a course from an IMS Common Cartridge package
+// @route   POST /api/courses/import
+// @access  Private (Instructor/Admin)
+exports.importCoursePackage = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a .imscc or .zip package'
+      });
+    }
+
+    const { instructorId, name, category, level, duration, cost, startDate } = req.body || {};
+
+    // Admins import on behalf of an instructor; instructors import for themselves
+    let instructor = req.user.id;
+    let approved = req.user.role === 'admin';
+    if (req.user.role === 'admin') {
+      if (!instructorId) {
+        return res.status(400).json({
+          success: false,
+          message: 'instructorId is required'
+        });
+      }
+      const instructorUser = await User.findOne({ _id: instructorId, role: 'instructor' }).select('_id');
+      if (!instructorUser) {
+        return res.status(404).json({
+          success: false,
+          message: 'Instructor not found'
+        });
+      }
+      instructor = instructorUser._id;
+    } else {
+      const instructorUser = await User.findById(req.user.id).select('trustedInstructor');
+      approved = Boolean(instructorUser?.trustedInstructor);
+    }
+
+    if (category) {
+      const Category = require('../models/Category');
+      if (!await Category.findOne({ slug: category })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category - category does not exist'
+        });
+      }
+    }
+
+    const result = await importCoursePackage(req.file.path, {
+      instructor,
+      userId: req.user.id,
+      approved,
+      startDate,
+      overrides: { name, category, level, duration, cost }
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    cache.clear();
+
+    res.status(201).json({
+      success: true,
+      message: approved
+        ? 'Course imported successfully. Review it, then publish it.'
+        : 'Course imported successfully. It will need admin approval before publishing.',
+      course: result.course,
+      group: result.group,
+      created: result.created,
+      unmapped: result.unmapped
+    });
+  } catch (error) {
+    console.error('Import course package error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'The package contains data that is not valid for this platform',
+        errors: Object.keys(error.errors || {}).map((key) => ({
+          field: key,
+          message: error.errors[key].message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import course',
+      error: error.message
+    });
+  } finally {
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  }
+};
+
 // @route   DELETE /api/courses/:id
 // @access  Private (Admin only)
 exports.deleteCourse = async (req, res) => {
@@ -1563,6 +1962,7 @@ exports.getEnrolledCourses = async (req, res) => {
           status: enrollment.status === 'approved' ? 'enrolled' : enrollment.status, // Normalize 'approved' to 'enrolled'
           enrolledAt: enrollment.createdAt,
           overallGrade,
+          gradeLabel: courseGrade ? courseGrade.gradeLabel : null,
           hasGrade
         };
       })
@@ -0,0 +1,497 @@
+const mongoose = require('mongoose');
+const Content = require('../models/Content');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const StudentContentGrade = require('../models/StudentContentGrade');
+const GradeHistory = require('../models/GradeHistory');
+const RegradeRequest = require('../models/RegradeRequest');
+const Rubric = require('../models/Rubric');
+const { gradeAssignment, calculateCourseGrade } = require('../services/gradingService');
+const {
+  snapshotGrade,
+  recordGradeChange,
+  buildHistoryQuery,
+  canRequestRegrade
+} = require('../services/gradeHistoryService');
+const { scoreRubric } = require('../services/rubricService');
+const { sendEmail } = require('../utils/sendEmail');
+
+// Same limit as RegradeRequest.reason and RegradeRequest.response
+const MAX_REGRADE_TEXT_LENGTH = 2000;
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#039;');
+
+const isOwnCourse = (req, course) => req.user.role === 'admin'
+  || (course && course.instructor && course.instructor.toString() === req.user.id);
+
+// In-app notification and email; failures are logged, not returned
+const notifyUser = async (userId, { message, subject, html }) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user || user.isDeleted || user.status === 'deleted') return;
+
+    user.notifications.push({ message, type: 'info', read: false });
+    await user.save();
+
+    await sendEmail({ email: user.email, subject, message, html });
+  } catch (notifyError) {
+    console.error('Failed to send regrade notification:', notifyError);
+  }
+};
+
+const parsePaging = (query) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50));
+  return { page, limit };
+};
+
+// @desc    Query the grade history of assignments and projects
+// @route   GET /api/grading/history
+// @access  Private (Instructor/Admin)
+exports.getGradeHistory = async (req, res) => {
+  try {
+    const { error, query } = buildHistoryQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // Instructors only see the history of their own courses
+    if (req.user.role !== 'admin') {
+      if (query.course) {
+        const course = await Course.findById(query.course).select('instructor');
+        if (!isOwnCourse(req, course)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Not authorized to view the grade history of this course'
+          });
+        }
+      } else {
+        const courses = await Course.find({ instructor: req.user.id }).select('_id');
+        query.course = { $in: courses.map(c => c._id) };
+      }
+    }
+
+    const { page, limit } = parsePaging(req.query);
+    const [entries, total] = await Promise.all([
+      GradeHistory.find(query)
+        .populate('student', 'name email')
+        .populate('content', 'title type')
+        .populate('course', 'name')
+        .populate('changedBy', 'name email role')
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      GradeHistory.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get grade history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get the grade history of one student on an assignment/project
+// @route   GET /api/contents/:contentId/grade-history
+// @access  Private (Student: own history; Instructor/Admin: ?studentId=)
+exports.getContentGradeHistory = async (req, res) => {
+  try {
+    const { contentId } = req.params;
+    const isStudent = req.user.role === 'student';
+    const studentId = isStudent ? req.user.id : req.query.studentId;
+
+    if (!mongoose.Types.ObjectId.isValid(contentId) || !mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({
+        success: false,
+        message: isStudent ? 'Invalid content' : 'A valid studentId is required'
+      });
+    }
+
+    const content = await Content.findById(contentId).select('title type course');
+    if (!content) {
+      return res.status(404).json({ success: false, message: 'Content not found' });
+    }
+
+    if (!isStudent) {
+      const course = await Course.findById(content.course).select('instructor');
+      if (!isOwnCourse(req, course)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view the grade history of this content'
+        });
+      }
+    }
+
+    const [entries, regradeRequests] = await Promise.all([
+      GradeHistory.find({ content: contentId, student: studentId })
+        .populate('changedBy', isStudent ? 'name role' : 'name email role')
+        .sort({ timestamp: -1 }),
+      RegradeRequest.find({ content: contentId, student: studentId })
+        .populate('resolvedBy', 'name')
+        .sort({ createdAt: -1 })
+    ]);
+
+    res.json({
+      success: true,
+      content: { _id: content._id, title: content.title, type: content.type },
+      data: entries,
+      regradeRequests
+    });
+  } catch (error) {
+    console.error('Get content grade history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Ask the instructor to look at a grade again
+// @route   POST /api/contents/:contentId/regrade-requests
+// @access  Private (Student)
+exports.requestRegrade = async (req, res) => {
+  try {
+    const { contentId } = req.params;
+    const studentId = req.user.id;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Explain why the grade should be reviewed'
+      });
+    }
+    if (reason.length > MAX_REGRADE_TEXT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason cannot exceed ${MAX_REGRADE_TEXT_LENGTH} characters`
+      });
+    }
+
+    const content = mongoose.Types.ObjectId.isValid(contentId)
+      ? await Content.findById(contentId).select('title type course section')
+      : null;
+    if (!content || (content.type !== 'assignment' && content.type !== 'project')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Regrades are only available for assignments and projects'
+      });
+    }
+
+    const grade = await StudentContentGrade.findOne({ student: studentId, content: contentId });
+    const earlier = await RegradeRequest.find({ student: studentId, content: contentId }).select('status');
+    const check = canRequestRegrade(grade, earlier);
+    if (!check.allowed) {
+      return res.status(400).json({ success: false, message: check.message });
+    }
+
+    const request = await RegradeRequest.create({
+      student: studentId,
+      content: content._id,
+      course: content.course,
+      section: content.section,
+      reason,
+      gradePercentAtRequest: grade.gradePercent
+    });
+
+    await recordGradeChange(snapshotGrade(grade), grade, {
+      action: 'regrade_requested',
+      changedBy: studentId,
+      reason,
+      regradeRequest: request._id
+    });
+
+    const course = await Course.findById(content.course).select('name instructor');
+    if (course && course.instructor) {
+      await notifyUser(course.instructor, {
+        message: `Regrade request from ${req.user.name || 'student'} for ${content.title} in course ${course.name}.`,
+        subject: 'Regrade request pending review',
+        html: `<p>A student asked for <strong>${escapeHtml(content.title)}</strong> in course <strong>${escapeHtml(course.name)}</strong> to be regraded.</p>`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Regrade request submitted and pending instructor review.',
+      data: request
+    });
+  } catch (error) {
+    console.error('Request regrade error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    List regrade requests (students: their own; staff: their courses')
+// @route   GET /api/grading/regrade-requests
+// @access  Private
+exports.getRegradeRequests = async (req, res) => {
+  try {
+    const { status, courseId, contentId } = req.query;
+    const query = {};
+
+    if (status && status !== 'all') {
+      if (!RegradeRequest.schema.path('status').enumValues.includes(status)) {
+        return res.status(400).json({ success: false, message: 'Invalid status' });
+      }
+      query.status = status;
+    }
+    if (courseId) {
+      if (!mongoose.Types.ObjectId.isValid(courseId)) {
+        return res.status(400).json({ success: false, message: 'Invalid courseId' });
+      }
+      query.course = courseId;
+    }
+    if (contentId) {
+      if (!mongoose.Types.ObjectId.isValid(contentId)) {
+        return res.status(400).json({ success: false, message: 'Invalid contentId' });
+      }
+      query.content = contentId;
+    }
+
+    if (req.user.role === 'student') {
+      query.student = req.user.id;
+    } else if (req.user.role !== 'admin') {
+      const courses = await Course.find({ instructor: req.user.id }).select('_id');
+      const own = courses.map(c => c._id.toString());
+      if (query.course && !own.includes(query.course)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view the regrade requests of this course'
+        });
+      }
+      if (!query.course) query.course = { $in: own };
+    }
+
+    const requests = await RegradeRequest.find(query)
+      .populate('student', 'name email')
+      .populate('content', 'title type')
+      .populate('course', 'name')
+      .populate('resolvedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    console.error('Get regrade requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Withdraw a pending regrade request
+// @route   POST /api/grading/regrade-requests/:id/withdraw
+// @access  Private (Student)
+exports.withdrawRegradeRequest = async (req, res) => {
+  try {
+    const request = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await RegradeRequest.findOneAndUpdate(
+        { _id: req.params.id, student: req.user.id, status: 'pending' },
+        { $set: { status: 'withdrawn', resolvedBy: req.user.id, resolvedAt: new Date() } },
+        { new: true }
+      )
+      : null;
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending regrade request found'
+      });
+    }
+
+    const grade = await StudentContentGrade.findOne({ student: request.student, content: request.content });
+    await recordGradeChange(snapshotGrade(grade), grade, {
+      action: 'regrade_withdrawn',
+      changedBy: req.user.id,
+      regradeRequest: request._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Regrade request withdrawn',
+      data: request
+    });
+  } catch (error) {
+    console.error('Withdraw regrade request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Accept (with a new grade) or reject a regrade request
+// @route   POST /api/grading/regrade-requests/:id/resolve
+// @access  Private (Instructor/Admin)
+exports.resolveRegradeRequest = async (req, res) => {
+  try {
+    const { decision, rubricScores, feedback } = req.body;
+    let { gradePercent } = req.body;
+    const response = typeof req.body.response === 'string' ? req.body.response.trim() : '';
+
+    if (decision !== 'accepted' && decision !== 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: "decision must be 'accepted' or 'rejected'"
+      });
+    }
+    if (response.length > MAX_REGRADE_TEXT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Response cannot exceed ${MAX_REGRADE_TEXT_LENGTH} characters`
+      });
+    }
+
+    const request = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await RegradeRequest.findById(req.params.id)
+      : null;
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Regrade request not found' });
+    }
+
+    const [content, course] = await Promise.all([
+      Content.findById(request.content),
+      Course.findById(request.course).select('name instructor')
+    ]);
+    if (!isOwnCourse(req, course)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to resolve this regrade request'
+      });
+    }
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This regrade request is already ${request.status}`
+      });
+    }
+
+    const grade = await StudentContentGrade.findOne({ student: request.student, content: request.content });
+    if (!content || !grade) {
+      return res.status(404).json({ success: false, message: 'The graded submission no longer exists' });
+    }
+
+    // Accepting needs the new grade, given directly or through the rubric
+    let rubricAssessment = null;
+    if (decision === 'accepted') {
+      if (gradePercent === undefined && rubricScores === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'gradePercent (or rubricScores) is required to accept a regrade'
+        });
+      }
+      if (rubricScores !== undefined) {
+        const rubric = content.rubric ? await Rubric.findById(content.rubric) : null;
+        if (!rubric) {
+          return res.status(400).json({
+            success: false,
+            message: 'This content has no rubric to grade with'
+          });
+        }
+        const scored = scoreRubric(rubric, rubricScores);
+        if (scored.error) {
+          return res.status(400).json({ success: false, message: scored.error });
+        }
+        gradePercent = scored.gradePercent;
+        rubricAssessment = scored.assessment;
+      } else if (typeof gradePercent !== 'number' || gradePercent < 0 || gradePercent > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'gradePercent must be between 0 and 100'
+        });
+      }
+    }
+
+    // Claim the request so two reviewers cannot resolve it twice
+    const claimed = await RegradeRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { $set: { status: decision, response, resolvedBy: req.user.id, resolvedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This regrade request was resolved by someone else'
+      });
+    }
+
+    let updatedGrade = grade;
+    if (decision === 'accepted') {
+      try {
+        updatedGrade = await gradeAssignment(
+          request.student.toString(),
+          request.content.toString(),
+          gradePercent,
+          feedback !== undefined ? feedback : grade.instructorFeedback,
+          req.user.id,
+          rubricAssessment,
+          { action: 'regraded', reason: response || request.reason, regradeRequest: request._id }
+        );
+      } catch (gradeError) {
+        await RegradeRequest.updateOne(
+          { _id: request._id },
+          { $set: { status: 'pending', response: '', resolvedBy: null, resolvedAt: null } }
+        );
+        throw gradeError;
+      }
+
+      claimed.newGradePercent = updatedGrade.gradePercent;
+      await claimed.save();
+      await calculateCourseGrade(request.student.toString(), request.course.toString());
+    } else {
+      await recordGradeChange(snapshotGrade(grade), grade, {
+        action: 'regrade_rejected',
+        changedBy: req.user.id,
+        reason: response,
+        regradeRequest: request._id
+      });
+    }
+
+    const outcome = decision === 'accepted'
+      ? `was accepted. Your grade is now ${updatedGrade.gradePercent}%.`
+      : 'was rejected.';
+    await notifyUser(request.student, {
+      message: `Your regrade request for ${content.title} ${outcome}${response ? ` ${response}` : ''}`,
+      subject: decision === 'accepted' ? 'Regrade request accepted' : 'Regrade request rejected',
+      html: `<p>Your regrade request for <strong>${escapeHtml(content.title)}</strong> in course <strong>${escapeHtml(course.name)}</strong> ${outcome}</p>`
+        + (response ? `<p>${escapeHtml(response)}</p>` : '')
+    });
+
+    res.json({
+      success: true,
+      message: decision === 'accepted' ? 'Regrade applied' : 'Regrade request rejected',
+      data: claimed,
+      grade: updatedGrade
+    });
+  } catch (error) {
+    console.error('Resolve regrade request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
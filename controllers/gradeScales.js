@@ -0,0 +1,241 @@
+const GradeScale = require('../models/GradeScale');
+const Course = require('../models/Course');
+const { validateGradeScaleLevels } = require('../utils/gradeUtils');
+const { recalculateCourseGrades } = require('../services/gradingService');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const findScaleByName = (name, excludeId = null) => {
+  const query = { name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') } };
+  if (excludeId) query._id = { $ne: excludeId };
+  return GradeScale.findOne(query).select('_id');
+};
+
+// Course grades store the scale label, so courses using a changed scale are
+// recalculated in the background
+const recalculateScaleCourses = async (scaleId) => {
+  const courses = await Course.find({ gradeScale: scaleId }).select('_id');
+  for (const course of courses) {
+    try {
+      await recalculateCourseGrades(course._id.toString());
+    } catch (error) {
+      console.error(`Recalculate grades of course ${course._id} error:`, error);
+    }
+  }
+};
+
+// @desc    Get grade scales (instructors see active scales; admin sees all)
+// @route   GET /api/grade-scales
+// @access  Private (Instructor/Admin)
+exports.getGradeScales = async (req, res) => {
+  try {
+    const query = req.user.role === 'admin' && req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const scales = await GradeScale.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: scales.length,
+      gradeScales: scales
+    });
+  } catch (error) {
+    console.error('Get grade scales error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a single grade scale with the courses using it
+// @route   GET /api/grade-scales/:id
+// @access  Private (Instructor/Admin)
+exports.getGradeScale = async (req, res) => {
+  try {
+    const scale = await GradeScale.findById(req.params.id);
+
+    if (!scale || (!scale.isActive && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grade scale not found'
+      });
+    }
+
+    const courseCount = await Course.countDocuments({ gradeScale: scale._id });
+
+    res.json({
+      success: true,
+      gradeScale: scale,
+      courseCount
+    });
+  } catch (error) {
+    console.error('Get grade scale error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create a grade scale
+// @route   POST /api/grade-scales
+// @access  Private (Admin)
+exports.createGradeScale = async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Grade scale name is required'
+      });
+    }
+
+    const { error, levels } = validateGradeScaleLevels(req.body.levels);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (await findScaleByName(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A grade scale with this name already exists'
+      });
+    }
+
+    const scale = await GradeScale.create({
+      name,
+      description: req.body.description || '',
+      levels,
+      isActive: req.body.isActive !== false,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Grade scale created successfully',
+      gradeScale: scale
+    });
+  } catch (error) {
+    console.error('Create grade scale error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Update a grade scale
+// @route   PUT /api/grade-scales/:id
+// @access  Private (Admin)
+exports.updateGradeScale = async (req, res) => {
+  try {
+    const scale = await GradeScale.findById(req.params.id);
+
+    if (!scale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grade scale not found'
+      });
+    }
+
+    const { name, description, levels, isActive } = req.body;
+    let affectsGrades = false;
+
+    if (name !== undefined) {
+      const trimmed = String(name || '').trim();
+      if (!trimmed) {
+        return res.status(400).json({ success: false, message: 'Grade scale name is required' });
+      }
+      if (await findScaleByName(trimmed, scale._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A grade scale with this name already exists'
+        });
+      }
+      scale.name = trimmed;
+    }
+    if (description !== undefined) scale.description = description || '';
+
+    if (levels !== undefined) {
+      const result = validateGradeScaleLevels(levels);
+      if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+      }
+      scale.levels = result.levels;
+      affectsGrades = true;
+    }
+
+    // Courses keep a deactivated scale but show plain percentages until it is reactivated
+    if (isActive !== undefined) {
+      if (typeof isActive !== 'boolean') {
+        return res.status(400).json({ success: false, message: 'isActive must be true or false' });
+      }
+      affectsGrades = affectsGrades || scale.isActive !== isActive;
+      scale.isActive = isActive;
+    }
+
+    await scale.save();
+
+    if (affectsGrades) {
+      recalculateScaleCourses(scale._id).catch((error) => {
+        console.error('Recalculate grade scale courses error:', error);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: affectsGrades
+        ? 'Grade scale updated. Grades of courses using it are being recalculated.'
+        : 'Grade scale updated successfully',
+      gradeScale: scale
+    });
+  } catch (error) {
+    console.error('Update grade scale error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete a grade scale that no course uses
+// @route   DELETE /api/grade-scales/:id
+// @access  Private (Admin)
+exports.deleteGradeScale = async (req, res) => {
+  try {
+    const scale = await GradeScale.findById(req.params.id);
+
+    if (!scale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grade scale not found'
+      });
+    }
+
+    const courseCount = await Course.countDocuments({ gradeScale: scale._id });
+    if (courseCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This grade scale is used by ${courseCount} course(s). Deactivate it or pick another scale for those courses first.`
+      });
+    }
+
+    await scale.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Grade scale deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete grade scale error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Content = require('../models/Content');
 const StudentContentGrade = require('../models/StudentContentGrade');
 const { awardPointsInternal, awardOnceForActivityInternal } = require('./gamification');
@@ -7,6 +8,9 @@ const { sendEmail } = require('../utils/sendEmail');
 const {
   calculateSectionGrade,
   calculateCourseGrade,
+  recalculateCourseGrades,
+  validateGradeWeights,
+  resolveGradingPolicy,
   recordVideoWatched,
   recordAssignmentSubmission,
   gradeAssignment
@@ -16,6 +20,22 @@ const { constructUploadPath } = require('../utils/urlHelper');
 const path = require('path');
 const { getFileProvider } = require('../services/storage');
 const { streamTelegramFile } = require('../services/telegramFileService');
+const TestAttempt = require('../models/TestAttempt');
+const ActiveTest = require('../models/ActiveTest');
+const { getQuestionType } = require('../services/testScoringService');
+const { getAttemptQuestions } = require('../services/questionBankService');
+const { completeReview } = require('../services/testAttemptService');
+const Rubric = require('../models/Rubric');
+const { scoreRubric } = require('../services/rubricService');
+const { validateLatePolicy, getLateStatus } = require('../services/latePolicyService');
+const { loadCourseGradeScale, gradeLabelOf } = require('../utils/gradeUtils');
+const PeerReview = require('../models/PeerReview');
+const { summarizePeerScores } = require('../services/peerReviewService');
+const { getContentReleaseStatus, unreleasedResponse } = require('../services/contentReleaseService');
+const SimilarityReport = require('../models/SimilarityReport');
+const { highestMatches } = require('../services/similarityService');
+
+const countWords = (text) => (String(text || '').trim().match(/\S+/g) || []).length;
 
 // @desc    Record that a student watched a video
 // @route   POST /api/contents/:contentId/watched
@@ -48,6 +68,11 @@ exports.recordWatched = async (req, res) => {
       });
     }
 
+    const release = await getContentReleaseStatus(content, studentId);
+    if (!release.released) {
+      return res.status(403).json(unreleasedResponse(release));
+    }
+
     const grade = await recordVideoWatched(
       studentId,
       contentId,
@@ -94,6 +119,34 @@ exports.submitAssignment = async (req, res) => {
       });
     }
 
+    const release = await getContentReleaseStatus(content, studentId);
+    if (!release.released) {
+      if (req.file?.path) {
+        const fs = require('fs').promises;
+        await fs.unlink(req.file.path).catch(() => {});
+      }
+      return res.status(403).json(unreleasedResponse(release));
+    }
+
+    // Reject first submissions before storing the file when submissions are
+    // closed; approved reuploads are allowed past the deadline
+    const existingSubmission = await StudentContentGrade.findOne({ student: studentId, content: contentId })
+      .select('status');
+    if (!existingSubmission || existingSubmission.status === 'not_delivered') {
+      const lateStatus = await getLateStatus(content, studentId);
+      if (lateStatus.rejected) {
+        if (req.file?.path) {
+          const fs = require('fs').promises;
+          await fs.unlink(req.file.path).catch(() => {});
+        }
+        return res.status(400).json({
+          success: false,
+          message: 'The deadline for this assignment or project has passed. Submissions are closed.',
+          dueDate: lateStatus.dueDate
+        });
+      }
+    }
+
     // File should be uploaded via multer middleware before reaching here
     if (!req.file) {
       console.log('No file in request. Body:', req.body);
@@ -321,7 +374,7 @@ exports.submitAssignment = async (req, res) => {
       }
     } catch (_) {}
 
-    const isKnownUserError = error?.code === 'REUPLOAD_NOT_ALLOWED' || error?.code === 'ALREADY_SUBMITTED';
+    const isKnownUserError = ['REUPLOAD_NOT_ALLOWED', 'ALREADY_SUBMITTED', 'SUBMISSION_CLOSED'].includes(error?.code);
     const status = isKnownUserError ? 400 : 500;
     res.status(status).json({
       success: false,
@@ -633,23 +686,212 @@ exports.getPendingReuploadRequests = async (req, res) => {
   }
 };
 
+// @desc    Get test attempts whose essay answers wait for grading
+// @route   GET /api/grading/tests/pending
+// @access  Private (Instructor/Admin)
+exports.getPendingTestReviews = async (req, res) => {
+  try {
+    const testQuery = {};
+    if (req.user.role === 'instructor') testQuery.instructor = req.user.id;
+    if (req.query.testId) testQuery._id = req.query.testId;
+    if (req.query.courseId) testQuery.course = req.query.courseId;
+
+    const tests = await ActiveTest.find(testQuery).select('_id');
+
+    const attempts = await TestAttempt.find({
+      test: { $in: tests.map((t) => t._id) },
+      status: 'pending_review'
+    })
+      .populate('student', 'name email')
+      .populate('test', 'title questions course section')
+      .populate('course', 'name')
+      .populate('section', 'name')
+      .sort({ submitTime: 1 });
+
+    const data = attempts.filter((a) => a.test).map((attempt) => {
+      const questions = new Map(getAttemptQuestions(attempt.test, attempt).map((q) => [q._id.toString(), q]));
+      const pendingAnswers = attempt.answers
+        .filter((a) => a.reviewStatus === 'pending')
+        .map((answer) => {
+          const question = questions.get(answer.questionId.toString()) || {};
+          return {
+            questionId: answer.questionId,
+            questionText: question.questionText,
+            maxPoints: question.points || 1,
+            maxWords: question.maxWords || null,
+            gradingNotes: question.gradingNotes || '',
+            essayAnswer: answer.essayAnswer,
+            wordCount: countWords(answer.essayAnswer)
+          };
+        });
+
+      return {
+        attemptId: attempt._id,
+        student: attempt.student,
+        test: { _id: attempt.test._id, title: attempt.test.title },
+        course: attempt.course,
+        section: attempt.section,
+        attemptNumber: attempt.attemptNumber,
+        submitTime: attempt.submitTime,
+        autoScoredPoints: attempt.pointsEarned,
+        totalPoints: attempt.totalPoints,
+        pendingAnswers
+      };
+    });
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Get pending test reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pending test reviews',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Grade an essay answer of a test attempt
+// @route   POST /api/grading/test-attempts/:attemptId/answers/:questionId/grade
+// @access  Private (Instructor/Admin)
+exports.gradeTestAnswer = async (req, res) => {
+  try {
+    const { attemptId, questionId } = req.params;
+    const { points, feedback } = req.body;
+
+    const attempt = await TestAttempt.findById(attemptId).populate('test');
+    if (!attempt || !attempt.test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found'
+      });
+    }
+
+    const test = attempt.test;
+    if (req.user.role !== 'admin' && test.instructor.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to grade this test'
+      });
+    }
+
+    if (!['pending_review', 'graded'].includes(attempt.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This attempt has not been submitted yet'
+      });
+    }
+
+    const question = getAttemptQuestions(test, attempt).find((q) => q._id.toString() === questionId);
+    const answer = attempt.answers.find((a) => a.questionId.toString() === questionId);
+    if (!question || !answer || getQuestionType(question) !== 'essay') {
+      return res.status(404).json({
+        success: false,
+        message: 'Essay answer not found in this attempt'
+      });
+    }
+
+    const maxPoints = question.points || 1;
+    const awarded = Number(points);
+    if (points === undefined || points === null || points === '' || !Number.isFinite(awarded) || awarded < 0 || awarded > maxPoints) {
+      return res.status(400).json({
+        success: false,
+        message: `points must be between 0 and ${maxPoints}`
+      });
+    }
+
+    answer.pointsEarned = Math.round(awarded * 100) / 100;
+    answer.isCorrect = awarded >= maxPoints;
+    answer.reviewStatus = 'graded';
+    answer.feedback = feedback || '';
+    answer.gradedBy = req.user.id;
+    answer.gradedAt = new Date();
+
+    // Changing an essay grade on a finished attempt re-runs the final scoring
+    const wasGraded = attempt.status === 'graded';
+    if (wasGraded) attempt.status = 'pending_review';
+    await attempt.save();
+
+    const reviewCompleted = await completeReview(attempt, test);
+
+    if (reviewCompleted && !wasGraded) {
+      try {
+        const Notification = require('../models/Notification');
+        await Notification.create({
+          user: attempt.student,
+          type: 'grade',
+          title: 'Test graded',
+          message: `Your answers for "${test.title}" have been graded. Score: ${attempt.score}%`,
+          link: `/tests/attempts/${attempt._id}`
+        });
+      } catch (notifError) {
+        console.error('Failed to create test review notification:', notifError);
+      }
+
+      try {
+        if (attempt.passed) {
+          await awardOnceForActivityInternal({
+            studentId: attempt.student.toString(),
+            activityType: 'testComplete',
+            contentId: test._id,
+            contentModel: 'ActiveTest',
+            contentTitle: test.title,
+            courseId: test.course,
+            metadata: { score: attempt.score, totalPoints: attempt.totalPoints }
+          });
+        }
+      } catch (e) {
+        // ignore
+      }
+    }
+
+    try {
+      const io = req.app.get('io');
+      if (io) {
+        await emitInstructorPendingSummaryUpdate(io, test.instructor.toString());
+      }
+    } catch (e) {
+      console.error('Failed to emit instructor pending summary after test review:', e.message);
+    }
+
+    res.json({
+      success: true,
+      message: reviewCompleted ? 'Answer graded. Review of this attempt is complete.' : 'Answer graded',
+      reviewCompleted,
+      remainingAnswers: attempt.answers.filter((a) => a.reviewStatus === 'pending').length,
+      attempt
+    });
+  } catch (error) {
+    console.error('Grade test answer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grade answer',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Grade an assignment (instructor/admin)
 // @route   POST /api/contents/:contentId/grade
 // @access  Private (Instructor/Admin)
 exports.gradeContent = async (req, res) => {
   try {
     const { contentId } = req.params;
-    const { studentId, gradePercent, feedback } = req.body;
+    const { studentId, feedback, rubricScores, reason } = req.body;
+    let { gradePercent } = req.body;
     const gradedBy = req.user.id;
 
-    if (!studentId || gradePercent === undefined) {
+    if (!studentId || (gradePercent === undefined && rubricScores === undefined)) {
       return res.status(400).json({
         success: false,
-        message: 'studentId and gradePercent are required'
+        message: 'studentId and gradePercent (or rubricScores) are required'
       });
     }
 
-    if (gradePercent < 0 || gradePercent > 100) {
+    if (rubricScores === undefined && (gradePercent < 0 || gradePercent > 100)) {
       return res.status(400).json({
         success: false,
         message: 'gradePercent must be between 0 and 100'
@@ -683,6 +925,28 @@ exports.gradeContent = async (req, res) => {
       }
     }
 
+    // Grading with a rubric: the grade follows from the levels picked
+    let rubricAssessment = null;
+    if (rubricScores !== undefined) {
+      const rubric = content.rubric ? await Rubric.findById(content.rubric) : null;
+      if (!rubric) {
+        return res.status(400).json({
+          success: false,
+          message: 'This content has no rubric to grade with'
+        });
+      }
+
+      const scored = scoreRubric(rubric, rubricScores);
+      if (scored.error) {
+        return res.status(400).json({
+          success: false,
+          message: scored.error
+        });
+      }
+      gradePercent = scored.gradePercent;
+      rubricAssessment = scored.assessment;
+    }
+
     // Enforce at most one regrade per reupload
     const existingGrade = await StudentContentGrade.findOne({ student: studentId, content: contentId });
 
@@ -693,7 +957,10 @@ exports.gradeContent = async (req, res) => {
       });
     }
 
-    const grade = await gradeAssignment(studentId, contentId, gradePercent, feedback, gradedBy);
+    const grade = await gradeAssignment(studentId, contentId, gradePercent, feedback, gradedBy, rubricAssessment, {
+      action: existingGrade && (existingGrade.status === 'graded' || existingGrade.reuploadUsed) ? 'regraded' : 'graded',
+      reason
+    });
 
     // If this is a regrade (after approved reupload), mark regrade flags.
     // The original grade snapshot is already preserved when the reupload was submitted.
@@ -768,9 +1035,17 @@ exports.getSectionGrade = async (req, res) => {
 
     const result = await calculateSectionGrade(studentId, sectionId);
 
+    const Section = require('../models/Section');
+    const section = await Section.findById(sectionId).select('course');
+    const gradeScale = section ? await loadCourseGradeScale(section.course) : null;
+
     res.json({
       success: true,
-      data: result
+      data: {
+        ...result,
+        gradeLabel: gradeLabelOf(result.sectionGrade, gradeScale),
+        gradeScale: gradeScale ? { id: gradeScale._id, name: gradeScale.name } : null
+      }
     });
   } catch (error) {
     console.error('Get section grade error:', error);
@@ -813,6 +1088,220 @@ exports.getCourseGrade = async (req, res) => {
   }
 };
 
+const canManageCourse = (course, user) =>
+  user.role === 'admin' || (course.instructor && course.instructor.toString() === user.id);
+
+// Recompute the grades of every enrolled student in the background and tell
+// the instructor who changed the weights when it is done
+const startGradeRecalculation = (req, courseId) => {
+  const io = req.app.get('io');
+  const userId = req.user.id;
+  recalculateCourseGrades(courseId)
+    .then((result) => {
+      if (io) io.to(`user:${userId}`).emit('course_grades_recalculated', { courseId, ...result });
+    })
+    .catch((error) => {
+      console.error('Recalculate course grades error:', error);
+    });
+};
+
+const policyResponse = (course, sections) => ({
+  courseId: course._id,
+  gradeWeights: resolveGradingPolicy(course, null).weights,
+  countMissingAsZero: course.countMissingAsZero !== false,
+  latePolicy: course.latePolicy || null,
+  gradeScale: course.gradeScale || null,
+  sections: sections.map((section) => {
+    const policy = resolveGradingPolicy(course, section);
+    return {
+      _id: section._id,
+      name: section.name,
+      group: section.group,
+      gradeWeights: policy.source === 'section' ? policy.weights : null,
+      effectiveWeights: policy.weights,
+      weightsSource: policy.source
+    };
+  })
+});
+
+// @desc    Get the grading policy of a course
+// @route   GET /api/grading/courses/:courseId/policy
+// @access  Private (Instructor/Admin)
+exports.getGradingPolicy = async (req, res) => {
+  try {
+    const Course = require('../models/Course');
+    const Section = require('../models/Section');
+
+    const course = await Course.findById(req.params.courseId).select('instructor gradeWeights countMissingAsZero latePolicy gradeScale');
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+    if (!canManageCourse(course, req.user)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to manage grading for this course' });
+    }
+
+    const sections = await Section.find({ course: course._id, isActive: true })
+      .select('name group order gradeWeights')
+      .sort({ group: 1, order: 1 });
+    await course.populate('gradeScale', 'name description levels isActive');
+
+    res.json({
+      success: true,
+      data: policyResponse(course, sections)
+    });
+  } catch (error) {
+    console.error('Get grading policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Update grade weights, missing-work handling, late policy and grade scale of a course
+// @route   PUT /api/grading/courses/:courseId/policy
+// @access  Private (Instructor/Admin)
+exports.updateGradingPolicy = async (req, res) => {
+  try {
+    const Course = require('../models/Course');
+    const Section = require('../models/Section');
+    const GradeScale = require('../models/GradeScale');
+    const { gradeWeights, countMissingAsZero, latePolicy, gradeScale } = req.body;
+
+    const course = await Course.findById(req.params.courseId).select('instructor gradeWeights countMissingAsZero latePolicy gradeScale');
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+    if (!canManageCourse(course, req.user)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to manage grading for this course' });
+    }
+
+    if (gradeWeights === undefined && countMissingAsZero === undefined && latePolicy === undefined &&
+      gradeScale === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide gradeWeights, countMissingAsZero, latePolicy or gradeScale'
+      });
+    }
+
+    if (gradeWeights !== undefined) {
+      const { error, weights } = validateGradeWeights(gradeWeights);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      course.gradeWeights = weights;
+    }
+
+    if (countMissingAsZero !== undefined) {
+      if (typeof countMissingAsZero !== 'boolean') {
+        return res.status(400).json({ success: false, message: 'countMissingAsZero must be true or false' });
+      }
+      course.countMissingAsZero = countMissingAsZero;
+    }
+
+    // The late policy applies to submissions and grading from now on, so it
+    // does not need a recalculation of existing grades
+    if (latePolicy !== undefined) {
+      const { error, policy } = validateLatePolicy(latePolicy);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      course.latePolicy = policy;
+    }
+
+    if (gradeScale !== undefined) {
+      if (gradeScale === null || gradeScale === '') {
+        course.gradeScale = null;
+      } else {
+        const scale = mongoose.isValidObjectId(gradeScale)
+          ? await GradeScale.findOne({ _id: gradeScale, isActive: true }).select('_id')
+          : null;
+        if (!scale) {
+          return res.status(400).json({ success: false, message: 'Grade scale not found' });
+        }
+        course.gradeScale = scale._id;
+      }
+    }
+
+    await course.save();
+    // Stored course grades carry the scale label, so a new scale recalculates them too
+    const recalculate = gradeWeights !== undefined || countMissingAsZero !== undefined || gradeScale !== undefined;
+    if (recalculate) startGradeRecalculation(req, course._id.toString());
+
+    const sections = await Section.find({ course: course._id, isActive: true })
+      .select('name group order gradeWeights')
+      .sort({ group: 1, order: 1 });
+    await course.populate('gradeScale', 'name description levels isActive');
+
+    res.json({
+      success: true,
+      message: recalculate
+        ? 'Grading policy updated. Grades of enrolled students are being recalculated.'
+        : 'Grading policy updated',
+      data: policyResponse(course, sections)
+    });
+  } catch (error) {
+    console.error('Update grading policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Override the course grade weights for one section
+// @route   PUT /api/grading/sections/:sectionId/weights
+// @access  Private (Instructor/Admin)
+exports.updateSectionGradeWeights = async (req, res) => {
+  try {
+    const Course = require('../models/Course');
+    const Section = require('../models/Section');
+
+    if (req.body.gradeWeights === undefined) {
+      return res.status(400).json({ success: false, message: 'gradeWeights is required (null to use the course weights)' });
+    }
+
+    const section = await Section.findById(req.params.sectionId);
+    if (!section) {
+      return res.status(404).json({ success: false, message: 'Section not found' });
+    }
+    const course = await Course.findById(section.course).select('instructor gradeWeights countMissingAsZero latePolicy');
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+    if (!canManageCourse(course, req.user)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to manage grading for this course' });
+    }
+
+    const { error, weights } = validateGradeWeights(req.body.gradeWeights);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    section.gradeWeights = weights;
+    await section.save();
+    startGradeRecalculation(req, course._id.toString());
+
+    const policy = resolveGradingPolicy(course, section);
+    res.json({
+      success: true,
+      message: 'Section grade weights updated. Grades of enrolled students are being recalculated.',
+      data: {
+        sectionId: section._id,
+        gradeWeights: weights,
+        effectiveWeights: policy.weights,
+        weightsSource: policy.source
+      }
+    });
+  } catch (error) {
+    console.error('Update section grade weights error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Get student submissions for grading (instructor/admin)
 // @route   GET /api/contents/:contentId/submissions
 // @access  Private (Instructor/Admin)
@@ -848,10 +1337,44 @@ exports.getContentSubmissions = async (req, res) => {
       .populate('gradedBy', 'name email')
       .sort({ updatedAt: -1 });
 
+    // Peer scores sit next to the instructor's grade once reviews are assigned
+    const reviews = content.peerReview && content.peerReview.assignedAt
+      ? await PeerReview.find({ content: contentId }).select('author reviewer status gradePercent')
+      : null;
+    const similarityReport = await SimilarityReport.findOne({ content: contentId })
+      .sort({ createdAt: -1 })
+      .select('status pairs.studentA pairs.studentB pairs.similarityPercent submissionsChecked completedAt createdAt')
+      .populate('pairs.studentA pairs.studentB', 'name');
+    const closestMatches = highestMatches(similarityReport && similarityReport.status === 'completed' ? similarityReport : null);
+
+    const data = submissions.map((submission) => {
+      const studentId = (submission.student._id || submission.student).toString();
+      const item = { ...submission.toObject(), highestSimilarity: closestMatches.get(studentId) || null };
+      if (reviews) {
+        const given = reviews.filter(r => r.reviewer.toString() === studentId);
+        item.peerScore = summarizePeerScores(reviews.filter(r => r.author.toString() === studentId));
+        item.peerReviewsGiven = {
+          assigned: given.length,
+          submitted: given.filter(r => r.status === 'submitted').length,
+          missed: given.filter(r => r.status === 'missed').length
+        };
+      }
+      return item;
+    });
+
     res.json({
       success: true,
       count: submissions.length,
-      data: submissions
+      data,
+      similarity: similarityReport
+        ? {
+            reportId: similarityReport._id,
+            status: similarityReport.status,
+            submissionsChecked: similarityReport.submissionsChecked,
+            completedAt: similarityReport.completedAt,
+            url: `/api/contents/${contentId}/similarity`
+          }
+        : null
     });
   } catch (error) {
     console.error('Get submissions error:', error);
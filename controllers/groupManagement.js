@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Group = require('../models/Group');
 const Course = require('../models/Course');
 const Section = require('../models/Section');
@@ -5,6 +6,7 @@ const Content = require('../models/Content');
 const StudentProgress = require('../models/StudentProgress');
 const fs = require('fs').promises;
 const path = require('path');
+const { DAY_MS, cloneGroup, isMediaShared } = require('../services/courseCloneService');
 
 // @desc    Get all groups for a course
 // @route   GET /api/courses/:courseId/groups
@@ -274,6 +276,92 @@ exports.archiveGroup = async (req, res) => {
   }
 };
 
+// @desc    Copy a group with its sections, content and tests into a new cohort
+// @route   POST /api/groups/:groupId/clone
+// @access  Private (Instructor/Admin)
+exports.cloneGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { name, courseId, startDate, offsetDays } = req.body || {};
+
+    const group = await Group.findById(groupId).populate('course', 'instructor');
+    if (!group || !group.course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const userId = String(req.user._id || req.user.id);
+    if (req.user.role !== 'admin' && group.course.instructor.toString() !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to copy this group'
+      });
+    }
+
+    let targetCourse = group.course;
+    if (courseId && String(courseId) !== group.course._id.toString()) {
+      targetCourse = mongoose.Types.ObjectId.isValid(courseId)
+        ? await Course.findById(courseId).select('instructor')
+        : null;
+      if (!targetCourse) {
+        return res.status(404).json({
+          success: false,
+          message: 'Target course not found'
+        });
+      }
+      if (req.user.role !== 'admin' && targetCourse.instructor.toString() !== userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to add groups to the target course'
+        });
+      }
+    }
+
+    const result = await cloneGroup(group, {
+      course: targetCourse,
+      name,
+      startDate,
+      offsetDays,
+      userId
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Group copied successfully',
+      group: result.group,
+      dateOffsetDays: result.offsetMs / DAY_MS,
+      mapping: result.mapping
+    });
+  } catch (error) {
+    console.error('Error copying group:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.keys(error.errors || {}).map((key) => ({
+          field: key,
+          message: error.errors[key].message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to copy group',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Delete group (cascade delete sections and content)
 // @route   DELETE /api/groups/:groupId
 // @access  Private (Instructor/Admin)
@@ -310,6 +398,7 @@ exports.deleteGroup = async (req, res) => {
     
     // Find all sections in this group
     const sections = await Section.find({ group: groupId });
+    const isShared = (field, value) => isMediaShared(field, value, { section: { $in: sections.map(s => s._id) } });
     
     // Delete all content files and records
     for (const section of sections) {
@@ -317,14 +406,14 @@ exports.deleteGroup = async (req, res) => {
       
       for (const item of contentItems) {
         // Delete physical files
-        if (item.video && item.video.path) {
+        if (item.video && item.video.path && !(await isShared('video.path', item.video.path))) {
           try {
             await fs.unlink(path.join(__dirname, '..', item.video.path));
           } catch (err) {
             console.log('File already deleted or not found:', item.video.path);
           }
         }
-        if (item.file && item.file.path) {
+        if (item.file && item.file.path && !(await isShared('file.path', item.file.path))) {
           try {
             await fs.unlink(path.join(__dirname, '..', item.file.path));
           } catch (err) {
@@ -333,12 +422,12 @@ exports.deleteGroup = async (req, res) => {
         }
         
         // Delete legacy paths
-        if (item.videoPath) {
+        if (item.videoPath && !(await isShared('videoPath', item.videoPath))) {
           try {
             await fs.unlink(path.join(__dirname, '..', 'uploads', 'videos', item.videoPath));
           } catch (err) {}
         }
-        if (item.filePath) {
+        if (item.filePath && !(await isShared('filePath', item.filePath))) {
           try {
             await fs.unlink(path.join(__dirname, '..', 'uploads', 'files', item.filePath));
           } catch (err) {}
@@ -4,6 +4,7 @@ const StudentContentGrade = require('../models/StudentContentGrade');
 const InstructorEarning = require('../models/InstructorEarning');
 const InstructorPayoutRequest = require('../models/InstructorPayoutRequest');
 const AdminSettings = require('../models/AdminSettings');
+const TestAttempt = require('../models/TestAttempt');
 
 // Helper: compute all pending counters used by the instructor pending strip
 async function getInstructorPendingSummaryCounts(instructorId) {
@@ -18,6 +19,7 @@ async function getInstructorPendingSummaryCounts(instructorId) {
     return {
       pendingCertificates: 0,
       pendingAssignments: 0,
+      pendingTestReviews: 0,
       canRequestPayout: false,
       availableAmountSYP: 0,
       minimumPayoutSYP,
@@ -31,6 +33,7 @@ async function getInstructorPendingSummaryCounts(instructorId) {
     pendingCertificates,
     pendingAssignments,
     pendingReuploads,
+    pendingTestReviews,
     earningsSummary,
     pendingPayouts,
     approvedPayouts,
@@ -50,6 +53,10 @@ async function getInstructorPendingSummaryCounts(instructorId) {
       reuploadRequested: true,
       reuploadStatus: 'pending'
     }),
+    TestAttempt.countDocuments({
+      course: { $in: courseIds },
+      status: 'pending_review'
+    }),
     InstructorEarning.getSummary(instructorId),
     InstructorPayoutRequest.find({ instructor: instructorId, status: 'pending' }).select('requestedAmount'),
     InstructorPayoutRequest.find({ instructor: instructorId, status: 'approved' }).select('requestedAmount'),
@@ -88,6 +95,7 @@ async function getInstructorPendingSummaryCounts(instructorId) {
     pendingCertificates,
     pendingAssignments,
     pendingReuploads,
+    pendingTestReviews,
     canRequestPayout,
     availableAmountSYP,
     minimumPayoutSYP,
@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const Content = require('../models/Content');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const SubmissionExtension = require('../models/SubmissionExtension');
+const AssessmentAuditLog = require('../models/AssessmentAuditLog');
+const { validateLatePolicy, resolveLatePolicy } = require('../services/latePolicyService');
+const { refreshLatePenalty } = require('../services/gradingService');
+
+// Load an assignment/project and check the user teaches its course
+const loadManagedContent = async (req, res) => {
+  const content = mongoose.Types.ObjectId.isValid(req.params.contentId)
+    ? await Content.findById(req.params.contentId)
+    : null;
+  if (!content) {
+    res.status(404).json({ success: false, message: 'Content not found' });
+    return null;
+  }
+
+  if (content.type !== 'assignment' && content.type !== 'project') {
+    res.status(400).json({ success: false, message: 'Late policies only apply to assignments and projects' });
+    return null;
+  }
+
+  const course = await Course.findById(content.course).select('instructor latePolicy');
+  if (req.user.role !== 'admin' && (!course || course.instructor.toString() !== req.user.id)) {
+    res.status(403).json({ success: false, message: 'Not authorized to manage this content' });
+    return null;
+  }
+  return { content, course };
+};
+
+const extensionState = (extension) => ({
+  dueDate: extension.dueDate,
+  reason: extension.reason
+});
+
+// Re-apply the late penalty of an already submitted item; a failure here
+// must not undo the extension change
+const refreshPenalty = async (studentId, content, changedBy) => {
+  try {
+    await refreshLatePenalty(studentId, content, changedBy);
+  } catch (error) {
+    console.error('Failed to refresh late penalty:', error.message);
+  }
+};
+
+// @desc    Set the late policy of an assignment/project (null uses the course's)
+// @route   PUT /api/contents/:contentId/late-policy
+// @access  Private (Instructor/Admin)
+exports.setContentLatePolicy = async (req, res) => {
+  try {
+    if (req.body.latePolicy === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'latePolicy is required (null to use the course policy)'
+      });
+    }
+
+    const loaded = await loadManagedContent(req, res);
+    if (!loaded) return;
+    const { content, course } = loaded;
+
+    const { error, policy } = validateLatePolicy(req.body.latePolicy);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    content.latePolicy = policy;
+    await content.save();
+
+    res.json({
+      success: true,
+      message: 'Late policy updated. It applies to submissions and grading from now on.',
+      data: {
+        contentId: content._id,
+        dueDate: content.dueDate || null,
+        latePolicy: policy,
+        effectiveLatePolicy: resolveLatePolicy(course, content)
+      }
+    });
+  } catch (error) {
+    console.error('Set content late policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    List due date extensions of an assignment/project
+// @route   GET /api/contents/:contentId/extensions
+// @access  Private (Instructor/Admin)
+exports.getExtensions = async (req, res) => {
+  try {
+    const loaded = await loadManagedContent(req, res);
+    if (!loaded) return;
+
+    const extensions = await SubmissionExtension.find({ content: loaded.content._id })
+      .populate('student', 'name email')
+      .populate('createdBy', 'name')
+      .sort({ dueDate: 1 });
+
+    res.json({
+      success: true,
+      count: extensions.length,
+      dueDate: loaded.content.dueDate || null,
+      extensions
+    });
+  } catch (error) {
+    console.error('Get extensions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Grant or change a student's due date extension
+// @route   POST /api/contents/:contentId/extensions
+// @access  Private (Instructor/Admin)
+exports.upsertExtension = async (req, res) => {
+  try {
+    const { studentId, dueDate, reason } = req.body;
+
+    if (!studentId || !mongoose.Types.ObjectId.isValid(studentId) || !dueDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'studentId and dueDate are required'
+      });
+    }
+
+    const extendedDueDate = new Date(dueDate);
+    if (Number.isNaN(extendedDueDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'dueDate must be a valid date'
+      });
+    }
+
+    const loaded = await loadManagedContent(req, res);
+    if (!loaded) return;
+    const { content } = loaded;
+
+    const enrolled = await Enrollment.exists({ student: studentId, course: content.course });
+    if (!enrolled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student is not enrolled in this course'
+      });
+    }
+
+    let extension = await SubmissionExtension.findOne({ content: content._id, student: studentId });
+    const isNew = !extension;
+    const previousState = extension ? extensionState(extension) : null;
+
+    if (!extension) {
+      extension = new SubmissionExtension({
+        content: content._id,
+        course: content.course,
+        student: studentId,
+        createdBy: req.user.id
+      });
+    }
+    extension.dueDate = extendedDueDate;
+    if (reason !== undefined) extension.reason = reason;
+    extension.updatedBy = req.user.id;
+    await extension.save();
+
+    const newState = extensionState(extension);
+    await AssessmentAuditLog.logAction({
+      entityType: 'submission_extension',
+      entityId: extension._id,
+      student: extension.student,
+      action: isNew ? 'create' : 'update',
+      actor: req.user.id,
+      actorRole: req.user.role === 'admin' ? 'admin' : 'instructor',
+      previousState,
+      newState,
+      changedFields: Object.keys(newState).filter(key =>
+        JSON.stringify(previousState ? previousState[key] : null) !== JSON.stringify(newState[key])
+      ),
+      reason: extension.reason,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    await refreshPenalty(studentId, content, req.user.id);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Extension granted successfully' : 'Extension updated successfully',
+      extension
+    });
+  } catch (error) {
+    console.error('Upsert extension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a student's due date extension
+// @route   DELETE /api/contents/:contentId/extensions/:studentId
+// @access  Private (Instructor/Admin)
+exports.deleteExtension = async (req, res) => {
+  try {
+    const loaded = await loadManagedContent(req, res);
+    if (!loaded) return;
+    const { content } = loaded;
+
+    const extension = mongoose.Types.ObjectId.isValid(req.params.studentId)
+      ? await SubmissionExtension.findOne({ content: content._id, student: req.params.studentId })
+      : null;
+    if (!extension) {
+      return res.status(404).json({
+        success: false,
+        message: 'Extension not found'
+      });
+    }
+
+    const previousState = extensionState(extension);
+    await extension.deleteOne();
+
+    await AssessmentAuditLog.logAction({
+      entityType: 'submission_extension',
+      entityId: extension._id,
+      student: extension.student,
+      action: 'delete',
+      actor: req.user.id,
+      actorRole: req.user.role === 'admin' ? 'admin' : 'instructor',
+      previousState,
+      reason: req.body?.reason,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    await refreshPenalty(extension.student.toString(), content, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Extension removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete extension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
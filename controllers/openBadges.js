@@ -0,0 +1,179 @@
+const {
+  getSigningKey,
+  buildCryptographicKey,
+  buildAssertion,
+  signAssertion,
+  bakePng,
+  bakeSvg,
+  renderBadgeSvg,
+  renderBadgePng,
+  loadBadgeClass,
+  loadAssertionSource,
+  listStudentAssertions,
+  buildRevocationList,
+  loadIssuer
+} = require('../services/openBadgesService');
+
+// Open Badges documents are read by badge wallets and verifiers
+const sendOpenBadgesJson = (res, status, body) => {
+  res.status(status)
+    .type('application/ld+json')
+    .set('Access-Control-Allow-Origin', '*')
+    .send(JSON.stringify(body));
+};
+
+// @desc    Issuer profile
+// @route   GET /api/open-badges/issuer
+// @access  Public
+exports.getIssuer = async (req, res) => {
+  try {
+    sendOpenBadgesJson(res, 200, await loadIssuer());
+  } catch (error) {
+    console.error('Get Open Badges issuer error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// @desc    Public key signed assertions are verified with
+// @route   GET /api/open-badges/issuer/key
+// @access  Public
+exports.getIssuerKey = async (req, res) => {
+  const key = getSigningKey();
+  if (!key) {
+    return res.status(404).json({ success: false, message: 'Signed badges are not enabled' });
+  }
+  sendOpenBadgesJson(res, 200, buildCryptographicKey(key.publicKeyPem));
+};
+
+// @desc    Revoked assertions
+// @route   GET /api/open-badges/issuer/revocations
+// @access  Public
+exports.getRevocationList = async (req, res) => {
+  try {
+    sendOpenBadgesJson(res, 200, await buildRevocationList());
+  } catch (error) {
+    console.error('Get Open Badges revocation list error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// @desc    BadgeClass of a course certificate or gamification badge
+// @route   GET /api/open-badges/badges/:badgeClassId
+// @access  Public
+exports.getBadgeClass = async (req, res) => {
+  try {
+    const loaded = await loadBadgeClass(req.params.badgeClassId);
+    if (!loaded) {
+      return res.status(404).json({ success: false, message: 'Badge not found' });
+    }
+    sendOpenBadgesJson(res, 200, loaded.badgeClass);
+  } catch (error) {
+    console.error('Get Open Badges badge class error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// @desc    Image of a BadgeClass (?format=png for PNG, SVG otherwise)
+// @route   GET /api/open-badges/badges/:badgeClassId/image
+// @access  Public
+exports.getBadgeImage = async (req, res) => {
+  try {
+    const loaded = await loadBadgeClass(req.params.badgeClassId);
+    if (!loaded) {
+      return res.status(404).json({ success: false, message: 'Badge not found' });
+    }
+    res.set('Access-Control-Allow-Origin', '*');
+    if (req.query.format === 'png') {
+      return res.type('image/png').send(renderBadgePng(loaded.image));
+    }
+    res.type('image/svg+xml').send(renderBadgeSvg(loaded.image));
+  } catch (error) {
+    console.error('Get Open Badges image error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// @desc    Hosted assertion; revoked assertions answer 410 Gone
+// @route   GET /api/open-badges/assertions/:assertionId
+// @access  Public
+exports.getAssertion = async (req, res) => {
+  try {
+    const source = await loadAssertionSource(req.params.assertionId);
+    if (!source) {
+      return res.status(404).json({ success: false, message: 'Assertion not found' });
+    }
+
+    const assertion = buildAssertion(source);
+    if (source.revoked) {
+      return sendOpenBadgesJson(res, 410, {
+        '@context': assertion['@context'],
+        id: assertion.id,
+        revoked: true,
+        revocationReason: assertion.revocationReason
+      });
+    }
+    sendOpenBadgesJson(res, 200, assertion);
+  } catch (error) {
+    console.error('Get Open Badges assertion error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// @desc    Certificates and badges the student can export
+// @route   GET /api/open-badges/my
+// @access  Private (Student)
+exports.getMyOpenBadges = async (req, res) => {
+  try {
+    const items = await listStudentAssertions(req.user.id);
+    res.json({
+      success: true,
+      count: items.length,
+      signingEnabled: Boolean(getSigningKey()),
+      data: items
+    });
+  } catch (error) {
+    console.error('Get my Open Badges error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// @desc    Download a baked badge image (?format=png|svg&signed=true)
+// @route   GET /api/open-badges/my/:assertionId/baked
+// @access  Private (Student)
+exports.downloadBakedBadge = async (req, res) => {
+  try {
+    const format = req.query.format === 'svg' ? 'svg' : 'png';
+    const signed = req.query.signed === 'true';
+
+    const source = await loadAssertionSource(req.params.assertionId);
+    if (!source || source.student.toString() !== req.user.id) {
+      return res.status(404).json({ success: false, message: 'Assertion not found' });
+    }
+    if (source.revoked) {
+      return res.status(410).json({ success: false, message: 'This certificate has been revoked' });
+    }
+
+    const key = signed ? getSigningKey() : null;
+    if (signed && !key) {
+      return res.status(503).json({ success: false, message: 'Signed badges are not enabled' });
+    }
+
+    const loaded = await loadBadgeClass(source.badgeClassId);
+    if (!loaded) {
+      return res.status(404).json({ success: false, message: 'Badge not found' });
+    }
+
+    const assertion = buildAssertion({ ...source, signed });
+    const verify = signed ? signAssertion(assertion, key.privateKey) : assertion.id;
+    const filename = `${req.params.assertionId}${signed ? '-signed' : ''}.${format}`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'svg') {
+      return res.type('image/svg+xml').send(bakeSvg(renderBadgeSvg(loaded.image), verify, signed ? assertion : null));
+    }
+    res.type('image/png').send(bakePng(renderBadgePng(loaded.image), verify));
+  } catch (error) {
+    console.error('Download baked badge error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
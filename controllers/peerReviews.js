@@ -0,0 +1,408 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs').promises;
+const Content = require('../models/Content');
+const Course = require('../models/Course');
+const Rubric = require('../models/Rubric');
+const PeerReview = require('../models/PeerReview');
+const StudentContentGrade = require('../models/StudentContentGrade');
+const { scoreRubric } = require('../services/rubricService');
+const {
+  validatePeerReviewSettings,
+  summarizePeerScores,
+  getPeerReviewPhase,
+  assignPeerReviews
+} = require('../services/peerReviewService');
+const { streamTelegramFile } = require('../services/telegramFileService');
+
+// Load a project and check the user teaches its course
+const loadManagedProject = async (req, res) => {
+  const content = mongoose.Types.ObjectId.isValid(req.params.contentId)
+    ? await Content.findById(req.params.contentId)
+    : null;
+  if (!content) {
+    res.status(404).json({ success: false, message: 'Content not found' });
+    return null;
+  }
+
+  if (content.type !== 'project') {
+    res.status(400).json({ success: false, message: 'Peer review is only available for projects' });
+    return null;
+  }
+
+  const course = await Course.findById(content.course).select('instructor');
+  if (req.user.role !== 'admin' && (!course || course.instructor.toString() !== req.user.id)) {
+    res.status(403).json({ success: false, message: 'Not authorized to manage this content' });
+    return null;
+  }
+  return content;
+};
+
+// Load a review assigned to the requesting student
+const loadOwnReview = async (req, res) => {
+  const review = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await PeerReview.findOne({ _id: req.params.id, reviewer: req.user.id })
+    : null;
+  if (!review) {
+    res.status(404).json({ success: false, message: 'Peer review not found' });
+    return null;
+  }
+  return review;
+};
+
+const settingsResponse = (content) => ({
+  contentId: content._id,
+  dueDate: content.dueDate || null,
+  rubric: content.rubric || null,
+  phase: getPeerReviewPhase(content.peerReview),
+  peerReview: content.peerReview || null
+});
+
+// What a student sees of a review: never who wrote or received it
+const anonymousReview = (review) => ({
+  _id: review._id,
+  status: review.status,
+  gradePercent: review.gradePercent,
+  rubricAssessment: review.rubricAssessment,
+  comment: review.comment,
+  submittedAt: review.submittedAt
+});
+
+// @desc    Set up the peer review phase of a project
+// @route   PUT /api/contents/:contentId/peer-review
+// @access  Private (Instructor/Admin)
+exports.updatePeerReviewSettings = async (req, res) => {
+  try {
+    const content = await loadManagedProject(req, res);
+    if (!content) return;
+
+    const current = content.peerReview;
+    const { error, settings } = validatePeerReviewSettings(req.body, current);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const phase = getPeerReviewPhase(current);
+    if (phase === 'closed') {
+      return res.status(400).json({ success: false, message: 'Peer review of this project has already closed' });
+    }
+
+    if (phase === 'open') {
+      // Reviews are handed out: only the window and the penalty can still change
+      if (!settings.enabled || settings.reviewersPerSubmission !== current.reviewersPerSubmission) {
+        return res.status(400).json({
+          success: false,
+          message: 'Peer reviews are already assigned. Only the review window and skip penalty can be changed.'
+        });
+      }
+      const closesAt = new Date(current.assignedAt.getTime() + settings.reviewWindowHours * 60 * 60 * 1000);
+      if (closesAt <= new Date()) {
+        return res.status(400).json({ success: false, message: 'The review window would already be over' });
+      }
+      content.peerReview.reviewWindowHours = settings.reviewWindowHours;
+      content.peerReview.skipPenaltyPercent = settings.skipPenaltyPercent;
+      content.peerReview.closesAt = closesAt;
+      await content.save();
+      await PeerReview.updateMany({ content: content._id, status: 'assigned' }, { $set: { dueDate: closesAt } });
+    } else {
+      if (settings.enabled && !content.rubric) {
+        return res.status(400).json({ success: false, message: 'Attach a rubric to the project before enabling peer review' });
+      }
+      content.peerReview = { ...settings, assignedAt: null, closesAt: null, closedAt: null };
+      await content.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Peer review settings updated',
+      data: settingsResponse(content)
+    });
+  } catch (error) {
+    console.error('Update peer review settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Assign peer reviews now instead of waiting for the scheduler
+// @route   POST /api/contents/:contentId/peer-review/start
+// @access  Private (Instructor/Admin)
+exports.startPeerReview = async (req, res) => {
+  try {
+    const content = await loadManagedProject(req, res);
+    if (!content) return;
+
+    const phase = getPeerReviewPhase(content.peerReview);
+    if (phase === 'off') {
+      return res.status(400).json({ success: false, message: 'Peer review is not enabled for this project' });
+    }
+    if (phase !== 'waiting') {
+      return res.status(400).json({ success: false, message: 'Peer reviews are already assigned' });
+    }
+    if (content.dueDate && content.dueDate > new Date()) {
+      return res.status(400).json({ success: false, message: 'Peer review starts after the due date' });
+    }
+    if (!content.rubric) {
+      return res.status(400).json({ success: false, message: 'Attach a rubric to the project before starting peer review' });
+    }
+
+    const result = await assignPeerReviews(content, { io: req.app.get('io') });
+    if (!result) {
+      return res.status(400).json({ success: false, message: 'Peer reviews are already assigned' });
+    }
+
+    res.json({
+      success: true,
+      message: result.reviews > 0
+        ? `${result.reviews} peer review(s) assigned across ${result.submissions} submission(s)`
+        : 'Not enough submissions to assign peer reviews',
+      data: result
+    });
+  } catch (error) {
+    console.error('Start peer review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get all peer reviews of a project with reviewer and author names
+// @route   GET /api/contents/:contentId/peer-reviews
+// @access  Private (Instructor/Admin)
+exports.getContentPeerReviews = async (req, res) => {
+  try {
+    const content = await loadManagedProject(req, res);
+    if (!content) return;
+
+    const reviews = await PeerReview.find({ content: content._id })
+      .populate('author', 'name email')
+      .populate('reviewer', 'name email')
+      .sort({ author: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      data: {
+        ...settingsResponse(content),
+        reviews
+      }
+    });
+  } catch (error) {
+    console.error('Get content peer reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get the peer reviews a student received on a project, once the window closed
+// @route   GET /api/contents/:contentId/peer-reviews/received
+// @access  Private (Student)
+exports.getReceivedPeerReviews = async (req, res) => {
+  try {
+    const content = mongoose.Types.ObjectId.isValid(req.params.contentId)
+      ? await Content.findById(req.params.contentId).select('type peerReview')
+      : null;
+    if (!content || content.type !== 'project') {
+      return res.status(404).json({ success: false, message: 'Content not found' });
+    }
+
+    const phase = getPeerReviewPhase(content.peerReview);
+    if (phase !== 'closed') {
+      return res.json({ success: true, data: { phase, closesAt: content.peerReview ? content.peerReview.closesAt : null, reviews: [] } });
+    }
+
+    const reviews = await PeerReview.find({ content: content._id, author: req.user.id, status: 'submitted' })
+      .sort({ submittedAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        phase,
+        summary: summarizePeerScores(reviews),
+        reviews: reviews.map(anonymousReview)
+      }
+    });
+  } catch (error) {
+    console.error('Get received peer reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get the peer reviews assigned to the current student
+// @route   GET /api/peer-reviews
+// @access  Private (Student)
+exports.getMyPeerReviews = async (req, res) => {
+  try {
+    const query = { reviewer: req.user.id };
+    if (['assigned', 'submitted', 'missed'].includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+
+    const reviews = await PeerReview.find(query)
+      .populate('content', 'title')
+      .populate('course', 'name')
+      .sort({ dueDate: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      reviews: reviews.map(review => ({
+        ...anonymousReview(review),
+        content: review.content,
+        course: review.course,
+        dueDate: review.dueDate
+      }))
+    });
+  } catch (error) {
+    console.error('Get my peer reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a peer review with the rubric to fill in
+// @route   GET /api/peer-reviews/:id
+// @access  Private (Student)
+exports.getPeerReview = async (req, res) => {
+  try {
+    const review = await loadOwnReview(req, res);
+    if (!review) return;
+
+    const content = await Content.findById(review.content).select('title description rubric course');
+    const rubric = content && content.rubric ? await Rubric.findById(content.rubric) : null;
+
+    res.json({
+      success: true,
+      review: {
+        ...anonymousReview(review),
+        dueDate: review.dueDate,
+        content: content ? { _id: content._id, title: content.title, description: content.description } : null,
+        rubric
+      }
+    });
+  } catch (error) {
+    console.error('Get peer review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Download the submission under review, without the author's name
+// @route   GET /api/peer-reviews/:id/submission
+// @access  Private (Student)
+exports.downloadPeerReviewSubmission = async (req, res) => {
+  try {
+    const review = await loadOwnReview(req, res);
+    if (!review) return;
+
+    const grade = await StudentContentGrade.findOne({ content: review.content, student: review.author })
+      .select('submissionFile reuploadUsed reuploadSubmissionFile');
+    const fileMeta = grade && (grade.reuploadUsed && grade.reuploadSubmissionFile
+      ? grade.reuploadSubmissionFile
+      : grade.submissionFile);
+    const fileSource = fileMeta && (fileMeta.path || fileMeta.url);
+
+    if (!fileMeta || (!fileSource && !fileMeta.telegramFileId)) {
+      return res.status(404).json({ success: false, message: 'No submission file found' });
+    }
+
+    // The original file name may carry the author's name
+    const extension = path.extname(fileMeta.originalName || '') || '.rar';
+    const filename = `submission-${review._id}${extension}`;
+
+    if (fileMeta.storageType === 'telegram' && fileMeta.telegramFileId) {
+      return streamTelegramFile(fileMeta.telegramFileId, res, { asAttachment: true, filename });
+    }
+
+    let filePath;
+    if (fileSource.startsWith('/uploads/')) {
+      filePath = path.resolve(__dirname, '..', fileSource.substring(1));
+    } else if (path.isAbsolute(fileSource)) {
+      filePath = fileSource;
+    } else {
+      filePath = path.resolve(__dirname, '..', fileSource);
+    }
+
+    try {
+      await fs.access(filePath);
+    } catch (err) {
+      return res.status(404).json({ success: false, message: 'Submission file not found on server' });
+    }
+
+    res.download(filePath, filename, (err) => {
+      if (err) {
+        console.error('Peer review download error:', err);
+        if (!res.headersSent) {
+          res.status(500).json({ success: false, message: 'Error downloading file' });
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Download peer review submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Submit or update a peer review while the window is open
+// @route   PUT /api/peer-reviews/:id
+// @access  Private (Student)
+exports.submitPeerReview = async (req, res) => {
+  try {
+    const review = await loadOwnReview(req, res);
+    if (!review) return;
+
+    if (review.status === 'missed' || review.dueDate <= new Date()) {
+      return res.status(400).json({ success: false, message: 'The review window for this project has closed' });
+    }
+
+    const content = await Content.findById(review.content).select('rubric');
+    const rubric = content && content.rubric ? await Rubric.findById(content.rubric) : null;
+    if (!rubric) {
+      return res.status(400).json({ success: false, message: 'This project no longer has a rubric to review with' });
+    }
+
+    const { error, gradePercent, assessment } = scoreRubric(rubric, req.body.rubricScores);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const comment = req.body.comment ? String(req.body.comment).trim() : '';
+    if (comment.length > 5000) {
+      return res.status(400).json({ success: false, message: 'Comment cannot exceed 5000 characters' });
+    }
+
+    review.status = 'submitted';
+    review.rubricAssessment = assessment;
+    review.gradePercent = gradePercent;
+    review.comment = comment;
+    review.submittedAt = new Date();
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Peer review submitted',
+      review: anonymousReview(review)
+    });
+  } catch (error) {
+    console.error('Submit peer review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
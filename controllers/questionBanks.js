@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const QuestionBank = require('../models/QuestionBank');
+const ActiveTest = require('../models/ActiveTest');
+const { validateQuestions } = require('../services/testScoringService');
+
+const normalizeTopics = (topics) => {
+  if (topics === undefined) return undefined;
+  const list = Array.isArray(topics) ? topics : String(topics).split(',');
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+};
+
+const canManageBank = (bank, user) =>
+  user.role === 'admin' || bank.instructor.toString() === user.id;
+
+// @desc    Get question banks (own banks; admin sees all)
+// @route   GET /api/question-banks
+// @access  Private (Instructor/Admin)
+exports.getQuestionBanks = async (req, res) => {
+  try {
+    const { course, section, topic, search } = req.query;
+    const query = {};
+
+    if (req.user.role !== 'admin') {
+      query.instructor = req.user.id;
+    }
+    if (course && mongoose.Types.ObjectId.isValid(course)) query.course = course;
+    if (section && mongoose.Types.ObjectId.isValid(section)) query.section = section;
+    if (topic) query.topics = String(topic).trim().toLowerCase();
+    if (search) {
+      const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.name = { $regex: escaped, $options: 'i' };
+    }
+
+    const banks = await QuestionBank.find(query)
+      .select('-questions')
+      .populate('course', 'name')
+      .populate('section', 'name')
+      .sort({ updatedAt: -1 });
+
+    // questionCount is a virtual over questions, so count them separately
+    const counts = await QuestionBank.aggregate([
+      { $match: { _id: { $in: banks.map(b => b._id) } } },
+      { $project: { count: { $size: '$questions' } } }
+    ]);
+    const countMap = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    res.json({
+      success: true,
+      count: banks.length,
+      banks: banks.map(bank => ({
+        ...bank.toObject(),
+        questionCount: countMap.get(bank._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get question banks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a single question bank with its questions
+// @route   GET /api/question-banks/:id
+// @access  Private (Instructor/Admin)
+exports.getQuestionBank = async (req, res) => {
+  try {
+    const bank = await QuestionBank.findById(req.params.id)
+      .populate('course', 'name')
+      .populate('section', 'name');
+
+    if (!bank) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question bank not found'
+      });
+    }
+
+    if (!canManageBank(bank, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this question bank'
+      });
+    }
+
+    res.json({
+      success: true,
+      bank
+    });
+  } catch (error) {
+    console.error('Get question bank error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create a question bank
+// @route   POST /api/question-banks
+// @access  Private (Instructor)
+exports.createQuestionBank = async (req, res) => {
+  try {
+    const { name, description, course, section, topics, questions } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question bank name is required'
+      });
+    }
+
+    const bankQuestions = Array.isArray(questions) ? questions : [];
+    if (bankQuestions.length > 0) {
+      const questionsError = validateQuestions(bankQuestions);
+      if (questionsError) {
+        return res.status(400).json({
+          success: false,
+          message: questionsError
+        });
+      }
+    }
+
+    const bank = await QuestionBank.create({
+      name,
+      description,
+      instructor: req.user.id,
+      course: course || null,
+      section: section || null,
+      topics: normalizeTopics(topics) || [],
+      questions: bankQuestions
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Question bank created successfully',
+      bank
+    });
+  } catch (error) {
+    console.error('Create question bank error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a question bank
+// @route   PUT /api/question-banks/:id
+// @access  Private (Instructor)
+exports.updateQuestionBank = async (req, res) => {
+  try {
+    const bank = await QuestionBank.findById(req.params.id);
+
+    if (!bank) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question bank not found'
+      });
+    }
+
+    if (!canManageBank(bank, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this question bank'
+      });
+    }
+
+    const { name, description, course, section, topics, questions } = req.body;
+
+    if (questions !== undefined) {
+      if (!Array.isArray(questions)) {
+        return res.status(400).json({
+          success: false,
+          message: 'questions must be an array'
+        });
+      }
+      if (questions.length > 0) {
+        const questionsError = validateQuestions(questions);
+        if (questionsError) {
+          return res.status(400).json({
+            success: false,
+            message: questionsError
+          });
+        }
+      }
+
+      // Tests drawing from this bank must still be able to draw their count
+      const drawingTests = await ActiveTest.find({ 'questionDraws.bank': bank._id }).select('title questionDraws');
+      const shortTest = drawingTests.find(t =>
+        t.questionDraws.some(d => d.bank.toString() === bank._id.toString() && d.count > questions.length)
+      );
+      if (shortTest) {
+        return res.status(400).json({
+          success: false,
+          message: `Test "${shortTest.title}" draws more questions from this bank than it would contain`
+        });
+      }
+
+      bank.questions = questions;
+    }
+
+    if (name !== undefined) bank.name = name;
+    if (description !== undefined) bank.description = description;
+    if (course !== undefined) bank.course = course || null;
+    if (section !== undefined) bank.section = section || null;
+    if (topics !== undefined) bank.topics = normalizeTopics(topics);
+
+    await bank.save();
+
+    res.json({
+      success: true,
+      message: 'Question bank updated successfully',
+      bank
+    });
+  } catch (error) {
+    console.error('Update question bank error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a question bank
+// @route   DELETE /api/question-banks/:id
+// @access  Private (Instructor)
+exports.deleteQuestionBank = async (req, res) => {
+  try {
+    const bank = await QuestionBank.findById(req.params.id);
+
+    if (!bank) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question bank not found'
+      });
+    }
+
+    if (!canManageBank(bank, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this question bank'
+      });
+    }
+
+    const testCount = await ActiveTest.countDocuments({ 'questionDraws.bank': bank._id });
+    if (testCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete this question bank because ${testCount} test(s) draw questions from it`
+      });
+    }
+
+    // Attempts keep their own snapshot of drawn questions, so they stay reviewable
+    await bank.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Question bank deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete question bank error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,321 @@
+const mongoose = require('mongoose');
+const Rubric = require('../models/Rubric');
+const Content = require('../models/Content');
+const Course = require('../models/Course');
+const { validateRubricCriteria } = require('../services/rubricService');
+
+const canManageRubric = (rubric, user) =>
+  user.role === 'admin' || rubric.instructor.toString() === user.id;
+
+// @desc    Get rubrics (own rubrics; admin sees all)
+// @route   GET /api/rubrics
+// @access  Private (Instructor/Admin)
+exports.getRubrics = async (req, res) => {
+  try {
+    const { course, search } = req.query;
+    const query = {};
+
+    if (req.user.role !== 'admin') {
+      query.instructor = req.user.id;
+    }
+    if (course && mongoose.Types.ObjectId.isValid(course)) {
+      // Rubrics not tied to a course can be used in any of them
+      query.course = { $in: [course, null] };
+    }
+    if (search) {
+      const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.title = { $regex: escaped, $options: 'i' };
+    }
+
+    const rubrics = await Rubric.find(query)
+      .populate('course', 'name')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      count: rubrics.length,
+      rubrics
+    });
+  } catch (error) {
+    console.error('Get rubrics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a single rubric
+// @route   GET /api/rubrics/:id
+// @access  Private (Instructor/Admin)
+exports.getRubric = async (req, res) => {
+  try {
+    const rubric = await Rubric.findById(req.params.id).populate('course', 'name');
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rubric not found'
+      });
+    }
+
+    if (!canManageRubric(rubric, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this rubric'
+      });
+    }
+
+    const contents = await Content.find({ rubric: rubric._id, deletionStatus: { $ne: 'deleted' } })
+      .select('title type course section');
+
+    res.json({
+      success: true,
+      rubric,
+      contents
+    });
+  } catch (error) {
+    console.error('Get rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create a rubric
+// @route   POST /api/rubrics
+// @access  Private (Instructor)
+exports.createRubric = async (req, res) => {
+  try {
+    const { title, description, course, criteria } = req.body;
+
+    if (!title || !String(title).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rubric title is required'
+      });
+    }
+
+    const criteriaError = validateRubricCriteria(criteria);
+    if (criteriaError) {
+      return res.status(400).json({
+        success: false,
+        message: criteriaError
+      });
+    }
+
+    if (course) {
+      const courseDoc = mongoose.Types.ObjectId.isValid(course) ? await Course.findById(course).select('instructor') : null;
+      if (!courseDoc || (req.user.role !== 'admin' && courseDoc.instructor.toString() !== req.user.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Rubrics can only be tied to a course you teach'
+        });
+      }
+    }
+
+    const rubric = await Rubric.create({
+      title,
+      description,
+      instructor: req.user.id,
+      course: course || null,
+      criteria
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rubric created successfully',
+      rubric
+    });
+  } catch (error) {
+    console.error('Create rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a rubric. Grades already given keep the levels they were
+//          given with; only later grading uses the new criteria.
+// @route   PUT /api/rubrics/:id
+// @access  Private (Instructor)
+exports.updateRubric = async (req, res) => {
+  try {
+    const rubric = await Rubric.findById(req.params.id);
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rubric not found'
+      });
+    }
+
+    if (!canManageRubric(rubric, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this rubric'
+      });
+    }
+
+    const { title, description, criteria } = req.body;
+
+    if (criteria !== undefined) {
+      const criteriaError = validateRubricCriteria(criteria);
+      if (criteriaError) {
+        return res.status(400).json({
+          success: false,
+          message: criteriaError
+        });
+      }
+      rubric.criteria = criteria;
+    }
+
+    if (title !== undefined) {
+      if (!String(title).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Rubric title is required'
+        });
+      }
+      rubric.title = title;
+    }
+    if (description !== undefined) rubric.description = description;
+
+    await rubric.save();
+
+    res.json({
+      success: true,
+      message: 'Rubric updated successfully',
+      rubric
+    });
+  } catch (error) {
+    console.error('Update rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a rubric
+// @route   DELETE /api/rubrics/:id
+// @access  Private (Instructor)
+exports.deleteRubric = async (req, res) => {
+  try {
+    const rubric = await Rubric.findById(req.params.id);
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rubric not found'
+      });
+    }
+
+    if (!canManageRubric(rubric, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this rubric'
+      });
+    }
+
+    const contentCount = await Content.countDocuments({ rubric: rubric._id, deletionStatus: { $ne: 'deleted' } });
+    if (contentCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete this rubric because ${contentCount} assignment(s) or project(s) use it`
+      });
+    }
+
+    // Grades keep their own snapshot of the rubric, so they stay readable
+    await rubric.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Rubric deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Attach a rubric to an assignment or project (null detaches it)
+// @route   PUT /api/contents/:contentId/rubric
+// @access  Private (Instructor/Admin)
+exports.setContentRubric = async (req, res) => {
+  try {
+    const { rubricId } = req.body;
+
+    if (rubricId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'rubricId is required (null to remove the rubric)'
+      });
+    }
+
+    const content = await Content.findById(req.params.contentId);
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    if (content.type !== 'assignment' && content.type !== 'project') {
+      return res.status(400).json({
+        success: false,
+        message: 'Rubrics can only be attached to assignments and projects'
+      });
+    }
+
+    const course = await Course.findById(content.course).select('instructor');
+    if (req.user.role !== 'admin' && (!course || course.instructor.toString() !== req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this content'
+      });
+    }
+
+    let rubric = null;
+    if (rubricId !== null) {
+      rubric = mongoose.Types.ObjectId.isValid(rubricId) ? await Rubric.findById(rubricId) : null;
+      if (!rubric || !canManageRubric(rubric, req.user)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rubric not found'
+        });
+      }
+      if (rubric.course && rubric.course.toString() !== content.course.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'This rubric belongs to another course'
+        });
+      }
+    }
+
+    content.rubric = rubric ? rubric._id : null;
+    await content.save();
+
+    res.json({
+      success: true,
+      message: rubric ? 'Rubric attached successfully' : 'Rubric removed successfully',
+      data: {
+        contentId: content._id,
+        rubric
+      }
+    });
+  } catch (error) {
+    console.error('Set content rubric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
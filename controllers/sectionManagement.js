@@ -3,6 +3,9 @@ const Group = require('../models/Group');
 const Course = require('../models/Course');
 const Content = require('../models/Content');
 const StudentProgress = require('../models/StudentProgress');
+const mongoose = require('mongoose');
+const { validateUnlockRules } = require('../services/sectionUnlockService');
+const { isMediaShared } = require('../services/courseCloneService');
 
 // @desc    Get all sections for a group
 // @route   GET /api/groups/:groupId/sections
@@ -62,7 +65,7 @@ exports.getSectionsByGroup = async (req, res) => {
 exports.createSection = async (req, res) => {
   try {
     const { groupId } = req.params;
-    const { name, description, isFree, price, priceCents, currency, order } = req.body;
+    const { name, description, isFree, price, priceCents, currency, order, unlockRules } = req.body;
     
     // Get group and course
     const group = await Group.findById(groupId)
@@ -120,11 +123,26 @@ exports.createSection = async (req, res) => {
       });
     }
     
+    const sectionId = new mongoose.Types.ObjectId();
+    let validatedUnlockRules;
+    if (unlockRules !== undefined) {
+      const ruleValidation = await validateUnlockRules(unlockRules, { _id: sectionId, group: group._id });
+      if (ruleValidation.error) {
+        return res.status(400).json({
+          success: false,
+          message: ruleValidation.error
+        });
+      }
+      validatedUnlockRules = ruleValidation.rules;
+    }
+
     const section = await Section.create({
+      _id: sectionId,
       name,
       description: description || '',
       group: groupId,
       course: course._id,
+      unlockRules: validatedUnlockRules || [],
       isFree: isFree === true,
       isPaid: !isFree && finalPriceCents > 0,
       priceCents: finalPriceCents,
@@ -157,7 +175,7 @@ exports.createSection = async (req, res) => {
 exports.updateSection = async (req, res) => {
   try {
     const { sectionId } = req.params;
-    const { name, description, isFree, price, priceCents, currency, order } = req.body;
+    const { name, description, isFree, price, priceCents, currency, order, unlockRules } = req.body;
     
     const section = await Section.findById(sectionId)
       .populate('course', 'name instructor cost currency');
@@ -223,9 +241,22 @@ exports.updateSection = async (req, res) => {
       }
     }
 
+    let validatedUnlockRules;
+    if (unlockRules !== undefined) {
+      const ruleValidation = await validateUnlockRules(unlockRules, section);
+      if (ruleValidation.error) {
+        return res.status(400).json({
+          success: false,
+          message: ruleValidation.error
+        });
+      }
+      validatedUnlockRules = ruleValidation.rules;
+    }
+
     if (name !== undefined) section.name = name;
     if (description !== undefined) section.description = description;
     if (order !== undefined) section.order = order;
+    if (validatedUnlockRules !== undefined) section.unlockRules = validatedUnlockRules;
     
     await section.save();
     await section.populate('course', 'name cost currency');
@@ -274,15 +305,17 @@ exports.deleteSection = async (req, res) => {
     const fs = require('fs').promises;
     const path = require('path');
     
+    const usedElsewhere = (field, value) => isMediaShared(field, value, { section: sectionId });
+
     for (const item of contentItems) {
-      if (item.video && item.video.path) {
+      if (item.video && item.video.path && !(await usedElsewhere('video.path', item.video.path))) {
         try {
           await fs.unlink(path.join(__dirname, '..', item.video.path));
         } catch (err) {
           console.log('File deletion error:', err.message);
         }
       }
-      if (item.file && item.file.path) {
+      if (item.file && item.file.path && !(await usedElsewhere('file.path', item.file.path))) {
         try {
           await fs.unlink(path.join(__dirname, '..', item.file.path));
         } catch (err) {
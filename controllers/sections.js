@@ -4,6 +4,8 @@ const Course = require('../models/Course');
 const Content = require('../models/Content');
 const SectionPayment = require('../models/SectionPayment');
 const Enrollment = require('../models/Enrollment');
+const mongoose = require('mongoose');
+const { validateUnlockRules, getSectionUnlockStatus } = require('../services/sectionUnlockService');
 
 // @desc    Get all sections for a group
 // @route   GET /api/sections/group/:groupId
@@ -89,6 +91,7 @@ exports.getSectionsByGroup = async (req, res) => {
         let isUnlockedForCurrentUser = sectionObj.isUnlockedByDefault;
         let paymentStatusForCurrentUser = 'none';
         let latestPayment = null;
+        let unmetUnlockRules = [];
 
         if (isInstructorOrAdmin) {
           isUnlockedForCurrentUser = true;
@@ -106,6 +109,10 @@ exports.getSectionsByGroup = async (req, res) => {
               }
             }
           }
+
+          // Paid or not, prerequisites set by the instructor still apply
+          const unlockStatus = await getSectionUnlockStatus(section, req.user.id);
+          unmetUnlockRules = unlockStatus.rules.filter(rule => !rule.met);
         }
 
         return {
@@ -115,7 +122,9 @@ exports.getSectionsByGroup = async (req, res) => {
           currency,
           price: priceCents / 100,
           contentCounts: counts,
-          isUnlockedForCurrentUser,
+          isUnlockedForCurrentUser: isUnlockedForCurrentUser && unmetUnlockRules.length === 0,
+          isLockedByRules: unmetUnlockRules.length > 0,
+          unmetUnlockRules,
           paymentStatusForCurrentUser,
           latestPaymentForCurrentUser: latestPayment ? {
             id: latestPayment._id,
@@ -186,7 +195,7 @@ exports.getSectionById = async (req, res) => {
 // @access  Private (Instructor/Admin)
 exports.createSection = async (req, res) => {
   try {
-    const { name, description, groupId, courseId, isFree, price, priceCents, currency, order } = req.body;
+    const { name, description, groupId, courseId, isFree, price, priceCents, currency, order, unlockRules } = req.body;
 
     // Validate required fields
     if (!name || !groupId || !courseId) {
@@ -252,8 +261,23 @@ exports.createSection = async (req, res) => {
       }
     }
 
+    const sectionId = new mongoose.Types.ObjectId();
+    let validatedUnlockRules;
+    if (unlockRules !== undefined) {
+      const ruleValidation = await validateUnlockRules(unlockRules, { _id: sectionId, group: group._id });
+      if (ruleValidation.error) {
+        return res.status(400).json({
+          success: false,
+          message: ruleValidation.error
+        });
+      }
+      validatedUnlockRules = ruleValidation.rules;
+    }
+
     // Create section
     const section = await Section.create({
+      _id: sectionId,
+      unlockRules: validatedUnlockRules || [],
       name,
       description: description || '',
       group: groupId,
@@ -289,7 +313,7 @@ exports.createSection = async (req, res) => {
 exports.updateSection = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, isFree, price, priceCents, currency, order, isActive } = req.body;
+    const { name, description, isFree, price, priceCents, currency, order, isActive, unlockRules } = req.body;
 
     const section = await Section.findById(id);
     if (!section) {
@@ -340,6 +364,18 @@ exports.updateSection = async (req, res) => {
       }
     }
 
+    let validatedUnlockRules;
+    if (unlockRules !== undefined) {
+      const ruleValidation = await validateUnlockRules(unlockRules, section);
+      if (ruleValidation.error) {
+        return res.status(400).json({
+          success: false,
+          message: ruleValidation.error
+        });
+      }
+      validatedUnlockRules = ruleValidation.rules;
+    }
+
     // Update fields
     if (name !== undefined) section.name = name;
     if (description !== undefined) section.description = description;
@@ -359,6 +395,7 @@ exports.updateSection = async (req, res) => {
     }
     if (order !== undefined) section.order = order;
     if (isActive !== undefined) section.isActive = isActive;
+    if (validatedUnlockRules !== undefined) section.unlockRules = validatedUnlockRules;
 
     await section.save();
     await section.populate('createdBy', 'name email');
@@ -464,9 +501,19 @@ exports.checkSectionAccess = async (req, res) => {
     const priceCents = typeof section.priceCents === 'number' ? section.priceCents : 0;
     const currency = section.currency || section.course?.currency || 'USD';
 
+    // Prerequisites apply on top of payment: report them instead of granting access
+    const unlockStatus = await getSectionUnlockStatus(section, studentId);
+    const unmetRules = unlockStatus.rules.filter(rule => !rule.met);
+    const sendAccess = (body) => {
+      if (body.hasAccess && !unlockStatus.unlocked) {
+        return res.json({ ...body, hasAccess: false, reason: 'prerequisites_not_met', paymentReason: body.reason, unmetRules });
+      }
+      return res.json({ ...body, unmetRules });
+    };
+
     // Free sections are always accessible
     if (section.isFree || priceCents === 0) {
-      return res.json({
+      return sendAccess({
         success: true,
         hasAccess: true,
         reason: 'free',
@@ -483,7 +530,7 @@ exports.checkSectionAccess = async (req, res) => {
     });
 
     if (enrollment && enrollment.isSectionEnrolled(section._id)) {
-      return res.json({
+      return sendAccess({
         success: true,
         hasAccess: true,
         reason: 'paid',
@@ -501,7 +548,7 @@ exports.checkSectionAccess = async (req, res) => {
 
     if (latestPayment) {
       if (latestPayment.status === 'approved') {
-        return res.json({
+        return sendAccess({
           success: true,
           hasAccess: true,
           reason: 'paid',
@@ -517,7 +564,7 @@ exports.checkSectionAccess = async (req, res) => {
         });
       }
 
-      return res.json({
+      return sendAccess({
         success: true,
         hasAccess: false,
         reason: latestPayment.status === 'pending' ? 'payment_pending' : 'payment_required',
@@ -534,7 +581,7 @@ exports.checkSectionAccess = async (req, res) => {
       });
     }
 
-    return res.json({
+    return sendAccess({
       success: true,
       hasAccess: false,
       reason: enrollment ? 'payment_required' : 'not_enrolled',
@@ -5,6 +5,7 @@ const Group = require('../models/Group');
 const { generateYouTubeEmbedUrl } = require('../utils/youtubeHelper');
 const { createPlaybackToken, verifyPlaybackToken } = require('../utils/playbackToken');
 const { getServerUrl } = require('../utils/urlHelper');
+const { getContentReleaseStatus, unreleasedResponse } = require('../services/contentReleaseService');
 
 function escapeHtml(str = '') {
   return String(str)
@@ -24,7 +25,7 @@ exports.createPlaybackSession = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Content ID is required' });
     }
 
-    const content = await Content.findById(contentId).select('+video youtubeUrl isPublished deletionStatus course').lean();
+    const content = await Content.findById(contentId).select('+video youtubeUrl isPublished deletionStatus course group release').lean();
     if (!content) {
       return res.status(404).json({ success: false, message: 'Content not found' });
     }
@@ -64,6 +65,11 @@ exports.createPlaybackSession = async (req, res) => {
           message: 'You must be enrolled in this course to access this video'
         });
       }
+
+      const release = await getContentReleaseStatus(content, req.user.id);
+      if (!release.released) {
+        return res.status(403).json(unreleasedResponse(release));
+      }
     } else if (req.user.role === 'instructor') {
       const course = await require('../models/Course').findById(content.course).select('instructor').lean();
       if (!course || String(course.instructor) !== String(req.user.id)) {
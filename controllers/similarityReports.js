@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Content = require('../models/Content');
+const Course = require('../models/Course');
+const SimilarityReport = require('../models/SimilarityReport');
+const { runSimilarityReport } = require('../services/similarityService');
+
+// Load an assignment/project and check the user teaches its course
+const loadManagedContent = async (req, res) => {
+  const content = mongoose.Types.ObjectId.isValid(req.params.contentId)
+    ? await Content.findById(req.params.contentId).select('title type course')
+    : null;
+  if (!content) {
+    res.status(404).json({ success: false, message: 'Content not found' });
+    return null;
+  }
+
+  if (content.type !== 'assignment' && content.type !== 'project') {
+    res.status(400).json({ success: false, message: 'Similarity checks only apply to assignments and projects' });
+    return null;
+  }
+
+  const course = await Course.findById(content.course).select('instructor');
+  if (req.user.role !== 'admin' && (!course || course.instructor.toString() !== req.user.id)) {
+    res.status(403).json({ success: false, message: 'Not authorized to view submissions' });
+    return null;
+  }
+  return content;
+};
+
+// @desc    Compare the submissions of an assignment/project with each other
+// @route   POST /api/contents/:contentId/similarity
+// @access  Private (Instructor/Admin)
+exports.startSimilarityCheck = async (req, res) => {
+  try {
+    const content = await loadManagedContent(req, res);
+    if (!content) return;
+
+    // A check cut off by a restart stays 'running'; it no longer blocks after an hour
+    const running = await SimilarityReport.findOne({
+      content: content._id,
+      status: 'running',
+      createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) }
+    }).select('_id');
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        message: 'A similarity check of these submissions is already running',
+        reportId: running._id
+      });
+    }
+
+    const report = await SimilarityReport.create({
+      content: content._id,
+      course: content.course,
+      requestedBy: req.user.id
+    });
+
+    // Reading and comparing every file can take a while, so the report is
+    // filled in the background and the instructor is told when it is ready
+    const io = req.app.get('io');
+    const userId = req.user.id;
+    runSimilarityReport(report)
+      .then((done) => {
+        if (io) {
+          io.to(`user:${userId}`).emit('similarity_report_ready', {
+            contentId: content._id,
+            reportId: done._id,
+            status: done.status
+          });
+        }
+      })
+      .catch((error) => {
+        console.error('Run similarity report error:', error);
+      });
+
+    res.status(202).json({
+      success: true,
+      message: 'Similarity check started',
+      reportId: report._id
+    });
+  } catch (error) {
+    console.error('Start similarity check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get the latest similarity report of an assignment/project
+// @route   GET /api/contents/:contentId/similarity
+// @access  Private (Instructor/Admin)
+exports.getSimilarityReport = async (req, res) => {
+  try {
+    const content = await loadManagedContent(req, res);
+    if (!content) return;
+
+    const report = await SimilarityReport.findOne({ content: content._id })
+      .sort({ createdAt: -1 })
+      .populate('pairs.studentA', 'name email')
+      .populate('pairs.studentB', 'name email')
+      .populate('skipped.student', 'name email')
+      .populate('requestedBy', 'name');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'No similarity check has been run for this content yet'
+      });
+    }
+
+    const minPercent = Number(req.query.minPercent);
+    const pairs = Number.isFinite(minPercent)
+      ? report.pairs.filter(pair => pair.similarityPercent >= minPercent)
+      : report.pairs;
+
+    res.json({
+      success: true,
+      data: {
+        ...report.toObject(),
+        content: { _id: content._id, title: content.title },
+        pairs
+      }
+    });
+  } catch (error) {
+    console.error('Get similarity report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,297 @@
+const mongoose = require('mongoose');
+const TestAccommodation = require('../models/TestAccommodation');
+const AssessmentAuditLog = require('../models/AssessmentAuditLog');
+const ActiveTest = require('../models/ActiveTest');
+const Group = require('../models/Group');
+const { OVERRIDE_FIELDS, accommodationState } = require('../services/testAccommodationService');
+
+const canManageGroup = (group, user) =>
+  user.role === 'admin' || (group && group.instructor && group.instructor.toString() === user.id);
+
+// Pick the override fields present in the request body; empty values clear an override
+const readOverrides = (body) => {
+  const overrides = {};
+  OVERRIDE_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+    overrides[field] = body[field] === '' || body[field] === null ? null : body[field];
+  });
+  return overrides;
+};
+
+const changedFieldsBetween = (previous, next) =>
+  Object.keys(next || {}).filter((key) =>
+    JSON.stringify(previous ? previous[key] : null) !== JSON.stringify(next[key])
+  );
+
+// @desc    List accommodations (filter by test, group or student)
+// @route   GET /api/test-accommodations
+// @access  Private (Instructor/Admin)
+exports.getAccommodations = async (req, res) => {
+  try {
+    const { testId, groupId, studentId } = req.query;
+    const query = {};
+
+    let group = null;
+    if (testId) {
+      const test = await ActiveTest.findById(testId).select('group');
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+      group = await Group.findById(test.group);
+      // Group-wide accommodations apply to this test as well
+      query.group = test.group;
+      query.test = { $in: [null, test._id] };
+    } else if (groupId) {
+      group = await Group.findById(groupId);
+      query.group = groupId;
+    } else if (req.user.role !== 'admin') {
+      const groups = await Group.find({ instructor: req.user.id }).select('_id');
+      query.group = { $in: groups.map(g => g._id) };
+    }
+
+    if ((testId || groupId) && !canManageGroup(group, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view accommodations for this group'
+      });
+    }
+
+    if (studentId && mongoose.Types.ObjectId.isValid(studentId)) {
+      query.student = studentId;
+    }
+
+    const accommodations = await TestAccommodation.find(query)
+      .populate('student', 'name email')
+      .populate('test', 'title')
+      .populate('group', 'name')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      count: accommodations.length,
+      accommodations
+    });
+  } catch (error) {
+    console.error('Get accommodations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create or update a student's accommodation for a test or a group
+// @route   POST /api/test-accommodations
+// @access  Private (Instructor/Admin)
+exports.upsertAccommodation = async (req, res) => {
+  try {
+    const { studentId, testId, groupId, reason } = req.body;
+
+    if (!studentId || (!testId && !groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student ID and either a Test ID or a Group ID are required'
+      });
+    }
+
+    let test = null;
+    let group = null;
+    if (testId) {
+      test = await ActiveTest.findById(testId).select('group title');
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Test not found'
+        });
+      }
+      group = await Group.findById(test.group);
+    } else {
+      group = await Group.findById(groupId);
+    }
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!canManageGroup(group, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage accommodations for this group'
+      });
+    }
+
+    const isMember = group.students.some(s => s.student && s.student.toString() === String(studentId));
+    if (!isMember) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student is not a member of this group'
+      });
+    }
+
+    const overrides = readOverrides(req.body);
+    const filter = { student: studentId, group: group._id, test: test ? test._id : null };
+    let accommodation = await TestAccommodation.findOne(filter);
+    const previousState = accommodationState(accommodation);
+    const isNew = !accommodation;
+
+    if (isNew) {
+      accommodation = new TestAccommodation({ ...filter, createdBy: req.user.id });
+    }
+    Object.assign(accommodation, overrides);
+    if (reason !== undefined) accommodation.reason = reason;
+    accommodation.updatedBy = req.user.id;
+
+    const newState = accommodationState(accommodation);
+    if (!OVERRIDE_FIELDS.some(field => newState[field] !== null)) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one override is required'
+      });
+    }
+
+    try {
+      await accommodation.save();
+    } catch (validationError) {
+      if (validationError.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: validationError.message
+        });
+      }
+      throw validationError;
+    }
+
+    await AssessmentAuditLog.logAction({
+      entityType: 'test_accommodation',
+      entityId: accommodation._id,
+      student: accommodation.student,
+      action: isNew ? 'create' : 'update',
+      actor: req.user.id,
+      actorRole: req.user.role === 'admin' ? 'admin' : 'instructor',
+      previousState,
+      newState,
+      changedFields: changedFieldsBetween(previousState, newState),
+      reason: accommodation.reason,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Accommodation created successfully' : 'Accommodation updated successfully',
+      accommodation
+    });
+  } catch (error) {
+    console.error('Upsert accommodation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove an accommodation
+// @route   DELETE /api/test-accommodations/:id
+// @access  Private (Instructor/Admin)
+exports.deleteAccommodation = async (req, res) => {
+  try {
+    const accommodation = await TestAccommodation.findById(req.params.id);
+
+    if (!accommodation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Accommodation not found'
+      });
+    }
+
+    const group = await Group.findById(accommodation.group).select('instructor');
+    if (!canManageGroup(group, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage accommodations for this group'
+      });
+    }
+
+    const previousState = accommodationState(accommodation);
+    await accommodation.deleteOne();
+
+    await AssessmentAuditLog.logAction({
+      entityType: 'test_accommodation',
+      entityId: accommodation._id,
+      student: accommodation.student,
+      action: 'delete',
+      actor: req.user.id,
+      actorRole: req.user.role === 'admin' ? 'admin' : 'instructor',
+      previousState,
+      reason: req.body?.reason,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.json({
+      success: true,
+      message: 'Accommodation removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete accommodation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Audit trail of an accommodation
+// @route   GET /api/test-accommodations/:id/history
+// @access  Private (Instructor/Admin)
+exports.getAccommodationHistory = async (req, res) => {
+  try {
+    const accommodation = await TestAccommodation.findById(req.params.id);
+    let groupId = accommodation ? accommodation.group : null;
+
+    // Deleted accommodations only live on in the audit log
+    if (!groupId) {
+      const lastEntry = await AssessmentAuditLog.findOne({
+        entityType: 'test_accommodation',
+        entityId: req.params.id
+      }).sort({ timestamp: -1 });
+      groupId = lastEntry?.previousState?.group || lastEntry?.newState?.group;
+    }
+
+    if (!groupId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Accommodation not found'
+      });
+    }
+
+    const group = await Group.findById(groupId).select('instructor');
+    if (!canManageGroup(group, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this accommodation'
+      });
+    }
+
+    const history = await AssessmentAuditLog.getAuditTrail('test_accommodation', req.params.id);
+
+    res.json({
+      success: true,
+      count: history.length,
+      history
+    });
+  } catch (error) {
+    console.error('Get accommodation history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -161,6 +161,47 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Handle test integrity signals (focus loss, tab switch, copy/paste, reconnect)
+  socket.on('test_integrity_event', async (data) => {
+    try {
+      const { recordIntegrityEvent } = require('./services/testIntegrityService');
+      // Same client address Express derives with 'trust proxy' = 1: the
+      // entry appended by our proxy, not one the client could have sent
+      const forwarded = socket.handshake.headers['x-forwarded-for'];
+      const ip = (forwarded ? String(forwarded).split(',').pop().trim() : socket.handshake.address) || null;
+
+      const result = await recordIntegrityEvent({
+        attemptId: data && data.attemptId,
+        studentId: socket.userId,
+        payload: data,
+        ip,
+        userAgent: socket.handshake.headers['user-agent'] || null
+      });
+
+      if (result.error) {
+        socket.emit('test_integrity_error', { attemptId: data && data.attemptId, error: result.error });
+        return;
+      }
+
+      if (result.newlyFlagged) {
+        const ActiveTest = require('./models/ActiveTest');
+        const test = await ActiveTest.findById(result.attempt.test).select('title instructor');
+        if (test) {
+          io.to(`user:${test.instructor}`).emit('test_attempt_flagged', {
+            attemptId: result.attempt._id,
+            testId: test._id,
+            testTitle: test.title,
+            studentId: result.attempt.student,
+            suspicionScore: result.attempt.suspicionScore
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Test integrity event error:', error);
+      socket.emit('test_integrity_error', { attemptId: data && data.attemptId, error: 'Failed to record event' });
+    }
+  });
+
   // Handle disconnect
   socket.on('disconnect', () => {
     console.log(`❌ User disconnected: ${socket.userId}`);
@@ -350,6 +391,12 @@ app.use('/api/comments', require('./routes/comments'));
 app.use('/api', require('./routes/sectionPayments'));
 app.use('/api', require('./routes/grading'));
 app.use('/api/active-tests', require('./routes/activeTest'));
+app.use('/api/question-banks', require('./routes/questionBanks'));
+app.use('/api/rubrics', require('./routes/rubrics'));
+app.use('/api/grade-scales', require('./routes/gradeScales'));
+app.use('/api/peer-reviews', require('./routes/peerReviews'));
+app.use('/api/open-badges', require('./routes/openBadges'));
+app.use('/api/test-accommodations', require('./routes/testAccommodations'));
 app.use('/api', require('./routes/deleteRequests'));
 
 // Balance management routes
@@ -483,10 +530,31 @@ setInterval(() => {
   expireDiscounts().catch(err => console.error('Scheduled discount expiry check failed:', err));
 }, 60 * 60 * 1000); // Every hour
 
+// Auto-submit test attempts whose time limit passed without a submission
+const { autoSubmitExpiredAttempts } = require('./services/testAttemptService');
+setInterval(() => {
+  autoSubmitExpiredAttempts().catch(err => console.error('Scheduled test auto-submit failed:', err));
+}, 60 * 1000); // Every minute
+
+// Assign peer reviews of projects past their due date and close ended review windows
+const { processDuePeerReviews } = require('./services/peerReviewService');
+setInterval(() => {
+  processDuePeerReviews({ io: app.get('io') }).catch(err => console.error('Scheduled peer review check failed:', err));
+}, 15 * 60 * 1000); // Every 15 minutes
+
+// Notify students of content that a drip-release rule just opened for them
+const { processContentReleases } = require('./services/contentReleaseService');
+setInterval(() => {
+  processContentReleases({ io: app.get('io') }).catch(err => console.error('Scheduled content release check failed:', err));
+}, 15 * 60 * 1000); // Every 15 minutes
+
 server.listen(PORT, () => {
   console.log(`✅ Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
   console.log(`✅ Socket.IO ready for real-time connections`);
   console.log(`✅ Discount expiry scheduler active (checks every hour)`);
+  console.log(`✅ Test auto-submit scheduler active (checks every minute)`);
+  console.log(`✅ Peer review scheduler active (checks every 15 minutes)`);
+  console.log(`✅ Content release scheduler active (checks every 15 minutes)`);
 
   const enableAutoBackup = process.env.ENABLE_AUTOBACKUP === 'true';
   if (!enableAutoBackup) {
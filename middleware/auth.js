@@ -228,6 +228,39 @@ exports.checkSuspension = (req, res, next) => {
   next();
 };
 
+// Section targeted by a course request: a :sectionId route param, or the
+// section of the content item being accessed or reported on
+const resolveTargetSection = async (req) => {
+  const mongoose = require('mongoose');
+  const Section = require('../models/Section');
+  const Content = require('../models/Content');
+
+  let sectionId = req.params.sectionId;
+  if (!sectionId) {
+    const contentId = req.params.contentId || (req.body && req.body.itemId);
+    if (!contentId || !mongoose.isValidObjectId(contentId)) return null;
+    const content = await Content.findById(contentId).select('section');
+    sectionId = content && content.section;
+  }
+  if (!sectionId || !mongoose.isValidObjectId(sectionId)) return null;
+  return Section.findById(sectionId).select('unlockRules');
+};
+
+// Enrolled students still cannot use a section whose unlock rules are unmet
+const enforceSectionUnlock = async (req, res, next) => {
+  if (!req.user || req.user.role !== 'student') return next();
+
+  const section = await resolveTargetSection(req);
+  if (!section) return next();
+
+  const { getSectionUnlockStatus, lockedResponse } = require('../services/sectionUnlockService');
+  const unlockStatus = await getSectionUnlockStatus(section, req.user.id);
+  if (!unlockStatus.unlocked) {
+    return res.status(403).json(lockedResponse(unlockStatus));
+  }
+  next();
+};
+
 // Check if user is enrolled in course
 exports.checkEnrollment = async (req, res, next) => {
   try {
@@ -260,7 +293,7 @@ exports.checkEnrollment = async (req, res, next) => {
         
         if (userEnrollment) {
           req.enrollment = userEnrollment;
-          return next();
+          return await enforceSectionUnlock(req, res, next);
         }
       }
       
@@ -272,7 +305,7 @@ exports.checkEnrollment = async (req, res, next) => {
     }
 
     req.enrollment = enrollment;
-    next();
+    return await enforceSectionUnlock(req, res, next);
   } catch (error) {
     console.error('Check enrollment error:', error);
     return res.status(500).json({
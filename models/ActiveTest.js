@@ -1,34 +1,5 @@
 const mongoose = require('mongoose');
-
-const questionSchema = new mongoose.Schema({
-  questionText: {
-    type: String,
-    required: [true, 'Question text is required'],
-    trim: true,
-    maxlength: [1000, 'Question text cannot exceed 1000 characters']
-  },
-  options: [{
-    optionText: {
-      type: String,
-      required: true,
-      trim: true,
-      maxlength: [500, 'Option text cannot exceed 500 characters']
-    },
-    isCorrect: {
-      type: Boolean,
-      default: false
-    }
-  }],
-  points: {
-    type: Number,
-    default: 1,
-    min: [0, 'Points cannot be negative']
-  },
-  order: {
-    type: Number,
-    default: 0
-  }
-});
+const questionSchema = require('./questionSchema');
 
 const activeTestSchema = new mongoose.Schema({
   title: {
@@ -64,6 +35,20 @@ const activeTestSchema = new mongoose.Schema({
     required: [true, 'Test must have an instructor']
   },
   questions: [questionSchema],
+  // Questions drawn at random from question banks for every attempt,
+  // in addition to the fixed questions above
+  questionDraws: [{
+    bank: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'QuestionBank',
+      required: true
+    },
+    count: {
+      type: Number,
+      required: true,
+      min: [1, 'Must draw at least 1 question']
+    }
+  }],
   timeLimitMinutes: {
     type: Number,
     required: [true, 'Time limit is required'],
@@ -108,6 +93,12 @@ const activeTestSchema = new mongoose.Schema({
   showCorrectAnswers: {
     type: Boolean,
     default: true
+  },
+  // When students may open the post-test review of their attempts
+  reviewTiming: {
+    type: String,
+    enum: ['immediately', 'after_end_date', 'after_last_attempt'],
+    default: 'immediately'
   }
 }, {
   timestamps: true
@@ -118,7 +109,9 @@ activeTestSchema.index({ section: 1, isActive: 1 });
 activeTestSchema.index({ course: 1, group: 1 });
 activeTestSchema.index({ instructor: 1 });
 
-// Virtual for total points
+activeTestSchema.index({ 'questionDraws.bank': 1 });
+
+// Virtual for total points of the fixed questions (drawn questions are totalled per attempt)
 activeTestSchema.virtual('totalPoints').get(function() {
   return this.questions.reduce((sum, q) => sum + (q.points || 1), 0);
 });
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const assessmentAuditLogSchema = new mongoose.Schema({
+  // Context
+  entityType: {
+    type: String,
+    enum: ['test_accommodation', 'submission_extension'],
+    required: [true, 'Entity type is required'],
+    index: true
+  },
+  entityId: {
+    type: mongoose.Schema.ObjectId,
+    required: [true, 'Entity ID is required'],
+    index: true
+  },
+  // Student affected by the change, for per-student history
+  student: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    index: true
+  },
+
+  // Action
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: [true, 'Action is required']
+  },
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required'],
+    index: true
+  },
+  actorRole: {
+    type: String,
+    enum: ['admin', 'instructor', 'system'],
+    required: true
+  },
+
+  // Details
+  previousState: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  newState: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  changedFields: [{
+    type: String
+  }],
+  reason: {
+    type: String,
+    maxlength: [2000, 'Reason cannot exceed 2000 characters']
+  },
+
+  // Metadata
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+    index: true
+  }
+}, {
+  timestamps: false // We use timestamp field instead
+});
+
+assessmentAuditLogSchema.index({ entityType: 1, entityId: 1, timestamp: -1 });
+assessmentAuditLogSchema.index({ student: 1, timestamp: -1 });
+
+// Prevent any updates or deletes (immutable log)
+assessmentAuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit logs cannot be modified'));
+  }
+  next();
+});
+
+assessmentAuditLogSchema.pre('deleteOne', function(next) {
+  next(new Error('Audit logs cannot be deleted'));
+});
+
+assessmentAuditLogSchema.pre('deleteMany', function(next) {
+  next(new Error('Audit logs cannot be deleted'));
+});
+
+// Static method to log action
+assessmentAuditLogSchema.statics.logAction = async function(data) {
+  try {
+    const log = new this(data);
+    await log.save();
+    return log;
+  } catch (error) {
+    console.error('Failed to create assessment audit log:', error);
+    // Don't throw - audit logging should not break main functionality
+    return null;
+  }
+};
+
+// Static method to get audit trail for entity
+assessmentAuditLogSchema.statics.getAuditTrail = async function(entityType, entityId, limit = 50) {
+  return this.find({
+    entityType,
+    entityId
+  })
+  .populate('actor', 'name email role')
+  .sort({ timestamp: -1 })
+  .limit(limit);
+};
+
+module.exports = mongoose.model('AssessmentAuditLog', assessmentAuditLogSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Issuing the certificates of a whole group in one go. The job runs in the
+// background; processed/total report progress and every student ends up in
+// either issued or skipped. See certificateBatchService.
+const certificateIssueJobSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  // Students the instructor picked; empty means everyone in the group
+  students: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  issued: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    certificate: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'CertificateRequest'
+    }
+  }],
+  skipped: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    message: String
+  }],
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+certificateIssueJobSchema.index({ group: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CertificateIssueJob', certificateIssueJobSchema);
@@ -17,7 +17,7 @@ const certificateRequestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['requested', 'issued', 'rejected'],
+    enum: ['requested', 'issued', 'rejected', 'revoked'],
     default: 'requested'
   },
   courseGrade: {
@@ -40,15 +40,51 @@ const certificateRequestSchema = new mongoose.Schema({
     url: String,
     mimeType: String,
     size: Number,
-    uploadedAt: Date
+    uploadedAt: Date,
+    // Rendered by certificatePdfService rather than uploaded
+    generated: {
+      type: Boolean,
+      default: false
+    }
   },
-  rejectionReason: String
+  // Serial printed on the certificate and encoded in its QR code; anyone can
+  // check it through the public verification route
+  verificationCode: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  rejectionReason: String,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: String,
+  // Set when a certificate was revoked and issued again under a new serial
+  reissuedFrom: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'CertificateRequest'
+  },
+  replacedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'CertificateRequest'
+  }
 }, {
   timestamps: true,
   toJSON: { getters: true },
   toObject: { getters: true }
 });
 
+// Every issued certificate carries a serial, uploaded ones included
+certificateRequestSchema.pre('save', function(next) {
+  if (this.status === 'issued' && !this.verificationCode) {
+    const { generateVerificationCode } = require('../services/certificatePdfService');
+    this.verificationCode = generateVerificationCode();
+  }
+  next();
+});
+
 // Indexes for efficient queries
 certificateRequestSchema.index({ student: 1, course: 1 });
 certificateRequestSchema.index({ status: 1, requestedAt: -1 });
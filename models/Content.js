@@ -1,4 +1,73 @@
 const mongoose = require('mongoose');
+const latePolicySchema = require('./latePolicySchema');
+
+// Optional peer review phase of a project. Once the due date passes, every
+// submission is assigned anonymously to reviewersPerSubmission classmates
+// of the group, who score it with the project's rubric until closesAt.
+// See peerReviewService.
+const peerReviewSettingsSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  reviewersPerSubmission: {
+    type: Number,
+    min: [1, 'At least one reviewer per submission is required'],
+    max: [10, 'Cannot exceed 10 reviewers per submission'],
+    default: 3
+  },
+  reviewWindowHours: {
+    type: Number,
+    min: [1, 'Review window must be at least 1 hour'],
+    max: [720, 'Review window cannot exceed 720 hours'],
+    default: 168
+  },
+  // Percent taken off the reviewer's own grade for each review they skip
+  skipPenaltyPercent: {
+    type: Number,
+    min: [0, 'Penalty cannot be negative'],
+    max: [100, 'Penalty cannot exceed 100%'],
+    default: 0
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  closesAt: {
+    type: Date,
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// When a published item becomes visible to the students of its group:
+// on a fixed date, some days after each student enrolled, or some days
+// before/after the group starts. notifiedAt marks how far the release
+// notifications have been sent. See contentReleaseService.
+const releaseRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['immediate', 'fixed_date', 'after_enrollment', 'after_group_start'],
+    default: 'immediate'
+  },
+  date: {
+    type: Date,
+    default: null
+  },
+  days: {
+    type: Number,
+    min: [-365, 'Cannot release more than 365 days before the group starts'],
+    max: [365, 'Cannot release more than 365 days later'],
+    default: 0
+  },
+  notifiedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
 
 const contentSchema = new mongoose.Schema({
   title: {
@@ -168,6 +237,26 @@ const contentSchema = new mongoose.Schema({
     type: Number,
     default: 100
   },
+  // Assignments/projects: overrides the course's late policy; null uses the course's
+  latePolicy: {
+    type: latePolicySchema,
+    default: null
+  },
+  // Assignments/projects: rubric used to grade submissions
+  rubric: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Rubric',
+    default: null
+  },
+  // Projects: peer review phase after the due date; null when never set up
+  peerReview: {
+    type: peerReviewSettingsSchema,
+    default: null
+  },
+  release: {
+    type: releaseRuleSchema,
+    default: null
+  },
   dueDate: {
     type: Date
   },
@@ -220,6 +309,7 @@ const contentSchema = new mongoose.Schema({
 contentSchema.index({ section: 1, order: 1 });
 contentSchema.index({ group: 1, type: 1 });
 contentSchema.index({ course: 1 });
+contentSchema.index({ 'release.type': 1 });
 
 // Virtual for full video URL
 contentSchema.virtual('videoUrl').get(function() {
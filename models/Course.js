@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { gradeWeightsSchema } = require('./gradeWeightsSchema');
+const latePolicySchema = require('./latePolicySchema');
 
 const courseSchema = new mongoose.Schema({
   name: {
@@ -169,6 +171,29 @@ const courseSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Category weights for section grades; null averages the categories equally
+  gradeWeights: {
+    type: gradeWeightsSchema,
+    default: null
+  },
+  // When false, work a student has not submitted (and tests not taken) is left
+  // out of the grade instead of counting as 0
+  countMissingAsZero: {
+    type: Boolean,
+    default: true
+  },
+  // Scale used to show grades as labels; null shows percentages only
+  gradeScale: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'GradeScale',
+    default: null
+  },
+  // Late submission policy for assignments and projects; null accepts late
+  // work without a penalty
+  latePolicy: {
+    type: latePolicySchema,
+    default: null
+  },
   allowRatingAfterCompletion: {
     type: Boolean,
     default: true
@@ -82,6 +82,22 @@ const courseGradeSchema = new mongoose.Schema({
     get: (value) => (value ? parseFloat(value.toString()) : 0)
   },
   
+  testsTotal: {
+    type: Number,
+    default: 0
+  },
+  testsGrade: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: 0.0,
+    get: (value) => (value ? parseFloat(value.toString()) : 0)
+  },
+  
+  // Label of overallGrade on the course's grade scale, if it has one
+  gradeLabel: {
+    type: String,
+    default: null
+  },
+  
   // Completion status
   isComplete: {
     type: Boolean,
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// Append-only history of a student's grade on an assignment/project. Every
+// change to StudentContentGrade adds an entry with the values before and
+// after; entries are never updated or removed. See gradeHistoryService.
+const GRADE_HISTORY_ACTIONS = [
+  'submitted',
+  'resubmitted',
+  'graded',
+  'regraded',
+  'imported',
+  'late_penalty',
+  'peer_review_penalty',
+  'regrade_requested',
+  'regrade_rejected',
+  'regrade_withdrawn'
+];
+
+const gradeHistorySchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Content',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  section: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Section'
+  },
+  action: {
+    type: String,
+    enum: GRADE_HISTORY_ACTIONS,
+    required: [true, 'Action is required']
+  },
+  // null for changes made by the system, e.g. closing a peer review window
+  changedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  previousStatus: {
+    type: String,
+    default: null
+  },
+  newStatus: {
+    type: String,
+    default: null
+  },
+  previousGradePercent: {
+    type: Number,
+    default: null
+  },
+  newGradePercent: {
+    type: Number,
+    default: null
+  },
+  // Grades before penalties
+  previousRawGradePercent: {
+    type: Number,
+    default: null
+  },
+  newRawGradePercent: {
+    type: Number,
+    default: null
+  },
+  feedback: {
+    type: String,
+    default: ''
+  },
+  reason: {
+    type: String,
+    maxlength: [2000, 'Reason cannot exceed 2000 characters'],
+    default: ''
+  },
+  regradeRequest: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'RegradeRequest',
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  timestamps: false
+});
+
+gradeHistorySchema.index({ student: 1, content: 1, timestamp: -1 });
+gradeHistorySchema.index({ course: 1, timestamp: -1 });
+
+// Prevent any updates or deletes (append-only)
+gradeHistorySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Grade history cannot be modified'));
+  }
+  next();
+});
+
+gradeHistorySchema.pre('deleteOne', function(next) {
+  next(new Error('Grade history cannot be deleted'));
+});
+
+gradeHistorySchema.pre('deleteMany', function(next) {
+  next(new Error('Grade history cannot be deleted'));
+});
+
+// Static method to record a change
+gradeHistorySchema.statics.record = async function(data) {
+  try {
+    const entry = new this(data);
+    await entry.save();
+    return entry;
+  } catch (error) {
+    console.error('Failed to record grade history:', error);
+    // Don't throw - history should not break grading itself
+    return null;
+  }
+};
+
+gradeHistorySchema.statics.ACTIONS = GRADE_HISTORY_ACTIONS;
+
+module.exports = mongoose.model('GradeHistory', gradeHistorySchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Admin-defined scale that maps percentage grades to labels such as A-F,
+// 1-10, pass/fail or local wording. A grade gets the level with the highest
+// minPercent it reaches; see gradeUtils.mapGradeToScale.
+const gradeScaleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Grade scale name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  levels: [{
+    _id: false,
+    label: {
+      type: String,
+      required: [true, 'Level label is required'],
+      trim: true,
+      maxlength: [50, 'Level label cannot exceed 50 characters']
+    },
+    minPercent: {
+      type: Number,
+      required: [true, 'Level minimum percentage is required'],
+      min: [0, 'Minimum percentage cannot be negative'],
+      max: [100, 'Minimum percentage cannot exceed 100']
+    },
+    passing: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('GradeScale', gradeScaleSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const rubricAssessmentSchema = require('./rubricAssessmentSchema');
+
+// One classmate's review of a project submission. Students only ever see
+// reviews by id, never who wrote or received them.
+const peerReviewSchema = new mongoose.Schema({
+  content: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Content',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  group: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  // Student whose submission is reviewed
+  author: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['assigned', 'submitted', 'missed'],
+    default: 'assigned'
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  rubricAssessment: {
+    type: rubricAssessmentSchema,
+    default: null
+  },
+  gradePercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Comment cannot exceed 5000 characters'],
+    default: ''
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+peerReviewSchema.index({ content: 1, author: 1, reviewer: 1 }, { unique: true });
+peerReviewSchema.index({ reviewer: 1, status: 1 });
+
+module.exports = mongoose.model('PeerReview', peerReviewSchema);
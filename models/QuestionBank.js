@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const questionSchema = require('./questionSchema');
+
+const questionBankSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Question bank name is required'],
+    trim: true,
+    maxlength: [200, 'Name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    default: ''
+  },
+  instructor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Question bank must have an owner']
+  },
+  course: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  section: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Section',
+    default: null
+  },
+  topics: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Topic cannot exceed 100 characters']
+  }],
+  questions: [questionSchema]
+}, {
+  timestamps: true
+});
+
+questionBankSchema.index({ instructor: 1, course: 1 });
+questionBankSchema.index({ section: 1 });
+questionBankSchema.index({ topics: 1 });
+
+questionBankSchema.virtual('questionCount').get(function() {
+  return this.questions ? this.questions.length : 0;
+});
+
+questionBankSchema.set('toJSON', { virtuals: true });
+questionBankSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('QuestionBank', questionBankSchema);
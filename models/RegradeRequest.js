@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A student asking the instructor to look at a grade again, without
+// submitting a new file (that is the reupload flow on StudentContentGrade).
+const regradeRequestSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Content',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  section: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Section'
+  },
+  reason: {
+    type: String,
+    required: [true, 'Explain why the grade should be reviewed'],
+    trim: true,
+    maxlength: [2000, 'Reason cannot exceed 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  gradePercentAtRequest: {
+    type: Number,
+    default: null
+  },
+  newGradePercent: {
+    type: Number,
+    default: null
+  },
+  response: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Response cannot exceed 2000 characters'],
+    default: ''
+  },
+  resolvedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+regradeRequestSchema.index({ content: 1, student: 1, createdAt: -1 });
+regradeRequestSchema.index({ course: 1, status: 1 });
+
+module.exports = mongoose.model('RegradeRequest', regradeRequestSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Reusable grading rubric for assignments and projects. Each criterion has
+// performance levels worth a number of points; a grade picks one level per
+// criterion (see rubricService).
+const levelSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Level title is required'],
+    trim: true,
+    maxlength: [100, 'Level title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Level description cannot exceed 1000 characters'],
+    default: ''
+  },
+  points: {
+    type: Number,
+    required: [true, 'Level points are required'],
+    min: [0, 'Level points cannot be negative']
+  }
+});
+
+const criterionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Criterion title is required'],
+    trim: true,
+    maxlength: [200, 'Criterion title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Criterion description cannot exceed 2000 characters'],
+    default: ''
+  },
+  levels: [levelSchema]
+});
+
+const rubricSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Rubric title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    default: ''
+  },
+  instructor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Rubric must have an owner']
+  },
+  course: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  criteria: [criterionSchema]
+}, {
+  timestamps: true
+});
+
+rubricSchema.index({ instructor: 1, course: 1 });
+
+rubricSchema.virtual('maxPoints').get(function() {
+  return (this.criteria || []).reduce(
+    (sum, criterion) => sum + Math.max(0, ...(criterion.levels || []).map(l => l.points || 0)),
+    0
+  );
+});
+
+rubricSchema.set('toJSON', { virtuals: true });
+rubricSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Rubric', rubricSchema);
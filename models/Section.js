@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { gradeWeightsSchema } = require('./gradeWeightsSchema');
 
 const sectionSchema = new mongoose.Schema({
   name: {
@@ -51,6 +52,35 @@ const sectionSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Prerequisites a student must meet before the section opens, in addition
+  // to payment. All rules must be met; see sectionUnlockService.
+  unlockRules: [{
+    type: {
+      type: String,
+      enum: ['pass_test', 'complete_section', 'assignments_graded'],
+      required: true
+    },
+    test: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'ActiveTest'
+    },
+    // pass_test: null uses the test's passing score
+    minScore: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: null
+    },
+    section: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Section'
+    }
+  }],
+  // Overrides the course's grade weights for this section; null uses the course's
+  gradeWeights: {
+    type: gradeWeightsSchema,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
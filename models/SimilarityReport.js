@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Result of comparing the submissions of one assignment/project with each
+// other. Reports are kept so earlier runs can be compared; the latest one
+// is shown. See similarityService for how similarity is measured.
+const passageSchema = new mongoose.Schema({
+  fileA: String,
+  textA: String,
+  fileB: String,
+  textB: String,
+  tokens: Number
+}, { _id: false });
+
+const similarityReportSchema = new mongoose.Schema({
+  content: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Content',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  requestedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submissionsChecked: {
+    type: Number,
+    default: 0
+  },
+  // Submissions or files inside them that could not be compared
+  skipped: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    file: String,
+    reason: String
+  }],
+  pairs: [{
+    _id: false,
+    studentA: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    studentB: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    similarityPercent: Number,
+    // Share of each submission's fingerprints found in the other one
+    containmentA: Number,
+    containmentB: Number,
+    sharedFingerprints: Number,
+    passages: [passageSchema]
+  }],
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+similarityReportSchema.index({ content: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SimilarityReport', similarityReportSchema);
@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const rubricAssessmentSchema = require('./rubricAssessmentSchema');
+
+// How late a submission was and the penalty applied to its grade
+const latePenaltySchema = new mongoose.Schema({
+  dueDate: Date,
+  submittedAt: Date,
+  extended: Boolean,
+  daysLate: Number,
+  penaltyPercent: Number
+}, { _id: false });
+
+// Peer reviews a student skipped and the penalty taken off their own grade
+const peerReviewPenaltySchema = new mongoose.Schema({
+  assigned: Number,
+  missed: Number,
+  penaltyPercent: Number
+}, { _id: false });
 
 const studentContentGradeSchema = new mongoose.Schema({
   student: {
@@ -32,6 +49,21 @@ const studentContentGradeSchema = new mongoose.Schema({
       return Math.min(100, Math.max(0, isNaN(num) ? 0 : num));
     }
   },
+  // Grade before late and peer review penalties; gradePercent holds the penalized grade
+  rawGradePercent: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: null,
+    get: (value) => (value ? parseFloat(value.toString()) : null)
+  },
+  submittedAt: Date,
+  latePenalty: {
+    type: latePenaltySchema,
+    default: null
+  },
+  peerReviewPenalty: {
+    type: peerReviewPenaltySchema,
+    default: null
+  },
   status: {
     type: String,
     enum: ['not_delivered', 'submitted_ungraded', 'graded', 'watched'],
@@ -104,6 +136,10 @@ const studentContentGradeSchema = new mongoose.Schema({
     ref: 'User'
   },
   initialFeedback: String,
+  rubricAssessment: {
+    type: rubricAssessmentSchema,
+    default: null
+  },
   gradedBy: {
     type: mongoose.Schema.ObjectId,
     ref: 'User'
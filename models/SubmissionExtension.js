@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Per-student due date for an assignment or project, replacing
+// Content.dueDate for that student when the late policy is applied.
+const submissionExtensionSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  content: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Content',
+    required: [true, 'Content is required']
+  },
+  course: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Extended due date is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters'],
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+submissionExtensionSchema.index({ content: 1, student: 1 }, { unique: true });
+submissionExtensionSchema.index({ course: 1 });
+
+module.exports = mongoose.model('SubmissionExtension', submissionExtensionSchema);
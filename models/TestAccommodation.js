@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Per-student overrides of ActiveTest settings. An accommodation applies to a
+// single test, or to every test of a group when only `group` is set; a
+// test-level accommodation wins over a group-level one field by field.
+const testAccommodationSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  test: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ActiveTest',
+    default: null
+  },
+  group: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Group',
+    required: [true, 'Group is required']
+  },
+  // Absolute time limit; takes precedence over timeMultiplier
+  timeLimitMinutes: {
+    type: Number,
+    default: null,
+    min: [1, 'Time limit must be at least 1 minute'],
+    max: [900, 'Time limit cannot exceed 900 minutes']
+  },
+  // e.g. 1.5 for 50% extra time
+  timeMultiplier: {
+    type: Number,
+    default: null,
+    min: [1, 'Time multiplier cannot reduce the time limit'],
+    max: [5, 'Time multiplier cannot exceed 5']
+  },
+  maxAttempts: {
+    type: Number,
+    default: null,
+    min: [1, 'Must allow at least 1 attempt']
+  },
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  passingScore: {
+    type: Number,
+    default: null,
+    min: [0, 'Passing score cannot be negative'],
+    max: [100, 'Passing score cannot exceed 100']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters'],
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+testAccommodationSchema.index({ student: 1, group: 1, test: 1 }, { unique: true });
+testAccommodationSchema.index({ test: 1 });
+testAccommodationSchema.index({ group: 1 });
+
+testAccommodationSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('TestAccommodation', testAccommodationSchema);
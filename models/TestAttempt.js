@@ -1,13 +1,79 @@
 const mongoose = require('mongoose');
+const questionSchema = require('./questionSchema');
+
+// Snapshot of a question drawn from a bank. The snapshot keeps the bank
+// question's _id so answers reference it just like fixed test questions.
+const drawnQuestionSchema = questionSchema.clone();
+drawnQuestionSchema.add({
+  sourceBank: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'QuestionBank'
+  }
+});
 
 const answerSchema = new mongoose.Schema({
   questionId: {
     type: mongoose.Schema.ObjectId,
     required: true
   },
+  // single_choice
   selectedOptionIndex: {
     type: Number,
-    required: true
+    default: null
+  },
+  // multi_select
+  selectedOptionIndexes: [{
+    type: Number
+  }],
+  // true_false
+  booleanAnswer: {
+    type: Boolean,
+    default: null
+  },
+  // numeric
+  numericAnswer: {
+    type: Number,
+    default: null
+  },
+  // short_answer
+  textAnswer: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Answer cannot exceed 1000 characters'],
+    default: null
+  },
+  // matching: for each prompt (by index), the index of the chosen match
+  matchingAnswer: [{
+    type: Number
+  }],
+  // ordering: original item indexes in the order the student arranged them
+  orderingAnswer: [{
+    type: Number
+  }],
+  // essay
+  essayAnswer: {
+    type: String,
+    maxlength: [20000, 'Essay cannot exceed 20000 characters'],
+    default: null
+  },
+  // Manual review of essay answers
+  reviewStatus: {
+    type: String,
+    enum: ['not_required', 'pending', 'graded'],
+    default: 'not_required'
+  },
+  feedback: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Feedback cannot exceed 2000 characters'],
+    default: ''
+  },
+  gradedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  gradedAt: {
+    type: Date
   },
   isCorrect: {
     type: Boolean,
@@ -19,6 +85,56 @@ const answerSchema = new mongoose.Schema({
   }
 });
 
+// Order in which the matches of a matching question or the items of an
+// ordering question are shown to this attempt. order[token] is the original
+// index; students submit tokens and answers are stored as original indexes.
+const answerOrderSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.ObjectId,
+    required: true
+  },
+  order: [{
+    type: Number
+  }]
+}, { _id: false });
+
+// Client or server observed signal that the student may have left the test.
+// Recorded while the attempt is in progress; see testIntegrityService.
+const integrityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['window_blur', 'tab_hidden', 'copy', 'paste', 'reconnect', 'ip_change'],
+    required: true
+  },
+  // Time reported by the client, clamped to the attempt window
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // How long the student was away (window_blur / tab_hidden)
+  durationSeconds: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  previousIp: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
 const testAttemptSchema = new mongoose.Schema({
   test: {
     type: mongoose.Schema.ObjectId,
@@ -45,7 +161,9 @@ const testAttemptSchema = new mongoose.Schema({
     ref: 'Group',
     required: true
   },
+  drawnQuestions: [drawnQuestionSchema],
   answers: [answerSchema],
+  answerOrders: [answerOrderSchema],
   startTime: {
     type: Date,
     required: true,
@@ -59,7 +177,7 @@ const testAttemptSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['in_progress', 'submitted', 'expired', 'graded'],
+    enum: ['in_progress', 'submitted', 'expired', 'pending_review', 'graded'],
     default: 'in_progress'
   },
   score: {
@@ -92,6 +210,43 @@ const testAttemptSchema = new mongoose.Schema({
   autoSubmitted: {
     type: Boolean,
     default: false
+  },
+  // Set when the last essay answer of a pending_review attempt was graded
+  reviewCompletedAt: {
+    type: Date,
+    default: null
+  },
+  // Last time answers were autosaved while the attempt was in progress
+  lastSavedAt: {
+    type: Date,
+    default: null
+  },
+  // Integrity signals, only visible to instructors and admins
+  startIp: {
+    type: String,
+    default: null,
+    select: false
+  },
+  lastIp: {
+    type: String,
+    default: null,
+    select: false
+  },
+  integrityEvents: {
+    type: [integrityEventSchema],
+    select: false
+  },
+  suspicionScore: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100,
+    select: false
+  },
+  flagged: {
+    type: Boolean,
+    default: false,
+    select: false
   }
 }, {
   timestamps: true
@@ -102,6 +257,8 @@ testAttemptSchema.index({ test: 1, student: 1, attemptNumber: 1 });
 testAttemptSchema.index({ student: 1, status: 1 });
 testAttemptSchema.index({ test: 1, status: 1 });
 testAttemptSchema.index({ course: 1, student: 1 });
+testAttemptSchema.index({ status: 1, endTime: 1 });
+testAttemptSchema.index({ test: 1, flagged: 1 });
 
 // Calculate time spent before saving
 testAttemptSchema.pre('save', function(next) {
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Relative weight of each grade category, shared by Course.gradeWeights and
+// the per-section override on Section.gradeWeights. Weights do not need to
+// add up to 100: categories a section has nothing in are left out and the
+// remaining weights are scaled to fill the grade.
+const GRADE_CATEGORIES = ['lectures', 'assignments', 'projects', 'tests'];
+
+const weightField = {
+  type: Number,
+  min: [0, 'Grade weight cannot be negative'],
+  max: [100, 'Grade weight cannot exceed 100'],
+  default: 0
+};
+
+const gradeWeightsSchema = new mongoose.Schema({
+  lectures: weightField,
+  assignments: weightField,
+  projects: weightField,
+  tests: weightField
+}, { _id: false });
+
+module.exports = { GRADE_CATEGORIES, gradeWeightsSchema };
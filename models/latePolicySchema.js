@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Late submission policy for assignments and projects, shared by
+// Course.latePolicy and the per-content override on Content.latePolicy.
+// Submissions are late once the due date plus the grace period has passed;
+// see latePolicyService for how penalties are computed.
+const latePolicySchema = new mongoose.Schema({
+  gracePeriodHours: {
+    type: Number,
+    min: [0, 'Grace period cannot be negative'],
+    max: [720, 'Grace period cannot exceed 720 hours'],
+    default: 0
+  },
+  // Percent taken off the grade for each started day past the grace period
+  penaltyPercentPerDay: {
+    type: Number,
+    min: [0, 'Penalty cannot be negative'],
+    max: [100, 'Penalty cannot exceed 100%'],
+    default: 0
+  },
+  maxPenaltyPercent: {
+    type: Number,
+    min: [0, 'Maximum penalty cannot be negative'],
+    max: [100, 'Maximum penalty cannot exceed 100%'],
+    default: 100
+  },
+  // Reject submissions past the grace period instead of penalizing them
+  hardCutoff: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+module.exports = latePolicySchema;
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+// Shared by ActiveTest.questions, QuestionBank.questions and the question
+// snapshots stored on TestAttempt.
+const QUESTION_TYPES = [
+  'single_choice',
+  'multi_select',
+  'true_false',
+  'numeric',
+  'short_answer',
+  'matching',
+  'ordering',
+  'essay'
+];
+
+const questionSchema = new mongoose.Schema({
+  questionText: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [1000, 'Question text cannot exceed 1000 characters']
+  },
+  questionType: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'single_choice'
+  },
+  // single_choice / multi_select
+  options: [{
+    optionText: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [500, 'Option text cannot exceed 500 characters']
+    },
+    isCorrect: {
+      type: Boolean,
+      default: false
+    },
+    // Shown in the post-test review next to this option
+    feedback: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Option feedback cannot exceed 1000 characters'],
+      default: ''
+    }
+  }],
+  // multi_select / matching / ordering: award a fraction of the points for partially correct answers
+  partialCredit: {
+    type: Boolean,
+    default: true
+  },
+  // true_false
+  correctBoolean: {
+    type: Boolean,
+    default: null
+  },
+  // numeric
+  numericAnswer: {
+    type: Number,
+    default: null
+  },
+  numericTolerance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tolerance cannot be negative']
+  },
+  // short_answer
+  acceptedAnswers: [{
+    type: String,
+    trim: true,
+    maxlength: [500, 'Accepted answer cannot exceed 500 characters']
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // matching: each prompt must be paired with its match
+  matchingPairs: [{
+    prompt: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [500, 'Matching prompt cannot exceed 500 characters']
+    },
+    match: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [500, 'Matching answer cannot exceed 500 characters']
+    }
+  }],
+  // ordering: items stored in their correct order
+  orderingItems: [{
+    type: String,
+    trim: true,
+    maxlength: [500, 'Ordering item cannot exceed 500 characters']
+  }],
+  // essay: graded by the instructor; gradingNotes are never shown to students
+  maxWords: {
+    type: Number,
+    default: null,
+    min: [1, 'Word limit must be at least 1']
+  },
+  gradingNotes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Grading notes cannot exceed 2000 characters'],
+    default: ''
+  },
+  // Post-test review: why the answer is correct and which lecture covers it
+  explanation: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Explanation cannot exceed 5000 characters'],
+    default: ''
+  },
+  referenceContent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Content',
+    default: null
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: [0, 'Points cannot be negative']
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = questionSchema;
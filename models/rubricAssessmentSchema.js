@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Snapshot of the rubric levels picked when grading with a rubric, so later
+// edits to the rubric do not change a given grade. Shared by
+// StudentContentGrade and PeerReview.
+const rubricAssessmentSchema = new mongoose.Schema({
+  rubric: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Rubric'
+  },
+  title: String,
+  criteria: [{
+    _id: false,
+    criterion: mongoose.Schema.ObjectId,
+    title: String,
+    level: mongoose.Schema.ObjectId,
+    levelTitle: String,
+    points: Number,
+    maxPoints: Number,
+    comment: String
+  }],
+  totalPoints: Number,
+  maxPoints: Number
+}, { _id: false });
+
+module.exports = rubricAssessmentSchema;
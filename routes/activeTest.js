@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const {
   createTest,
   getTestsBySection,
@@ -8,27 +9,42 @@ const {
   deleteTest,
   startTest,
   submitTest,
+  saveProgress,
   getTestAttempts,
   getSingleAttempt,
+  getAttemptReview,
+  regradeAttempt,
   getTestStatistics,
-  resetStudentAttempts
+  getItemAnalysis,
+  resetStudentAttempts,
+  importTest,
+  exportTest
 } = require('../controllers/activeTest');
 const { protect, authorize, requireInstructorNotRestricted, requireStudentNotRestricted } = require('../middleware/auth');
 
+// GIFT / Moodle XML files are parsed in memory
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
 // Instructor routes
 router.post('/', protect, authorize('instructor', 'admin'), requireInstructorNotRestricted('manageActiveTests'), createTest);
+router.post('/import', protect, authorize('instructor', 'admin'), requireInstructorNotRestricted('manageActiveTests'), upload.single('file'), importTest);
+router.get('/:id/export', protect, authorize('instructor', 'admin'), exportTest);
 router.put('/:id', protect, authorize('instructor', 'admin'), requireInstructorNotRestricted('manageActiveTests'), updateTest);
 router.delete('/:id', protect, authorize('instructor', 'admin'), requireInstructorNotRestricted('manageActiveTests'), deleteTest);
 router.get('/:id/statistics', protect, authorize('instructor', 'admin'), getTestStatistics);
+router.get('/:id/item-analysis', protect, authorize('instructor', 'admin'), getItemAnalysis);
+router.post('/attempts/:attemptId/regrade', protect, authorize('instructor', 'admin'), requireInstructorNotRestricted('manageActiveTests'), regradeAttempt);
 router.delete('/:id/attempts/:studentId', protect, authorize('instructor', 'admin'), resetStudentAttempts);
 
 // Student routes
 router.post('/:testId/start', protect, authorize('student'), requireStudentNotRestricted('continueCourses'), startTest);
 router.post('/:testId/submit', protect, authorize('student'), requireStudentNotRestricted('continueCourses'), submitTest);
+router.put('/:testId/progress', protect, authorize('student'), requireStudentNotRestricted('continueCourses'), saveProgress);
 
 // Both instructor and student routes
 router.get('/section/:sectionId', protect, getTestsBySection);
 router.get('/attempts/:attemptId', protect, getSingleAttempt);
+router.get('/attempts/:attemptId/review', protect, getAttemptReview);
 router.get('/:id', protect, getTest);
 router.get('/:id/attempts', protect, getTestAttempts);
 
@@ -8,7 +8,13 @@ const {
   approveCertificate,
   rejectCertificate,
   deleteCertificateRequest,
-  getMyCertificateEligibility
+  getMyCertificateEligibility,
+  verifyCertificate,
+  revokeCertificate,
+  reissueCertificate,
+  previewGroupCertificates,
+  issueGroupCertificates,
+  getCertificateIssueJob
 } = require('../controllers/certificates');
 const { protect, authorize, requireStudentNotRestricted, requireInstructorNotRestricted } = require('../middleware/auth');
 const { uploadCertificate } = require('../middleware/upload');
@@ -16,6 +22,11 @@ const scanFile = require('../middleware/scanFile');
 
 const router = express.Router();
 
+// @desc    Check a certificate by its serial
+// @route   GET /api/certificates/verify/:code
+// @access  Public
+router.get('/verify/:code', verifyCertificate);
+
 // @desc    Request certificate
 // @route   POST /api/certificates/request
 // @access  Private (Student)
@@ -40,6 +51,21 @@ router.get('/my-requests', protect, authorize('student'), requireStudentNotRestr
 
 router.get('/my-eligibility', protect, authorize('student'), requireStudentNotRestricted('requestCertificate'), getMyCertificateEligibility);
 
+// @desc    Preview who in a group would get a certificate
+// @route   GET /api/certificates/groups/:groupId/preview
+// @access  Private (Instructor/Admin)
+router.get('/groups/:groupId/preview', protect, authorize('instructor', 'admin'), previewGroupCertificates);
+
+// @desc    Issue the certificates of a group in a background job
+// @route   POST /api/certificates/groups/:groupId/issue
+// @access  Private (Instructor/Admin)
+router.post('/groups/:groupId/issue', protect, authorize('instructor', 'admin'), requireInstructorNotRestricted('issueCertificates'), issueGroupCertificates);
+
+// @desc    Progress and result of a bulk certificate job
+// @route   GET /api/certificates/jobs/:jobId
+// @access  Private (Instructor/Admin)
+router.get('/jobs/:jobId', protect, authorize('instructor', 'admin'), getCertificateIssueJob);
+
 // @desc    Approve certificate
 // @route   POST /api/certificates/:id/approve
 // @access  Private (Instructor/Admin)
@@ -52,6 +78,18 @@ router.post('/:id/reject', protect, authorize('instructor', 'admin'), requireIns
   body('reason').optional().isString()
 ], rejectCertificate);
 
+// @desc    Revoke certificate
+// @route   POST /api/certificates/:id/revoke
+// @access  Private (Admin)
+router.post('/:id/revoke', protect, authorize('admin'), [
+  body('reason').isString().notEmpty().withMessage('Reason is required')
+], revokeCertificate);
+
+// @desc    Reissue certificate under a new serial
+// @route   POST /api/certificates/:id/reissue
+// @access  Private (Admin)
+router.post('/:id/reissue', protect, authorize('admin'), uploadCertificate.single('certificate'), scanFile, reissueCertificate);
+
 // @desc    Delete certificate request
 // @route   DELETE /api/certificates/:id
 // @access  Private (Admin)
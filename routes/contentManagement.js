@@ -18,6 +18,7 @@ const {
   streamVideo,
   downloadFile,
   updateContent,
+  updateContentRelease,
   reorderContent,
   deleteContent
 } = require('../controllers/contentManagement');
@@ -107,6 +108,28 @@ router.put(
   handleDynamicUploadError
 );
 
+// Set when content is released to students
+router.put(
+  '/content/:contentId/release',
+  protect,
+  authorize('instructor', 'admin'),
+  async (req, res, next) => {
+    try {
+      // Only the restriction of the content's own type applies
+      const Content = require('../models/Content');
+      const content = await Content.findById(req.params.contentId).select('type');
+      if (!content) {
+        return res.status(404).json({ success: false, message: 'Content not found' });
+      }
+      const restriction = content.type === 'lecture' ? 'createEditDeleteLectures' : 'createEditDeleteAssignments';
+      return requireInstructorNotRestricted(restriction)(req, res, next);
+    } catch (error) {
+      return res.status(500).json({ success: false, message: 'Error processing update', error: error.message });
+    }
+  },
+  updateContentRelease
+);
+
 // Reorder content
 router.put(
   '/sections/:sectionId/content/reorder',
@@ -1,4 +1,6 @@
+const os = require('os');
 const express = require('express');
+const multer = require('multer');
 const { body } = require('express-validator');
 const {
   getCourses,
@@ -15,6 +17,8 @@ const {
   getInstructorCourses,
   getCourseSummary,
   getCourseGradebook,
+  exportCourseGradebook,
+  importCourseGrades,
   getPendingCourses,
   approveCourse,
   rejectCourse,
@@ -29,12 +33,20 @@ const {
   getAllDiscounts,
   deleteDiscount,
   getAllCoursesAdmin,
-  reassignCourseInstructor
+  reassignCourseInstructor,
+  cloneCourse,
+  exportCoursePackage,
+  importCoursePackage
 } = require('../controllers/courses');
 const { requestCourseDelete } = require('../controllers/deleteRequests');
 const { protect, authorize, checkEnrollment, requireApprovedInstructor, checkSuspension, optionalProtect, requireStudentNotRestricted, requireInstructorNotRestricted } = require('../middleware/auth');
 
 const router = express.Router();
+const gradebookUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+const packageUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: (parseInt(process.env.COURSE_PACKAGE_MAX_MB, 10) || 500) * 1024 * 1024 }
+});
 
 // @desc    Get pending courses (Admin)
 // @route   GET /api/courses/pending
@@ -81,6 +93,41 @@ router.get('/:id/summary', protect, authorize('student'), requireStudentNotRestr
 // @access  Private (Instructor/Admin)
 router.get('/:id/grades', protect, authorize('instructor', 'admin'), getCourseGradebook);
 
+// @desc    Export course gradebook as CSV/XLSX
+// @route   GET /api/courses/:id/grades/export
+// @access  Private (Instructor/Admin)
+router.get('/:id/grades/export', protect, authorize('instructor', 'admin'), exportCourseGradebook);
+
+// @desc    Import grades from a CSV/XLSX gradebook (dry run by default)
+// @route   POST /api/courses/:id/grades/import
+// @access  Private (Instructor/Admin)
+router.post(
+  '/:id/grades/import',
+  protect,
+  authorize('instructor', 'admin'),
+  requireInstructorNotRestricted('gradeAssignments'),
+  gradebookUpload.single('file'),
+  importCourseGrades
+);
+
+// @desc    Export a course as an IMS Common Cartridge package
+// @route   GET /api/courses/:id/export
+// @access  Private (Instructor/Admin)
+router.get('/:id/export', protect, authorize('instructor', 'admin'), exportCoursePackage);
+
+// @desc    Create a course from an IMS Common Cartridge package
+// @route   POST /api/courses/import
+// @access  Private (Instructor/Admin)
+router.post(
+  '/import',
+  protect,
+  authorize('admin', 'instructor'),
+  requireApprovedInstructor,
+  requireInstructorNotRestricted('createEditDeleteCourses'),
+  packageUpload.single('package'),
+  importCoursePackage
+);
+
 // @desc    Get single course
 // @route   GET /api/courses/:id
 // @access  Public (auth optional to allow archived visibility rules)
@@ -115,6 +162,11 @@ router.put('/:id', protect, authorize('admin', 'instructor'), requireApprovedIns
 // @access  Private (Admin/Instructor - own courses only)
 router.patch('/:id/archive', protect, authorize('admin', 'instructor'), requireInstructorNotRestricted('createEditDeleteCourses'), archiveCourse);
 
+// @desc    Copy a course into a new cohort
+// @route   POST /api/courses/:id/clone
+// @access  Private (Admin/Instructor - own courses only)
+router.post('/:id/clone', protect, authorize('admin', 'instructor'), requireApprovedInstructor, requireInstructorNotRestricted('createEditDeleteCourses'), cloneCourse);
+
 // @desc    Request delete course (instructor -> admin approval)
 // @route   POST /api/courses/:id/request-delete
 // @access  Private (Instructor/Admin)
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getGradeScales,
+  getGradeScale,
+  createGradeScale,
+  updateGradeScale,
+  deleteGradeScale
+} = require('../controllers/gradeScales');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect, authorize('instructor', 'admin'));
+
+router.get('/', getGradeScales);
+router.get('/:id', getGradeScale);
+
+// Admin routes
+router.post('/', authorize('admin'), createGradeScale);
+router.put('/:id', authorize('admin'), updateGradeScale);
+router.delete('/:id', authorize('admin'), deleteGradeScale);
+
+module.exports = router;
@@ -9,13 +9,40 @@ const {
   gradeContent,
   getSectionGrade,
   getCourseGrade,
+  getGradingPolicy,
+  updateGradingPolicy,
+  updateSectionGradeWeights,
   getContentSubmissions,
   downloadSubmission,
   requestReupload,
   approveReupload,
   rejectReupload,
-  getPendingReuploadRequests
+  getPendingReuploadRequests,
+  getPendingTestReviews,
+  gradeTestAnswer
 } = require('../controllers/grading');
+const { setContentRubric } = require('../controllers/rubrics');
+const {
+  setContentLatePolicy,
+  getExtensions,
+  upsertExtension,
+  deleteExtension
+} = require('../controllers/latePolicy');
+const {
+  updatePeerReviewSettings,
+  startPeerReview,
+  getContentPeerReviews,
+  getReceivedPeerReviews
+} = require('../controllers/peerReviews');
+const { startSimilarityCheck, getSimilarityReport } = require('../controllers/similarityReports');
+const {
+  getGradeHistory,
+  getContentGradeHistory,
+  requestRegrade,
+  getRegradeRequests,
+  withdrawRegradeRequest,
+  resolveRegradeRequest
+} = require('../controllers/gradeHistory');
 
 // @desc    Record video watched
 // @route   POST /api/contents/:contentId/watched
@@ -51,16 +78,117 @@ router.post('/contents/:contentId/reupload/approve', protect, authorize('instruc
 // @access  Private (Instructor/Admin)
 router.post('/contents/:contentId/reupload/reject', protect, authorize('instructor', 'admin'), rejectReupload);
 
+// @desc    Ask for a graded assignment/project to be regraded
+// @route   POST /api/contents/:contentId/regrade-requests
+// @access  Private (Student)
+router.post('/contents/:contentId/regrade-requests', protect, authorize('student'), requireStudentNotRestricted('continueCourses'), requestRegrade);
+
+// @desc    Get a student's grade history of an assignment/project
+// @route   GET /api/contents/:contentId/grade-history
+// @access  Private
+router.get('/contents/:contentId/grade-history', protect, getContentGradeHistory);
+
 // @desc    Grade assignment/project (instructor/admin)
 // @route   POST /api/contents/:contentId/grade
 // @access  Private (Instructor/Admin)
 router.post('/contents/:contentId/grade', protect, authorize('instructor', 'admin'), requireInstructorNotRestricted('gradeAssignments'), gradeContent);
 
+// @desc    Attach or remove the rubric of an assignment/project
+// @route   PUT /api/contents/:contentId/rubric
+// @access  Private (Instructor/Admin)
+router.put(
+  '/contents/:contentId/rubric',
+  protect,
+  authorize('instructor', 'admin'),
+  requireInstructorNotRestricted('createEditDeleteAssignments'),
+  setContentRubric
+);
+
+// @desc    Set the late policy of an assignment/project
+// @route   PUT /api/contents/:contentId/late-policy
+// @access  Private (Instructor/Admin)
+router.put(
+  '/contents/:contentId/late-policy',
+  protect,
+  authorize('instructor', 'admin'),
+  requireInstructorNotRestricted('createEditDeleteAssignments'),
+  setContentLatePolicy
+);
+
+// @desc    List due date extensions of an assignment/project
+// @route   GET /api/contents/:contentId/extensions
+// @access  Private (Instructor/Admin)
+router.get('/contents/:contentId/extensions', protect, authorize('instructor', 'admin'), getExtensions);
+
+// @desc    Grant or change a student's due date extension
+// @route   POST /api/contents/:contentId/extensions
+// @access  Private (Instructor/Admin)
+router.post(
+  '/contents/:contentId/extensions',
+  protect,
+  authorize('instructor', 'admin'),
+  requireInstructorNotRestricted('gradeAssignments'),
+  upsertExtension
+);
+
+// @desc    Remove a student's due date extension
+// @route   DELETE /api/contents/:contentId/extensions/:studentId
+// @access  Private (Instructor/Admin)
+router.delete(
+  '/contents/:contentId/extensions/:studentId',
+  protect,
+  authorize('instructor', 'admin'),
+  requireInstructorNotRestricted('gradeAssignments'),
+  deleteExtension
+);
+
+// @desc    Set up the peer review phase of a project
+// @route   PUT /api/contents/:contentId/peer-review
+// @access  Private (Instructor/Admin)
+router.put(
+  '/contents/:contentId/peer-review',
+  protect,
+  authorize('instructor', 'admin'),
+  requireInstructorNotRestricted('createEditDeleteAssignments'),
+  updatePeerReviewSettings
+);
+
+// @desc    Assign peer reviews of a project now
+// @route   POST /api/contents/:contentId/peer-review/start
+// @access  Private (Instructor/Admin)
+router.post(
+  '/contents/:contentId/peer-review/start',
+  protect,
+  authorize('instructor', 'admin'),
+  requireInstructorNotRestricted('gradeAssignments'),
+  startPeerReview
+);
+
+// @desc    Get the peer reviews a student received on a project
+// @route   GET /api/contents/:contentId/peer-reviews/received
+// @access  Private (Student)
+router.get('/contents/:contentId/peer-reviews/received', protect, authorize('student'), getReceivedPeerReviews);
+
+// @desc    Get all peer reviews of a project
+// @route   GET /api/contents/:contentId/peer-reviews
+// @access  Private (Instructor/Admin)
+router.get('/contents/:contentId/peer-reviews', protect, authorize('instructor', 'admin'), getContentPeerReviews);
+
 // @desc    Get submissions for a content item
 // @route   GET /api/contents/:contentId/submissions
 // @access  Private (Instructor/Admin)
 router.get('/contents/:contentId/submissions', protect, authorize('instructor', 'admin'), getContentSubmissions);
 
+// @desc    Compare the submissions of a content item with each other
+// @route   POST /api/contents/:contentId/similarity
+// @access  Private (Instructor/Admin)
+router.post('/contents/:contentId/similarity', protect, authorize('instructor', 'admin'), startSimilarityCheck);
+
+// @desc    Get the latest similarity report of a content item
+// @route   GET /api/contents/:contentId/similarity
+// @access  Private (Instructor/Admin)
+router.get('/contents/:contentId/similarity', protect, authorize('instructor', 'admin'), getSimilarityReport);
+
 // @desc    Get section grade for a student
 // @route   GET /api/students/:studentId/sections/:sectionId/grade
 // @access  Private
@@ -115,11 +243,80 @@ router.get('/grading/pending', protect, authorize('instructor', 'admin'), async
 // @access  Private (Instructor/Admin)
 router.get('/grading/reuploads/pending', protect, authorize('instructor', 'admin'), getPendingReuploadRequests);
 
+// @desc    Query the grade history of assignments and projects
+// @route   GET /api/grading/history
+// @access  Private (Instructor/Admin)
+router.get('/grading/history', protect, authorize('instructor', 'admin'), getGradeHistory);
+
+// @desc    List regrade requests
+// @route   GET /api/grading/regrade-requests
+// @access  Private
+router.get('/grading/regrade-requests', protect, getRegradeRequests);
+
+// @desc    Withdraw a pending regrade request
+// @route   POST /api/grading/regrade-requests/:id/withdraw
+// @access  Private (Student)
+router.post('/grading/regrade-requests/:id/withdraw', protect, authorize('student'), withdrawRegradeRequest);
+
+// @desc    Accept or reject a regrade request
+// @route   POST /api/grading/regrade-requests/:id/resolve
+// @access  Private (Instructor/Admin)
+router.post(
+  '/grading/regrade-requests/:id/resolve',
+  protect,
+  authorize('instructor', 'admin'),
+  requireInstructorNotRestricted('gradeAssignments'),
+  resolveRegradeRequest
+);
+
+// @desc    Get test attempts with essay answers awaiting grading
+// @route   GET /api/grading/tests/pending
+// @access  Private (Instructor/Admin)
+router.get('/grading/tests/pending', protect, authorize('instructor', 'admin'), getPendingTestReviews);
+
+// @desc    Grade an essay answer of a test attempt
+// @route   POST /api/grading/test-attempts/:attemptId/answers/:questionId/grade
+// @access  Private (Instructor/Admin)
+router.post(
+  '/grading/test-attempts/:attemptId/answers/:questionId/grade',
+  protect,
+  authorize('instructor', 'admin'),
+  requireInstructorNotRestricted('gradeAssignments'),
+  gradeTestAnswer
+);
+
 // @desc    Get course grade for a student
 // @route   GET /api/students/:studentId/courses/:courseId/grade
 // @access  Private
 router.get('/students/:studentId/courses/:courseId/grade', protect, getCourseGrade);
 
+// @desc    Get grade weights and missing-work handling of a course
+// @route   GET /api/grading/courses/:courseId/policy
+// @access  Private (Instructor/Admin)
+router.get('/grading/courses/:courseId/policy', protect, authorize('instructor', 'admin'), getGradingPolicy);
+
+// @desc    Update grade weights and missing-work handling of a course
+// @route   PUT /api/grading/courses/:courseId/policy
+// @access  Private (Instructor/Admin)
+router.put(
+  '/grading/courses/:courseId/policy',
+  protect,
+  authorize('instructor', 'admin'),
+  requireInstructorNotRestricted('gradeAssignments'),
+  updateGradingPolicy
+);
+
+// @desc    Override the course grade weights for a section
+// @route   PUT /api/grading/sections/:sectionId/weights
+// @access  Private (Instructor/Admin)
+router.put(
+  '/grading/sections/:sectionId/weights',
+  protect,
+  authorize('instructor', 'admin'),
+  requireInstructorNotRestricted('gradeAssignments'),
+  updateSectionGradeWeights
+);
+
 // @desc    Download student submission
 // @route   GET /api/grading/submissions/:gradeId/download
 // @access  Private (Instructor/Admin)
@@ -6,7 +6,8 @@ const {
   createGroup,
   updateGroup,
   deleteGroup,
-  archiveGroup
+  archiveGroup,
+  cloneGroup
 } = require('../controllers/groupManagement');
 const { requestGroupDelete } = require('../controllers/deleteRequests');
 
@@ -17,6 +18,7 @@ router.post('/courses/:courseId/groups', protect, authorize('instructor', 'admin
 // Group-level routes
 router.put('/groups/:groupId', protect, authorize('instructor', 'admin'), requireInstructorNotRestricted('manageGroupsSections'), updateGroup);
 router.patch('/groups/:groupId/archive', protect, authorize('instructor', 'admin'), requireInstructorNotRestricted('manageGroupsSections'), archiveGroup);
+router.post('/groups/:groupId/clone', protect, authorize('instructor', 'admin'), requireInstructorNotRestricted('manageGroupsSections'), cloneGroup);
 router.delete('/groups/:groupId', protect, authorize('admin'), deleteGroup);
 router.post('/groups/:groupId/request-delete', protect, authorize('instructor', 'admin'), requireInstructorNotRestricted('manageGroupsSections'), requestGroupDelete);
 
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getIssuer,
+  getIssuerKey,
+  getRevocationList,
+  getBadgeClass,
+  getBadgeImage,
+  getAssertion,
+  getMyOpenBadges,
+  downloadBakedBadge
+} = require('../controllers/openBadges');
+const { protect, authorize } = require('../middleware/auth');
+
+// Hosted Open Badges documents (public, read by wallets and verifiers)
+router.get('/issuer', getIssuer);
+router.get('/issuer/key', getIssuerKey);
+router.get('/issuer/revocations', getRevocationList);
+router.get('/badges/:badgeClassId', getBadgeClass);
+router.get('/badges/:badgeClassId/image', getBadgeImage);
+router.get('/assertions/:assertionId', getAssertion);
+
+// Student exports
+router.get('/my', protect, authorize('student'), getMyOpenBadges);
+router.get('/my/:assertionId/baked', protect, authorize('student'), downloadBakedBadge);
+
+module.exports = router;
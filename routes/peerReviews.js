@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyPeerReviews,
+  getPeerReview,
+  downloadPeerReviewSubmission,
+  submitPeerReview
+} = require('../controllers/peerReviews');
+const { protect, authorize, requireStudentNotRestricted } = require('../middleware/auth');
+
+router.use(protect, authorize('student'));
+
+router.get('/', getMyPeerReviews);
+router.get('/:id', getPeerReview);
+router.get('/:id/submission', downloadPeerReviewSubmission);
+router.put('/:id', requireStudentNotRestricted('continueCourses'), submitPeerReview);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getQuestionBanks,
+  getQuestionBank,
+  createQuestionBank,
+  updateQuestionBank,
+  deleteQuestionBank
+} = require('../controllers/questionBanks');
+const { protect, authorize, requireInstructorNotRestricted } = require('../middleware/auth');
+
+router.use(protect, authorize('instructor', 'admin'));
+
+router.get('/', getQuestionBanks);
+router.get('/:id', getQuestionBank);
+router.post('/', requireInstructorNotRestricted('manageActiveTests'), createQuestionBank);
+router.put('/:id', requireInstructorNotRestricted('manageActiveTests'), updateQuestionBank);
+router.delete('/:id', requireInstructorNotRestricted('manageActiveTests'), deleteQuestionBank);
+
+module.exports = router;
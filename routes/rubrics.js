@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRubrics,
+  getRubric,
+  createRubric,
+  updateRubric,
+  deleteRubric
+} = require('../controllers/rubrics');
+const { protect, authorize, requireInstructorNotRestricted } = require('../middleware/auth');
+
+router.use(protect, authorize('instructor', 'admin'));
+
+router.get('/', getRubrics);
+router.get('/:id', getRubric);
+router.post('/', requireInstructorNotRestricted('createEditDeleteAssignments'), createRubric);
+router.put('/:id', requireInstructorNotRestricted('createEditDeleteAssignments'), updateRubric);
+router.delete('/:id', requireInstructorNotRestricted('createEditDeleteAssignments'), deleteRubric);
+
+module.exports = router;
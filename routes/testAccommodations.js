@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAccommodations,
+  upsertAccommodation,
+  deleteAccommodation,
+  getAccommodationHistory
+} = require('../controllers/testAccommodations');
+const { protect, authorize, requireInstructorNotRestricted } = require('../middleware/auth');
+
+router.use(protect, authorize('instructor', 'admin'));
+
+router.get('/', getAccommodations);
+router.post('/', requireInstructorNotRestricted('manageActiveTests'), upsertAccommodation);
+router.get('/:id/history', getAccommodationHistory);
+router.delete('/:id', requireInstructorNotRestricted('manageActiveTests'), deleteAccommodation);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const CertificateRequest = require('../models/CertificateRequest');
+const { generateVerificationCode } = require('../services/certificatePdfService');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+// Give certificates issued before serials existed one, so they can be verified
+const backfillCertificateSerials = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    console.log('✅ Connected to MongoDB\n');
+
+    const certificates = await CertificateRequest.find({
+      status: { $in: ['issued', 'revoked'] },
+      verificationCode: { $exists: false }
+    }).select('_id');
+    console.log(`📜 Found ${certificates.length} certificates without a serial\n`);
+
+    for (const certificate of certificates) {
+      const serial = generateVerificationCode();
+      await CertificateRequest.updateOne(
+        { _id: certificate._id },
+        { $set: { verificationCode: serial } }
+      );
+      console.log(`   ✓ ${certificate._id} → ${serial}`);
+    }
+
+    console.log('\n✅ Done');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+};
+
+backfillCertificateSerials();
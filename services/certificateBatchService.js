@@ -0,0 +1,203 @@
+/**
+ * Issuing the certificates of a whole group at the end of a cohort. The
+ * preview runs certificateEligibilityService for every enrolled student;
+ * the job then issues the eligible ones one by one, rendering each with
+ * certificatePdfService, and records every student it skipped and why.
+ */
+const Group = require('../models/Group');
+const Enrollment = require('../models/Enrollment');
+const CertificateRequest = require('../models/CertificateRequest');
+const { ELIGIBILITY_STATUSES, isStudentEligibleForCertificate } = require('./certificateEligibilityService');
+const { generateCertificate } = require('./certificatePdfService');
+
+const ACTIVE_ENROLLMENT_STATUSES = ['approved', 'enrolled', 'completed'];
+
+/**
+ * Decide whether a student's certificate can be issued
+ * @param {Object|null} eligibility - Result of isStudentEligibleForCertificate
+ * @param {Object|null} existing - The student's latest certificate request for the course
+ * @returns {{ issue: Boolean, reason: String|null, message: String|null }}
+ */
+function classifyEligibility(eligibility, existing) {
+  if (existing && existing.status === 'issued') {
+    return { issue: false, reason: 'ALREADY_ISSUED', message: 'A certificate has already been issued' };
+  }
+  if (existing && existing.status === 'revoked') {
+    return { issue: false, reason: 'REVOKED', message: 'The certificate was revoked; an admin can reissue it' };
+  }
+  if (!eligibility) {
+    return { issue: false, reason: 'ELIGIBILITY_ERROR', message: 'Eligibility could not be checked' };
+  }
+
+  const details = eligibility.details || {};
+  switch (eligibility.status) {
+    case ELIGIBILITY_STATUSES.CERTIFICATES_DISABLED:
+      return { issue: false, reason: 'CERTIFICATES_DISABLED', message: 'This course does not offer certificates' };
+    case ELIGIBILITY_STATUSES.GROUP_NOT_COMPLETED:
+      if (details.reason === 'NOT_ENROLLED') {
+        return { issue: false, reason: 'NOT_ENROLLED', message: 'Not enrolled in this group' };
+      }
+      return {
+        issue: false,
+        reason: 'GROUP_NOT_COMPLETED',
+        message: `Completed ${details.completedItems || 0} of ${details.totalItems || 0} items`
+      };
+    case ELIGIBILITY_STATUSES.GROUP_COMPLETED_BUT_GRADE_TOO_LOW:
+      return {
+        issue: false,
+        reason: 'GRADE_TOO_LOW',
+        message: `Grade ${Math.round(details.overallGrade || 0)}% is below the passing grade of ${details.passingGrade}%`
+      };
+    default:
+      return eligibility.eligible
+        ? { issue: true, reason: null, message: null }
+        : { issue: false, reason: eligibility.status, message: 'Not eligible for a certificate' };
+  }
+}
+
+// Latest request that still counts; rejected ones can be replaced
+const findExistingRequest = (studentId, courseId) => CertificateRequest.findOne({
+  student: studentId,
+  course: courseId,
+  status: { $ne: 'rejected' }
+}).sort({ createdAt: -1 });
+
+/**
+ * Students of a group the batch applies to
+ * @param {String} groupId
+ * @param {Array<String>} [studentIds] - Only these students, when given
+ * @returns {Promise<Array>} Enrollments with the student populated
+ */
+async function loadGroupEnrollments(groupId, studentIds = []) {
+  const query = { group: groupId, status: { $in: ACTIVE_ENROLLMENT_STATUSES } };
+  if (studentIds.length) query.student = { $in: studentIds };
+  const enrollments = await Enrollment.find(query).populate('student', 'name email');
+  return enrollments.filter(e => e.student);
+}
+
+/**
+ * Check one student of the group
+ * @returns {Promise<Object>} { eligibility, existing, issue, reason, message }
+ */
+async function evaluateStudent(studentId, group) {
+  let eligibility = null;
+  let error = null;
+  try {
+    eligibility = await isStudentEligibleForCertificate(studentId, group._id.toString());
+  } catch (err) {
+    error = err;
+  }
+  const existing = await findExistingRequest(studentId, group.course._id || group.course);
+  const decision = classifyEligibility(eligibility, existing);
+  if (error && decision.reason === 'ELIGIBILITY_ERROR') decision.message = error.message;
+  return { eligibility, existing, ...decision };
+}
+
+/**
+ * Who in a group would get a certificate, and why the others would not
+ * @param {Object} group - Group document
+ * @param {Array<String>} [studentIds] - Only these students, when given
+ * @returns {Promise<{ eligible: Array, skipped: Array }>}
+ */
+async function previewGroupEligibility(group, studentIds = []) {
+  const enrollments = await loadGroupEnrollments(group._id, studentIds);
+  const eligible = [];
+  const skipped = [];
+
+  for (const enrollment of enrollments) {
+    const result = await evaluateStudent(enrollment.student._id.toString(), group);
+    const details = result.eligibility ? result.eligibility.details || {} : {};
+    const row = {
+      student: {
+        _id: enrollment.student._id,
+        name: enrollment.student.name,
+        email: enrollment.student.email
+      },
+      overallGrade: typeof details.overallGrade === 'number' ? details.overallGrade : null,
+      gradeLabel: details.gradeLabel || null,
+      completionPercentage: details.completionPercentage ?? null,
+      certificate: result.existing ? { _id: result.existing._id, status: result.existing.status } : null
+    };
+
+    if (result.issue) {
+      eligible.push(row);
+    } else {
+      skipped.push({ ...row, reason: result.reason, message: result.message });
+    }
+  }
+
+  return { eligible, skipped };
+}
+
+/**
+ * Issue the certificates of a job's group, saving progress after every student
+ * @param {Object} job - CertificateIssueJob document
+ * @param {Object} [hooks] - { onProgress(job), onIssued(request) }
+ * @returns {Promise<Object>} The finished job
+ */
+async function runCertificateIssueJob(job, { onProgress, onIssued } = {}) {
+  try {
+    const group = await Group.findById(job.group).populate('course', 'name');
+    if (!group || !group.course) throw new Error('Group not found');
+
+    const enrollments = await loadGroupEnrollments(group._id, job.students.map(String));
+    const enrolled = new Set(enrollments.map(e => e.student._id.toString()));
+
+    // Picked students who are not (or no longer) in the group
+    job.students.filter(id => !enrolled.has(id.toString())).forEach((student) => {
+      job.skipped.push({ student, reason: 'NOT_ENROLLED', message: 'Not enrolled in this group' });
+    });
+    job.total = enrollments.length + job.skipped.length;
+    job.processed = job.skipped.length;
+    await job.save();
+
+    for (const enrollment of enrollments) {
+      const studentId = enrollment.student._id;
+      try {
+        const result = await evaluateStudent(studentId.toString(), group);
+        if (!result.issue) {
+          job.skipped.push({ student: studentId, reason: result.reason, message: result.message });
+        } else {
+          const request = result.existing || new CertificateRequest({
+            student: studentId,
+            course: group.course._id,
+            status: 'requested'
+          });
+          request.group = group._id;
+          request.courseGrade = result.eligibility.details.overallGrade;
+          await generateCertificate(request, { issuedBy: job.requestedBy });
+          job.issued.push({ student: studentId, certificate: request._id });
+
+          if (onIssued) {
+            try {
+              await onIssued(request);
+            } catch (notifyError) {
+              console.error('Certificate issue job notification error:', notifyError.message);
+            }
+          }
+        }
+      } catch (error) {
+        job.skipped.push({ student: studentId, reason: 'ISSUE_FAILED', message: error.message });
+      }
+
+      job.processed += 1;
+      await job.save();
+      if (onProgress) onProgress(job);
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    console.error('Certificate issue job error:', error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+  job.completedAt = new Date();
+  await job.save();
+  return job;
+}
+
+module.exports = {
+  classifyEligibility,
+  previewGroupEligibility,
+  runCertificateIssueJob
+};
@@ -7,6 +7,7 @@ const StudentContentGrade = require('../models/StudentContentGrade');
 const ActiveTest = require('../models/ActiveTest');
 const TestAttempt = require('../models/TestAttempt');
 const { calculateCourseGrade } = require('../services/gradingService');
+const { loadCourseGradeScale, getScalePassingPercent } = require('../utils/gradeUtils');
 
 const ELIGIBILITY_STATUSES = {
   GROUP_NOT_COMPLETED: 'GROUP_NOT_COMPLETED',
@@ -17,6 +18,21 @@ const ELIGIBILITY_STATUSES = {
   AUTO_GRANT: 'AUTO_GRANT'
 };
 
+/**
+ * Grade a student needs to pass a course. A course grade scale decides
+ * passing through its lowest passing level; otherwise the platform-wide
+ * passing grade applies.
+ * @param {string} courseId
+ * @returns {Promise<Number>} Passing grade in percent
+ */
+async function getCoursePassingGrade(courseId) {
+  const scalePassingGrade = getScalePassingPercent(await loadCourseGradeScale(courseId));
+  if (scalePassingGrade !== null) return scalePassingGrade;
+
+  const settings = await AdminSettings.getSettings();
+  return typeof settings.passingGrade === 'number' ? settings.passingGrade : 60;
+}
+
 /**
  * Unified evaluation for certificate eligibility at GROUP level.
  * A Group is treated like an independent course: completion and grade
@@ -56,8 +72,7 @@ async function isStudentEligibleForCertificate(studentId, groupId) {
     };
   }
 
-  const settings = await AdminSettings.getSettings();
-  const passingGrade = typeof settings.passingGrade === 'number' ? settings.passingGrade : 60;
+  const passingGrade = await getCoursePassingGrade(course._id);
 
   const certificateMode = course.certificateMode || 'automatic';
   const offersCertificate = course.offersCertificate !== false;
@@ -176,8 +191,9 @@ async function isStudentEligibleForCertificate(studentId, groupId) {
   const groupCompleted = totalItems > 0 && completedItems >= totalItems;
 
   // Compute group-based grade using gradingService (sections filtered by group)
-  const { courseGrade, stats } = await calculateCourseGrade(studentId, course._id.toString(), group._id.toString());
+  const { courseGrade, gradeLabel, stats } = await calculateCourseGrade(studentId, course._id.toString(), group._id.toString());
   const overallGrade = typeof courseGrade === 'number' ? courseGrade : 0;
+  const gradeScaleInfo = gradeScale ? { id: gradeScale._id, name: gradeScale.name } : null;
 
   if (!groupCompleted) {
     return {
@@ -191,6 +207,8 @@ async function isStudentEligibleForCertificate(studentId, groupId) {
         completionPercentage,
         overallGrade,
         passingGrade,
+        gradeLabel: gradeLabel || null,
+        gradeScale: gradeScaleInfo,
         sectionsCount: stats?.sectionsCount ?? null,
         sectionsCompleted: stats?.sectionsCompleted ?? null
       }
@@ -209,13 +227,15 @@ async function isStudentEligibleForCertificate(studentId, groupId) {
         completionPercentage,
         overallGrade,
         passingGrade,
+        gradeLabel: gradeLabel || null,
+        gradeScale: gradeScaleInfo,
         sectionsCount: stats?.sectionsCount ?? null,
         sectionsCompleted: stats?.sectionsCompleted ?? null
       }
     };
   }
 
-  // At this point, group is fully completed AND grade >= global passing grade
+  // At this point, group is fully completed AND grade >= passing grade
   // Decide mode-specific outcome
   if (certificateMode === 'automatic') {
     return {
@@ -229,6 +249,8 @@ async function isStudentEligibleForCertificate(studentId, groupId) {
         completionPercentage,
         overallGrade,
         passingGrade,
+        gradeLabel: gradeLabel || null,
+        gradeScale: gradeScaleInfo,
         certificateMode,
         sectionsCount: stats?.sectionsCount ?? null,
         sectionsCompleted: stats?.sectionsCompleted ?? null
@@ -249,6 +271,8 @@ async function isStudentEligibleForCertificate(studentId, groupId) {
           completionPercentage,
           overallGrade,
           passingGrade,
+          gradeLabel: gradeLabel || null,
+          gradeScale: gradeScaleInfo,
           certificateMode,
           instructorCertificateRelease: true,
           sectionsCount: stats?.sectionsCount ?? null,
@@ -269,6 +293,8 @@ async function isStudentEligibleForCertificate(studentId, groupId) {
         completionPercentage,
         overallGrade,
         passingGrade,
+        gradeLabel: gradeLabel || null,
+        gradeScale: gradeScaleInfo,
         certificateMode,
         instructorCertificateRelease: false,
         sectionsCount: stats?.sectionsCount ?? null,
@@ -289,6 +315,8 @@ async function isStudentEligibleForCertificate(studentId, groupId) {
       completionPercentage,
       overallGrade,
       passingGrade,
+      gradeLabel: gradeLabel || null,
+      gradeScale: gradeScaleInfo,
       certificateMode,
       sectionsCount: stats?.sectionsCount ?? null,
       sectionsCompleted: stats?.sectionsCompleted ?? null
@@ -298,5 +326,6 @@ async function isStudentEligibleForCertificate(studentId, groupId) {
 
 module.exports = {
   ELIGIBILITY_STATUSES,
+  getCoursePassingGrade,
   isStudentEligibleForCertificate
 };
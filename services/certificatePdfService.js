@@ -0,0 +1,259 @@
+/**
+ * Certificates rendered on the server. The wording comes from
+ * AdminSettings.certificateTemplate, a text with {placeholders}; the
+ * signature from AdminSettings.certificateSignature, either an uploaded
+ * image (/uploads/...png|jpg) or the signer's name. Every certificate gets
+ * a verification code and a QR code linking to its public verification page.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const AdminSettings = require('../models/AdminSettings');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Group = require('../models/Group');
+const { certificatesDir } = require('../middleware/upload');
+const { constructUploadPath, constructClientUrl } = require('../utils/urlHelper');
+const { loadCourseGradeScale, gradeLabelOf } = require('../utils/gradeUtils');
+
+const DEFAULT_CERTIFICATE_TEMPLATE =
+  'has successfully completed {courseName} with a final grade of {grade}.';
+
+const TEMPLATE_PLACEHOLDERS = [
+  'studentName',
+  'courseName',
+  'groupName',
+  'grade',
+  'gradeLabel',
+  'date',
+  'instructorName',
+  'platformName',
+  'verificationCode'
+];
+
+const MAX_TEMPLATE_LENGTH = 1000;
+
+// Unambiguous characters only, so codes can be typed from a printed copy
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Validate a certificate template sent by an admin
+ * @param {String} template - Text with {placeholders}; empty uses the default
+ * @returns {String|null} Error message, or null when valid
+ */
+function validateCertificateTemplate(template) {
+  if (typeof template !== 'string') {
+    return 'certificateTemplate must be a string';
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return `certificateTemplate cannot exceed ${MAX_TEMPLATE_LENGTH} characters`;
+  }
+  const unknown = (template.match(/\{(\w+)\}/g) || [])
+    .map(token => token.slice(1, -1))
+    .find(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+  if (unknown) {
+    return `Unknown placeholder {${unknown}}. Use: ${TEMPLATE_PLACEHOLDERS.map(p => `{${p}}`).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Fill in the placeholders of a certificate template
+ * @param {String} template - Text with {placeholders}
+ * @param {Object} values - Placeholder values
+ * @returns {String}
+ */
+function renderCertificateText(template, values) {
+  const text = template && template.trim() ? template : DEFAULT_CERTIFICATE_TEMPLATE;
+  return text
+    .replace(/\{(\w+)\}/g, (token, name) => (
+      TEMPLATE_PLACEHOLDERS.includes(name) ? String(values[name] ?? '') : token
+    ))
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Random verification code, e.g. 7KQ2-M9XD-P4TA
+ * @returns {String}
+ */
+function generateVerificationCode() {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  return chars.match(/.{4}/g).join('-');
+}
+
+/**
+ * Public page where a certificate can be checked
+ * @param {String} code - Verification code
+ * @returns {String}
+ */
+function buildVerificationUrl(code) {
+  return constructClientUrl(`/certificates/verify/${code}`);
+}
+
+const formatGrade = (grade, gradeLabel) => {
+  const percent = `${Math.round(Number(grade) || 0)}%`;
+  return gradeLabel ? `${percent} (${gradeLabel})` : percent;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+// Signature images must be uploaded files; anything else is a name
+const resolveSignatureImage = (signature) => {
+  if (!signature || !/^\/?uploads\/.+\.(png|jpe?g)$/i.test(signature)) return null;
+  const filePath = path.join(__dirname, '..', signature.replace(/^\//, ''));
+  const uploadsRoot = path.join(__dirname, '..', 'uploads');
+  if (!filePath.startsWith(uploadsRoot) || !fs.existsSync(filePath)) return null;
+  return filePath;
+};
+
+/**
+ * Render a certificate as a landscape A4 PDF
+ * @param {Object} data - { studentName, courseName, groupName, grade, gradeLabel, issuedAt,
+ *   instructorName, platformName, verificationCode, verificationUrl, template, signature }
+ * @returns {Promise<Buffer>}
+ */
+async function renderCertificatePdf(data) {
+  const qr = await QRCode.toBuffer(data.verificationUrl, { margin: 1, width: 240 });
+  const signatureImage = resolveSignatureImage(data.signature);
+  const date = formatDate(data.issuedAt || new Date());
+  const body = renderCertificateText(data.template, {
+    ...data,
+    grade: formatGrade(data.grade, data.gradeLabel),
+    gradeLabel: data.gradeLabel || '',
+    date
+  });
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const { width, height } = doc.page;
+      const contentWidth = width - 160;
+
+      // Double border
+      doc.lineWidth(3).strokeColor('#4F46E5').rect(20, 20, width - 40, height - 40).stroke();
+      doc.lineWidth(1).strokeColor('#C7D2FE').rect(30, 30, width - 60, height - 60).stroke();
+
+      doc.font('Helvetica-Bold').fontSize(16).fillColor('#4F46E5')
+        .text(data.platformName || 'EduFlow Academy', 80, 65, { width: contentWidth, align: 'center' });
+
+      doc.font('Helvetica-Bold').fontSize(34).fillColor('#1F2937')
+        .text('Certificate of Completion', 80, 105, { width: contentWidth, align: 'center' });
+
+      doc.font('Helvetica').fontSize(14).fillColor('#6B7280')
+        .text('This certifies that', 80, 175, { width: contentWidth, align: 'center' });
+
+      doc.font('Helvetica-Bold').fontSize(30).fillColor('#111827')
+        .text(data.studentName, 80, 200, { width: contentWidth, align: 'center' });
+
+      doc.font('Helvetica').fontSize(15).fillColor('#374151')
+        .text(body, 110, 255, { width: width - 220, align: 'center', lineGap: 4 });
+
+      const footerY = height - 165;
+
+      // Signature, bottom left
+      if (signatureImage) {
+        doc.image(signatureImage, 90, footerY, { fit: [180, 60] });
+      } else if (data.signature) {
+        doc.font('Helvetica-Oblique').fontSize(20).fillColor('#1F2937')
+          .text(data.signature, 90, footerY + 25, { width: 200, align: 'center' });
+      }
+      doc.lineWidth(1).strokeColor('#9CA3AF').moveTo(90, footerY + 65).lineTo(290, footerY + 65).stroke();
+      doc.font('Helvetica').fontSize(10).fillColor('#6B7280')
+        .text(data.instructorName ? `Instructor: ${data.instructorName}` : 'Authorized signature', 90, footerY + 72, { width: 200, align: 'center' })
+        .text(`Issued on ${date}`, 90, footerY + 88, { width: 200, align: 'center' });
+
+      // QR verification, bottom right
+      const qrSize = 90;
+      doc.image(qr, width - 90 - qrSize, footerY - 5, { width: qrSize, height: qrSize });
+      doc.font('Helvetica').fontSize(8).fillColor('#6B7280')
+        .text(`Verify: ${data.verificationCode}`, width - 250, footerY + 90, { width: 160, align: 'right' });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Render the certificate of a request, store it with the other certificate
+ * files and mark the request issued. The caller notifies the student.
+ * @param {Object} request - CertificateRequest document
+ * @param {Object} [options] - { issuedBy } user ID; defaults to the course instructor
+ * @returns {Promise<Object>} The saved request
+ */
+async function generateCertificate(request, { issuedBy } = {}) {
+  const [student, course, group, settings, gradeScale] = await Promise.all([
+    User.findById(request.student).select('name'),
+    Course.findById(request.course).select('name instructor').populate('instructor', 'name'),
+    request.group ? Group.findById(request.group).select('name') : null,
+    AdminSettings.getSettings(),
+    loadCourseGradeScale(request.course)
+  ]);
+  if (!student || !course) {
+    throw new Error('The student or course of this certificate no longer exists');
+  }
+
+  const issuedAt = new Date();
+  const verificationCode = request.verificationCode || generateVerificationCode();
+  const grade = Number(request.courseGrade) || 0;
+
+  const pdf = await renderCertificatePdf({
+    studentName: student.name,
+    courseName: course.name,
+    groupName: group ? group.name : '',
+    grade,
+    gradeLabel: gradeScale ? gradeLabelOf(grade, gradeScale) : null,
+    issuedAt,
+    instructorName: course.instructor ? course.instructor.name : '',
+    platformName: settings.platformName || 'EduFlow Academy',
+    verificationCode,
+    verificationUrl: buildVerificationUrl(verificationCode),
+    template: settings.certificateTemplate,
+    signature: settings.certificateSignature
+  });
+
+  const filename = `certificate-${request._id}-${Date.now()}.pdf`;
+  await fs.promises.mkdir(certificatesDir, { recursive: true });
+  await fs.promises.writeFile(path.join(certificatesDir, filename), pdf);
+
+  request.status = 'issued';
+  request.issuedAt = issuedAt;
+  request.issuedBy = issuedBy || (course.instructor ? course.instructor._id : undefined);
+  request.verificationCode = verificationCode;
+  request.certificateFile = {
+    originalName: `${course.name} - ${student.name}.pdf`,
+    storedName: filename,
+    url: constructUploadPath('certificates', filename),
+    mimeType: 'application/pdf',
+    size: pdf.length,
+    uploadedAt: issuedAt,
+    generated: true
+  };
+  await request.save();
+  return request;
+}
+
+module.exports = {
+  DEFAULT_CERTIFICATE_TEMPLATE,
+  TEMPLATE_PLACEHOLDERS,
+  validateCertificateTemplate,
+  renderCertificateText,
+  generateVerificationCode,
+  buildVerificationUrl,
+  renderCertificatePdf,
+  generateCertificate
+};
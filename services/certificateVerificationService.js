@@ -0,0 +1,68 @@
+/**
+ * Public verification of certificates by serial. Only what an employer
+ * needs to confirm a certificate is shown: holder, course, issue date and
+ * whether it is still valid. Revoked certificates keep verifying, with the
+ * reason and, when reissued, the serial that replaced them.
+ */
+const CertificateRequest = require('../models/CertificateRequest');
+
+/**
+ * Normalize a serial typed or scanned by a visitor
+ * @param {String} code - e.g. "7kq2 m9xd p4ta"
+ * @returns {String|null} e.g. "7KQ2-M9XD-P4TA", or null when it cannot be a serial
+ */
+function normalizeSerial(code) {
+  const chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (chars.length !== 12) return null;
+  return chars.match(/.{4}/g).join('-');
+}
+
+/**
+ * Shape a certificate for the public verification response
+ * @param {Object} certificate - CertificateRequest with student, course, group
+ *   and replacedBy populated
+ * @returns {Object}
+ */
+function toVerificationResult(certificate) {
+  const revoked = certificate.status === 'revoked';
+  return {
+    serial: certificate.verificationCode,
+    status: revoked ? 'revoked' : 'valid',
+    holderName: certificate.student ? certificate.student.name : null,
+    course: certificate.course ? certificate.course.name : null,
+    group: certificate.group ? certificate.group.name : null,
+    issuedAt: certificate.issuedAt || null,
+    revokedAt: revoked ? certificate.revokedAt || null : null,
+    revocationReason: revoked ? certificate.revocationReason || null : null,
+    replacedBy: revoked && certificate.replacedBy && certificate.replacedBy.status === 'issued'
+      ? certificate.replacedBy.verificationCode
+      : null
+  };
+}
+
+/**
+ * Look up a certificate by serial
+ * @param {String} code - Serial as typed by the visitor
+ * @returns {Promise<Object|null>} Verification result, or null when unknown
+ */
+async function verifyCertificateSerial(code) {
+  const serial = normalizeSerial(code);
+  if (!serial) return null;
+
+  const certificate = await CertificateRequest.findOne({
+    verificationCode: serial,
+    status: { $in: ['issued', 'revoked'] }
+  })
+    .populate('student', 'name')
+    .populate('course', 'name')
+    .populate('group', 'name')
+    .populate('replacedBy', 'verificationCode status');
+
+  return certificate ? toVerificationResult(certificate) : null;
+}
+
+module.exports = {
+  normalizeSerial,
+  toVerificationResult,
+  verifyCertificateSerial
+};
@@ -0,0 +1,312 @@
+/**
+ * Drip release of section content. A published item without a release
+ * rule is visible as soon as its section is; otherwise it opens for each
+ * student of the group at:
+ *
+ *  - fixed_date:        release.date
+ *  - after_enrollment:  the student's enrollment date plus release.days
+ *  - after_group_start: Group.startDate plus release.days (negative days
+ *                       release before the group starts)
+ *
+ * Students get a notification when an item opens for them. release.notifiedAt
+ * is how far notifications have been sent: it is set when the rule is saved,
+ * so items whose release date already passed do not notify, and the
+ * scheduler moves it forward as it notifies.
+ */
+const Content = require('../models/Content');
+const Group = require('../models/Group');
+const Enrollment = require('../models/Enrollment');
+const Notification = require('../models/Notification');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RELEASE_TYPES = ['immediate', 'fixed_date', 'after_enrollment', 'after_group_start'];
+const MAX_RELEASE_DAYS = 365;
+
+// Group statuses whose students are notified
+const NOTIFIED_STUDENT_STATUSES = ['enrolled'];
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+const idOf = (value) => (value && value._id ? value._id.toString() : String(value));
+
+/**
+ * Validate a release rule sent by an instructor
+ * @param {Object|null} input - { type, date, days }; null releases immediately
+ * @returns {{ error: String|null, release: Object|null }}
+ */
+function validateReleaseRule(input) {
+  if (input === null) return { error: null, release: { type: 'immediate', date: null, days: 0 } };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Release rule must be an object', release: null };
+  }
+
+  const type = input.type || 'immediate';
+  if (!RELEASE_TYPES.includes(type)) {
+    return { error: `type must be one of: ${RELEASE_TYPES.join(', ')}`, release: null };
+  }
+
+  const release = { type, date: null, days: 0 };
+  if (type === 'fixed_date') {
+    const date = input.date ? new Date(input.date) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      return { error: 'date must be a valid date', release: null };
+    }
+    release.date = date;
+  }
+
+  if (type === 'after_enrollment' || type === 'after_group_start') {
+    const days = Number(input.days ?? 0);
+    const min = type === 'after_enrollment' ? 0 : -MAX_RELEASE_DAYS;
+    if (!Number.isInteger(days) || days < min || days > MAX_RELEASE_DAYS) {
+      return { error: `days must be a whole number between ${min} and ${MAX_RELEASE_DAYS}`, release: null };
+    }
+    release.days = days;
+  }
+
+  return { error: null, release };
+}
+
+/**
+ * When an item opens for a student
+ * @param {Object|null} release - Content.release
+ * @param {Object} facts - { enrolledAt, groupStartDate }
+ * @returns {{ scheduled: Boolean, releaseDate: Date|null }} releaseDate is null when
+ *   the item is not scheduled, or when the student's enrollment date is unknown
+ */
+function getReleaseDate(release, { enrolledAt = null, groupStartDate = null } = {}) {
+  const rule = toPlain(release);
+  if (!rule || !rule.type || rule.type === 'immediate') return { scheduled: false, releaseDate: null };
+
+  const plusDays = base => (base ? new Date(new Date(base).getTime() + (rule.days || 0) * DAY_MS) : null);
+  switch (rule.type) {
+    case 'fixed_date':
+      return { scheduled: true, releaseDate: rule.date ? new Date(rule.date) : null };
+    case 'after_enrollment':
+      return { scheduled: true, releaseDate: plusDays(enrolledAt) };
+    case 'after_group_start':
+      return { scheduled: true, releaseDate: plusDays(groupStartDate) };
+    default:
+      return { scheduled: false, releaseDate: null };
+  }
+}
+
+/**
+ * Whether an item is open for a student
+ * @param {Object|null} release - Content.release
+ * @param {Object} facts - { enrolledAt, groupStartDate }
+ * @param {Date} [now]
+ * @returns {{ released: Boolean, releaseDate: Date|null }}
+ */
+function evaluateRelease(release, facts, now = new Date()) {
+  const { scheduled, releaseDate } = getReleaseDate(release, facts);
+  if (!scheduled) return { released: true, releaseDate: null };
+  // An unknown date (e.g. not enrolled in the group) keeps the item closed
+  return { released: Boolean(releaseDate) && releaseDate <= now, releaseDate };
+}
+
+const needsFacts = items => items.some(item => item.release && item.release.type && item.release.type !== 'immediate');
+
+/**
+ * Enrollment and start dates a student's release dates depend on
+ * @param {String} groupId
+ * @param {String} studentId
+ * @returns {Promise<{ enrolledAt: Date|null, groupStartDate: Date|null }>}
+ */
+async function loadReleaseFacts(groupId, studentId) {
+  const group = await Group.findById(groupId).select('startDate students.student students.enrollmentDate');
+  const member = group && group.students.find(s => s.student && s.student.toString() === String(studentId));
+  let enrolledAt = member ? member.enrollmentDate : null;
+  if (!enrolledAt) {
+    const enrollment = await Enrollment.findOne({ student: studentId, group: groupId }).select('enrolledAt');
+    enrolledAt = enrollment ? enrollment.enrolledAt : null;
+  }
+  return { enrolledAt: enrolledAt || null, groupStartDate: group ? group.startDate : null };
+}
+
+/**
+ * Whether an item is open for a student, loading what its rule needs
+ * @param {Object} content - Content document (release, group)
+ * @param {String} studentId
+ * @param {Date} [now]
+ * @returns {Promise<{ released: Boolean, releaseDate: Date|null }>}
+ */
+async function getContentReleaseStatus(content, studentId, now = new Date()) {
+  if (!needsFacts([content])) return { released: true, releaseDate: null };
+  const facts = await loadReleaseFacts(idOf(content.group), studentId);
+  return evaluateRelease(content.release, facts, now);
+}
+
+/**
+ * Release status of the items of a section for a student
+ * @param {Array} items - Content documents of one group
+ * @param {String} studentId
+ * @param {Date} [now]
+ * @returns {Promise<Map<String, { released: Boolean, releaseDate: Date|null }>>} By content id
+ */
+async function getSectionReleaseStatus(items, studentId, now = new Date()) {
+  const statuses = new Map();
+  const facts = needsFacts(items) ? await loadReleaseFacts(idOf(items[0].group), studentId) : {};
+  items.forEach((item) => {
+    statuses.set(item._id.toString(), evaluateRelease(item.release, facts, now));
+  });
+  return statuses;
+}
+
+/**
+ * What a student sees of an item that has not opened yet
+ * @param {Object} item - Content document
+ * @param {Object} status - Result of evaluateRelease
+ * @returns {Object}
+ */
+function toUnreleasedItem(item, status) {
+  return {
+    _id: item._id,
+    title: item.title,
+    type: item.type,
+    section: item.section,
+    group: item.group,
+    course: item.course,
+    order: item.order,
+    released: false,
+    releaseDate: status.releaseDate
+  };
+}
+
+/**
+ * Response body for a request on an item that has not opened yet
+ * @param {Object} status - Result of evaluateRelease
+ * @returns {Object}
+ */
+function unreleasedResponse(status) {
+  return {
+    success: false,
+    message: status.releaseDate
+      ? `This content will be available on ${status.releaseDate.toISOString()}`
+      : 'This content is not available yet',
+    released: false,
+    releaseDate: status.releaseDate
+  };
+}
+
+/**
+ * Students of a group who get an item in (from, to], with the date it opens for them
+ * @param {Object} release - Content.release
+ * @param {Object} group - Group (startDate, students)
+ * @param {Date} from - Exclusive
+ * @param {Date} to - Inclusive
+ * @returns {Array<{ student: String, releaseDate: Date }>}
+ */
+function findReleasesBetween(release, group, from, to) {
+  return (group.students || [])
+    .filter(s => s.student && NOTIFIED_STUDENT_STATUSES.includes(s.status))
+    .map((s) => {
+      const { releaseDate } = getReleaseDate(release, { enrolledAt: s.enrollmentDate, groupStartDate: group.startDate });
+      return { student: s.student.toString(), enrolledAt: s.enrollmentDate, releaseDate };
+    })
+    // Students who joined after the release found the item already open
+    .filter(r => r.releaseDate && r.releaseDate > from && r.releaseDate <= to
+      && !(r.enrolledAt && r.enrolledAt >= r.releaseDate))
+    .map(({ student, releaseDate }) => ({ student, releaseDate }));
+}
+
+/**
+ * Notify the students an item opened for since release.notifiedAt. The
+ * window is claimed first so two scheduler runs cannot both notify it.
+ * @param {Object} content - Content document
+ * @param {Object} group - Group document
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Object} [options.io] - Socket.IO server to notify students
+ * @returns {Promise<Number>} Students notified
+ */
+async function notifyReleasedContent(content, group, { now = new Date(), io = null } = {}) {
+  const from = content.release.notifiedAt;
+  const released = findReleasesBetween(content.release, group, from, now);
+  if (released.length === 0) return 0;
+
+  const claimed = await Content.findOneAndUpdate(
+    { _id: content._id, 'release.notifiedAt': from },
+    { $set: { 'release.notifiedAt': now } }
+  );
+  if (!claimed) return 0;
+
+  await Notification.insertMany(released.map(r => ({
+    user: r.student,
+    type: 'course_update',
+    title: 'New content available',
+    message: `"${content.title}" is now available.`,
+    link: `/courses/${content.course}`,
+    metadata: {
+      contentId: content._id,
+      sectionId: content.section,
+      groupId: content.group,
+      releaseDate: r.releaseDate
+    }
+  })));
+
+  if (io) {
+    released.forEach((r) => {
+      io.to(`user:${r.student}`).emit('content_released', {
+        contentId: content._id,
+        sectionId: content.section,
+        title: content.title,
+        releaseDate: r.releaseDate
+      });
+    });
+  }
+  return released.length;
+}
+
+/**
+ * Scheduler entry point: notify students of the items that opened for them
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Object} [options.io]
+ * @returns {Promise<{ items: Number, notified: Number }>}
+ */
+async function processContentReleases({ now = new Date(), io = null } = {}) {
+  const contents = await Content.find({
+    'release.type': { $in: ['fixed_date', 'after_enrollment', 'after_group_start'] },
+    'release.notifiedAt': { $ne: null, $lt: now },
+    isPublished: true,
+    deletionStatus: 'active',
+    isLatestVersion: { $ne: false },
+    $or: [{ 'release.type': { $ne: 'fixed_date' } }, { 'release.date': { $lte: now } }]
+  });
+
+  const groupIds = [...new Set(contents.map(c => c.group.toString()))];
+  const groups = new Map((await Group.find({ _id: { $in: groupIds }, isArchived: { $ne: true } })
+    .select('startDate students.student students.status students.enrollmentDate'))
+    .map(g => [g._id.toString(), g]));
+
+  let items = 0;
+  let notified = 0;
+  for (const content of contents) {
+    const group = groups.get(content.group.toString());
+    if (!group) continue;
+    try {
+      const count = await notifyReleasedContent(content, group, { now, io });
+      if (count > 0) {
+        items += 1;
+        notified += count;
+      }
+    } catch (error) {
+      console.error(`Notify release of content ${content._id} error:`, error);
+    }
+  }
+  return { items, notified };
+}
+
+module.exports = {
+  RELEASE_TYPES,
+  validateReleaseRule,
+  getReleaseDate,
+  evaluateRelease,
+  getContentReleaseStatus,
+  getSectionReleaseStatus,
+  toUnreleasedItem,
+  unreleasedResponse,
+  findReleasesBetween,
+  notifyReleasedContent,
+  processContentReleases
+};
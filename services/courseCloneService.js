@@ -0,0 +1,477 @@
+/**
+ * Deep copies of a group, or of a whole course, for a new cohort. Sections,
+ * content, tests and settings are copied with fresh IDs and their dates
+ * (due dates, test windows, group start and end) moved by one offset.
+ * Uploaded and hosted media stay shared: the copies point at the same files.
+ * Nothing about students is copied (enrollments, progress, grades,
+ * submissions). Every clone returns a report mapping old IDs to new ones.
+ */
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Group = require('../models/Group');
+const Section = require('../models/Section');
+const Content = require('../models/Content');
+const ActiveTest = require('../models/ActiveTest');
+const Rubric = require('../models/Rubric');
+const QuestionBank = require('../models/QuestionBank');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GROUP_NAME_MAX = 50;
+const COURSE_NAME_MAX = 100;
+
+// Top-level fields every copy gets anew
+const DOCUMENT_META = ['_id', '__v', 'id', 'createdAt', 'updatedAt'];
+
+/**
+ * Work out how far the dates of a clone move
+ * @param {Object} options - { startDate } new start of the cohort, or { offsetDays }
+ * @param {Date|null} sourceStart - Start of the cohort being copied
+ * @returns {{ error: String|null, offsetMs: Number }}
+ */
+function resolveDateOffset({ startDate, offsetDays } = {}, sourceStart) {
+  if (startDate !== undefined && startDate !== null && startDate !== '') {
+    const start = new Date(startDate);
+    if (Number.isNaN(start.getTime())) {
+      return { error: 'startDate must be a valid date', offsetMs: 0 };
+    }
+    if (!sourceStart) {
+      return { error: 'The source has no start date; use offsetDays instead', offsetMs: 0 };
+    }
+    return { error: null, offsetMs: start.getTime() - new Date(sourceStart).getTime() };
+  }
+  if (offsetDays !== undefined && offsetDays !== null && offsetDays !== '') {
+    const days = Number(offsetDays);
+    if (!Number.isFinite(days)) {
+      return { error: 'offsetDays must be a number', offsetMs: 0 };
+    }
+    return { error: null, offsetMs: Math.round(days * DAY_MS) };
+  }
+  return { error: null, offsetMs: 0 };
+}
+
+/**
+ * Move a date by an offset
+ * @param {Date|String|null} date
+ * @param {Number} offsetMs
+ * @returns {Date|null} null stays null
+ */
+function shiftDate(date, offsetMs) {
+  if (!date) return date ?? null;
+  const time = new Date(date).getTime();
+  if (Number.isNaN(time)) return null;
+  return new Date(time + offsetMs);
+}
+
+/**
+ * Fresh IDs for a list of documents
+ * @param {Array<Object>} docs
+ * @returns {Map<String, ObjectId>} Old ID -> new ID
+ */
+function buildIdMap(docs) {
+  return new Map(docs.map(doc => [doc._id.toString(), new mongoose.Types.ObjectId()]));
+}
+
+/**
+ * The copy's ID for a reference; references outside the clone are kept
+ * @param {Map} idMap - From buildIdMap
+ * @param {ObjectId|String|null} id
+ * @returns {ObjectId|String|null}
+ */
+function remapId(idMap, id) {
+  if (!id) return id ?? null;
+  return idMap.get(id.toString()) || id;
+}
+
+/**
+ * Old -> new ID report of an ID map, as plain strings
+ * @param {Map} idMap
+ * @returns {Object}
+ */
+function toMappingReport(idMap) {
+  const report = {};
+  idMap.forEach((newId, oldId) => {
+    report[oldId] = newId.toString();
+  });
+  return report;
+}
+
+// Keep the copy of a name within its schema's limit
+const copyName = (name, requested, maxLength) => {
+  const value = (requested && String(requested).trim()) || `${name} (copy)`;
+  return value.slice(0, maxLength);
+};
+
+const withoutMeta = (doc) => {
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false }) : { ...doc };
+  DOCUMENT_META.forEach(key => delete plain[key]);
+  return plain;
+};
+
+/**
+ * Copy of a group with no students
+ * @param {Object} group - Source group
+ * @param {Object} context - { ids, offsetMs, course, instructor, userId, name }
+ * @returns {Object}
+ */
+function buildGroupCopy(group, context) {
+  const { ids } = context;
+  const copy = withoutMeta(group);
+  return {
+    ...copy,
+    _id: remapId(ids.groups, group._id),
+    name: copyName(group.name, context.name, GROUP_NAME_MAX),
+    course: context.course,
+    instructor: context.instructor || group.instructor,
+    createdBy: context.userId,
+    startDate: shiftDate(group.startDate, context.offsetMs),
+    endDate: shiftDate(group.endDate, context.offsetMs),
+    sections: (copy.sections || []).map(entry => ({
+      ...entry,
+      sectionId: remapId(ids.sections, entry.sectionId)
+    })),
+    students: [],
+    currentStudents: 0,
+    isActive: true,
+    isArchived: false,
+    archivedAt: undefined,
+    archivedBy: undefined,
+    archivedReason: undefined
+  };
+}
+
+/**
+ * Copy of a section, with its unlock rules pointing at the copied tests and sections
+ * @param {Object} section - Source section
+ * @param {Object} context - { ids, course, userId }
+ * @returns {Object}
+ */
+function buildSectionCopy(section, context) {
+  const { ids } = context;
+  const copy = withoutMeta(section);
+  return {
+    ...copy,
+    _id: remapId(ids.sections, section._id),
+    group: remapId(ids.groups, section.group),
+    course: context.course,
+    createdBy: context.userId,
+    unlockRules: (copy.unlockRules || []).map(rule => ({
+      ...rule,
+      test: remapId(ids.tests, rule.test),
+      section: remapId(ids.sections, rule.section)
+    }))
+  };
+}
+
+/**
+ * Copy of a content item; its media fields are kept as they are, so the copy
+ * shares the original's files
+ * @param {Object} content - Source content (latest, active version)
+ * @param {Object} context - { ids, offsetMs, course, userId }
+ * @returns {Object}
+ */
+function buildContentCopy(content, context) {
+  const { ids } = context;
+  const copy = withoutMeta(content);
+  const peerReview = copy.peerReview
+    ? { ...copy.peerReview, assignedAt: null, closesAt: null, closedAt: null }
+    : copy.peerReview;
+  // Release notifications of the copy start from when it was made
+  const release = copy.release
+    ? { ...copy.release, date: shiftDate(copy.release.date, context.offsetMs), notifiedAt: new Date() }
+    : copy.release;
+
+  return {
+    ...copy,
+    _id: remapId(ids.contents, content._id),
+    section: remapId(ids.sections, content.section),
+    group: remapId(ids.groups, content.group),
+    course: context.course,
+    rubric: remapId(ids.rubrics, content.rubric),
+    peerReview,
+    release,
+    dueDate: shiftDate(content.dueDate, context.offsetMs),
+    createdBy: context.userId,
+    version: 1,
+    parentContent: undefined,
+    isLatestVersion: true,
+    deletionStatus: 'active',
+    deletedAt: null,
+    deletedBy: null
+  };
+}
+
+/**
+ * Copy of a test, drawing from the copied question banks when there are any
+ * @param {Object} test - Source test
+ * @param {Object} context - { ids, offsetMs, course, instructor }
+ * @returns {Object}
+ */
+function buildTestCopy(test, context) {
+  const { ids } = context;
+  const copy = withoutMeta(test);
+  return {
+    ...copy,
+    _id: remapId(ids.tests, test._id),
+    section: remapId(ids.sections, test.section),
+    group: remapId(ids.groups, test.group),
+    course: context.course,
+    instructor: context.instructor || test.instructor,
+    questionDraws: (copy.questionDraws || []).map(draw => ({
+      ...draw,
+      bank: remapId(ids.questionBanks, draw.bank)
+    })),
+    startDate: shiftDate(test.startDate, context.offsetMs),
+    endDate: shiftDate(test.endDate, context.offsetMs)
+  };
+}
+
+/**
+ * Copy of a course with no groups, ratings, discount or approval history.
+ * Copies are unpublished so dates can be checked before students see them.
+ * @param {Object} course - Source course
+ * @param {Object} context - { ids, offsetMs, name, approved, userId }
+ * @returns {Object}
+ */
+function buildCourseCopy(course, context) {
+  const { ids } = context;
+  const copy = withoutMeta(course);
+  return {
+    ...copy,
+    _id: remapId(ids.courses, course._id),
+    name: copyName(course.name, context.name, COURSE_NAME_MAX),
+    groups: [],
+    assignments: (copy.assignments || []).map(assignment => ({
+      ...assignment,
+      dueDate: shiftDate(assignment.dueDate, context.offsetMs)
+    })),
+    originalCost: null,
+    discount: undefined,
+    averageRating: 0,
+    totalRatings: 0,
+    isPublished: false,
+    isActive: true,
+    isArchived: false,
+    archivedAt: undefined,
+    archivedBy: undefined,
+    archivedReason: undefined,
+    approvalStatus: context.approved ? 'approved' : 'pending',
+    approvedBy: context.approved ? context.userId : undefined,
+    approvedAt: context.approved ? new Date() : undefined,
+    rejectionReason: undefined,
+    isOrphaned: false,
+    originalInstructor: undefined
+  };
+}
+
+/**
+ * Course-scoped rubric or question bank copied into the new course
+ * @param {Object} doc - Source rubric or question bank
+ * @param {Map} idMap - The model's ID map
+ * @param {Object} context - { ids, course }
+ * @returns {Object}
+ */
+function buildLibraryCopy(doc, idMap, context) {
+  const copy = withoutMeta(doc);
+  const result = { ...copy, _id: remapId(idMap, doc._id), course: context.course };
+  if ('section' in copy) result.section = remapId(context.ids.sections, copy.section);
+  return result;
+}
+
+// Sections, content and tests of the groups being copied
+const loadGroupMaterial = async (groupIds) => {
+  const [sections, contents, tests] = await Promise.all([
+    Section.find({ group: { $in: groupIds } }).sort({ order: 1 }),
+    Content.find({
+      group: { $in: groupIds },
+      deletionStatus: 'active',
+      isLatestVersion: { $ne: false }
+    }).sort({ order: 1 }),
+    ActiveTest.find({ group: { $in: groupIds } })
+  ]);
+  return { sections, contents, tests };
+};
+
+/**
+ * Insert the copies model by model; when one fails, remove what was inserted
+ * so no half-copied cohort is left behind. deleteMany skips the cascade
+ * hooks, which would delete the shared media files. Course package imports
+ * use it too.
+ * @param {Array<[Model, Array<Object>]>} batches
+ */
+async function insertAll(batches) {
+  const inserted = [];
+  try {
+    for (const [Model, docs] of batches) {
+      if (!docs.length) continue;
+      await Model.insertMany(docs);
+      inserted.push([Model, docs.map(doc => doc._id)]);
+    }
+  } catch (error) {
+    for (const [Model, ids] of inserted.reverse()) {
+      await Model.deleteMany({ _id: { $in: ids } }).catch((cleanupError) => {
+        console.error('Clone cleanup error:', cleanupError.message);
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether content outside the items being deleted or replaced still uses a
+ * media file. Copies share media with their original, so a file may only be
+ * deleted once nothing else points at it.
+ * @param {String} field - Content field holding the file, e.g. 'video.path' or 'videoPath'
+ * @param {String} value - Its stored path or name
+ * @param {Object} excluded - Filter of the content being deleted or replaced, e.g. { section: id }
+ * @returns {Promise<Boolean>}
+ */
+async function isMediaShared(field, value, excluded) {
+  return Boolean(await Content.exists({ $nor: [excluded], [field]: value }));
+}
+
+/**
+ * Copy a group, with its sections, content and tests, into the same or another course
+ * @param {Object} group - Source group document
+ * @param {Object} options - { course } target course document, { name, startDate,
+ *   offsetDays, userId }
+ * @returns {Promise<{ error: String|null, group: Object, offsetMs: Number, mapping: Object }>}
+ */
+async function cloneGroup(group, options) {
+  const { error, offsetMs } = resolveDateOffset(options, group.startDate);
+  if (error) return { error };
+
+  const { sections, contents, tests } = await loadGroupMaterial([group._id]);
+  const ids = {
+    groups: buildIdMap([group]),
+    sections: buildIdMap(sections),
+    contents: buildIdMap(contents),
+    tests: buildIdMap(tests),
+    // Rubrics and question banks are the instructor's library and stay shared
+    rubrics: new Map(),
+    questionBanks: new Map()
+  };
+  const context = {
+    ids,
+    offsetMs,
+    course: options.course._id,
+    instructor: options.course.instructor,
+    userId: options.userId,
+    name: options.name
+  };
+
+  const groupCopy = buildGroupCopy(group, context);
+  await insertAll([
+    [Group, [groupCopy]],
+    [Section, sections.map(section => buildSectionCopy(section, context))],
+    [Content, contents.map(content => buildContentCopy(content, context))],
+    [ActiveTest, tests.map(test => buildTestCopy(test, context))]
+  ]);
+  await Course.updateOne({ _id: options.course._id }, { $push: { groups: groupCopy._id } });
+
+  return {
+    error: null,
+    group: await Group.findById(groupCopy._id),
+    offsetMs,
+    mapping: {
+      groups: toMappingReport(ids.groups),
+      sections: toMappingReport(ids.sections),
+      contents: toMappingReport(ids.contents),
+      tests: toMappingReport(ids.tests)
+    }
+  };
+}
+
+/**
+ * Copy a course with its groups, their sections, content and tests, and the
+ * rubrics and question banks kept with the course
+ * @param {Object} course - Source course document
+ * @param {Object} options - { name, startDate, offsetDays, userId, approved,
+ *   includeArchived } archived groups are left out unless includeArchived
+ * @returns {Promise<{ error: String|null, course: Object, offsetMs: Number, mapping: Object }>}
+ */
+async function cloneCourse(course, options) {
+  const groupQuery = { course: course._id };
+  if (!options.includeArchived) groupQuery.isArchived = { $ne: true };
+  const groups = await Group.find(groupQuery).sort({ startDate: 1 });
+
+  const firstStart = groups.length ? groups[0].startDate : null;
+  const { error, offsetMs } = resolveDateOffset(options, firstStart);
+  if (error) return { error };
+
+  const [{ sections, contents, tests }, rubrics, questionBanks] = await Promise.all([
+    loadGroupMaterial(groups.map(g => g._id)),
+    Rubric.find({ course: course._id }),
+    QuestionBank.find({ course: course._id })
+  ]);
+
+  const ids = {
+    courses: buildIdMap([course]),
+    groups: buildIdMap(groups),
+    sections: buildIdMap(sections),
+    contents: buildIdMap(contents),
+    tests: buildIdMap(tests),
+    rubrics: buildIdMap(rubrics),
+    questionBanks: buildIdMap(questionBanks)
+  };
+  const courseCopy = buildCourseCopy(course, {
+    ids,
+    offsetMs,
+    name: options.name,
+    approved: options.approved,
+    userId: options.userId
+  });
+  const context = {
+    ids,
+    offsetMs,
+    course: courseCopy._id,
+    instructor: course.instructor,
+    userId: options.userId
+  };
+
+  const groupCopies = groups.map(group => buildGroupCopy(group, { ...context, name: group.name }));
+  courseCopy.groups = groupCopies.map(g => g._id);
+
+  await insertAll([
+    [Course, [courseCopy]],
+    [Rubric, rubrics.map(rubric => buildLibraryCopy(rubric, ids.rubrics, context))],
+    [QuestionBank, questionBanks.map(bank => buildLibraryCopy(bank, ids.questionBanks, context))],
+    [Group, groupCopies],
+    [Section, sections.map(section => buildSectionCopy(section, context))],
+    [Content, contents.map(content => buildContentCopy(content, context))],
+    [ActiveTest, tests.map(test => buildTestCopy(test, context))]
+  ]);
+
+  return {
+    error: null,
+    course: await Course.findById(courseCopy._id),
+    offsetMs,
+    mapping: {
+      courses: toMappingReport(ids.courses),
+      groups: toMappingReport(ids.groups),
+      sections: toMappingReport(ids.sections),
+      contents: toMappingReport(ids.contents),
+      tests: toMappingReport(ids.tests),
+      rubrics: toMappingReport(ids.rubrics),
+      questionBanks: toMappingReport(ids.questionBanks)
+    }
+  };
+}
+
+module.exports = {
+  DAY_MS,
+  resolveDateOffset,
+  shiftDate,
+  buildIdMap,
+  remapId,
+  toMappingReport,
+  buildGroupCopy,
+  buildSectionCopy,
+  buildContentCopy,
+  buildTestCopy,
+  buildCourseCopy,
+  insertAll,
+  isMediaShared,
+  cloneGroup,
+  cloneCourse
+};
@@ -0,0 +1,1138 @@
+/**
+ * Course packages for moving a course between EduFlow instances or in from
+ * other LMSs. A package is an IMS Common Cartridge 1.3 zip (.imscc): each
+ * section is a module; lectures are web pages with their video, assignments
+ * and projects use the CC assignment extension, and tests are QTI 1.2
+ * assessments. What Common Cartridge cannot express (prices, unlock rules,
+ * grading settings, rubrics, solutions, question types outside the CC
+ * profile) travels in eduflow/course.json, which the importer uses when it
+ * is present. Locally stored files are packaged; hosted media (YouTube,
+ * Cloudinary) is exported as links.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const mongoose = require('mongoose');
+const sanitizeHtml = require('sanitize-html');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const Course = require('../models/Course');
+const Group = require('../models/Group');
+const Section = require('../models/Section');
+const Content = require('../models/Content');
+const ActiveTest = require('../models/ActiveTest');
+const Rubric = require('../models/Rubric');
+const QuestionBank = require('../models/QuestionBank');
+const { videosDir, filesDir } = require('../middleware/upload');
+const { exportQti, parseQti } = require('./questionFormatService');
+const { resolveDateOffset, shiftDate, insertAll } = require('./courseCloneService');
+const { validateReleaseRule } = require('./contentReleaseService');
+const { extractYouTubeVideoId } = require('../utils/youtubeHelper');
+
+const PACKAGE_FORMAT = 'eduflow-course';
+const PACKAGE_VERSION = 1;
+const EXTENSION_FILE = 'eduflow/course.json';
+const MANIFEST_FILE = 'imsmanifest.xml';
+
+const RESOURCE_TYPES = {
+  webcontent: 'webcontent',
+  weblink: 'imswl_xmlv1p3',
+  assignment: 'assignment_xmlv1p0',
+  assessment: 'imsqti_xmlv1p2/imscc_xmlv1p3/assessment',
+  questionBank: 'imsqti_xmlv1p2/imscc_xmlv1p3/question-bank',
+  application: 'associatedcontent/imscc_xmlv1p3/learning-application-resource'
+};
+
+// Any Common Cartridge version the importer understands
+const RESOURCE_PATTERNS = {
+  webcontent: /^webcontent$/,
+  weblink: /^imswl_xmlv1p\d$/,
+  assignment: /^assignment_xmlv1p\d$/,
+  assessment: /^imsqti_xmlv1p2\/imscc_xmlv1p\d\/assessment$/,
+  questionBank: /^imsqti_xmlv1p2\/imscc_xmlv1p\d\/question-bank$/,
+  discussion: /^imsdt_xmlv1p\d$/,
+  lti: /^imsbasiclti_xmlv1p\d$/
+};
+
+const DEFAULT_MAX_UNCOMPRESSED_BYTES = 2 * 1024 * 1024 * 1024;
+const DEFAULT_TIME_LIMIT_MINUTES = 60;
+const GROUP_LEVELS = ['beginner', 'intermediate', 'advanced', 'A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+const VIDEO_EXTENSIONS = /\.(mp4|webm|mkv|mov|avi|m4v)$/i;
+const HTML_EXTENSIONS = /\.html?$/i;
+
+const MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.rar': 'application/vnd.rar',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.txt': 'text/plain',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg'
+};
+
+const uploadsRoot = path.join(__dirname, '..', 'uploads');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const htmlToText = (html) => sanitizeHtml(String(html || '').replace(/<br\s*\/?>|<\/(p|div|li|h\d)>/gi, '\n'), {
+  allowedTags: [],
+  allowedAttributes: {}
+}).replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\s*\n\s*/g, '\n')
+  .trim();
+
+const mimeTypeOf = filename => MIME_TYPES[path.extname(filename || '').toLowerCase()] || 'application/octet-stream';
+
+/**
+ * File name that is safe inside a package
+ * @param {String} name
+ * @param {String} [fallback]
+ * @returns {String}
+ */
+function safeFileName(name, fallback = 'file') {
+  const base = path.basename(String(name || '')).replace(/[^\w.-]+/g, '_').replace(/^\.+/, '');
+  return (base || fallback).slice(-120);
+}
+
+/**
+ * Path of a file inside a package, relative to the package root. Returns
+ * null for anything that would leave the package.
+ * @param {String} href
+ * @param {String} [base] - xml:base of the resource
+ * @returns {String|null}
+ */
+function resolvePackagePath(href, base = '') {
+  if (!href) return null;
+  let decoded;
+  try {
+    decoded = decodeURIComponent(String(href).split(/[?#]/)[0]);
+  } catch (error) {
+    return null;
+  }
+  const joined = path.posix.normalize(path.posix.join(base || '', decoded.replace(/\\/g, '/')));
+  if (joined.startsWith('../') || joined === '..' || path.posix.isAbsolute(joined)) return null;
+  return joined;
+}
+
+// Stored upload of a content item, when it is a file under uploads/
+const resolveLocalFile = (meta, legacyName, legacyDir) => {
+  const candidates = [];
+  if (meta && (!meta.storageType || meta.storageType === 'local')) {
+    [meta.localPath, meta.path].filter(Boolean).forEach((p) => {
+      candidates.push(path.isAbsolute(p) ? p : path.resolve(__dirname, '..', p));
+    });
+  }
+  if (legacyName) candidates.push(path.join(legacyDir, path.basename(legacyName)));
+
+  return candidates.find(candidate => (
+    candidate.startsWith(uploadsRoot + path.sep)
+    && fs.existsSync(candidate)
+    && fs.statSync(candidate).isFile()
+  )) || null;
+};
+
+// Recursively drop database IDs so an import gets fresh ones
+const stripIds = (value) => {
+  if (Array.isArray(value)) return value.map(stripIds);
+  if (value instanceof Date) return value;
+  if (value && typeof value === 'object') {
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !['_id', 'id', '__v', 'createdAt', 'updatedAt'].includes(key))
+      .map(([key, v]) => [key, stripIds(v)]));
+  }
+  return value;
+};
+
+const plain = doc => (doc && typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false }) : doc);
+
+const pick = (source, keys) => Object.fromEntries(keys
+  .filter(key => source && source[key] !== undefined)
+  .map(key => [key, stripIds(plain(source[key]))]));
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+/**
+ * Render imsmanifest.xml
+ * @param {Object} manifest - { identifier, title, description, modules: [{ identifier, title,
+ *   items: [{ identifier, identifierref, title }] }], resources: [{ identifier, type, href, files }] }
+ * @returns {String}
+ */
+function renderManifest({ identifier, title, description, modules, resources }) {
+  const lom = (tag, text) => `<lomimscc:${tag}><lomimscc:string>${escapeXml(text)}</lomimscc:string></lomimscc:${tag}>`;
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<manifest identifier="${escapeXml(identifier)}"`,
+    '  xmlns="http://www.imsglobal.org/xsd/imsccv1p3/imscp_v1p1"',
+    '  xmlns:lomimscc="http://ltsc.ieee.org/xsd/imsccv1p3/LOM/manifest"',
+    '  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsccv1p3/imscp_v1p1 http://www.imsglobal.org/profile/cc/ccv1p3/ccv1p3_imscp_v1p2_v1p0.xsd http://ltsc.ieee.org/xsd/imsccv1p3/LOM/manifest http://www.imsglobal.org/profile/cc/ccv1p3/LOM/ccv1p3_lommanifest_v1p0.xsd">',
+    '  <metadata>',
+    '    <schema>IMS Common Cartridge</schema>',
+    '    <schemaversion>1.3.0</schemaversion>',
+    `    <lomimscc:lom><lomimscc:general>${lom('title', title)}${description ? lom('description', description) : ''}</lomimscc:general></lomimscc:lom>`,
+    '  </metadata>',
+    '  <organizations>',
+    '    <organization identifier="org_1" structure="rooted-hierarchy">',
+    '      <item identifier="root">'
+  ];
+
+  modules.forEach((module) => {
+    out.push(`        <item identifier="${escapeXml(module.identifier)}"><title>${escapeXml(module.title)}</title>`);
+    module.items.forEach((item) => {
+      out.push(`          <item identifier="${escapeXml(item.identifier)}" identifierref="${escapeXml(item.identifierref)}"><title>${escapeXml(item.title)}</title></item>`);
+    });
+    out.push('        </item>');
+  });
+
+  out.push('      </item>', '    </organization>', '  </organizations>', '  <resources>');
+  resources.forEach((resource) => {
+    const href = resource.href ? ` href="${escapeXml(resource.href)}"` : '';
+    out.push(`    <resource identifier="${escapeXml(resource.identifier)}" type="${resource.type}"${href}>`);
+    resource.files.forEach(file => out.push(`      <file href="${escapeXml(file)}"/>`));
+    out.push('    </resource>');
+  });
+  out.push('  </resources>', '</manifest>');
+  return `${out.join('\n')}\n`;
+}
+
+const renderMaterialLinks = materials => (materials && materials.length
+  ? `<h2>Materials</h2><ul>${materials.map(m => `<li><a href="${escapeXml(m.url)}">${escapeXml(m.title)}</a>${m.description ? ` - ${escapeXml(m.description)}` : ''}</li>`).join('')}</ul>`
+  : '');
+
+const renderParagraphs = text => String(text || '')
+  .split(/\n{2,}/)
+  .filter(p => p.trim())
+  .map(p => `<p>${escapeXml(p.trim()).replace(/\n/g, '<br/>')}</p>`)
+  .join('');
+
+/**
+ * Web page of a lecture
+ * @param {Object} page - { title, description, videoHref, videoUrl, fileHref, fileName, materials }
+ * @returns {String}
+ */
+function renderLecturePage({ title, description, videoHref, videoUrl, fileHref, fileName, materials }) {
+  const body = [`<h1>${escapeXml(title)}</h1>`];
+  if (videoHref) body.push(`<video controls="controls" src="${escapeXml(videoHref)}"></video>`);
+  if (videoUrl) body.push(`<p><a href="${escapeXml(videoUrl)}">Watch the video</a></p>`);
+  body.push(renderParagraphs(description));
+  if (fileHref) body.push(`<p><a href="${escapeXml(fileHref)}">${escapeXml(fileName || fileHref)}</a></p>`);
+  body.push(renderMaterialLinks(materials));
+  return `<!DOCTYPE html>\n<html><head><meta charset="utf-8"/><title>${escapeXml(title)}</title></head><body>${body.join('')}</body></html>\n`;
+}
+
+/**
+ * CC assignment extension document
+ * @param {Object} assignment - { identifier, title, description, maxScore, attachments, videoUrl, materials }
+ * @returns {String}
+ */
+function renderAssignmentXml({ identifier, title, description, maxScore, attachments = [], videoUrl, materials }) {
+  const text = [
+    renderParagraphs(description),
+    videoUrl ? `<p><a href="${escapeXml(videoUrl)}">Watch the video</a></p>` : '',
+    renderMaterialLinks(materials)
+  ].join('');
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assignment xmlns="http://www.imsglobal.org/xsd/imscc_extensions/assignment" identifier="${escapeXml(identifier)}">`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <text texttype="text/html">${escapeXml(text)}</text>`,
+    attachments.length
+      ? `  <attachments>${attachments.map(a => `<attachment href="${escapeXml(a)}" role="All"/>`).join('')}</attachments>`
+      : '',
+    `  <gradable points_possible="${Number(maxScore) || 100}">true</gradable>`,
+    '  <submission_formats><format type="file"/></submission_formats>',
+    '</assignment>',
+    ''
+  ].filter(line => line !== '').join('\n') + '\n';
+}
+
+const contentVideoUrl = (video) => {
+  if (!video) return null;
+  if (video.storageType === 'youtube') return video.youtubeUrl || (video.youtubeVideoId ? `https://youtu.be/${video.youtubeVideoId}` : null);
+  if (video.storageType === 'cloudinary') return video.cloudinaryUrl || null;
+  return null;
+};
+
+/**
+ * Add a content item's files and documents to a package
+ * @returns {{ resource: Object, extension: Object }}
+ */
+const packageContent = (zip, content, { rubricKeys, warnings, solutionFiles }) => {
+  const identifier = `RC_${content._id}`;
+  const folder = identifier;
+  const files = [];
+  const addFile = (absolute, name, prefix = folder) => {
+    const href = `${prefix}/${safeFileName(name, path.basename(absolute))}`;
+    zip.addLocalFile(absolute, path.posix.dirname(href), path.posix.basename(href));
+    return href;
+  };
+  const relative = href => href.slice(folder.length + 1);
+
+  const videoPath = resolveLocalFile(content.video, content.videoPath, videosDir);
+  const filePath = resolveLocalFile(content.file, content.filePath || content.starterFilePath, filesDir);
+  const solutionPath = resolveLocalFile(content.solution, null, filesDir);
+
+  const videoHref = videoPath ? addFile(videoPath, (content.video && content.video.originalName) || content.videoFileName || path.basename(videoPath)) : null;
+  const fileHref = filePath ? addFile(filePath, (content.file && content.file.originalName) || content.fileName || content.starterFileName || path.basename(filePath)) : null;
+  const solutionHref = solutionPath
+    ? addFile(solutionPath, (content.solution && content.solution.originalName) || path.basename(solutionPath), `eduflow/solutions/${content._id}`)
+    : null;
+  if (videoHref) files.push(videoHref);
+  if (fileHref) files.push(fileHref);
+  if (solutionHref) solutionFiles.push(solutionHref);
+
+  const videoUrl = contentVideoUrl(content.video);
+  [['video', content.video, videoHref || videoUrl], ['file', content.file, fileHref], ['solution', content.solution, solutionHref]]
+    .forEach(([field, meta, exported]) => {
+      if (meta && (meta.storageType === 'telegram' || meta.path || meta.localPath || meta.telegramFileId) && !exported) {
+        warnings.push({ identifier, title: content.title, reason: `The ${field} file is not stored locally and was not exported` });
+      }
+    });
+
+  const materials = (content.materials || []).map(m => ({ title: m.title, url: m.url, description: m.description, type: m.type }));
+  let resource;
+  if (content.type === 'lecture') {
+    const pageHref = `${folder}/index.html`;
+    zip.addFile(pageHref, Buffer.from(renderLecturePage({
+      title: content.title,
+      description: content.description,
+      videoHref: videoHref && relative(videoHref),
+      videoUrl,
+      fileHref: fileHref && relative(fileHref),
+      fileName: content.file && content.file.originalName,
+      materials
+    })));
+    resource = { identifier, type: RESOURCE_TYPES.webcontent, href: pageHref, files: [pageHref, ...files] };
+  } else {
+    const xmlHref = `${folder}/assignment.xml`;
+    zip.addFile(xmlHref, Buffer.from(renderAssignmentXml({
+      identifier,
+      title: content.title,
+      description: content.description,
+      maxScore: content.maxScore,
+      attachments: files.map(relative),
+      videoUrl,
+      materials
+    })));
+    resource = { identifier, type: RESOURCE_TYPES.assignment, href: xmlHref, files: [xmlHref, ...files] };
+  }
+
+  // Packaged files travel as hrefs; hosted videos keep their links
+  const mediaEntry = (meta, href) => {
+    if (href) return { ...pick(meta || {}, ['originalName', 'mimeType', 'duration']), storageType: 'local', href };
+    if (meta && ['youtube', 'cloudinary'].includes(meta.storageType) && contentVideoUrl(meta)) {
+      return { ...pick(meta, ['storageType', 'youtubeUrl', 'youtubeVideoId', 'cloudinaryUrl', 'duration']), href: null };
+    }
+    return null;
+  };
+
+  const peerReview = content.peerReview
+    ? pick(content.peerReview, ['enabled', 'reviewersPerSubmission', 'reviewWindowHours', 'skipPenaltyPercent'])
+    : null;
+
+  return {
+    resource,
+    extension: {
+      type: content.type,
+      description: content.description,
+      order: content.order,
+      isPublished: content.isPublished,
+      maxScore: content.maxScore,
+      dueDate: content.dueDate || null,
+      latePolicy: stripIds(plain(content.latePolicy)) || null,
+      rubric: content.rubric ? rubricKeys.get(content.rubric.toString()) || null : null,
+      peerReview,
+      release: content.release ? pick(content.release, ['type', 'date', 'days']) : null,
+      materials,
+      video: mediaEntry(content.video, videoHref),
+      file: mediaEntry(content.file, fileHref),
+      solution: solutionHref ? { ...pick(content.solution, ['originalName', 'mimeType']), href: solutionHref } : null
+    }
+  };
+};
+
+// Fields that travel in eduflow/course.json; the importer takes back only these
+const COURSE_FIELDS = [
+  'name', 'description', 'category', 'level', 'duration', 'cost', 'currency', 'requirements',
+  'whatYouWillLearn', 'offersCertificate', 'certificateMode', 'instructorCertificateRelease',
+  'gradeWeights', 'countMissingAsZero', 'latePolicy', 'allowRatingAfterCompletion', 'allowPointsDiscount'
+];
+const GROUP_FIELDS = [
+  'name', 'level', 'description', 'capacity', 'maxStudents', 'schedule', 'enrollmentFee',
+  'entryFee', 'entryFeePercentage', 'paymentType', 'startDate', 'endDate'
+];
+const SECTION_FIELDS = ['description', 'order', 'isFree', 'isPaid', 'priceCents', 'currency', 'priceSYR', 'isActive', 'gradeWeights'];
+const CONTENT_FIELDS = ['type', 'description', 'order', 'isPublished', 'maxScore', 'latePolicy', 'peerReview', 'materials'];
+const RUBRIC_FIELDS = ['title', 'description', 'criteria'];
+const BANK_FIELDS = ['name', 'description', 'topics'];
+const TEST_SETTINGS = [
+  'description', 'timeLimitMinutes', 'passingScore', 'maxAttempts', 'isActive', 'startDate', 'endDate',
+  'shuffleQuestions', 'shuffleOptions', 'showResultsImmediately', 'showCorrectAnswers', 'reviewTiming'
+];
+
+const packageQuestions = (questions, contentKeys) => stripIds((questions || []).map(plain)).map(q => ({
+  ...q,
+  referenceContent: q.referenceContent ? contentKeys.get(q.referenceContent.toString()) || null : null
+}));
+
+/**
+ * Build the package of a course, with the sections, content and tests of one of its groups
+ * @param {Object} course - Course document
+ * @param {Object} group - Group document
+ * @returns {Promise<{ buffer: Buffer, filename: String, warnings: Array }>}
+ */
+async function buildCoursePackage(course, group) {
+  const [sections, contents, tests] = await Promise.all([
+    Section.find({ group: group._id }).sort({ order: 1 }),
+    Content.find({ group: group._id, deletionStatus: 'active', isLatestVersion: { $ne: false } }).sort({ order: 1 }),
+    ActiveTest.find({ group: group._id }).sort({ createdAt: 1 })
+  ]);
+  const rubricIds = [...new Set(contents.filter(c => c.rubric).map(c => c.rubric.toString()))];
+  const bankIds = [...new Set(tests.flatMap(t => (t.questionDraws || []).map(d => d.bank.toString())))];
+  const [rubrics, banks] = await Promise.all([
+    Rubric.find({ _id: { $in: rubricIds } }),
+    QuestionBank.find({ _id: { $in: bankIds } })
+  ]);
+
+  const zip = new AdmZip();
+  const warnings = [];
+  const solutionFiles = [];
+  const resources = [];
+  const rubricKeys = new Map(rubrics.map(r => [r._id.toString(), `RUBRIC_${r._id}`]));
+  const contentKeys = new Map(contents.map(c => [c._id.toString(), `RC_${c._id}`]));
+  const testKeys = new Map(tests.map(t => [t._id.toString(), `RT_${t._id}`]));
+  const bankKeys = new Map(banks.map(b => [b._id.toString(), `RQ_${b._id}`]));
+  const sectionKeys = new Map(sections.map(s => [s._id.toString(), `IS_${s._id}`]));
+  const keyOf = (keys, id) => (id ? keys.get(id.toString()) || null : null);
+
+  const extension = {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exportedAt: new Date(),
+    course: pick(plain(course), COURSE_FIELDS),
+    group: pick(plain(group), GROUP_FIELDS),
+    sections: {},
+    contents: {},
+    tests: {},
+    rubrics: {},
+    questionBanks: {},
+    warnings
+  };
+  if (course.gradeScale) {
+    warnings.push({ identifier: null, title: course.name, reason: 'The course grade scale is not exported' });
+  }
+
+  rubrics.forEach((rubric) => {
+    extension.rubrics[rubricKeys.get(rubric._id.toString())] = pick(plain(rubric), RUBRIC_FIELDS);
+  });
+
+  const modules = sections.map((section) => {
+    const key = sectionKeys.get(section._id.toString());
+    extension.sections[key] = {
+      ...pick(plain(section), SECTION_FIELDS),
+      unlockRules: (section.unlockRules || []).map(rule => ({
+        type: rule.type,
+        test: keyOf(testKeys, rule.test),
+        section: keyOf(sectionKeys, rule.section),
+        minScore: rule.minScore ?? null
+      }))
+    };
+
+    const items = [];
+    contents.filter(c => c.section.toString() === section._id.toString()).forEach((content) => {
+      const packaged = packageContent(zip, content, { rubricKeys, warnings, solutionFiles });
+      resources.push(packaged.resource);
+      extension.contents[packaged.resource.identifier] = packaged.extension;
+      items.push({ identifier: `IC_${content._id}`, identifierref: packaged.resource.identifier, title: content.title });
+    });
+
+    tests.filter(t => t.section.toString() === section._id.toString()).forEach((activeTest) => {
+      const identifier = testKeys.get(activeTest._id.toString());
+      const href = `${identifier}/assessment.xml`;
+      const qti = exportQti(activeTest.questions.map(q => q.toObject()), {
+        identifier,
+        title: activeTest.title,
+        timeLimitMinutes: activeTest.timeLimitMinutes,
+        maxAttempts: activeTest.maxAttempts
+      });
+      zip.addFile(href, Buffer.from(qti.content));
+      resources.push({ identifier, type: RESOURCE_TYPES.assessment, href, files: [href] });
+      if (qti.skipped.length || (activeTest.questionDraws || []).length) {
+        warnings.push({
+          identifier,
+          title: activeTest.title,
+          reason: 'Some questions (random draws, or numeric, matching and ordering questions) are only kept for EduFlow imports'
+        });
+      }
+      extension.tests[identifier] = {
+        ...pick(plain(activeTest), TEST_SETTINGS),
+        questions: packageQuestions(activeTest.questions, contentKeys),
+        questionDraws: (activeTest.questionDraws || []).map(d => ({ bank: keyOf(bankKeys, d.bank), count: d.count }))
+      };
+      items.push({ identifier: `IT_${activeTest._id}`, identifierref: identifier, title: activeTest.title });
+    });
+
+    return { identifier: key, title: section.name, items };
+  });
+
+  banks.forEach((bank) => {
+    const identifier = bankKeys.get(bank._id.toString());
+    const href = `${identifier}/questions.xml`;
+    zip.addFile(href, Buffer.from(exportQti(bank.questions.map(q => q.toObject()), { identifier, title: bank.name, kind: 'question_bank' }).content));
+    resources.push({ identifier, type: RESOURCE_TYPES.questionBank, href, files: [href] });
+    extension.questionBanks[identifier] = {
+      ...pick(plain(bank), BANK_FIELDS),
+      questions: packageQuestions(bank.questions, contentKeys)
+    };
+  });
+
+  zip.addFile(EXTENSION_FILE, Buffer.from(JSON.stringify(extension, null, 2)));
+  resources.push({
+    identifier: 'R_EDUFLOW',
+    type: RESOURCE_TYPES.application,
+    href: EXTENSION_FILE,
+    files: [EXTENSION_FILE, ...solutionFiles]
+  });
+
+  zip.addFile(MANIFEST_FILE, Buffer.from(renderManifest({
+    identifier: `M_${course._id}`,
+    title: course.name,
+    description: course.description,
+    modules,
+    resources
+  })));
+
+  return {
+    buffer: zip.toBuffer(),
+    filename: `${safeFileName(course.name, 'course').replace(/\.+$/, '')}.imscc`,
+    warnings
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  trimValues: true,
+  removeNSPrefix: true,
+  isArray: name => ['organization', 'item', 'resource', 'file', 'attachment', 'string'].includes(name)
+});
+
+const textOf = (node) => {
+  if (node === undefined || node === null) return '';
+  if (Array.isArray(node)) return textOf(node[0]);
+  if (typeof node !== 'object') return String(node);
+  if (node['#text'] !== undefined) return String(node['#text']);
+  if (node.string !== undefined) return textOf(node.string);
+  return '';
+};
+
+// Leaf items of an organization item, depth first
+const leafItems = node => (node.item || []).flatMap(child => (
+  child['@_identifierref'] ? [child] : leafItems(child)
+));
+
+/**
+ * Read the structure of imsmanifest.xml
+ * @param {String} xml
+ * @returns {{ error: String|null, title: String, description: String,
+ *   modules: Array<{ identifier, title, items: Array<{ identifier, title, identifierref }> }>,
+ *   resources: Map<String, { identifier, type, href, files: Array<String> }> }}
+ */
+function parseManifest(xml) {
+  const source = String(xml || '').replace(/^﻿/, '');
+  if (XMLValidator.validate(source) !== true) return { error: 'imsmanifest.xml is not valid XML' };
+
+  const manifest = xmlParser.parse(source).manifest;
+  if (!manifest) return { error: 'imsmanifest.xml has no <manifest> element' };
+
+  const general = (((manifest.metadata || {}).lom || {}).general) || {};
+  const resources = new Map();
+  ((manifest.resources || {}).resource || []).forEach((node) => {
+    const base = node['@_base'] || '';
+    resources.set(node['@_identifier'], {
+      identifier: node['@_identifier'],
+      type: node['@_type'] || '',
+      href: resolvePackagePath(node['@_href'], base),
+      files: (node.file || []).map(f => resolvePackagePath(f['@_href'], base)).filter(Boolean)
+    });
+  });
+
+  const organization = ((manifest.organizations || {}).organization || [])[0] || {};
+  let topItems = organization.item || [];
+  // Most cartridges wrap everything in a single root item
+  if (topItems.length === 1 && !topItems[0]['@_identifierref'] && topItems[0].item) {
+    topItems = topItems[0].item;
+  }
+
+  const modules = [];
+  let loose = null;
+  topItems.forEach((node) => {
+    const toItem = n => ({ identifier: n['@_identifier'], title: textOf(n.title), identifierref: n['@_identifierref'] });
+    if (node['@_identifierref']) {
+      // Items outside any module are gathered into one
+      if (!loose) {
+        loose = { identifier: 'loose_items', title: 'General', items: [] };
+        modules.push(loose);
+      }
+      loose.items.push(toItem(node));
+      return;
+    }
+    modules.push({
+      identifier: node['@_identifier'],
+      title: textOf(node.title) || 'Untitled section',
+      items: leafItems(node).map(toItem)
+    });
+  });
+
+  return {
+    error: null,
+    title: textOf(general.title),
+    description: textOf(general.description),
+    modules,
+    resources
+  };
+}
+
+/**
+ * How the importer treats a resource type
+ * @param {String} type
+ * @returns {String} 'webcontent' | 'weblink' | 'assignment' | 'assessment' | 'questionBank' |
+ *   'discussion' | 'lti' | 'unknown'
+ */
+function classifyResourceType(type) {
+  const match = Object.entries(RESOURCE_PATTERNS).find(([, pattern]) => pattern.test(type || ''));
+  return match ? match[0] : 'unknown';
+}
+
+const UNSUPPORTED_REASONS = {
+  discussion: 'Discussion topics are not supported',
+  lti: 'External tool (LTI) links are not supported',
+  questionBank: 'Question banks cannot be placed in a section',
+  unknown: 'Unsupported resource type'
+};
+
+/**
+ * Parse a CC assignment extension document
+ * @param {String} xml
+ * @returns {{ title: String, description: String, maxScore: Number|null, attachments: Array<String> }|null}
+ */
+function parseAssignmentXml(xml) {
+  if (XMLValidator.validate(String(xml || '')) !== true) return null;
+  const assignment = xmlParser.parse(String(xml)).assignment;
+  if (!assignment) return null;
+  const gradable = assignment.gradable;
+  const points = gradable && typeof gradable === 'object' ? Number(gradable['@_points_possible']) : NaN;
+  return {
+    title: textOf(assignment.title),
+    description: htmlToText(textOf(assignment.text)),
+    maxScore: points > 0 ? points : null,
+    attachments: ((assignment.attachments || {}).attachment || []).map(a => a['@_href']).filter(Boolean)
+  };
+}
+
+/**
+ * Parse a CC web link document
+ * @param {String} xml
+ * @returns {{ title: String, url: String }|null}
+ */
+function parseWeblinkXml(xml) {
+  if (XMLValidator.validate(String(xml || '')) !== true) return null;
+  const link = xmlParser.parse(String(xml)).webLink;
+  if (!link || !link.url || !link.url['@_href']) return null;
+  return { title: textOf(link.title), url: link.url['@_href'] };
+}
+
+const youtubeVideo = (url) => {
+  const id = extractYouTubeVideoId(url);
+  return id ? { storageType: 'youtube', youtubeUrl: url, youtubeVideoId: id } : null;
+};
+
+// Errors of packages that cannot be read are returned to the instructor
+const PACKAGE_UNREADABLE = 'PACKAGE_UNREADABLE';
+const unreadable = (message) => {
+  const err = new Error(message);
+  err.code = PACKAGE_UNREADABLE;
+  return err;
+};
+
+/**
+ * Reads files out of a package and stores them with the other uploads,
+ * keeping a list so a failed import can remove them again. The sizes an
+ * archive declares are not trusted: what is actually inflated is counted
+ * against the package limit.
+ */
+class PackageFiles {
+  constructor(zip, userId, maxBytes) {
+    this.zip = zip;
+    this.userId = userId;
+    this.maxBytes = maxBytes;
+    this.inflated = 0;
+    this.written = [];
+  }
+
+  has(href) {
+    return Boolean(href && this.zip.getEntry(href));
+  }
+
+  read(entry) {
+    let data;
+    try {
+      data = entry.getData();
+    } catch (error) {
+      throw unreadable(`${entry.entryName} could not be unzipped`);
+    }
+    this.inflated += data.length;
+    if (data.length > entry.header.size || this.inflated > this.maxBytes) {
+      throw unreadable('The package is too large once unzipped');
+    }
+    return data;
+  }
+
+  text(href) {
+    const entry = href && this.zip.getEntry(href);
+    return entry ? this.read(entry).toString('utf8') : null;
+  }
+
+  store(href, originalName) {
+    const entry = href && this.zip.getEntry(href);
+    if (!entry || entry.isDirectory) return null;
+    const name = originalName || path.posix.basename(href);
+    const ext = path.extname(name);
+    const stem = path.basename(name, ext).replace(/[^a-z0-9]/gi, '_').toLowerCase() || 'file';
+    const dir = VIDEO_EXTENSIONS.test(name) ? videosDir : filesDir;
+    const storedName = `${stem}-${Date.now()}-${crypto.randomInt(1e9)}${ext.replace(/[^\w.]/g, '')}`;
+    const target = path.join(dir, storedName);
+    const data = this.read(entry);
+    fs.writeFileSync(target, data);
+    this.written.push(target);
+    return {
+      storageType: 'local',
+      originalName: name,
+      storedName,
+      path: target,
+      localPath: target,
+      mimeType: mimeTypeOf(name),
+      size: data.length,
+      uploadedAt: new Date(),
+      uploadedBy: this.userId
+    };
+  }
+
+  removeAll() {
+    this.written.forEach(file => fs.promises.unlink(file).catch(() => {}));
+  }
+}
+
+// Media of a content item described in eduflow/course.json
+const importMedia = (media, files, report) => {
+  if (!media) return undefined;
+  if (media.href) {
+    const stored = files.store(media.href, media.originalName);
+    if (stored) return { ...stored, duration: media.duration };
+    report(`File ${media.href} is missing from the package`);
+    return undefined;
+  }
+  if (media.storageType === 'youtube' && (media.youtubeUrl || media.youtubeVideoId)) {
+    return pick(media, ['storageType', 'youtubeUrl', 'youtubeVideoId', 'duration']);
+  }
+  if (media.storageType === 'cloudinary' && media.cloudinaryUrl) {
+    return pick(media, ['storageType', 'cloudinaryUrl', 'duration']);
+  }
+  return undefined;
+};
+
+// Lecture built from a third-party web page or file
+const lectureFromWebcontent = (resource, files, report) => {
+  const href = resource.href || resource.files[0];
+  if (!href || !files.has(href)) return { error: 'The resource file is missing from the package' };
+
+  const lecture = { type: 'lecture', description: '' };
+  const others = resource.files.filter(f => f !== href);
+  if (VIDEO_EXTENSIONS.test(href)) {
+    lecture.video = files.store(href);
+  } else if (HTML_EXTENSIONS.test(href)) {
+    const html = files.text(href);
+    const localVideo = others.find(f => VIDEO_EXTENSIONS.test(f) && files.has(f));
+    const hosted = (html.match(/https?:\/\/(www\.)?(youtube\.com|youtu\.be)\/[^\s"'<>]+/i) || [])[0];
+    // The page heading is the item title and the video becomes the lecture's video
+    lecture.description = htmlToText(html
+      .replace(/<(script|style|title|h1)[\s\S]*?<\/\1>/gi, '')
+      .replace(/<a\s[^>]*href="https?:\/\/(www\.)?(youtube\.com|youtu\.be)\/[^>]*>[\s\S]*?<\/a>/gi, ''));
+    if (localVideo) {
+      lecture.video = files.store(localVideo);
+    } else if (hosted) {
+      lecture.video = youtubeVideo(hosted.replace(/&amp;/g, '&')) || undefined;
+    }
+    const document = others.find(f => f !== localVideo && !HTML_EXTENSIONS.test(f) && files.has(f));
+    if (document) lecture.file = files.store(document);
+    others
+      .filter(f => f !== localVideo && f !== document && !HTML_EXTENSIONS.test(f))
+      .forEach(f => report(`Extra file ${f} was not imported`));
+  } else {
+    lecture.file = files.store(href);
+  }
+  return { content: lecture };
+};
+
+const clamp = (value, min, max, fallback) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+};
+
+/**
+ * Rebuild a course from a package for an instructor. The course is created
+ * unpublished, with one group holding the package's sections.
+ * @param {String} packagePath - The uploaded .imscc/.zip file
+ * @param {Object} options - { instructor, userId, approved, startDate, overrides:
+ *   { name, category, level, duration, cost }, maxUncompressedBytes }
+ * @returns {Promise<{ error: String|null, course, group, created: Object, unmapped: Array }>}
+ */
+async function importCoursePackage(packagePath, options) {
+  let zip;
+  try {
+    zip = new AdmZip(packagePath);
+  } catch (error) {
+    return { error: 'The file is not a valid zip package' };
+  }
+
+  // Declared sizes reject obvious bombs early; PackageFiles counts the real ones
+  const maxBytes = options.maxUncompressedBytes || DEFAULT_MAX_UNCOMPRESSED_BYTES;
+  if (zip.getEntries().reduce((sum, entry) => sum + entry.header.size, 0) > maxBytes) {
+    return { error: 'The package is too large once unzipped' };
+  }
+  const files = new PackageFiles(zip, options.userId, maxBytes);
+
+  let manifestXml;
+  let extensionJson;
+  try {
+    manifestXml = files.text(MANIFEST_FILE);
+    extensionJson = files.text(EXTENSION_FILE);
+  } catch (error) {
+    if (error.code === PACKAGE_UNREADABLE) return { error: error.message };
+    throw error;
+  }
+
+  if (manifestXml === null) return { error: 'Not a Common Cartridge package: imsmanifest.xml is missing' };
+  const manifest = parseManifest(manifestXml);
+  if (manifest.error) return { error: manifest.error };
+
+  let extension = null;
+  if (extensionJson !== null) {
+    try {
+      const parsed = JSON.parse(extensionJson);
+      if (parsed && parsed.format === PACKAGE_FORMAT) extension = parsed;
+    } catch (error) {
+      extension = null;
+    }
+  }
+  const ext = extension || { course: {}, group: {}, sections: {}, contents: {}, tests: {}, rubrics: {}, questionBanks: {} };
+  const overrides = options.overrides || {};
+
+  const category = overrides.category || ext.course.category;
+  if (!category) return { error: 'category is required for packages that do not come from EduFlow' };
+  const name = String(overrides.name || ext.course.name || manifest.title || '').trim();
+  if (!name) return { error: 'The package has no course title; send a name' };
+
+  const { error: dateError, offsetMs } = resolveDateOffset({ startDate: options.startDate }, ext.group.startDate || null);
+  const groupStart = options.startDate ? new Date(options.startDate) : null;
+  if (dateError && ext.group.startDate) return { error: dateError };
+  if (groupStart && Number.isNaN(groupStart.getTime())) return { error: 'startDate must be a valid date' };
+  const shift = date => shiftDate(date, offsetMs || 0);
+
+  const unmapped = [];
+  const newId = () => new mongoose.Types.ObjectId();
+  const courseId = newId();
+  const groupId = newId();
+  const level = overrides.level || ext.course.level || 'beginner';
+  const duration = clamp(overrides.duration ?? ext.course.duration, 1, 520, 1);
+
+  const course = {
+    ...pick(ext.course, COURSE_FIELDS),
+    _id: courseId,
+    name: name.slice(0, 100),
+    description: String(ext.course.description || manifest.description || name).slice(0, 1000),
+    category,
+    level,
+    duration,
+    cost: clamp(overrides.cost ?? ext.course.cost, 0, Infinity, 0),
+    instructor: options.instructor,
+    groups: [groupId],
+    isPublished: false,
+    approvalStatus: options.approved ? 'approved' : 'pending',
+    approvedBy: options.approved ? options.userId : undefined,
+    approvedAt: options.approved ? new Date() : undefined
+  };
+
+  const start = groupStart || shift(ext.group.startDate) || new Date();
+  const group = {
+    ...pick(ext.group, GROUP_FIELDS),
+    _id: groupId,
+    name: String(ext.group.name || name).slice(0, 50),
+    course: courseId,
+    level: GROUP_LEVELS.includes(ext.group.level) ? ext.group.level : (GROUP_LEVELS.includes(level) ? level : 'beginner'),
+    instructor: options.instructor,
+    createdBy: options.userId,
+    startDate: start,
+    endDate: (ext.group.endDate && !groupStart ? shift(ext.group.endDate) : null)
+      || (ext.group.endDate && ext.group.startDate
+        ? new Date(start.getTime() + (new Date(ext.group.endDate) - new Date(ext.group.startDate)))
+        : new Date(start.getTime() + duration * 7 * 24 * 60 * 60 * 1000)),
+    students: []
+  };
+
+  // Package identifiers -> new IDs, for unlock rules, rubrics, draws and references
+  const ids = new Map();
+  const rubrics = Object.entries(ext.rubrics || {}).map(([key, rubric]) => {
+    ids.set(key, newId());
+    return { ...pick(rubric, RUBRIC_FIELDS), _id: ids.get(key), instructor: options.instructor, course: courseId };
+  });
+
+  const banks = [];
+  const sections = [];
+  const contents = [];
+  const tests = [];
+
+  try {
+    manifest.resources.forEach((resource) => {
+      if (classifyResourceType(resource.type) !== 'questionBank') return;
+      const saved = (ext.questionBanks || {})[resource.identifier];
+      const parsed = saved ? null : parseQti(files.text(resource.href));
+      const questions = saved ? saved.questions : parsed.questions.map(({ sourceLine, ...q }) => q);
+      if (parsed) {
+        parsed.rejected.forEach(r => unmapped.push({ identifier: resource.identifier, title: r.text, type: resource.type, reason: r.reason }));
+      }
+      if (!questions.length) return;
+      ids.set(resource.identifier, newId());
+      banks.push({
+        _id: ids.get(resource.identifier),
+        name: String((saved && saved.name) || (parsed && parsed.title) || 'Imported question bank').slice(0, 200),
+        description: (saved && saved.description) || '',
+        topics: (saved && saved.topics) || [],
+        instructor: options.instructor,
+        course: courseId,
+        questions
+      });
+    });
+
+    manifest.modules.forEach((module, moduleIndex) => {
+      const sectionId = newId();
+      ids.set(module.identifier, sectionId);
+      const saved = (ext.sections || {})[module.identifier] || {};
+      sections.push({
+        ...pick(saved, SECTION_FIELDS),
+        _id: sectionId,
+        name: module.title.slice(0, 100),
+        group: groupId,
+        course: courseId,
+        order: saved.order ?? moduleIndex,
+        createdBy: options.userId,
+        unlockRules: Array.isArray(saved.unlockRules) ? saved.unlockRules : []
+      });
+
+      module.items.forEach((item, itemIndex) => {
+        const resource = manifest.resources.get(item.identifierref);
+        const kind = resource ? classifyResourceType(resource.type) : 'missing';
+        const report = reason => unmapped.push({ identifier: item.identifierref, title: item.title, type: resource ? resource.type : null, reason });
+        const base = { section: sectionId, group: groupId, course: courseId, createdBy: options.userId };
+
+        if (!resource) return report('The item points at a resource that is not in the manifest');
+
+        const savedTest = (ext.tests || {})[resource.identifier];
+        if (kind === 'assessment') {
+          const parsed = savedTest ? null : parseQti(files.text(resource.href));
+          if (parsed) parsed.rejected.forEach(r => report(`Question "${r.text}": ${r.reason}`));
+          const questions = savedTest ? savedTest.questions : parsed.questions.map(({ sourceLine, ...q }) => q);
+          const draws = savedTest ? savedTest.questionDraws || [] : [];
+          if (!questions.length && !draws.length) return report('The test has no questions that could be imported');
+
+          ids.set(resource.identifier, newId());
+          tests.push({
+            ...pick(savedTest, TEST_SETTINGS),
+            _id: ids.get(resource.identifier),
+            title: item.title || (parsed && parsed.title) || 'Test',
+            section: sectionId,
+            group: groupId,
+            course: courseId,
+            instructor: options.instructor,
+            questions,
+            questionDraws: draws,
+            timeLimitMinutes: clamp(savedTest ? savedTest.timeLimitMinutes : parsed.timeLimitMinutes, 1, 300, DEFAULT_TIME_LIMIT_MINUTES),
+            maxAttempts: (savedTest ? savedTest.maxAttempts : parsed.maxAttempts) || 1,
+            startDate: savedTest ? shift(savedTest.startDate) : null,
+            endDate: savedTest ? shift(savedTest.endDate) : null
+          });
+          return undefined;
+        }
+
+        const savedContent = (ext.contents || {})[resource.identifier];
+        let built;
+        if (savedContent) {
+          let release;
+          if (savedContent.release) {
+            const { error: releaseError, release: rule } = validateReleaseRule(savedContent.release);
+            if (releaseError) report(`The release rule was not imported: ${releaseError}`);
+            else release = { ...rule, date: shift(rule.date), notifiedAt: new Date() };
+          }
+          built = {
+            content: {
+              ...pick(savedContent, CONTENT_FIELDS),
+              video: importMedia(savedContent.video, files, report),
+              file: importMedia(savedContent.file, files, report),
+              solution: importMedia(savedContent.solution, files, report),
+              dueDate: shift(savedContent.dueDate),
+              release,
+              rubric: savedContent.rubric ? ids.get(savedContent.rubric) || null : null
+            }
+          };
+        } else if (kind === 'webcontent') {
+          built = lectureFromWebcontent(resource, files, report);
+        } else if (kind === 'weblink') {
+          const link = parseWeblinkXml(files.text(resource.href || resource.files[0]));
+          if (!link) return report('The web link could not be read');
+          const video = youtubeVideo(link.url);
+          built = {
+            content: video
+              ? { type: 'lecture', video }
+              : { type: 'lecture', materials: [{ title: (link.title || item.title || link.url).slice(0, 200), url: link.url, type: 'link' }] }
+          };
+        } else if (kind === 'assignment') {
+          const assignment = parseAssignmentXml(files.text(resource.href || resource.files[0]));
+          if (!assignment) return report('The assignment could not be read');
+          const folder = path.posix.dirname(resource.href || resource.files[0]);
+          const [first, ...rest] = assignment.attachments.map(a => resolvePackagePath(a, folder)).filter(Boolean);
+          rest.forEach(a => report(`Extra attachment ${a} was not imported`));
+          built = {
+            content: {
+              type: 'assignment',
+              description: assignment.description,
+              maxScore: assignment.maxScore || 100,
+              file: first ? files.store(first) || undefined : undefined
+            }
+          };
+        } else {
+          return report(UNSUPPORTED_REASONS[kind] || UNSUPPORTED_REASONS.unknown);
+        }
+
+        if (built.error) return report(built.error);
+        ids.set(resource.identifier, newId());
+        contents.push({
+          order: itemIndex,
+          ...built.content,
+          ...base,
+          _id: ids.get(resource.identifier),
+          title: String(item.title || 'Untitled').slice(0, 200)
+        });
+        return undefined;
+      });
+    });
+
+    // References between package items, now that every item has an ID
+    sections.forEach((section) => {
+      section.unlockRules = section.unlockRules
+        .map(rule => ({
+          type: rule.type,
+          minScore: rule.minScore ?? null,
+          test: rule.test ? ids.get(rule.test) || null : undefined,
+          section: rule.section ? ids.get(rule.section) || null : undefined
+        }))
+        .filter((rule) => {
+          const missing = (rule.type === 'pass_test' && !rule.test) || (rule.type === 'complete_section' && !rule.section);
+          if (missing) {
+            unmapped.push({ identifier: null, title: section.name, type: 'unlock_rule', reason: `A ${rule.type} unlock rule points at an item that was not imported` });
+          }
+          return !missing;
+        });
+    });
+    const linkQuestions = questions => (questions || []).map(q => ({
+      ...q,
+      referenceContent: q.referenceContent ? ids.get(q.referenceContent) || null : null
+    }));
+    tests.forEach((activeTest) => {
+      activeTest.questions = linkQuestions(activeTest.questions);
+      activeTest.questionDraws = activeTest.questionDraws
+        .map(draw => ({ ...draw, bank: ids.get(draw.bank) }))
+        .filter((draw) => {
+          if (!draw.bank) {
+            unmapped.push({ identifier: null, title: activeTest.title, type: 'question_draw', reason: 'A random draw points at a question bank that was not imported' });
+          }
+          return Boolean(draw.bank);
+        });
+    });
+    banks.forEach((bank) => { bank.questions = linkQuestions(bank.questions); });
+
+    await insertAll([
+      [Course, [course]],
+      [Group, [group]],
+      [Rubric, rubrics],
+      [QuestionBank, banks],
+      [Section, sections],
+      [Content, contents],
+      [ActiveTest, tests]
+    ]);
+  } catch (error) {
+    files.removeAll();
+    if (error.code === PACKAGE_UNREADABLE) return { error: error.message };
+    throw error;
+  }
+
+  return {
+    error: null,
+    course: await Course.findById(courseId),
+    group: await Group.findById(groupId),
+    created: {
+      sections: sections.length,
+      contents: contents.length,
+      tests: tests.length,
+      questionBanks: banks.length,
+      rubrics: rubrics.length,
+      files: files.written.length
+    },
+    unmapped
+  };
+}
+
+module.exports = {
+  PACKAGE_FORMAT,
+  RESOURCE_TYPES,
+  safeFileName,
+  resolvePackagePath,
+  renderManifest,
+  renderLecturePage,
+  renderAssignmentXml,
+  parseManifest,
+  classifyResourceType,
+  parseAssignmentXml,
+  parseWeblinkXml,
+  buildCoursePackage,
+  importCoursePackage
+};
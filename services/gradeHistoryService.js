@@ -0,0 +1,147 @@
+/**
+ * Grade history and regrade requests. Every change to a student's grade on
+ * an assignment/project is appended to GradeHistory with the values before
+ * and after, who made it (null for the system) and why. Students may ask
+ * for a graded item to be looked at again a limited number of times; the
+ * request and its outcome are part of the same history.
+ */
+const mongoose = require('mongoose');
+const GradeHistory = require('../models/GradeHistory');
+
+const MAX_REGRADE_REQUESTS = 2;
+
+// Recalculations that often leave the grade as it was; those are not recorded
+const PENALTY_ACTIONS = ['late_penalty', 'peer_review_penalty'];
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+/**
+ * The part of a StudentContentGrade the history keeps
+ * @param {Object|null} grade - StudentContentGrade document or plain object
+ * @returns {Object|null} { status, gradePercent, rawGradePercent }
+ */
+function snapshotGrade(grade) {
+  if (!grade) return null;
+  return {
+    status: grade.status || null,
+    gradePercent: grade.gradePercent ?? null,
+    rawGradePercent: grade.rawGradePercent ?? null
+  };
+}
+
+/**
+ * Build a history entry for a change of a student's grade
+ * @param {Object|null} before - snapshotGrade of the grade before the change
+ * @param {Object} grade - The grade after the change
+ * @param {Object} context - { action, changedBy, feedback, reason, regradeRequest }
+ * @returns {Object|null} Entry data, or null when a recalculation changed nothing
+ */
+function buildHistoryEntry(before, grade, context) {
+  const after = snapshotGrade(grade);
+  const previous = before || { status: null, gradePercent: null, rawGradePercent: null };
+
+  if (PENALTY_ACTIONS.includes(context.action)
+    && previous.gradePercent === after.gradePercent
+    && previous.rawGradePercent === after.rawGradePercent) {
+    return null;
+  }
+
+  return {
+    student: toId(grade.student),
+    content: toId(grade.content),
+    course: toId(grade.course),
+    section: toId(grade.section),
+    action: context.action,
+    changedBy: context.changedBy || null,
+    previousStatus: previous.status,
+    newStatus: after.status,
+    previousGradePercent: previous.gradePercent,
+    newGradePercent: after.gradePercent,
+    previousRawGradePercent: previous.rawGradePercent,
+    newRawGradePercent: after.rawGradePercent,
+    feedback: context.feedback || '',
+    reason: context.reason || '',
+    regradeRequest: context.regradeRequest || null
+  };
+}
+
+/**
+ * Append a change to the grade history. Never throws.
+ * @param {Object|null} before - snapshotGrade of the grade before the change
+ * @param {Object} grade - The grade after the change
+ * @param {Object} context - { action, changedBy, feedback, reason, regradeRequest }
+ * @returns {Object|null} The saved entry
+ */
+async function recordGradeChange(before, grade, context) {
+  if (!grade) return null;
+  const entry = buildHistoryEntry(before, grade, context);
+  if (!entry) return null;
+  return GradeHistory.record(entry);
+}
+
+/**
+ * Turn history filters from a query string into a Mongo query
+ * @param {Object} filters - { courseId, contentId, studentId, action, from, to }
+ * @returns {{ error: String|null, query: Object|null }}
+ */
+function buildHistoryQuery(filters = {}) {
+  const query = {};
+  const ids = { courseId: 'course', contentId: 'content', studentId: 'student' };
+
+  for (const [param, field] of Object.entries(ids)) {
+    if (filters[param] === undefined || filters[param] === '') continue;
+    if (!mongoose.Types.ObjectId.isValid(filters[param])) {
+      return { error: `Invalid ${param}`, query: null };
+    }
+    query[field] = new mongoose.Types.ObjectId(filters[param]);
+  }
+
+  if (filters.action) {
+    const actions = String(filters.action).split(',').map(a => a.trim()).filter(Boolean);
+    const unknown = actions.find(a => !GradeHistory.ACTIONS.includes(a));
+    if (unknown) {
+      return { error: `Unknown action: ${unknown}`, query: null };
+    }
+    query.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (!filters[param]) continue;
+    const date = new Date(filters[param]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `Invalid ${param} date`, query: null };
+    }
+    query.timestamp = { ...query.timestamp, [operator]: date };
+  }
+
+  return { error: null, query };
+}
+
+/**
+ * Whether a student may ask for a grade to be looked at again
+ * @param {Object|null} grade - StudentContentGrade
+ * @param {Array} requests - The student's earlier regrade requests for the item
+ * @returns {{ allowed: Boolean, message: String|null }}
+ */
+function canRequestRegrade(grade, requests = []) {
+  if (!grade || grade.status !== 'graded') {
+    return { allowed: false, message: 'Only graded submissions can be sent for a regrade' };
+  }
+  if (requests.some(r => r.status === 'pending')) {
+    return { allowed: false, message: 'A regrade request for this item is already waiting for the instructor' };
+  }
+  const counted = requests.filter(r => r.status !== 'withdrawn').length;
+  if (counted >= MAX_REGRADE_REQUESTS) {
+    return { allowed: false, message: `You can request a regrade at most ${MAX_REGRADE_REQUESTS} times per item` };
+  }
+  return { allowed: true, message: null };
+}
+
+module.exports = {
+  MAX_REGRADE_REQUESTS,
+  snapshotGrade,
+  buildHistoryEntry,
+  recordGradeChange,
+  buildHistoryQuery,
+  canRequestRegrade
+};
@@ -0,0 +1,411 @@
+/**
+ * Spreadsheet gradebook: one row per student with a column per content item,
+ * active test and section, plus the overall grade and its label on the
+ * course grade scale. The same layout is read
+ * back for bulk grading, where only assignment and project columns are
+ * imported. Column headers end with the item id in brackets so renamed or
+ * reordered columns still match.
+ */
+const ExcelJS = require('exceljs');
+const Content = require('../models/Content');
+const ActiveTest = require('../models/ActiveTest');
+const TestAttempt = require('../models/TestAttempt');
+const Enrollment = require('../models/Enrollment');
+const CourseGrade = require('../models/CourseGrade');
+const StudentContentGrade = require('../models/StudentContentGrade');
+const {
+  loadCourseSections,
+  getSectionGradesForStudents,
+  loadCourseGradeScale,
+  gradeLabelOf
+} = require('../utils/gradeUtils');
+
+const STUDENT_COLUMNS = ['Student ID', 'Name', 'Email', 'Group'];
+const GRADED_ENROLLMENT_STATUSES = ['enrolled', 'approved', 'completed'];
+const IMPORTABLE_TYPES = ['assignment', 'project'];
+
+const KIND_LABELS = {
+  lecture: 'Lecture',
+  assignment: 'Assignment',
+  project: 'Project',
+  test: 'Test',
+  section: 'Section'
+};
+
+const HEADER_ID_PATTERN = /\[([a-f0-9]{24})\]\s*$/i;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Gradebook columns after the student columns, section by section
+ * @param {Object} params
+ * @param {Array} params.sections - Sections in display order
+ * @param {Array} params.contents - Published content (title, type, section)
+ * @param {Array} params.tests - Active tests (title, section)
+ * @param {Object|null} [params.gradeScale] - Course grade scale (name, levels)
+ * @returns {Array<{ key: String, kind: String, id: *, header: String, importable: Boolean }>}
+ */
+function buildGradebookColumns({ sections, contents, tests, gradeScale = null }) {
+  const columns = [];
+  const column = (kind, doc, title) => ({
+    key: `${kind}:${doc._id.toString()}`,
+    kind,
+    id: doc._id,
+    title,
+    header: `${KIND_LABELS[kind]}: ${title} [${doc._id.toString()}]`,
+    importable: IMPORTABLE_TYPES.includes(kind)
+  });
+
+  sections.forEach((section) => {
+    const sectionId = section._id.toString();
+    contents
+      .filter(c => c.section.toString() === sectionId)
+      .forEach(c => columns.push(column(c.type, c, c.title)));
+    tests
+      .filter(t => t.section.toString() === sectionId)
+      .forEach(t => columns.push(column('test', t, t.title)));
+    columns.push(column('section', section, section.name));
+  });
+
+  columns.push({ key: 'overall', kind: 'overall', id: null, title: 'Overall grade', header: 'Overall grade', importable: false });
+  if (gradeScale) {
+    columns.push({
+      key: 'overall_label',
+      kind: 'overall_label',
+      id: null,
+      title: 'Overall grade label',
+      header: `Overall grade (${gradeScale.name})`,
+      importable: false
+    });
+  }
+  return columns;
+}
+
+/**
+ * Load the gradebook of a course
+ * @param {String} courseId
+ * @returns {Promise<{ columns: Array, rows: Array, currentGrades: Map, gradeScale: Object|null }>}
+ *   currentGrades maps `${studentId}:${contentId}` to the stored content grade
+ */
+async function loadGradebook(courseId) {
+  const sections = await loadCourseSections(courseId);
+  const sectionIds = sections.map(s => s._id);
+
+  const [contents, tests, enrollments, gradeScale] = await Promise.all([
+    Content.find({
+      section: { $in: sectionIds },
+      isPublished: true,
+      deletionStatus: 'active',
+      isLatestVersion: true
+    }).select('title type section order').sort('order'),
+    ActiveTest.find({ section: { $in: sectionIds }, isActive: true }).select('title section').sort('createdAt'),
+    Enrollment.find({ course: courseId, status: { $in: GRADED_ENROLLMENT_STATUSES } })
+      .populate('student', 'name email')
+      .populate('group', 'name'),
+    loadCourseGradeScale(courseId)
+  ]);
+
+  const students = enrollments.filter(e => e.student);
+  const studentIds = students.map(e => e.student._id);
+
+  const [grades, attempts, sectionGrades, courseGrades] = await Promise.all([
+    StudentContentGrade.find({ student: { $in: studentIds }, content: { $in: contents.map(c => c._id) } })
+      .select('student content status gradePercent rawGradePercent instructorFeedback rubricAssessment regradeUsed reuploadUsed'),
+    TestAttempt.find({ student: { $in: studentIds }, test: { $in: tests.map(t => t._id) }, status: 'graded' })
+      .select('student test score'),
+    getSectionGradesForStudents(studentIds, sectionIds),
+    CourseGrade.find({ course: courseId, student: { $in: studentIds } }).select('student overallGrade')
+  ]);
+
+  const currentGrades = new Map(grades.map(g => [`${g.student.toString()}:${g.content.toString()}`, g]));
+  const bestScores = new Map();
+  attempts.forEach((attempt) => {
+    const key = `${attempt.student.toString()}:${attempt.test.toString()}`;
+    if (!bestScores.has(key) || attempt.score > bestScores.get(key)) bestScores.set(key, attempt.score);
+  });
+  const overallGrades = new Map(courseGrades.map(g => [g.student.toString(), g.overallGrade]));
+
+  const columns = buildGradebookColumns({ sections, contents, tests, gradeScale });
+  const rows = students.map((enrollment) => {
+    const studentId = enrollment.student._id.toString();
+    const values = {};
+
+    columns.forEach((col) => {
+      const key = col.id ? `${studentId}:${col.id.toString()}` : null;
+      let value = null;
+      if (col.kind === 'lecture') {
+        const grade = currentGrades.get(key);
+        value = grade && grade.status === 'watched' ? 100 : null;
+      } else if (col.importable) {
+        // The instructor's grade before any late penalty, as it would be imported
+        const grade = currentGrades.get(key);
+        if (grade && grade.status === 'graded') {
+          value = grade.rawGradePercent !== null ? grade.rawGradePercent : grade.gradePercent;
+        }
+      } else if (col.kind === 'test') {
+        value = bestScores.has(key) ? bestScores.get(key) : null;
+      } else if (col.kind === 'section') {
+        value = sectionGrades.has(key) ? sectionGrades.get(key) : null;
+      } else if (col.kind === 'overall') {
+        value = overallGrades.has(studentId) ? overallGrades.get(studentId) : null;
+      } else if (col.kind === 'overall_label') {
+        values[col.key] = gradeLabelOf(values.overall, gradeScale);
+        return;
+      }
+      values[col.key] = typeof value === 'number' ? round2(value) : null;
+    });
+
+    return {
+      studentId,
+      name: enrollment.student.name || '',
+      email: enrollment.student.email || '',
+      group: enrollment.group ? enrollment.group.name : '',
+      values
+    };
+  });
+
+  return { columns, rows, currentGrades, gradeScale };
+}
+
+/**
+ * Lay the gradebook out as a table, header row first
+ * @param {Object} gradebook - Result of loadGradebook
+ * @returns {Array<Array>}
+ */
+function gradebookToTable({ columns, rows }) {
+  return [
+    [...STUDENT_COLUMNS, ...columns.map(c => c.header)],
+    ...rows.map(row => [
+      row.studentId,
+      row.name,
+      row.email,
+      row.group,
+      ...columns.map(c => row.values[c.key])
+    ])
+  ];
+}
+
+// Keep spreadsheet apps from running student-entered text as a formula
+const escapeFormula = (value) => (typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+/**
+ * Serialize a table as CSV
+ * @param {Array<Array>} table
+ * @returns {String}
+ */
+function tableToCsv(table) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(escapeFormula(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return `${table.map(row => row.map(cell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Serialize a table as an XLSX workbook
+ * @param {Array<Array>} table
+ * @param {String} [sheetName]
+ * @returns {Promise<Buffer>}
+ */
+async function tableToXlsx(table, sheetName = 'Gradebook') {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName.replace(/[\\/*?:[\]]/g, ' ').slice(0, 31) || 'Gradebook');
+  table.forEach(row => sheet.addRow(row.map(value => (value === null ? null : escapeFormula(value)))));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 1 }];
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Parse CSV text into rows of strings (RFC 4180 quoting)
+ * @param {String} text
+ * @returns {Array<Array<String>>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Read an uploaded CSV or XLSX file into rows of cell values
+ * @param {Buffer} buffer
+ * @param {String} [filename]
+ * @returns {Promise<Array<Array>>}
+ */
+async function readSpreadsheet(buffer, filename = '') {
+  const isXlsx = /\.xlsx$/i.test(filename) || buffer.slice(0, 2).toString('latin1') === 'PK';
+  if (!isXlsx) return parseCsv(buffer.toString('utf8'));
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      const value = row.getCell(col).value;
+      // Formula cells carry their computed result
+      values.push(value && typeof value === 'object' && 'result' in value ? value.result : value);
+    }
+    rows[rowNumber - 1] = values;
+  });
+  return Array.from(rows, r => r || []);
+}
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const parseGradeCell = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim().replace(/%$/, '').trim();
+  return text === '' ? NaN : Number(text);
+};
+
+/**
+ * Compare an uploaded gradebook with the stored grades
+ * @param {Array<Array>} table - Uploaded rows, header row first
+ * @param {Object} gradebook - Result of loadGradebook
+ * @returns {{ changes: Array, errors: Array, unchanged: Number, ignoredColumns: Array<String> }}
+ *   Rows are numbered as in the spreadsheet (header = 1)
+ */
+function planGradeImport(table, gradebook) {
+  const result = { changes: [], errors: [], unchanged: 0, ignoredColumns: [] };
+  const [header = [], ...dataRows] = table;
+  const headers = header.map(h => (isBlank(h) ? '' : String(h).trim()));
+
+  const idCol = headers.findIndex(h => h.toLowerCase() === 'student id');
+  const emailCol = headers.findIndex(h => h.toLowerCase() === 'email');
+  if (idCol === -1 && emailCol === -1) {
+    result.errors.push({ row: 1, column: null, message: 'The file needs a "Student ID" or "Email" column' });
+    return result;
+  }
+
+  const columnsById = new Map(gradebook.columns.filter(c => c.id).map(c => [c.id.toString(), c]));
+  const gradeColumns = [];
+  headers.forEach((text, index) => {
+    const match = text.match(HEADER_ID_PATTERN);
+    if (!match) return;
+    const column = columnsById.get(match[1].toLowerCase());
+    if (!column) {
+      result.errors.push({ row: 1, column: text, message: 'Column does not match an item of this course' });
+    } else if (column.importable) {
+      gradeColumns.push({ index, column });
+    } else {
+      result.ignoredColumns.push(text);
+    }
+  });
+  if (gradeColumns.length === 0 && result.errors.length === 0) {
+    result.errors.push({ row: 1, column: null, message: 'The file has no assignment or project columns to import' });
+  }
+
+  const studentsById = new Map(gradebook.rows.map(r => [r.studentId, r]));
+  const studentsByEmail = new Map(gradebook.rows.filter(r => r.email).map(r => [r.email.toLowerCase(), r]));
+  const seen = new Set();
+
+  dataRows.forEach((cells, offset) => {
+    const rowNumber = offset + 2;
+    if (cells.every(isBlank)) return;
+
+    const idValue = idCol !== -1 && !isBlank(cells[idCol]) ? String(cells[idCol]).trim() : '';
+    const emailValue = emailCol !== -1 && !isBlank(cells[emailCol]) ? String(cells[emailCol]).trim().toLowerCase() : '';
+    const student = (idValue && studentsById.get(idValue)) || (!idValue && emailValue && studentsByEmail.get(emailValue));
+    if (!student) {
+      result.errors.push({ row: rowNumber, column: null, message: `No enrolled student matches "${idValue || emailValue}"` });
+      return;
+    }
+    if (seen.has(student.studentId)) {
+      result.errors.push({ row: rowNumber, column: null, message: `${student.name || student.email} appears more than once` });
+      return;
+    }
+    seen.add(student.studentId);
+
+    gradeColumns.forEach(({ index, column }) => {
+      const value = cells[index];
+      if (isBlank(value)) return;
+
+      const grade = parseGradeCell(value);
+      if (!Number.isFinite(grade) || grade < 0 || grade > 100) {
+        result.errors.push({ row: rowNumber, column: column.header, message: `"${value}" is not a grade between 0 and 100` });
+        return;
+      }
+
+      const current = gradebook.currentGrades.get(`${student.studentId}:${column.id.toString()}`) || null;
+      const currentGrade = student.values[column.key];
+      if (currentGrade !== null && round2(grade) === currentGrade) {
+        result.unchanged++;
+        return;
+      }
+      if (current && current.regradeUsed) {
+        result.errors.push({
+          row: rowNumber,
+          column: column.header,
+          message: 'Regrade already performed for this assignment or project'
+        });
+        return;
+      }
+
+      result.changes.push({
+        row: rowNumber,
+        studentId: student.studentId,
+        studentName: student.name,
+        contentId: column.id.toString(),
+        contentTitle: column.title,
+        contentType: column.kind,
+        status: current ? current.status : 'not_delivered',
+        from: currentGrade,
+        to: round2(grade)
+      });
+    });
+  });
+
+  return result;
+}
+
+module.exports = {
+  STUDENT_COLUMNS,
+  buildGradebookColumns,
+  loadGradebook,
+  gradebookToTable,
+  tableToCsv,
+  tableToXlsx,
+  parseCsv,
+  readSpreadsheet,
+  planGradeImport
+};
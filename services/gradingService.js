@@ -4,6 +4,21 @@ const CourseGrade = require('../models/CourseGrade');
 const Content = require('../models/Content');
 const Section = require('../models/Section');
 const TestAttempt = require('../models/TestAttempt');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { GRADE_CATEGORIES } = require('../models/gradeWeightsSchema');
+const { getLateStatus, applyLatePenalty, toLatePenalty } = require('./latePolicyService');
+const { loadCourseGradeScale, gradeLabelOf } = require('../utils/gradeUtils');
+const { snapshotGrade, recordGradeChange } = require('./gradeHistoryService');
+
+// Grade given to a submission until it is graded
+const SUBMITTED_UNGRADED_PERCENT = 50;
+
+// Late and skipped-peer-review penalties add up, capped at the whole grade
+const totalPenaltyPercent = (latePenalty, peerReviewPenalty) => Math.min(
+  100,
+  (latePenalty ? latePenalty.penaltyPercent || 0 : 0) + (peerReviewPenalty ? peerReviewPenalty.penaltyPercent || 0 : 0)
+);
 
 /**
  * Calculate grade for a single content item
@@ -60,20 +75,108 @@ async function calculateProjectGrade(studentId, projectContent) {
   return calculateContentGrade(projectGrade, projectContent);
 }
 
+/**
+ * Validate category weights sent by an instructor
+ * @param {Object|null} input - { lectures, assignments, projects, tests }; null clears them
+ * @returns {{ error: String|null, weights: Object|null }}
+ */
+function validateGradeWeights(input) {
+  if (input === null) return { error: null, weights: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Grade weights must be an object', weights: null };
+  }
+
+  const unknown = Object.keys(input).find(key => !GRADE_CATEGORIES.includes(key));
+  if (unknown) {
+    return { error: `Unknown grade category "${unknown}", expected: ${GRADE_CATEGORIES.join(', ')}`, weights: null };
+  }
+
+  const weights = {};
+  for (const category of GRADE_CATEGORIES) {
+    const raw = input[category];
+    const value = raw === undefined || raw === null || raw === '' ? 0 : Number(raw);
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      return { error: `Weight for ${category} must be between 0 and 100`, weights: null };
+    }
+    weights[category] = value;
+  }
+
+  if (GRADE_CATEGORIES.every(category => weights[category] === 0)) {
+    return { error: 'At least one grade category needs a weight above 0', weights: null };
+  }
+  return { error: null, weights };
+}
+
+const plainWeights = (weights) => {
+  if (!weights) return null;
+  const plain = typeof weights.toObject === 'function' ? weights.toObject() : weights;
+  const picked = {};
+  GRADE_CATEGORIES.forEach((category) => { picked[category] = plain[category] || 0; });
+  return GRADE_CATEGORIES.some(category => picked[category] > 0) ? picked : null;
+};
+
+/**
+ * Grading policy that applies to a section
+ * @param {Object|null} course - Course (gradeWeights, countMissingAsZero)
+ * @param {Object|null} section - Section (gradeWeights)
+ * @returns {{ weights: Object|null, source: String, countMissingAsZero: Boolean }}
+ *   source is 'section', 'course' or 'default' (categories averaged equally)
+ */
+function resolveGradingPolicy(course, section) {
+  const sectionWeights = plainWeights(section && section.gradeWeights);
+  const courseWeights = plainWeights(course && course.gradeWeights);
+  return {
+    weights: sectionWeights || courseWeights,
+    source: sectionWeights ? 'section' : courseWeights ? 'course' : 'default',
+    countMissingAsZero: !course || course.countMissingAsZero !== false
+  };
+}
+
+/**
+ * Combine category scores into a section grade. Categories without counted
+ * items are left out and the remaining weights are scaled up. When none of
+ * the categories present carries weight, they are averaged equally so the
+ * section is not stuck at 0.
+ * @param {Object} categories - category -> { score, count }
+ * @param {Object|null} weights - category -> weight; null averages equally
+ * @returns {Number} Grade percentage (0-100)
+ */
+function combineCategoryScores(categories, weights) {
+  const present = GRADE_CATEGORIES.filter(category => categories[category] && categories[category].count > 0);
+  if (present.length === 0) return 0;
+
+  const weightOf = (category) => (weights ? weights[category] || 0 : 1);
+  const weightSum = present.reduce((sum, category) => sum + weightOf(category), 0);
+  if (weightSum === 0) return combineCategoryScores(categories, null);
+
+  return present.reduce((sum, category) => sum + categories[category].score * weightOf(category), 0) / weightSum;
+}
+
+const loadGradingPolicy = async (sectionId) => {
+  const section = await Section.findById(sectionId).select('course gradeWeights');
+  const course = section ? await Course.findById(section.course).select('gradeWeights countMissingAsZero') : null;
+  return resolveGradingPolicy(course, section);
+};
+
 /**
  * Calculate aggregated grade for a section
  * Formula:
- * - lectures_score = sum(lecture_grades) / N (if N=0, treat as 0)
- * - assignments_score = sum(assignment_grades) / M (if M=0, treat as 0)
- * - projects_score = sum(project_grades) / P (if P=0, treat as 0)
- * - section_grade = average of available components
+ * - <category>_score = sum(item_grades) / counted_items, for lectures,
+ *   assignments, projects and active tests (best graded attempt)
+ * - section_grade = weighted average of the categories with counted items,
+ *   using the section's weights, else the course's, else equal weights
+ * Unsubmitted work counts as 0 unless the course sets countMissingAsZero to
+ * false, in which case it is not counted at all.
  * 
  * @param {String} studentId - Student ID
  * @param {String} sectionId - Section ID
+ * @param {Object} [policy] - Result of resolveGradingPolicy; loaded when omitted
  * @returns {Object} { sectionGrade, breakdown }
  */
-async function calculateSectionGrade(studentId, sectionId) {
+async function calculateSectionGrade(studentId, sectionId, policy = null) {
   try {
+    const { weights, source, countMissingAsZero } = policy || await loadGradingPolicy(sectionId);
+
     // Get all content for this section
     const contents = await Content.find({
       section: sectionId,
@@ -94,31 +197,42 @@ async function calculateSectionGrade(studentId, sectionId) {
       gradeMap.set(g.content.toString(), g);
     });
 
-    let lectureSum = 0, lectureCount = 0;
-    let assignmentSum = 0, assignmentCount = 0;
-    let projectSum = 0, projectCount = 0;
+    // Whether an item without a submission still counts toward the grade
+    const isMissing = (content, grade) => {
+      if (!grade) return true;
+      if (content.type === 'lecture') return grade.status !== 'watched';
+      return grade.status === 'not_delivered';
+    };
+
+    let lectureSum = 0, lectureCount = 0, lecturesCounted = 0;
+    let assignmentSum = 0, assignmentCount = 0, assignmentsCounted = 0;
+    let projectSum = 0, projectCount = 0, projectsCounted = 0;
 
     for (const content of contents) {
       const grade = gradeMap.get(content._id.toString());
+      const counted = countMissingAsZero || !isMissing(content, grade);
       
       switch (content.type) {
         case 'lecture':
           lectureCount++;
-          if (grade) {
+          if (counted) lecturesCounted++;
+          if (grade && counted) {
             lectureSum += calculateContentGrade(grade, content);
           }
           break;
 
         case 'assignment':
           assignmentCount++;
-          if (grade) {
+          if (counted) assignmentsCounted++;
+          if (grade && counted) {
             assignmentSum += calculateContentGrade(grade, content);
           }
           break;
 
         case 'project':
           projectCount++;
-          if (grade) {
+          if (counted) projectsCounted++;
+          if (grade && counted) {
             projectSum += await calculateProjectGrade(studentId, content);
           }
           break;
@@ -131,6 +245,7 @@ async function calculateSectionGrade(studentId, sectionId) {
     
     let testsScore = 0;
     let testsCount = tests.length;
+    let testsCounted = 0;
     
     if (testsCount > 0) {
       let testsSum = 0;
@@ -144,28 +259,26 @@ async function calculateSectionGrade(studentId, sectionId) {
         
         if (attempts.length > 0) {
           testsSum += attempts[0].score || 0;
+          testsCounted++;
+        } else if (countMissingAsZero) {
+          // If no attempts, score is 0 for this test
+          testsCounted++;
         }
-        // If no attempts, score is 0 for this test
       }
-      testsScore = testsSum / testsCount;
+      testsScore = testsCounted > 0 ? testsSum / testsCounted : 0;
     }
 
     // Calculate averages for each type
-    const lecturesScore = lectureCount > 0 ? lectureSum / lectureCount : 0;
-    const assignmentsScore = assignmentCount > 0 ? assignmentSum / assignmentCount : 0;
-    const projectsScore = projectCount > 0 ? projectSum / projectCount : 0;
-
-    // Calculate section grade (average of available components)
-    // Only include tests if there are tests in the section
-    const availableComponents = [];
-    if (lectureCount > 0) availableComponents.push(lecturesScore);
-    if (assignmentCount > 0) availableComponents.push(assignmentsScore);
-    if (projectCount > 0) availableComponents.push(projectsScore);
-    if (testsCount > 0) availableComponents.push(testsScore);
-
-    const sectionGrade = availableComponents.length > 0
-      ? availableComponents.reduce((sum, val) => sum + val, 0) / availableComponents.length
-      : 0;
+    const lecturesScore = lecturesCounted > 0 ? lectureSum / lecturesCounted : 0;
+    const assignmentsScore = assignmentsCounted > 0 ? assignmentSum / assignmentsCounted : 0;
+    const projectsScore = projectsCounted > 0 ? projectSum / projectsCounted : 0;
+
+    const sectionGrade = combineCategoryScores({
+      lectures: { score: lecturesScore, count: lecturesCounted },
+      assignments: { score: assignmentsScore, count: assignmentsCounted },
+      projects: { score: projectsScore, count: projectsCounted },
+      tests: { score: testsScore, count: testsCounted }
+    }, weights);
 
     const roundedGrade = Math.round(sectionGrade * 100) / 100; // Round to 2 decimals
 
@@ -181,7 +294,18 @@ async function calculateSectionGrade(studentId, sectionId) {
           assignments: assignmentCount,
           projects: projectCount,
           tests: testsCount
-        }
+        },
+        // Items that counted toward the grade; lower than counts when
+        // unsubmitted work is left out
+        counted: {
+          lectures: lecturesCounted,
+          assignments: assignmentsCounted,
+          projects: projectsCounted,
+          tests: testsCounted
+        },
+        weights,
+        weightsSource: source,
+        countMissingAsZero
       }
     };
   } catch (error) {
@@ -211,11 +335,12 @@ async function updateSectionGrade(studentId, sectionId) {
 /**
  * Calculate overall course grade for a student
  * Formula: course_grade = sum(section_grades) / number_of_sections
+ * Grades are also labelled on the course's grade scale, if it has one.
  * 
  * @param {String} studentId - Student ID
  * @param {String} courseId - Course ID
  * @param {String} groupId - Group ID (optional)
- * @returns {Object} { courseGrade, sectionGrades, stats }
+ * @returns {Object} { courseGrade, gradeLabel, gradeScale, sectionGrades, stats }
  */
 async function calculateCourseGrade(studentId, courseId, groupId = null) {
   try {
@@ -227,9 +352,13 @@ async function calculateCourseGrade(studentId, courseId, groupId = null) {
     const sections = await Section.find(sectionsQuery);
 
     if (sections.length === 0) {
-      return { courseGrade: 0, sectionGrades: [], stats: {} };
+      return { courseGrade: 0, gradeLabel: null, sectionGrades: [], stats: {} };
     }
 
+    const course = await Course.findById(courseId).select('gradeWeights countMissingAsZero');
+    const gradeScale = await loadCourseGradeScale(courseId);
+    const labelOf = (grade) => gradeLabelOf(grade, gradeScale);
+
     const sectionGrades = [];
     let totalGrade = 0;
     let sectionsCompleted = 0;
@@ -238,14 +367,20 @@ async function calculateCourseGrade(studentId, courseId, groupId = null) {
     let lecturesTotal = 0, lecturesCompleted = 0, lecturesGradeSum = 0, lecturesCount = 0;
     let assignmentsTotal = 0, assignmentsCompleted = 0, assignmentsGradeSum = 0, assignmentsCount = 0;
     let projectsTotal = 0, projectsCompleted = 0, projectsGradeSum = 0, projectsCount = 0;
+    let testsTotal = 0, testsGradeSum = 0, testsCount = 0;
 
     for (const section of sections) {
-      const { sectionGrade, breakdown } = await calculateSectionGrade(studentId, section._id);
+      const { sectionGrade, breakdown } = await calculateSectionGrade(
+        studentId,
+        section._id,
+        resolveGradingPolicy(course, section)
+      );
       
       sectionGrades.push({
         sectionId: section._id,
         sectionName: section.name,
         grade: sectionGrade,
+        gradeLabel: labelOf(sectionGrade),
         breakdown
       });
       
@@ -294,6 +429,12 @@ async function calculateCourseGrade(studentId, courseId, groupId = null) {
           projectsGradeSum += breakdown.projects;
           projectsCount++;
         }
+
+        if (breakdown.counts.tests > 0) {
+          testsTotal += breakdown.counts.tests;
+          testsGradeSum += breakdown.tests;
+          testsCount++;
+        }
       }
     }
 
@@ -304,6 +445,7 @@ async function calculateCourseGrade(studentId, courseId, groupId = null) {
     const lecturesGrade = lecturesCount > 0 ? lecturesGradeSum / lecturesCount : 0;
     const assignmentsGrade = assignmentsCount > 0 ? assignmentsGradeSum / assignmentsCount : 0;
     const projectsGrade = projectsCount > 0 ? projectsGradeSum / projectsCount : 0;
+    const testsGrade = testsCount > 0 ? testsGradeSum / testsCount : 0;
 
     // Determine if course is complete
     // Course is complete if all sections are completed
@@ -325,6 +467,7 @@ async function calculateCourseGrade(studentId, courseId, groupId = null) {
       {
         group: groupId,
         overallGrade: roundedCourseGrade,
+        gradeLabel: labelOf(roundedCourseGrade),
         sectionsCount: sections.length,
         sectionsCompleted,
         isComplete,
@@ -338,6 +481,8 @@ async function calculateCourseGrade(studentId, courseId, groupId = null) {
         projectsTotal,
         projectsCompleted,
         projectsGrade: Math.round(projectsGrade * 100) / 100,
+        testsTotal,
+        testsGrade: Math.round(testsGrade * 100) / 100,
         lastCalculated: new Date()
       },
       { upsert: true, new: true }
@@ -345,6 +490,8 @@ async function calculateCourseGrade(studentId, courseId, groupId = null) {
 
     return {
       courseGrade: roundedCourseGrade,
+      gradeLabel: labelOf(roundedCourseGrade),
+      gradeScale: gradeScale ? { id: gradeScale._id, name: gradeScale.name } : null,
       sectionGrades,
       stats: {
         sectionsCount: sections.length,
@@ -357,7 +504,9 @@ async function calculateCourseGrade(studentId, courseId, groupId = null) {
         assignmentsGrade: Math.round(assignmentsGrade * 100) / 100,
         projectsTotal,
         projectsCompleted,
-        projectsGrade: Math.round(projectsGrade * 100) / 100
+        projectsGrade: Math.round(projectsGrade * 100) / 100,
+        testsTotal,
+        testsGrade: Math.round(testsGrade * 100) / 100
       }
     };
   } catch (error) {
@@ -366,6 +515,38 @@ async function calculateCourseGrade(studentId, courseId, groupId = null) {
   }
 }
 
+/**
+ * Recompute section and course grades of every student enrolled in a course,
+ * e.g. after its grade weights change. A failure for one student is logged
+ * and does not stop the others.
+ * @param {String} courseId - Course ID
+ * @returns {Object} { students, recalculated, failed }
+ */
+async function recalculateCourseGrades(courseId) {
+  const [enrollments, sections] = await Promise.all([
+    Enrollment.find({ course: courseId, status: { $in: ['enrolled', 'approved', 'completed'] } }).select('student'),
+    Section.find({ course: courseId, isActive: true }).select('_id')
+  ]);
+
+  let recalculated = 0;
+  let failed = 0;
+  for (const enrollment of enrollments) {
+    const studentId = enrollment.student.toString();
+    try {
+      for (const section of sections) {
+        await updateSectionGrade(studentId, section._id);
+      }
+      await calculateCourseGrade(studentId, courseId);
+      recalculated++;
+    } catch (error) {
+      failed++;
+      console.error('Error recalculating course grade:', { studentId, courseId, error: error.message });
+    }
+  }
+
+  return { students: enrollments.length, recalculated, failed };
+}
+
 /**
  * Record that a student watched a video lecture
  * @param {String} studentId - Student ID
@@ -407,7 +588,10 @@ async function recordVideoWatched(studentId, contentId, watchedDuration, totalDu
 }
 
 /**
- * Record assignment or project submission
+ * Record assignment or project submission. First submissions are checked
+ * against the late policy: rejected past a hard cutoff, otherwise the late
+ * penalty is stored and applied to the grade. Approved reuploads keep the
+ * lateness of the original submission.
  * @param {String} studentId - Student ID
  * @param {String} contentId - Content ID (assignment or project)
  * @param {Object} fileInfo - File upload information
@@ -429,16 +613,32 @@ async function recordAssignmentSubmission(studentId, contentId, fileInfo) {
   });
 
   let grade = await StudentContentGrade.findOne({ student: studentId, content: contentId });
+  const before = snapshotGrade(grade);
+  let action = 'submitted';
+
+  const checkLateness = async () => {
+    const lateStatus = await getLateStatus(content, studentId);
+    if (lateStatus.rejected) {
+      const err = new Error('The deadline for this assignment or project has passed. Submissions are closed.');
+      err.code = 'SUBMISSION_CLOSED';
+      throw err;
+    }
+    return lateStatus;
+  };
 
   if (!grade) {
     // First-time submission
+    const lateStatus = await checkLateness();
     grade = await StudentContentGrade.create({
       student: studentId,
       content: contentId,
       section: content.section,
       course: content.course,
       status: 'submitted_ungraded',
-      gradePercent: 50,
+      rawGradePercent: SUBMITTED_UNGRADED_PERCENT,
+      gradePercent: applyLatePenalty(SUBMITTED_UNGRADED_PERCENT, lateStatus.penaltyPercent),
+      submittedAt: lateStatus.submittedAt,
+      latePenalty: toLatePenalty(lateStatus),
       submissionFile: fileInfo,
       reuploadRequested: false,
       reuploadStatus: 'none',
@@ -462,11 +662,16 @@ async function recordAssignmentSubmission(studentId, contentId, fileInfo) {
         grade.initialFeedback = grade.instructorFeedback;
       }
 
+      action = 'resubmitted';
       grade.reuploadUsed = true;
       grade.reuploadSubmittedAt = new Date();
       grade.reuploadSubmissionFile = fileInfo;
       grade.status = 'submitted_ungraded';
-      grade.gradePercent = 50;
+      grade.rawGradePercent = SUBMITTED_UNGRADED_PERCENT;
+      grade.gradePercent = applyLatePenalty(
+        SUBMITTED_UNGRADED_PERCENT,
+        totalPenaltyPercent(grade.latePenalty, grade.peerReviewPenalty)
+      );
       grade.updatedAt = new Date();
       await grade.save();
     } else if (grade.status === 'submitted_ungraded') {
@@ -476,16 +681,22 @@ async function recordAssignmentSubmission(studentId, contentId, fileInfo) {
       throw err;
     } else {
       // Fallback: treat as first submission for legacy states
+      const lateStatus = await checkLateness();
       grade.section = content.section;
       grade.course = content.course;
       grade.submissionFile = fileInfo;
       grade.status = 'submitted_ungraded';
-      grade.gradePercent = 50;
+      grade.rawGradePercent = SUBMITTED_UNGRADED_PERCENT;
+      grade.gradePercent = applyLatePenalty(SUBMITTED_UNGRADED_PERCENT, lateStatus.penaltyPercent);
+      grade.submittedAt = lateStatus.submittedAt;
+      grade.latePenalty = toLatePenalty(lateStatus);
       grade.updatedAt = new Date();
       await grade.save();
     }
   }
 
+  await recordGradeChange(before, grade, { action, changedBy: studentId });
+
   // Update section grade
   await updateSectionGrade(studentId, content.section);
 
@@ -493,15 +704,20 @@ async function recordAssignmentSubmission(studentId, contentId, fileInfo) {
 }
 
 /**
- * Grade an assignment (instructor action)
+ * Grade an assignment (instructor action). The late penalty is worked out
+ * again from the submission time, so extensions granted after submitting
+ * still count, and applied on top of the given grade.
  * @param {String} studentId - Student ID
  * @param {String} contentId - Content ID
  * @param {Number} gradePercent - Grade (0-100)
  * @param {String} feedback - Instructor feedback
  * @param {String} gradedBy - Instructor ID
+ * @param {Object} [rubricAssessment] - Rubric breakdown from rubricService.scoreRubric
+ * @param {Object} [history] - { action, reason, regradeRequest } for the grade history;
+ *   the action defaults to 'graded', or 'regraded' when the item was graded before
  * @returns {Object} Updated content grade
  */
-async function gradeAssignment(studentId, contentId, gradePercent, feedback, gradedBy) {
+async function gradeAssignment(studentId, contentId, gradePercent, feedback, gradedBy, rubricAssessment = null, history = {}) {
   const content = await Content.findById(contentId);
   
   if (!content || (content.type !== 'assignment' && content.type !== 'project')) {
@@ -511,6 +727,13 @@ async function gradeAssignment(studentId, contentId, gradePercent, feedback, gra
   // Validate grade
   const validGrade = Math.min(100, Math.max(0, gradePercent));
 
+  const existing = await StudentContentGrade.findOne({ student: studentId, content: contentId })
+    .select('submittedAt peerReviewPenalty status gradePercent rawGradePercent');
+  let latePenalty = null;
+  if (existing && existing.submittedAt) {
+    latePenalty = toLatePenalty(await getLateStatus(content, studentId, existing.submittedAt));
+  }
+
   const grade = await StudentContentGrade.findOneAndUpdate(
     { student: studentId, content: contentId },
     {
@@ -518,8 +741,11 @@ async function gradeAssignment(studentId, contentId, gradePercent, feedback, gra
         section: content.section,
         course: content.course,
         status: 'graded',
-        gradePercent: validGrade,
+        rawGradePercent: validGrade,
+        gradePercent: applyLatePenalty(validGrade, totalPenaltyPercent(latePenalty, existing && existing.peerReviewPenalty)),
+        latePenalty,
         instructorFeedback: feedback || '',
+        rubricAssessment,
         gradedBy,
         gradedAt: new Date(),
         updatedAt: new Date()
@@ -528,19 +754,87 @@ async function gradeAssignment(studentId, contentId, gradePercent, feedback, gra
     { upsert: true, new: true }
   );
 
+  await recordGradeChange(snapshotGrade(existing), grade, {
+    action: history.action || (existing && existing.status === 'graded' ? 'regraded' : 'graded'),
+    changedBy: gradedBy,
+    feedback: feedback || '',
+    reason: history.reason,
+    regradeRequest: history.regradeRequest
+  });
+
   // Update section grade
   await updateSectionGrade(studentId, content.section);
 
   return grade;
 }
 
+/**
+ * Work out a submission's late penalty again, e.g. after the student's
+ * extension changed, and update the grades that depend on it
+ * @param {String} studentId - Student ID
+ * @param {Object} content - Content document
+ * @param {String} [changedBy] - User whose change caused the recalculation
+ * @returns {Object|null} Updated content grade, or null when nothing was submitted
+ */
+async function refreshLatePenalty(studentId, content, changedBy = null) {
+  const grade = await StudentContentGrade.findOne({ student: studentId, content: content._id });
+  if (!grade || !grade.submittedAt) return null;
+  const before = snapshotGrade(grade);
+
+  const latePenalty = toLatePenalty(await getLateStatus(content, studentId, grade.submittedAt));
+  const rawGrade = grade.rawGradePercent !== null ? grade.rawGradePercent : grade.gradePercent;
+  grade.rawGradePercent = rawGrade;
+  grade.gradePercent = applyLatePenalty(rawGrade, totalPenaltyPercent(latePenalty, grade.peerReviewPenalty));
+  grade.latePenalty = latePenalty;
+  await grade.save();
+  await recordGradeChange(before, grade, { action: 'late_penalty', changedBy });
+
+  await updateSectionGrade(studentId, content.section);
+  await calculateCourseGrade(studentId, content.course.toString());
+  return grade;
+}
+
+/**
+ * Record the peer reviews a student skipped and take the penalty off their
+ * own grade for the project, on top of any late penalty
+ * @param {String} studentId - Student ID
+ * @param {Object} content - Content document
+ * @param {Object|null} penalty - { assigned, missed, penaltyPercent }
+ * @returns {Object|null} Updated content grade, or null when nothing was submitted
+ */
+async function applyPeerReviewPenalty(studentId, content, penalty) {
+  const grade = await StudentContentGrade.findOne({ student: studentId, content: content._id });
+  if (!grade) return null;
+  const before = snapshotGrade(grade);
+
+  const rawGrade = grade.rawGradePercent !== null ? grade.rawGradePercent : grade.gradePercent;
+  grade.rawGradePercent = rawGrade;
+  grade.peerReviewPenalty = penalty;
+  grade.gradePercent = applyLatePenalty(rawGrade, totalPenaltyPercent(grade.latePenalty, penalty));
+  await grade.save();
+  await recordGradeChange(before, grade, {
+    action: 'peer_review_penalty',
+    reason: penalty ? `Missed ${penalty.missed} of ${penalty.assigned} peer reviews` : ''
+  });
+
+  await updateSectionGrade(studentId, content.section);
+  await calculateCourseGrade(studentId, content.course.toString());
+  return grade;
+}
+
 module.exports = {
+  validateGradeWeights,
+  resolveGradingPolicy,
+  combineCategoryScores,
   calculateContentGrade,
   calculateProjectGrade,
   calculateSectionGrade,
   calculateCourseGrade,
+  recalculateCourseGrades,
   updateSectionGrade,
   recordVideoWatched,
   recordAssignmentSubmission,
-  gradeAssignment
+  gradeAssignment,
+  refreshLatePenalty,
+  applyPeerReviewPenalty
 };
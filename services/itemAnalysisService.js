@@ -0,0 +1,227 @@
+/**
+ * Classical item analysis for active tests: per-question difficulty
+ * (p-value), discrimination (corrected point-biserial), distractor usage and
+ * test reliability (KR-20 / Cronbach's alpha), computed from graded attempts.
+ */
+const { getQuestionType } = require('./testScoringService');
+const { toCsv } = require('../utils/csv');
+
+const round = (value, digits = 3) =>
+  (value === null || !Number.isFinite(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const mean = (values) => (values.length ? values.reduce((s, v) => s + v, 0) / values.length : 0);
+
+// Population variance, as used by the KR-20 and alpha formulas
+const variance = (values) => {
+  if (values.length === 0) return 0;
+  const m = mean(values);
+  return values.reduce((s, v) => s + (v - m) ** 2, 0) / values.length;
+};
+
+const pearson = (xs, ys) => {
+  if (xs.length < 3) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  if (vx === 0 || vy === 0) return null;
+  return cov / Math.sqrt(vx * vy);
+};
+
+const optionLabel = (index) => String.fromCharCode(65 + (index % 26));
+
+// Thresholds used to flag questions worth a second look
+const FLAGS = {
+  TOO_HARD: 0.2,
+  TOO_EASY: 0.95,
+  LOW_DISCRIMINATION: 0.15,
+  UNUSED_DISTRACTOR_MIN_RESPONSES: 20
+};
+
+/**
+ * Reliability of a score matrix (rows = attempts, columns = items)
+ * @param {Array<Array<Number>>} matrix - Item scores per attempt
+ * @returns {Number|null}
+ */
+function cronbachAlpha(matrix) {
+  const k = matrix[0] ? matrix[0].length : 0;
+  if (matrix.length < 2 || k < 2) return null;
+  const itemVariances = Array.from({ length: k }, (_, j) => variance(matrix.map(row => row[j])));
+  const totalVariance = variance(matrix.map(row => row.reduce((s, v) => s + v, 0)));
+  if (totalVariance === 0) return null;
+  return (k / (k - 1)) * (1 - itemVariances.reduce((s, v) => s + v, 0) / totalVariance);
+}
+
+/**
+ * Build the item analysis report
+ * @param {Array} questions - The test's fixed questions
+ * @param {Array} attempts - Graded attempts (with answers and drawnQuestions)
+ * @returns {Object} { attemptCount, items, reliability }
+ */
+function buildItemAnalysis(questions, attempts) {
+  const plain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+  const fixedQuestions = (questions || []).map(plain);
+  const fixedIds = fixedQuestions.map(q => q._id.toString());
+  const items = new Map();
+
+  fixedQuestions.forEach((question) => {
+    items.set(question._id.toString(), { question, rows: [] });
+  });
+
+  const rows = (attempts || []).map((attempt) => {
+    const drawn = (attempt.drawnQuestions || []).map(plain);
+    drawn.forEach((question) => {
+      const id = question._id.toString();
+      if (!items.has(id)) items.set(id, { question, rows: [] });
+    });
+
+    const answers = new Map((attempt.answers || []).map((a) => {
+      const answer = plain(a);
+      return [String(answer.questionId), answer];
+    }));
+    const presented = [...fixedIds, ...drawn.map(q => q._id.toString())];
+    const scores = new Map();
+    presented.forEach((id) => {
+      const { question } = items.get(id);
+      const answer = answers.get(id) || null;
+      scores.set(id, { answer, points: answer ? answer.pointsEarned || 0 : 0, max: question.points || 1 });
+    });
+
+    const total = Array.from(scores.values()).reduce((s, v) => s + v.points, 0);
+    presented.forEach((id) => items.get(id).rows.push({ ...scores.get(id), total }));
+    return { scores };
+  });
+
+  const report = Array.from(items.values()).map(({ question, rows: itemRows }, position) => {
+    const type = getQuestionType(question);
+    const n = itemRows.length;
+    const fractions = itemRows.map(r => Math.min(1, r.points / r.max));
+    const pValue = n > 0 ? mean(fractions) : null;
+    const pointBiserial = pearson(fractions, itemRows.map(r => r.total - r.points));
+    const omitted = itemRows.filter(r => !r.answer).length;
+
+    let distractors = null;
+    if (type === 'single_choice' || type === 'multi_select') {
+      distractors = (question.options || []).map((option, index) => {
+        const count = itemRows.filter((r) => {
+          if (!r.answer) return false;
+          return type === 'single_choice'
+            ? r.answer.selectedOptionIndex === index
+            : (r.answer.selectedOptionIndexes || []).includes(index);
+        }).length;
+        return { label: optionLabel(index), text: option.optionText, isCorrect: !!option.isCorrect, count, rate: n > 0 ? round(count / n) : 0 };
+      });
+    } else if (type === 'true_false') {
+      distractors = [true, false].map((value) => {
+        const count = itemRows.filter(r => r.answer && r.answer.booleanAnswer === value).length;
+        return { label: value ? 'True' : 'False', text: value ? 'True' : 'False', isCorrect: question.correctBoolean === value, count, rate: n > 0 ? round(count / n) : 0 };
+      });
+    }
+
+    const flags = [];
+    if (n > 0 && pValue < FLAGS.TOO_HARD) flags.push('too_hard');
+    if (n > 0 && pValue > FLAGS.TOO_EASY) flags.push('too_easy');
+    if (pointBiserial !== null && pointBiserial < 0) flags.push('negative_discrimination');
+    else if (pointBiserial !== null && pointBiserial < FLAGS.LOW_DISCRIMINATION) flags.push('low_discrimination');
+    if (distractors && n >= FLAGS.UNUSED_DISTRACTOR_MIN_RESPONSES &&
+        distractors.some(d => !d.isCorrect && d.count === 0)) {
+      flags.push('unused_distractor');
+    }
+    if (distractors && distractors.some(d => !d.isCorrect && d.count > 0 &&
+        d.count > Math.max(...distractors.filter(c => c.isCorrect).map(c => c.count), 0))) {
+      flags.push('distractor_beats_key');
+    }
+
+    return {
+      position: position + 1,
+      questionId: question._id,
+      sourceBank: question.sourceBank || null,
+      questionText: question.questionText,
+      questionType: type,
+      points: question.points || 1,
+      responses: n,
+      omitted,
+      pValue: round(pValue),
+      pointBiserial: round(pointBiserial),
+      averagePoints: n > 0 ? round(mean(itemRows.map(r => r.points)), 2) : null,
+      distractors,
+      flags
+    };
+  });
+
+  // Reliability only uses the fixed questions, which every attempt answered;
+  // drawn questions differ between attempts
+  const pointMatrix = rows.map(({ scores }) => fixedIds.map(id => scores.get(id).points));
+  const fractionMatrix = rows.map(({ scores }) => fixedIds.map((id) => {
+    const s = scores.get(id);
+    return s.points / s.max;
+  }));
+  const dichotomous = fractionMatrix.every(row => row.every(v => v === 0 || v >= 1));
+
+  return {
+    attemptCount: rows.length,
+    items: report,
+    reliability: {
+      itemCount: fixedIds.length,
+      cronbachAlpha: round(cronbachAlpha(pointMatrix)),
+      kr20: dichotomous ? round(cronbachAlpha(fractionMatrix.map(row => row.map(v => (v >= 1 ? 1 : 0))))) : null,
+      note: items.size > fixedIds.length
+        ? 'Reliability is computed from the fixed questions only; questions drawn from banks vary per attempt'
+        : null
+    }
+  };
+}
+
+/**
+ * Render an item analysis report as CSV: one row per question followed by
+ * the test-level reliability figures
+ * @param {Object} analysis - Result of buildItemAnalysis
+ * @returns {String}
+ */
+function itemAnalysisToCsv(analysis) {
+  const header = [
+    'Question #', 'Question ID', 'Question', 'Type', 'Points', 'Source Bank',
+    'Responses', 'Omitted', 'P-Value', 'Point-Biserial', 'Average Points',
+    'Option Frequencies', 'Flags'
+  ];
+
+  const rows = analysis.items.map(item => [
+    item.position,
+    item.questionId,
+    item.questionText,
+    item.questionType,
+    item.points,
+    item.sourceBank || '',
+    item.responses,
+    item.omitted,
+    item.pValue,
+    item.pointBiserial,
+    item.averagePoints,
+    (item.distractors || [])
+      .map(d => `${d.label}${d.isCorrect ? '*' : ''}: ${d.count} (${Math.round((d.rate || 0) * 100)}%)`)
+      .join('; '),
+    item.flags.join('; ')
+  ]);
+
+  const blank = header.map(() => '');
+  const summary = [
+    blank,
+    ['Attempts', analysis.attemptCount, ...blank.slice(2)],
+    ['Cronbach Alpha', analysis.reliability.cronbachAlpha, ...blank.slice(2)],
+    ['KR-20', analysis.reliability.kr20, ...blank.slice(2)]
+  ];
+
+  return toCsv(header, [...rows, ...summary]);
+}
+
+module.exports = {
+  buildItemAnalysis,
+  itemAnalysisToCsv,
+  cronbachAlpha
+};
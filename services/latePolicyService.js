@@ -0,0 +1,166 @@
+/**
+ * Late submissions of assignments and projects. A submission is late once
+ * the due date (or the student's extension) plus the grace period has
+ * passed. Each started day after that takes penaltyPercentPerDay off the
+ * grade, up to maxPenaltyPercent; with hardCutoff the submission is
+ * rejected instead. Without a policy late work is accepted as is.
+ */
+const Course = require('../models/Course');
+const SubmissionExtension = require('../models/SubmissionExtension');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const POLICY_LIMITS = {
+  gracePeriodHours: 720,
+  penaltyPercentPerDay: 100,
+  maxPenaltyPercent: 100
+};
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+/**
+ * Validate a late policy sent by an instructor
+ * @param {Object|null} input - { gracePeriodHours, penaltyPercentPerDay, maxPenaltyPercent, hardCutoff };
+ *   null clears the policy
+ * @returns {{ error: String|null, policy: Object|null }}
+ */
+function validateLatePolicy(input) {
+  if (input === null) return { error: null, policy: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Late policy must be an object', policy: null };
+  }
+
+  const policy = { gracePeriodHours: 0, penaltyPercentPerDay: 0, maxPenaltyPercent: 100, hardCutoff: false };
+  for (const [field, max] of Object.entries(POLICY_LIMITS)) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+    const value = Number(input[field]);
+    if (!Number.isFinite(value) || value < 0 || value > max) {
+      return { error: `${field} must be between 0 and ${max}`, policy: null };
+    }
+    policy[field] = value;
+  }
+
+  if (input.hardCutoff !== undefined) {
+    if (typeof input.hardCutoff !== 'boolean') return { error: 'hardCutoff must be true or false', policy: null };
+    policy.hardCutoff = input.hardCutoff;
+  }
+  return { error: null, policy };
+}
+
+/**
+ * Late policy that applies to a content item
+ * @param {Object|null} course - Course (latePolicy)
+ * @param {Object|null} content - Content (latePolicy)
+ * @returns {Object|null} The content's policy, else the course's, else null
+ */
+function resolveLatePolicy(course, content) {
+  const policy = (content && content.latePolicy) || (course && course.latePolicy) || null;
+  return toPlain(policy);
+}
+
+/**
+ * Work out whether a submission is late and the penalty it gets
+ * @param {Date|null} dueDate - Due date for the student (extension included)
+ * @param {Date} submittedAt
+ * @param {Object|null} policy - Late policy
+ * @returns {{ dueDate: Date|null, submittedAt: Date, late: Boolean, daysLate: Number,
+ *   penaltyPercent: Number, rejected: Boolean }}
+ */
+function evaluateLateSubmission(dueDate, submittedAt, policy) {
+  const result = {
+    dueDate: dueDate ? new Date(dueDate) : null,
+    submittedAt: new Date(submittedAt),
+    late: false,
+    daysLate: 0,
+    penaltyPercent: 0,
+    rejected: false
+  };
+  if (!result.dueDate) return result;
+
+  const graceMs = policy ? (policy.gracePeriodHours || 0) * HOUR_MS : 0;
+  const overdueMs = result.submittedAt - result.dueDate - graceMs;
+  if (overdueMs <= 0) return result;
+
+  result.late = true;
+  result.daysLate = Math.ceil(overdueMs / DAY_MS);
+  if (!policy) return result;
+
+  if (policy.hardCutoff) {
+    result.rejected = true;
+    return result;
+  }
+
+  const maxPenalty = policy.maxPenaltyPercent !== undefined && policy.maxPenaltyPercent !== null
+    ? policy.maxPenaltyPercent
+    : 100;
+  result.penaltyPercent = Math.min(maxPenalty, result.daysLate * (policy.penaltyPercentPerDay || 0));
+  return result;
+}
+
+/**
+ * Apply a late penalty to a grade
+ * @param {Number} gradePercent - Raw grade (0-100)
+ * @param {Number} penaltyPercent - Percent of the grade taken off
+ * @returns {Number} Penalized grade, rounded to 2 decimals
+ */
+function applyLatePenalty(gradePercent, penaltyPercent) {
+  const penalized = gradePercent * (1 - Math.min(100, Math.max(0, penaltyPercent || 0)) / 100);
+  return Math.round(penalized * 100) / 100;
+}
+
+/**
+ * Due date and late policy of a content item for one student
+ * @param {Object} content - Content document (course, dueDate, latePolicy)
+ * @param {String} studentId
+ * @returns {Promise<{ dueDate: Date|null, extended: Boolean, policy: Object|null }>}
+ */
+async function getStudentDeadline(content, studentId) {
+  const [course, extension] = await Promise.all([
+    Course.findById(content.course).select('latePolicy'),
+    SubmissionExtension.findOne({ content: content._id, student: studentId }).select('dueDate')
+  ]);
+
+  return {
+    dueDate: extension ? extension.dueDate : content.dueDate || null,
+    extended: !!extension,
+    policy: resolveLatePolicy(course, content)
+  };
+}
+
+/**
+ * Evaluate a student's submission of a content item against its late policy
+ * @param {Object} content - Content document
+ * @param {String} studentId
+ * @param {Date} [submittedAt]
+ * @returns {Promise<Object>} evaluateLateSubmission result plus `extended`
+ */
+async function getLateStatus(content, studentId, submittedAt = new Date()) {
+  const { dueDate, extended, policy } = await getStudentDeadline(content, studentId);
+  return { ...evaluateLateSubmission(dueDate, submittedAt, policy), extended };
+}
+
+/**
+ * Snapshot stored on StudentContentGrade.latePenalty
+ * @param {Object} status - Result of getLateStatus
+ * @returns {Object}
+ */
+function toLatePenalty(status) {
+  return {
+    dueDate: status.dueDate,
+    submittedAt: status.submittedAt,
+    extended: !!status.extended,
+    daysLate: status.daysLate,
+    penaltyPercent: status.penaltyPercent
+  };
+}
+
+module.exports = {
+  validateLatePolicy,
+  resolveLatePolicy,
+  evaluateLateSubmission,
+  applyLatePenalty,
+  getStudentDeadline,
+  getLateStatus,
+  toLatePenalty
+};
@@ -0,0 +1,546 @@
+/**
+ * Open Badges 2.0 export of issued certificates and gamification badges.
+ * Certificates become assertions of a per-course BadgeClass, earned badges
+ * (Achievement records of type 'badge') assertions of their Badge. All
+ * documents are hosted under /api/open-badges. Assertions can also be
+ * signed (RS256 JWS) when OPEN_BADGES_PRIVATE_KEY holds an RSA key in PEM,
+ * and baked into PNG (iTXt chunk) or SVG images for badge wallets.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const AdminSettings = require('../models/AdminSettings');
+const Badge = require('../models/Badge');
+const Achievement = require('../models/Achievement');
+const Course = require('../models/Course');
+const CertificateRequest = require('../models/CertificateRequest');
+const { getServerUrl, getClientUrl } = require('../utils/urlHelper');
+const { buildVerificationUrl } = require('./certificatePdfService');
+
+const OB_CONTEXT = 'https://w3id.org/openbadges/v2';
+
+const BADGE_COLORS = ['#4F46E5', '#059669', '#D97706', '#DC2626', '#7C3AED', '#0891B2', '#DB2777'];
+
+const CONDITION_NARRATIVES = {
+  lesson: (n) => `Complete ${n} lesson${n === 1 ? '' : 's'}.`,
+  quiz: (n) => `Complete ${n} quiz${n === 1 ? '' : 'zes'}.`,
+  course: (n) => `Complete ${n} course${n === 1 ? '' : 's'}.`,
+  streak: (n) => `Keep a learning streak of ${n} day${n === 1 ? '' : 's'}.`,
+  points: (n) => `Earn ${n} points.`
+};
+
+const openBadgesUrl = (suffix) => `${getServerUrl()}/api/open-badges${suffix}`;
+
+const issuerUrl = () => openBadgesUrl('/issuer');
+const keyUrl = () => openBadgesUrl('/issuer/key');
+const revocationListUrl = () => openBadgesUrl('/issuer/revocations');
+const badgeClassUrl = (badgeClassId) => openBadgesUrl(`/badges/${badgeClassId}`);
+const badgeImageUrl = (badgeClassId) => openBadgesUrl(`/badges/${badgeClassId}/image`);
+const assertionUrl = (assertionId) => openBadgesUrl(`/assertions/${assertionId}`);
+
+let cachedKey;
+
+/**
+ * The RSA key assertions are signed with, from OPEN_BADGES_PRIVATE_KEY
+ * @returns {{ privateKey: KeyObject, publicKeyPem: String }|null} null when not configured
+ */
+function getSigningKey() {
+  if (cachedKey !== undefined) return cachedKey;
+  const pem = process.env.OPEN_BADGES_PRIVATE_KEY;
+  cachedKey = null;
+  if (pem) {
+    try {
+      const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+      const publicKeyPem = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+      cachedKey = { privateKey, publicKeyPem };
+    } catch (error) {
+      console.error('OPEN_BADGES_PRIVATE_KEY is not a valid private key:', error.message);
+    }
+  }
+  return cachedKey;
+}
+
+/**
+ * Split an assertion or BadgeClass ID into its source
+ * @param {String} id - e.g. "certificate-<id>", "achievement-<id>", "course-<id>", "badge-<id>"
+ * @returns {{ kind: String, objectId: String }|null}
+ */
+function parseOpenBadgeId(id) {
+  const match = /^(certificate|achievement|course|badge)-([0-9a-f]{24})$/i.exec(String(id || ''));
+  if (!match || !mongoose.Types.ObjectId.isValid(match[2])) return null;
+  return { kind: match[1].toLowerCase(), objectId: match[2] };
+}
+
+/**
+ * Issuer profile of the platform
+ * @param {Object} settings - AdminSettings
+ * @param {Boolean} signingEnabled - Whether assertions can be signed
+ * @returns {Object}
+ */
+function buildIssuer(settings, signingEnabled) {
+  const issuer = {
+    '@context': OB_CONTEXT,
+    type: 'Issuer',
+    id: issuerUrl(),
+    name: settings.platformName || 'EduFlow Academy',
+    url: getClientUrl()
+  };
+  if (settings.platformEmail) issuer.email = settings.platformEmail;
+  if (settings.logoUrl) issuer.image = settings.logoUrl;
+  if (signingEnabled) {
+    issuer.publicKey = keyUrl();
+    issuer.revocationList = revocationListUrl();
+  }
+  return issuer;
+}
+
+/**
+ * Public key document for signed assertions
+ * @param {String} publicKeyPem
+ * @returns {Object}
+ */
+function buildCryptographicKey(publicKeyPem) {
+  return {
+    '@context': OB_CONTEXT,
+    type: 'CryptographicKey',
+    id: keyUrl(),
+    owner: issuerUrl(),
+    publicKeyPem
+  };
+}
+
+/**
+ * BadgeClass of a course's certificate
+ * @param {Object} course - Course with name and description
+ * @returns {Object}
+ */
+function buildCourseBadgeClass(course) {
+  const id = `course-${course._id}`;
+  return {
+    '@context': OB_CONTEXT,
+    type: 'BadgeClass',
+    id: badgeClassUrl(id),
+    name: `${course.name} Certificate`,
+    description: String(course.description || `Certificate of completion for ${course.name}.`).slice(0, 1000),
+    image: badgeImageUrl(id),
+    criteria: {
+      narrative: 'Complete every section of the course and reach the passing grade.'
+    },
+    issuer: issuerUrl()
+  };
+}
+
+/**
+ * BadgeClass of a gamification badge
+ * @param {Object} badge - Badge document
+ * @returns {Object}
+ */
+function buildGamificationBadgeClass(badge) {
+  const id = `badge-${badge._id}`;
+  const narrative = CONDITION_NARRATIVES[badge.conditionType];
+  return {
+    '@context': OB_CONTEXT,
+    type: 'BadgeClass',
+    id: badgeClassUrl(id),
+    name: badge.title,
+    description: badge.description,
+    image: badgeImageUrl(id),
+    criteria: {
+      narrative: narrative ? narrative(badge.threshold) : badge.description
+    },
+    issuer: issuerUrl()
+  };
+}
+
+/**
+ * Salted hash of the recipient's email. The salt is derived from the
+ * assertion ID so the hosted assertion stays the same between requests.
+ * @param {String} email
+ * @param {String} assertionId
+ * @returns {Object} Open Badges IdentityObject
+ */
+function buildRecipient(email, assertionId) {
+  const salt = crypto.createHmac('sha256', process.env.JWT_SECRET || 'open-badges')
+    .update(assertionId)
+    .digest('hex')
+    .slice(0, 16);
+  const hash = crypto.createHash('sha256').update(`${String(email).trim().toLowerCase()}${salt}`).digest('hex');
+  return {
+    type: 'email',
+    hashed: true,
+    salt,
+    identity: `sha256$${hash}`
+  };
+}
+
+/**
+ * Assertion of a badge awarded to a student
+ * @param {Object} data - { assertionId, email, badgeClassId, issuedOn, evidence, revoked,
+ *   revocationReason, signed }
+ * @returns {Object}
+ */
+function buildAssertion(data) {
+  const assertion = {
+    '@context': OB_CONTEXT,
+    type: 'Assertion',
+    id: assertionUrl(data.assertionId),
+    recipient: buildRecipient(data.email, data.assertionId),
+    badge: badgeClassUrl(data.badgeClassId),
+    issuedOn: new Date(data.issuedOn).toISOString(),
+    verification: data.signed
+      ? { type: 'SignedBadge', creator: keyUrl() }
+      : { type: 'HostedBadge' }
+  };
+  if (data.evidence) assertion.evidence = data.evidence;
+  if (data.revoked) {
+    assertion.revoked = true;
+    if (data.revocationReason) assertion.revocationReason = data.revocationReason;
+  }
+  return assertion;
+}
+
+/**
+ * Sign an assertion as a compact RS256 JWS
+ * @param {Object} assertion
+ * @param {KeyObject|String} privateKey
+ * @returns {String}
+ */
+function signAssertion(assertion, privateKey) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ alg: 'RS256' })}.${encode(assertion)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey).toString('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Chunks of a PNG as { type, data, start, end }
+const readPngChunks = (png) => {
+  if (!Buffer.isBuffer(png) || !png.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    chunks.push({ type, data: png.subarray(offset + 8, offset + 8 + length), start: offset, end });
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+};
+
+const isOpenBadgesChunk = (chunk) => chunk.type === 'iTXt'
+  && chunk.data.subarray(0, 11).equals(Buffer.from('openbadges\0', 'latin1'));
+
+/**
+ * Bake an assertion into a PNG: an iTXt chunk with keyword "openbadges"
+ * holding the hosted assertion URL or the signed JWS
+ * @param {Buffer} png
+ * @param {String} value - Assertion URL or JWS
+ * @returns {Buffer}
+ */
+function bakePng(png, value) {
+  const chunks = readPngChunks(png).filter(chunk => !isOpenBadgesChunk(chunk));
+  // keyword \0 compression flag, method, empty language tag \0, empty translated keyword \0, text
+  const itxt = Buffer.concat([
+    Buffer.from('openbadges\0', 'latin1'),
+    Buffer.from([0, 0]),
+    Buffer.from('\0\0', 'latin1'),
+    Buffer.from(value, 'utf8')
+  ]);
+  const parts = [PNG_SIGNATURE];
+  for (const chunk of chunks) {
+    if (chunk.type === 'IEND') parts.push(pngChunk('iTXt', itxt));
+    parts.push(png.subarray(chunk.start, chunk.end));
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Read the baked assertion of a PNG
+ * @param {Buffer} png
+ * @returns {String|null}
+ */
+function readBakedPng(png) {
+  const chunk = readPngChunks(png).find(isOpenBadgesChunk);
+  return chunk ? chunk.data.subarray(15).toString('utf8') : null;
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Bake an assertion into an SVG image
+ * @param {String} svg
+ * @param {String} verify - Assertion URL or JWS
+ * @param {Object} [assertion] - Embedded as JSON next to a JWS
+ * @returns {String}
+ */
+function bakeSvg(svg, verify, assertion = null) {
+  const element = `<openbadges:assertion verify="${escapeXml(verify)}">`
+    + (assertion ? `<![CDATA[${JSON.stringify(assertion)}]]>` : '')
+    + '</openbadges:assertion>';
+  return svg.replace(/<svg\b([^>]*)>/, (tag, attributes) => {
+    const ns = attributes.includes('xmlns:openbadges') ? '' : ' xmlns:openbadges="http://openbadges.org"';
+    return `<svg${attributes}${ns}>${element}`;
+  });
+}
+
+const colorFor = (id) => BADGE_COLORS[parseInt(crypto.createHash('md5').update(String(id)).digest('hex').slice(0, 8), 16) % BADGE_COLORS.length];
+
+// Uploaded icons (/uploads/...) are images, anything else an emoji or label
+const isImagePath = (icon) => /^\/?uploads\/.+\.(png|svg)$/i.test(String(icon || ''));
+
+/**
+ * Render the image of a BadgeClass as SVG
+ * @param {Object} data - { id, title, icon }
+ * @returns {String}
+ */
+function renderBadgeSvg({ id, title, icon }) {
+  const label = String(title || '').length > 24 ? `${String(title).slice(0, 23)}…` : String(title || '');
+  const iconText = icon && !isImagePath(icon)
+    ? `<text x="128" y="112" font-size="64" text-anchor="middle" dominant-baseline="middle">${escapeXml(icon)}</text>`
+    : '';
+  return [
+    '<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256" viewBox="0 0 256 256">',
+    `<circle cx="128" cy="128" r="124" fill="${colorFor(id)}"/>`,
+    '<circle cx="128" cy="128" r="108" fill="none" stroke="#FFFFFF" stroke-width="4" opacity="0.6"/>',
+    iconText,
+    `<text x="128" y="184" font-family="Helvetica, Arial, sans-serif" font-size="17" font-weight="bold" fill="#FFFFFF" text-anchor="middle">${escapeXml(label)}</text>`,
+    '</svg>'
+  ].join('');
+}
+
+/**
+ * Render the image of a BadgeClass as PNG: a medallion in the badge's
+ * colour, or the uploaded icon when the badge has a PNG one
+ * @param {Object} data - { id, icon }
+ * @returns {Buffer}
+ */
+function renderBadgePng({ id, icon }) {
+  if (isImagePath(icon) && /\.png$/i.test(icon)) {
+    const filePath = path.join(__dirname, '..', String(icon).replace(/^\//, ''));
+    if (filePath.startsWith(path.join(__dirname, '..', 'uploads')) && fs.existsSync(filePath)) {
+      return fs.readFileSync(filePath);
+    }
+  }
+
+  const size = 256;
+  const [r, g, b] = colorFor(id).match(/\w\w/g).map(hex => parseInt(hex, 16));
+  const raw = Buffer.alloc(size * (size * 4 + 1));
+  for (let y = 0; y < size; y++) {
+    const row = y * (size * 4 + 1);
+    raw[row] = 0; // no filter
+    for (let x = 0; x < size; x++) {
+      const distance = Math.hypot(x - 127.5, y - 127.5);
+      const offset = row + 1 + x * 4;
+      if (distance > 124) continue; // transparent
+      const ring = distance > 104 && distance < 110;
+      raw[offset] = ring ? 255 : r;
+      raw[offset + 1] = ring ? 255 : g;
+      raw[offset + 2] = ring ? 255 : b;
+      raw[offset + 3] = 255;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Load a BadgeClass with what is needed to draw its image
+ * @param {String} badgeClassId - "course-<id>" or "badge-<id>"
+ * @returns {Promise<{ badgeClass: Object, image: Object }|null>}
+ */
+async function loadBadgeClass(badgeClassId) {
+  const parsed = parseOpenBadgeId(badgeClassId);
+  if (!parsed) return null;
+
+  if (parsed.kind === 'course') {
+    const course = await Course.findById(parsed.objectId).select('name description offersCertificate');
+    if (!course || course.offersCertificate === false) return null;
+    return {
+      badgeClass: buildCourseBadgeClass(course),
+      image: { id: badgeClassId, title: course.name, icon: '🎓' }
+    };
+  }
+
+  if (parsed.kind === 'badge') {
+    const badge = await Badge.findById(parsed.objectId);
+    if (!badge) return null;
+    return {
+      badgeClass: buildGamificationBadgeClass(badge),
+      image: { id: badgeClassId, title: badge.title, icon: badge.icon }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Load what an assertion is made of: a certificate or an earned badge
+ * @param {String} assertionId - "certificate-<id>" or "achievement-<id>"
+ * @returns {Promise<Object|null>} { assertionId, badgeClassId, student, email, issuedOn,
+ *   evidence, revoked, revocationReason }
+ */
+async function loadAssertionSource(assertionId) {
+  const parsed = parseOpenBadgeId(assertionId);
+  if (!parsed) return null;
+
+  if (parsed.kind === 'certificate') {
+    const certificate = await CertificateRequest.findOne({
+      _id: parsed.objectId,
+      status: { $in: ['issued', 'revoked'] }
+    }).populate('student', 'email');
+    if (!certificate || !certificate.student) return null;
+    return {
+      assertionId,
+      badgeClassId: `course-${certificate.course}`,
+      student: certificate.student._id,
+      email: certificate.student.email,
+      issuedOn: certificate.issuedAt || certificate.updatedAt,
+      evidence: certificate.verificationCode ? buildVerificationUrl(certificate.verificationCode) : undefined,
+      revoked: certificate.status === 'revoked',
+      revocationReason: certificate.revocationReason
+    };
+  }
+
+  if (parsed.kind === 'achievement') {
+    const achievement = await Achievement.findOne({ _id: parsed.objectId, type: 'badge' })
+      .populate('student', 'email');
+    if (!achievement || !achievement.student) return null;
+    const badge = await Badge.findOne({ title: achievement.badgeTitle }).select('_id');
+    if (!badge) return null;
+    return {
+      assertionId,
+      badgeClassId: `badge-${badge._id}`,
+      student: achievement.student._id,
+      email: achievement.student.email,
+      issuedOn: achievement.createdAt,
+      revoked: false
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Everything a student can export: issued certificates and earned badges
+ * @param {String} studentId
+ * @returns {Promise<Array>} [{ assertionId, kind, name, issuedOn, assertionUrl }]
+ */
+async function listStudentAssertions(studentId) {
+  const [certificates, achievements] = await Promise.all([
+    CertificateRequest.find({ student: studentId, status: 'issued' })
+      .populate('course', 'name')
+      .sort({ issuedAt: -1 }),
+    Achievement.find({ student: studentId, type: 'badge' }).sort({ createdAt: -1 })
+  ]);
+  const titles = [...new Set(achievements.map(a => a.badgeTitle).filter(Boolean))];
+  const badges = await Badge.find({ title: { $in: titles } }).select('title');
+  const known = new Set(badges.map(b => b.title));
+
+  const items = certificates.filter(c => c.course).map(c => ({
+    assertionId: `certificate-${c._id}`,
+    kind: 'certificate',
+    name: `${c.course.name} Certificate`,
+    issuedOn: c.issuedAt,
+    assertionUrl: assertionUrl(`certificate-${c._id}`)
+  }));
+  achievements.filter(a => known.has(a.badgeTitle)).forEach(a => items.push({
+    assertionId: `achievement-${a._id}`,
+    kind: 'badge',
+    name: a.badgeTitle,
+    issuedOn: a.createdAt,
+    assertionUrl: assertionUrl(`achievement-${a._id}`)
+  }));
+  return items;
+}
+
+/**
+ * Revocation list of signed assertions
+ * @returns {Promise<Object>}
+ */
+async function buildRevocationList() {
+  const revoked = await CertificateRequest.find({ status: 'revoked' }).select('revocationReason');
+  return {
+    '@context': OB_CONTEXT,
+    type: 'RevocationList',
+    id: revocationListUrl(),
+    issuer: issuerUrl(),
+    revokedAssertions: revoked.map(c => ({
+      id: assertionUrl(`certificate-${c._id}`),
+      revocationReason: c.revocationReason || undefined
+    }))
+  };
+}
+
+/**
+ * Issuer profile of the platform, loaded from the admin settings
+ * @returns {Promise<Object>}
+ */
+async function loadIssuer() {
+  const settings = await AdminSettings.getSettings();
+  return buildIssuer(settings, Boolean(getSigningKey()));
+}
+
+module.exports = {
+  OB_CONTEXT,
+  getSigningKey,
+  parseOpenBadgeId,
+  buildIssuer,
+  buildCryptographicKey,
+  buildCourseBadgeClass,
+  buildGamificationBadgeClass,
+  buildRecipient,
+  buildAssertion,
+  signAssertion,
+  bakePng,
+  readBakedPng,
+  bakeSvg,
+  renderBadgeSvg,
+  renderBadgePng,
+  loadBadgeClass,
+  loadAssertionSource,
+  listStudentAssertions,
+  buildRevocationList,
+  loadIssuer
+};
@@ -0,0 +1,291 @@
+/**
+ * Peer review of projects. Once a project's due date passes, each
+ * submission is assigned anonymously to reviewersPerSubmission classmates
+ * who also submitted (content belongs to one group, so they share it).
+ * Reviewers score it with the project's rubric until the window closes;
+ * reviews still open then are marked missed and cost the reviewer
+ * skipPenaltyPercent of their own project grade each. Students who submit
+ * after the reviews were assigned, e.g. on an extension, are not reviewed.
+ */
+const Content = require('../models/Content');
+const PeerReview = require('../models/PeerReview');
+const StudentContentGrade = require('../models/StudentContentGrade');
+const { applyPeerReviewPenalty } = require('./gradingService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const SETTING_LIMITS = {
+  reviewersPerSubmission: { min: 1, max: 10 },
+  reviewWindowHours: { min: 1, max: 720 },
+  skipPenaltyPercent: { min: 0, max: 100 }
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  reviewersPerSubmission: 3,
+  reviewWindowHours: 168,
+  skipPenaltyPercent: 0
+};
+
+// Submissions that take part in peer review
+const REVIEWABLE_STATUSES = ['submitted_ungraded', 'graded'];
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate peer review settings sent by an instructor, on top of the current ones
+ * @param {Object} input - { enabled, reviewersPerSubmission, reviewWindowHours, skipPenaltyPercent }
+ * @param {Object|null} current - Content.peerReview
+ * @returns {{ error: String|null, settings: Object|null }}
+ */
+function validatePeerReviewSettings(input, current = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Peer review settings must be an object', settings: null };
+  }
+
+  const base = toPlain(current) || {};
+  const settings = {};
+  Object.keys(DEFAULT_SETTINGS).forEach((field) => {
+    settings[field] = base[field] !== undefined && base[field] !== null ? base[field] : DEFAULT_SETTINGS[field];
+  });
+
+  for (const [field, { min, max }] of Object.entries(SETTING_LIMITS)) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+    const value = Number(input[field]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { error: `${field} must be between ${min} and ${max}`, settings: null };
+    }
+    if (field !== 'skipPenaltyPercent' && !Number.isInteger(value)) {
+      return { error: `${field} must be a whole number`, settings: null };
+    }
+    settings[field] = value;
+  }
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') return { error: 'enabled must be true or false', settings: null };
+    settings.enabled = input.enabled;
+  }
+  return { error: null, settings };
+}
+
+/**
+ * Pair every student with reviewers among the others. Students are shuffled
+ * into a ring and review the next reviewersPerSubmission students, so each
+ * one reviews and is reviewed the same number of times and never themselves.
+ * @param {Array<String>} studentIds - Students who submitted
+ * @param {Number} reviewersPerSubmission
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {Array<{ author: String, reviewer: String }>}
+ */
+function buildPeerAssignments(studentIds, reviewersPerSubmission, random = Math.random) {
+  const ring = [...new Set(studentIds.map(String))];
+  for (let i = ring.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [ring[i], ring[j]] = [ring[j], ring[i]];
+  }
+
+  const perSubmission = Math.min(reviewersPerSubmission, ring.length - 1);
+  const pairs = [];
+  ring.forEach((author, index) => {
+    for (let step = 1; step <= perSubmission; step++) {
+      pairs.push({ author, reviewer: ring[(index + step) % ring.length] });
+    }
+  });
+  return pairs;
+}
+
+/**
+ * Penalty for the reviews a student skipped
+ * @param {Number} assigned - Reviews assigned to the student
+ * @param {Number} missed - Reviews left unsubmitted when the window closed
+ * @param {Number} skipPenaltyPercent - Penalty per skipped review
+ * @returns {Object|null} { assigned, missed, penaltyPercent }, or null without a penalty
+ */
+function getSkipPenalty(assigned, missed, skipPenaltyPercent) {
+  if (!missed || !skipPenaltyPercent) return null;
+  return { assigned, missed, penaltyPercent: Math.min(100, round2(missed * skipPenaltyPercent)) };
+}
+
+/**
+ * Aggregate the peer scores of one submission
+ * @param {Array} reviews - PeerReviews of the submission
+ * @returns {{ count: Number, assigned: Number, average: Number|null, min: Number|null, max: Number|null }}
+ */
+function summarizePeerScores(reviews) {
+  const scores = reviews
+    .filter(r => r.status === 'submitted' && typeof r.gradePercent === 'number')
+    .map(r => r.gradePercent);
+  if (scores.length === 0) {
+    return { count: 0, assigned: reviews.length, average: null, min: null, max: null };
+  }
+  return {
+    count: scores.length,
+    assigned: reviews.length,
+    average: round2(scores.reduce((sum, s) => sum + s, 0) / scores.length),
+    min: Math.min(...scores),
+    max: Math.max(...scores)
+  };
+}
+
+/**
+ * Where a project is in its peer review
+ * @param {Object|null} settings - Content.peerReview
+ * @returns {'off'|'waiting'|'open'|'closed'}
+ */
+function getPeerReviewPhase(settings) {
+  if (!settings || !settings.enabled) return 'off';
+  if (settings.closedAt) return 'closed';
+  if (settings.assignedAt) return 'open';
+  return 'waiting';
+}
+
+/**
+ * Assign the submissions of a project to reviewers and open the window.
+ * The content is claimed first so the scheduler and an instructor cannot
+ * both assign it.
+ * @param {Object} content - Content document
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Object} [options.io] - Socket.IO server to notify reviewers
+ * @returns {Promise<{ submissions: Number, reviews: Number, closesAt: Date }|null>} null when already assigned
+ */
+async function assignPeerReviews(content, { now = new Date(), io = null } = {}) {
+  const closesAt = new Date(now.getTime() + content.peerReview.reviewWindowHours * HOUR_MS);
+  const claimed = await Content.findOneAndUpdate(
+    { _id: content._id, 'peerReview.enabled': true, 'peerReview.assignedAt': null },
+    { $set: { 'peerReview.assignedAt': now, 'peerReview.closesAt': closesAt } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const submissions = await StudentContentGrade.find({
+    content: content._id,
+    status: { $in: REVIEWABLE_STATUSES }
+  }).select('student');
+
+  const pairs = buildPeerAssignments(
+    submissions.map(s => s.student.toString()),
+    claimed.peerReview.reviewersPerSubmission
+  );
+  if (pairs.length > 0) {
+    await PeerReview.insertMany(pairs.map(pair => ({
+      content: content._id,
+      course: content.course,
+      group: content.group,
+      author: pair.author,
+      reviewer: pair.reviewer,
+      dueDate: closesAt
+    })));
+  }
+
+  if (io) {
+    const perReviewer = new Map();
+    pairs.forEach(p => perReviewer.set(p.reviewer, (perReviewer.get(p.reviewer) || 0) + 1));
+    perReviewer.forEach((count, reviewer) => {
+      io.to(`user:${reviewer}`).emit('peer_reviews_assigned', {
+        contentId: content._id,
+        title: content.title,
+        count,
+        dueDate: closesAt
+      });
+    });
+  }
+
+  return { submissions: submissions.length, reviews: pairs.length, closesAt };
+}
+
+/**
+ * Close the review window of a project: open reviews become missed and
+ * their reviewers get the skip penalty
+ * @param {Object} content - Content document
+ * @param {Date} [now]
+ * @returns {Promise<{ missed: Number, penalized: Number }|null>} null when already closed
+ */
+async function closePeerReviews(content, now = new Date()) {
+  const claimed = await Content.findOneAndUpdate(
+    { _id: content._id, 'peerReview.assignedAt': { $ne: null }, 'peerReview.closedAt': null },
+    { $set: { 'peerReview.closedAt': now } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const { modifiedCount } = await PeerReview.updateMany(
+    { content: content._id, status: 'assigned' },
+    { $set: { status: 'missed' } }
+  );
+
+  let penalized = 0;
+  const skipPenaltyPercent = claimed.peerReview.skipPenaltyPercent;
+  if (modifiedCount > 0 && skipPenaltyPercent > 0) {
+    const counts = await PeerReview.aggregate([
+      { $match: { content: claimed._id } },
+      {
+        $group: {
+          _id: '$reviewer',
+          assigned: { $sum: 1 },
+          missed: { $sum: { $cond: [{ $eq: ['$status', 'missed'] }, 1, 0] } }
+        }
+      }
+    ]);
+    for (const count of counts) {
+      const penalty = getSkipPenalty(count.assigned, count.missed, skipPenaltyPercent);
+      if (!penalty) continue;
+      await applyPeerReviewPenalty(count._id.toString(), claimed, penalty);
+      penalized += 1;
+    }
+  }
+
+  return { missed: modifiedCount, penalized };
+}
+
+/**
+ * Scheduler entry point: assign projects whose due date passed and close
+ * review windows that ended
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Object} [options.io]
+ * @returns {Promise<{ assigned: Number, closed: Number }>}
+ */
+async function processDuePeerReviews({ now = new Date(), io = null } = {}) {
+  const [toAssign, toClose] = await Promise.all([
+    Content.find({
+      type: 'project',
+      deletionStatus: 'active',
+      'peerReview.enabled': true,
+      'peerReview.assignedAt': null,
+      dueDate: { $lte: now }
+    }),
+    Content.find({ 'peerReview.closesAt': { $lte: now }, 'peerReview.closedAt': null })
+  ]);
+
+  let assigned = 0;
+  let closed = 0;
+  for (const content of toAssign) {
+    try {
+      if (await assignPeerReviews(content, { now, io })) assigned += 1;
+    } catch (error) {
+      console.error(`Assign peer reviews of content ${content._id} error:`, error);
+    }
+  }
+  for (const content of toClose) {
+    try {
+      if (await closePeerReviews(content, now)) closed += 1;
+    } catch (error) {
+      console.error(`Close peer reviews of content ${content._id} error:`, error);
+    }
+  }
+  return { assigned, closed };
+}
+
+module.exports = {
+  REVIEWABLE_STATUSES,
+  validatePeerReviewSettings,
+  buildPeerAssignments,
+  getSkipPenalty,
+  summarizePeerScores,
+  getPeerReviewPhase,
+  assignPeerReviews,
+  closePeerReviews,
+  processDuePeerReviews
+};
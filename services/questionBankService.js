@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const QuestionBank = require('../models/QuestionBank');
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+const sample = (items, count) => {
+  const arr = [...items];
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr.slice(0, count);
+};
+
+/**
+ * Validate question draw rules ("draw N questions from bank X") for a test
+ * @param {Array} draws - [{ bank, count }]
+ * @param {Object} user - Requesting user ({ id, role })
+ * @returns {Promise<{ error: String|null, draws: Array }>} Normalized draws
+ */
+async function validateQuestionDraws(draws, user) {
+  if (draws === undefined || draws === null) {
+    return { error: null, draws: [] };
+  }
+
+  if (!Array.isArray(draws)) {
+    return { error: 'questionDraws must be an array', draws: [] };
+  }
+
+  const normalized = [];
+  const seenBanks = new Set();
+
+  for (let i = 0; i < draws.length; i++) {
+    const draw = draws[i] || {};
+    const label = `Question draw ${i + 1}`;
+    const bankId = draw.bank || draw.bankId;
+    const count = Number(draw.count);
+
+    if (!bankId || !mongoose.Types.ObjectId.isValid(bankId)) {
+      return { error: `${label} must reference a question bank`, draws: [] };
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      return { error: `${label} must draw at least 1 question`, draws: [] };
+    }
+    if (seenBanks.has(String(bankId))) {
+      return { error: `${label} uses a question bank that is already drawn from`, draws: [] };
+    }
+    seenBanks.add(String(bankId));
+
+    const bank = await QuestionBank.findById(bankId).select('instructor questions name');
+    if (!bank) {
+      return { error: `${label} references a question bank that does not exist`, draws: [] };
+    }
+    if (user.role !== 'admin' && bank.instructor.toString() !== user.id) {
+      return { error: `${label} references a question bank you do not own`, draws: [] };
+    }
+    if (bank.questions.length < count) {
+      return {
+        error: `${label} asks for ${count} questions but bank "${bank.name}" only has ${bank.questions.length}`,
+        draws: []
+      };
+    }
+
+    normalized.push({ bank: bank._id, count });
+  }
+
+  return { error: null, draws: normalized };
+}
+
+/**
+ * Draw a random set of questions for a new attempt. Each drawn question is a
+ * snapshot that keeps the bank question's _id and records its source bank.
+ * Banks that shrank since the test was configured yield what they still have.
+ * @param {Object} test - ActiveTest document
+ * @returns {Promise<Array>} Question snapshots for TestAttempt.drawnQuestions
+ */
+async function drawQuestionsForAttempt(test) {
+  const draws = test.questionDraws || [];
+  if (draws.length === 0) return [];
+
+  const banks = await QuestionBank.find({ _id: { $in: draws.map(d => d.bank) } });
+  const bankMap = new Map(banks.map(b => [b._id.toString(), b]));
+  const fixedIds = new Set(test.questions.map(q => q._id.toString()));
+  const drawn = [];
+
+  for (const draw of draws) {
+    const bank = bankMap.get(draw.bank.toString());
+    if (!bank) continue;
+
+    const candidates = bank.questions.filter(q => !fixedIds.has(q._id.toString()));
+    sample(candidates, draw.count).forEach((question) => {
+      fixedIds.add(question._id.toString());
+      drawn.push({ ...toPlain(question), sourceBank: bank._id });
+    });
+  }
+
+  return drawn;
+}
+
+/**
+ * All questions an attempt was given: the test's fixed questions followed by
+ * the questions drawn for it
+ * @param {Object} test - ActiveTest document
+ * @param {Object} attempt - TestAttempt document
+ * @returns {Array} Question documents
+ */
+function getAttemptQuestions(test, attempt) {
+  return [...(test.questions || []), ...((attempt && attempt.drawnQuestions) || [])];
+}
+
+/**
+ * Replace the drawn question snapshots of an attempt with the current version
+ * of each question in its bank (used when regrading after a question fix).
+ * Questions that were removed from their bank keep their snapshot.
+ * @param {Object} attempt - TestAttempt document
+ * @returns {Promise<Number>} Number of refreshed snapshots
+ */
+async function refreshDrawnQuestions(attempt) {
+  const drawn = attempt.drawnQuestions || [];
+  if (drawn.length === 0) return 0;
+
+  const bankIds = [...new Set(drawn.map(q => q.sourceBank && q.sourceBank.toString()).filter(Boolean))];
+  const banks = await QuestionBank.find({ _id: { $in: bankIds } });
+  const bankMap = new Map(banks.map(b => [b._id.toString(), b]));
+
+  let refreshed = 0;
+  attempt.drawnQuestions = drawn.map((snapshot) => {
+    const bank = snapshot.sourceBank ? bankMap.get(snapshot.sourceBank.toString()) : null;
+    const current = bank ? bank.questions.id(snapshot._id) : null;
+    if (!current) return snapshot;
+    refreshed += 1;
+    return { ...toPlain(current), sourceBank: bank._id };
+  });
+
+  return refreshed;
+}
+
+module.exports = {
+  validateQuestionDraws,
+  drawQuestionsForAttempt,
+  getAttemptQuestions,
+  refreshDrawnQuestions
+};
@@ -0,0 +1,915 @@
+/**
+ * Conversion between active test questions and the GIFT, Moodle XML and
+ * Common Cartridge QTI 1.2 quiz formats. Parsers never throw on bad
+ * questions: they return the questions they understood plus a list of
+ * rejected ones with the line they start on.
+ */
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { getQuestionType } = require('./testScoringService');
+
+const SUPPORTED_FORMATS = ['gift', 'moodle_xml'];
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const decodeEntities = (text) => String(text)
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#0*39;|&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+  .replace(/&amp;/g, '&');
+
+const stripHtml = (html) => decodeEntities(
+  String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+).replace(/[ \t]+/g, ' ').replace(/\n{2,}/g, '\n').trim();
+
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatNumber = (value) => String(Math.round(Number(value) * 1e7) / 1e7);
+
+// ---------------------------------------------------------------------------
+// GIFT
+// ---------------------------------------------------------------------------
+
+const GIFT_SPECIAL = /[~=#{}:\\]/g;
+
+const giftEscape = (text) => String(text ?? '').replace(GIFT_SPECIAL, m => `\\${m}`).replace(/\n/g, '\\n');
+
+const giftUnescape = (text) => String(text)
+  .replace(/\\n/g, '\n')
+  .replace(/\\(.)/g, '$1')
+  .trim();
+
+// Index of the first occurrence of `char` not preceded by a backslash
+const findUnescaped = (text, char, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') { i++; continue; }
+    if (text[i] === char) return i;
+  }
+  return -1;
+};
+
+// Split an answer block into "=..." / "~..." tokens, honouring escapes
+const tokenizeGiftAnswers = (body) => {
+  const tokens = [];
+  let current = null;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '\\') {
+      if (current) current.raw += ch + (body[i + 1] || '');
+      i++;
+      continue;
+    }
+    if (ch === '=' || ch === '~') {
+      // "->" in matching answers never contains = or ~, so these always start a token
+      current = { marker: ch, raw: '' };
+      tokens.push(current);
+      continue;
+    }
+    if (current) current.raw += ch;
+  }
+
+  return tokens.map(({ marker, raw }) => {
+    let text = raw;
+    let feedback = '';
+    const feedbackAt = findUnescaped(text, '#');
+    if (feedbackAt !== -1) {
+      feedback = giftUnescape(text.slice(feedbackAt + 1));
+      text = text.slice(0, feedbackAt);
+    }
+
+    let weight = null;
+    const weightMatch = text.trim().match(/^%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) {
+      weight = Number(weightMatch[1]);
+      text = text.trim().slice(weightMatch[0].length);
+    }
+    return { marker, weight, text: text.trim(), feedback };
+  });
+};
+
+// Split "####general feedback" off the end of an answer block
+const splitGeneralFeedback = (body) => {
+  let at = findUnescaped(body, '#');
+  while (at !== -1 && body.slice(at, at + 4) !== '####') {
+    at = findUnescaped(body, '#', at + 1);
+  }
+  if (at === -1) return { body, generalFeedback: '' };
+  return { body: body.slice(0, at).trim(), generalFeedback: giftUnescape(body.slice(at + 4)) };
+};
+
+const parseGiftNumeric = (body) => {
+  const spec = body.slice(1).trim();
+  const candidates = spec.startsWith('=')
+    ? tokenizeGiftAnswers(spec).filter(t => t.weight === null || t.weight === 100).map(t => t.text)
+    : [spec.split('#')[0]];
+  const first = (candidates[0] || '').trim();
+
+  const range = first.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+  if (range) {
+    const min = Number(range[1]);
+    const max = Number(range[2]);
+    return { numericAnswer: (min + max) / 2, numericTolerance: Math.abs(max - min) / 2 };
+  }
+
+  const [value, tolerance] = first.split(':');
+  return {
+    numericAnswer: value !== undefined && value.trim() !== '' ? Number(value) : null,
+    numericTolerance: tolerance !== undefined ? Number(tolerance) : 0
+  };
+};
+
+/**
+ * Build a question from one GIFT item
+ * @returns {{ question: Object|null, reason: String|null }}
+ */
+const parseGiftItem = (block) => {
+  let text = block.trim();
+  let title = null;
+
+  if (text.startsWith('::')) {
+    const end = text.indexOf('::', 2);
+    if (end === -1) return { question: null, reason: 'Unterminated ::title::' };
+    title = text.slice(2, end).trim();
+    text = text.slice(end + 2).trim();
+  }
+
+  const open = findUnescaped(text, '{');
+  if (open === -1) return { question: null, reason: 'Descriptions without an answer block are not supported' };
+  const close = findUnescaped(text, '}', open + 1);
+  if (close === -1) return { question: null, reason: 'Answer block is missing a closing }' };
+
+  let before = text.slice(0, open);
+  const formatMatch = before.match(/^\[(html|moodle|plain|markdown)\]/i);
+  if (formatMatch) before = before.slice(formatMatch[0].length);
+  const after = text.slice(close + 1).trim();
+  const rawText = giftUnescape(after ? `${before.trim()} _____ ${after}` : before) || title;
+  const questionText = formatMatch && formatMatch[1].toLowerCase() === 'html' ? stripHtml(rawText) : rawText;
+  const { body, generalFeedback } = splitGeneralFeedback(text.slice(open + 1, close).trim());
+
+  if (!questionText) return { question: null, reason: 'Question text is empty' };
+  const question = { questionText, points: 1 };
+  // General feedback is shown to students as the explanation in the review
+  if (generalFeedback) question.explanation = generalFeedback;
+
+  if (body === '') {
+    return { question: { ...question, questionType: 'essay' }, reason: null };
+  }
+
+  const trueFalse = body.match(/^(T|TRUE|F|FALSE)\s*(#.*)?$/i);
+  if (trueFalse) {
+    return { question: { ...question, questionType: 'true_false', correctBoolean: /^T/i.test(trueFalse[1]) }, reason: null };
+  }
+
+  if (body.startsWith('#')) {
+    return { question: { ...question, questionType: 'numeric', ...parseGiftNumeric(body) }, reason: null };
+  }
+
+  const tokens = tokenizeGiftAnswers(body);
+  if (tokens.length === 0) return { question: null, reason: 'Answer block has no answers' };
+
+  if (tokens.every(t => t.marker === '=') && tokens.some(t => t.text.includes('->'))) {
+    const matchingPairs = tokens
+      .filter(t => t.text.includes('->'))
+      .map((t) => {
+        const [prompt, ...rest] = t.text.split('->');
+        return { prompt: giftUnescape(prompt), match: giftUnescape(rest.join('->')) };
+      })
+      // GIFT allows extra distractor matches with an empty prompt; those are dropped
+      .filter(p => p.prompt);
+    return { question: { ...question, questionType: 'matching', matchingPairs }, reason: null };
+  }
+
+  if (tokens.every(t => t.marker === '=')) {
+    const acceptedAnswers = tokens
+      .filter(t => t.weight === null || t.weight === 100)
+      .map(t => giftUnescape(t.text));
+    return { question: { ...question, questionType: 'short_answer', acceptedAnswers }, reason: null };
+  }
+
+  const hasWeights = tokens.some(t => t.weight !== null);
+  const options = tokens.map((t) => {
+    const option = {
+      optionText: giftUnescape(t.text),
+      isCorrect: t.marker === '=' || (t.weight !== null && t.weight > 0)
+    };
+    if (t.feedback) option.feedback = t.feedback;
+    return option;
+  });
+  const correctCount = options.filter(o => o.isCorrect).length;
+  const questionType = hasWeights && correctCount > 1 ? 'multi_select' : 'single_choice';
+
+  return { question: { ...question, questionType, options }, reason: null };
+};
+
+/**
+ * Parse GIFT text
+ * @param {String} text - GIFT document
+ * @returns {{ questions: Array, rejected: Array<{ line: Number, text: String, reason: String }> }}
+ */
+function parseGift(text) {
+  const lines = String(text || '').replace(/^﻿/, '').split(/\r?\n/);
+  const blocks = [];
+  let current = null;
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//')) return;
+    if (trimmed === '') {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { line: index + 1, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(line);
+  });
+
+  const questions = [];
+  const rejected = [];
+
+  blocks.forEach((block) => {
+    const raw = block.lines.join('\n');
+    if (/^\$CATEGORY:/i.test(raw.trim())) return;
+
+    const { question, reason } = parseGiftItem(raw);
+    if (question) {
+      questions.push({ ...question, sourceLine: block.line });
+    } else {
+      rejected.push({ line: block.line, text: raw.slice(0, 200), reason });
+    }
+  });
+
+  return { questions, rejected };
+}
+
+/**
+ * Render questions as GIFT. Question types GIFT cannot express are skipped.
+ * @param {Array} questions
+ * @param {Object} [options]
+ * @param {String} [options.category] - Written as a $CATEGORY line
+ * @returns {{ content: String, skipped: Array }}
+ */
+function exportGift(questions, { category } = {}) {
+  const parts = [];
+  const skipped = [];
+
+  if (category) parts.push(`$CATEGORY: ${category.replace(/\n/g, ' ')}`);
+
+  (questions || []).forEach((question, index) => {
+    const type = getQuestionType(question);
+    const title = `::Q${index + 1}::`;
+    const text = giftEscape(question.questionText);
+    let body;
+
+    const optionFeedback = o => (o.feedback ? `#${giftEscape(o.feedback)}` : '');
+
+    switch (type) {
+      case 'single_choice':
+        body = question.options.map(o => `${o.isCorrect ? '=' : '~'}${giftEscape(o.optionText)}${optionFeedback(o)}`).join('\n');
+        break;
+      case 'multi_select': {
+        const correct = question.options.filter(o => o.isCorrect).length;
+        const wrong = question.options.length - correct;
+        body = question.options.map((o) => {
+          const weight = o.isCorrect ? 100 / correct : -100 / Math.max(wrong, 1);
+          return `~%${formatNumber(weight)}%${giftEscape(o.optionText)}${optionFeedback(o)}`;
+        }).join('\n');
+        break;
+      }
+      case 'true_false':
+        body = question.correctBoolean ? 'TRUE' : 'FALSE';
+        break;
+      case 'numeric':
+        body = `#${formatNumber(question.numericAnswer)}:${formatNumber(question.numericTolerance || 0)}`;
+        break;
+      case 'short_answer':
+        body = (question.acceptedAnswers || []).map(a => `=${giftEscape(a)}`).join('\n');
+        break;
+      case 'matching':
+        body = (question.matchingPairs || []).map(p => `=${giftEscape(p.prompt)} -> ${giftEscape(p.match)}`).join('\n');
+        break;
+      case 'essay':
+        // GIFT essays carry no word limit or grader notes
+        body = '';
+        break;
+      default:
+        skipped.push({ index: index + 1, questionType: type, reason: `GIFT has no ${type} question type` });
+        return;
+    }
+
+    const general = question.explanation ? `####${giftEscape(question.explanation)}` : '';
+    parts.push(type === 'true_false' || type === 'numeric' || type === 'essay'
+      ? `${title} ${text} {${body}${general}}`
+      : `${title} ${text} {\n${body}\n${general ? `${general}\n` : ''}}`);
+  });
+
+  return { content: `${parts.join('\n\n')}\n`, skipped };
+}
+
+// ---------------------------------------------------------------------------
+// Moodle XML
+// ---------------------------------------------------------------------------
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => ['question', 'answer', 'subquestion'].includes(name)
+});
+
+const nodeText = (node) => {
+  if (node === undefined || node === null) return '';
+  if (typeof node !== 'object') return String(node);
+  if (node.text !== undefined) return nodeText(node.text);
+  if (node['#text'] !== undefined) return String(node['#text']);
+  return '';
+};
+
+const richText = (node) => {
+  const text = nodeText(node);
+  const format = node && typeof node === 'object' ? node['@_format'] : undefined;
+  return format === 'plain_text' || format === 'markdown' ? text.trim() : stripHtml(text);
+};
+
+const fractionOf = (answer) => Number(answer && answer['@_fraction']) || 0;
+
+const parseMoodleQuestion = (node) => {
+  const type = node['@_type'];
+  const questionText = richText(node.questiontext) || nodeText(node.name).trim();
+  const points = Number(nodeText(node.defaultgrade)) > 0 ? Number(nodeText(node.defaultgrade)) : 1;
+  const question = { questionText, points };
+  const answers = node.answer || [];
+  const generalFeedback = richText(node.generalfeedback);
+  if (generalFeedback) question.explanation = generalFeedback;
+
+  switch (type) {
+    case 'multichoice': {
+      const single = !['false', '0'].includes(nodeText(node.single).trim().toLowerCase());
+      const options = answers.map((a) => {
+        const option = { optionText: richText(a), isCorrect: fractionOf(a) > 0 };
+        const feedback = richText(a.feedback);
+        if (feedback) option.feedback = feedback;
+        return option;
+      });
+      return { question: { ...question, questionType: single ? 'single_choice' : 'multi_select', options } };
+    }
+    case 'truefalse': {
+      const correct = answers.find(a => fractionOf(a) >= 100);
+      if (!correct) return { reason: 'True/false question has no correct answer' };
+      return { question: { ...question, questionType: 'true_false', correctBoolean: richText(correct).toLowerCase() === 'true' } };
+    }
+    case 'shortanswer':
+      return {
+        question: {
+          ...question,
+          questionType: 'short_answer',
+          caseSensitive: nodeText(node.usecase).trim() === '1',
+          acceptedAnswers: answers.filter(a => fractionOf(a) >= 100).map(a => richText(a))
+        }
+      };
+    case 'numerical': {
+      const correct = answers.find(a => fractionOf(a) >= 100);
+      if (!correct) return { reason: 'Numerical question has no fully correct answer' };
+      return {
+        question: {
+          ...question,
+          questionType: 'numeric',
+          numericAnswer: Number(nodeText(correct)),
+          numericTolerance: Number(nodeText(correct.tolerance)) || 0
+        }
+      };
+    }
+    case 'match': {
+      const matchingPairs = (node.subquestion || [])
+        .map(sq => ({ prompt: richText(sq), match: nodeText(sq.answer && sq.answer[0]).trim() }))
+        // Sub-questions without a prompt are extra distractors, which we do not support
+        .filter(p => p.prompt);
+      return { question: { ...question, questionType: 'matching', matchingPairs } };
+    }
+    case 'ordering': {
+      const ordered = answers
+        .map((a, index) => ({ text: richText(a), position: fractionOf(a) || index + 1 }))
+        .sort((a, b) => a.position - b.position);
+      return { question: { ...question, questionType: 'ordering', orderingItems: ordered.map(o => o.text) } };
+    }
+    case 'essay': {
+      const essay = { ...question, questionType: 'essay' };
+      const gradingNotes = richText(node.graderinfo);
+      const maxWords = Number(nodeText(node.maxwordlimit));
+      if (gradingNotes) essay.gradingNotes = gradingNotes;
+      if (nodeText(node.maxwordenabled).trim() === '1' && Number.isInteger(maxWords) && maxWords > 0) {
+        essay.maxWords = maxWords;
+      }
+      return { question: essay };
+    }
+    case 'description':
+      return { reason: 'Descriptions without answers are not supported' };
+    default:
+      return { reason: `Unsupported Moodle question type "${type}"` };
+  }
+};
+
+/**
+ * Parse a Moodle XML quiz export
+ * @param {String} xml
+ * @returns {{ questions: Array, rejected: Array<{ line: Number, text: String, reason: String }> }}
+ */
+function parseMoodleXml(xml) {
+  const source = String(xml || '').replace(/^﻿/, '');
+  const validation = XMLValidator.validate(source);
+  if (validation !== true) {
+    return {
+      questions: [],
+      rejected: [{ line: validation.err.line, text: '', reason: `File is not valid XML: ${validation.err.msg}` }]
+    };
+  }
+
+  const doc = xmlParser.parse(source);
+
+  if (!doc || !doc.quiz) {
+    return { questions: [], rejected: [{ line: 1, text: '', reason: 'Missing <quiz> root element' }] };
+  }
+
+  // Line number of each <question> element, in document order
+  const lineStarts = [];
+  const tagPattern = /<question[\s>]/g;
+  let match;
+  while ((match = tagPattern.exec(source)) !== null) {
+    lineStarts.push(source.slice(0, match.index).split('\n').length);
+  }
+
+  const questions = [];
+  const rejected = [];
+
+  (doc.quiz.question || []).forEach((node, index) => {
+    if (node['@_type'] === 'category') return;
+    const line = lineStarts[index] || null;
+    const title = nodeText(node.name).trim();
+    const { question, reason } = parseMoodleQuestion(node);
+    if (question) {
+      questions.push({ ...question, sourceLine: line });
+    } else {
+      rejected.push({ line, text: title, reason });
+    }
+  });
+
+  return { questions, rejected };
+}
+
+const xmlTextNode = (tag, text, attrs = '') =>
+  `<${tag}${attrs} format="plain_text"><text>${escapeXml(text)}</text></${tag}>`;
+
+/**
+ * Render questions as a Moodle XML quiz
+ * @param {Array} questions
+ * @param {Object} [options]
+ * @param {String} [options.category] - Exported as a category question
+ * @returns {{ content: String, skipped: Array }}
+ */
+function exportMoodleXml(questions, { category } = {}) {
+  const out = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+  const skipped = [];
+
+  if (category) {
+    out.push(`  <question type="category"><category><text>${escapeXml(`$course$/top/${category}`)}</text></category></question>`);
+  }
+
+  (questions || []).forEach((question, index) => {
+    const type = getQuestionType(question);
+    const head = [
+      `    <name><text>Q${index + 1}</text></name>`,
+      `    ${xmlTextNode('questiontext', question.questionText)}`,
+      `    <defaultgrade>${formatNumber(question.points || 1)}</defaultgrade>`
+    ];
+    if (question.explanation) head.push(`    ${xmlTextNode('generalfeedback', question.explanation)}`);
+    let moodleType;
+    const body = [];
+
+    switch (type) {
+      case 'single_choice':
+      case 'multi_select': {
+        moodleType = 'multichoice';
+        const correct = question.options.filter(o => o.isCorrect).length;
+        const wrong = question.options.length - correct;
+        body.push(`    <single>${type === 'single_choice' ? 'true' : 'false'}</single>`);
+        body.push('    <shuffleanswers>1</shuffleanswers>');
+        question.options.forEach((o) => {
+          let fraction = o.isCorrect ? 100 : 0;
+          if (type === 'multi_select') fraction = o.isCorrect ? 100 / correct : -100 / Math.max(wrong, 1);
+          const feedback = o.feedback ? xmlTextNode('feedback', o.feedback) : '';
+          body.push(`    <answer fraction="${formatNumber(fraction)}" format="plain_text"><text>${escapeXml(o.optionText)}</text>${feedback}</answer>`);
+        });
+        break;
+      }
+      case 'true_false':
+        moodleType = 'truefalse';
+        body.push(`    <answer fraction="${question.correctBoolean ? 100 : 0}"><text>true</text></answer>`);
+        body.push(`    <answer fraction="${question.correctBoolean ? 0 : 100}"><text>false</text></answer>`);
+        break;
+      case 'numeric':
+        moodleType = 'numerical';
+        body.push(`    <answer fraction="100"><text>${formatNumber(question.numericAnswer)}</text><tolerance>${formatNumber(question.numericTolerance || 0)}</tolerance></answer>`);
+        break;
+      case 'short_answer':
+        moodleType = 'shortanswer';
+        body.push(`    <usecase>${question.caseSensitive ? 1 : 0}</usecase>`);
+        (question.acceptedAnswers || []).forEach((a) => {
+          body.push(`    ${xmlTextNode('answer', a, ' fraction="100"')}`);
+        });
+        break;
+      case 'matching':
+        moodleType = 'match';
+        body.push('    <shuffleanswers>1</shuffleanswers>');
+        (question.matchingPairs || []).forEach((p) => {
+          body.push(`    <subquestion format="plain_text"><text>${escapeXml(p.prompt)}</text><answer><text>${escapeXml(p.match)}</text></answer></subquestion>`);
+        });
+        break;
+      case 'ordering':
+        moodleType = 'ordering';
+        (question.orderingItems || []).forEach((item, position) => {
+          body.push(`    ${xmlTextNode('answer', item, ` fraction="${position + 1}"`)}`);
+        });
+        break;
+      case 'essay':
+        moodleType = 'essay';
+        body.push('    <responseformat>editor</responseformat>');
+        body.push('    <responserequired>1</responserequired>');
+        body.push(`    <maxwordenabled>${question.maxWords ? 1 : 0}</maxwordenabled>`);
+        if (question.maxWords) body.push(`    <maxwordlimit>${question.maxWords}</maxwordlimit>`);
+        if (question.gradingNotes) body.push(`    ${xmlTextNode('graderinfo', question.gradingNotes)}`);
+        break;
+      default:
+        skipped.push({ index: index + 1, questionType: type, reason: `Moodle XML export does not support ${type}` });
+        return;
+    }
+
+    out.push(`  <question type="${moodleType}">`, ...head, ...body, '  </question>');
+  });
+
+  out.push('</quiz>');
+  return { content: `${out.join('\n')}\n`, skipped };
+}
+
+// ---------------------------------------------------------------------------
+// Common Cartridge QTI 1.2
+// ---------------------------------------------------------------------------
+
+// Question types of the Common Cartridge QTI profile; the others have no
+// equivalent and only travel in EduFlow's own course packages
+const CC_PROFILES = {
+  single_choice: 'cc.multiple_choice.v0p1',
+  multi_select: 'cc.multiple_response.v0p1',
+  true_false: 'cc.true_false.v0p1',
+  short_answer: 'cc.fib.v0p1',
+  essay: 'cc.essay.v0p1'
+};
+
+const QTI_RESPONSE = 'response1';
+const QTI_GENERAL_FEEDBACK = 'general_fb';
+
+const qtiParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  trimValues: true,
+  removeNSPrefix: true,
+  isArray: (name) => [
+    'section', 'item', 'response_label', 'respcondition', 'varequal',
+    'qtimetadatafield', 'itemfeedback', 'displayfeedback', 'material', 'mattext'
+  ].includes(name)
+});
+
+const qtiMetadataField = (label, value) =>
+  `<qtimetadatafield><fieldlabel>${label}</fieldlabel><fieldentry>${escapeXml(value)}</fieldentry></qtimetadatafield>`;
+
+const qtiMaterial = text => `<material><mattext texttype="text/plain">${escapeXml(text)}</mattext></material>`;
+
+const qtiFeedback = (ident, text) =>
+  `<itemfeedback ident="${ident}"><flow_mat>${qtiMaterial(text)}</flow_mat></itemfeedback>`;
+
+const qtiScore = value => `<setvar action="Set" varname="SCORE">${value}</setvar>`;
+
+const qtiVarequal = (value, attrs = '') => `<varequal respident="${QTI_RESPONSE}"${attrs}>${escapeXml(value)}</varequal>`;
+
+const renderQtiItem = (question, index) => {
+  const type = getQuestionType(question);
+  const profile = CC_PROFILES[type];
+  if (!profile) return null;
+
+  const ident = `q${index + 1}`;
+  const conditions = [];
+  const feedbacks = [];
+  let response;
+
+  const outcomes = '<outcomes><decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/></outcomes>';
+
+  switch (type) {
+    case 'single_choice':
+    case 'multi_select': {
+      const labels = question.options.map((o, i) => ({ ...o, ident: `${ident}_a${i + 1}` }));
+      response = `<response_lid ident="${QTI_RESPONSE}" rcardinality="${type === 'single_choice' ? 'Single' : 'Multiple'}"><render_choice>${
+        labels.map(l => `<response_label ident="${l.ident}">${qtiMaterial(l.optionText)}</response_label>`).join('')
+      }</render_choice></response_lid>`;
+
+      labels.filter(l => l.feedback).forEach((l) => {
+        feedbacks.push(qtiFeedback(`${l.ident}_fb`, l.feedback));
+        conditions.push(`<respcondition continue="Yes"><conditionvar>${qtiVarequal(l.ident)}</conditionvar><displayfeedback feedbacktype="Response" linkrefid="${l.ident}_fb"/></respcondition>`);
+      });
+
+      if (type === 'single_choice') {
+        labels.filter(l => l.isCorrect).forEach((l) => {
+          conditions.push(`<respcondition continue="No"><conditionvar>${qtiVarequal(l.ident)}</conditionvar>${qtiScore(100)}</respcondition>`);
+        });
+      } else {
+        const all = labels.map(l => (l.isCorrect ? qtiVarequal(l.ident) : `<not>${qtiVarequal(l.ident)}</not>`)).join('');
+        conditions.push(`<respcondition continue="No"><conditionvar><and>${all}</and></conditionvar>${qtiScore(100)}</respcondition>`);
+      }
+      break;
+    }
+    case 'true_false':
+      response = `<response_lid ident="${QTI_RESPONSE}" rcardinality="Single"><render_choice>`
+        + `<response_label ident="${ident}_true">${qtiMaterial('True')}</response_label>`
+        + `<response_label ident="${ident}_false">${qtiMaterial('False')}</response_label>`
+        + '</render_choice></response_lid>';
+      conditions.push(`<respcondition continue="No"><conditionvar>${qtiVarequal(`${ident}_${question.correctBoolean ? 'true' : 'false'}`)}</conditionvar>${qtiScore(100)}</respcondition>`);
+      break;
+    case 'short_answer': {
+      const caseAttr = ` case="${question.caseSensitive ? 'Yes' : 'No'}"`;
+      response = `<response_str ident="${QTI_RESPONSE}" rcardinality="Single"><render_fib/></response_str>`;
+      (question.acceptedAnswers || []).forEach((answer) => {
+        conditions.push(`<respcondition continue="No"><conditionvar>${qtiVarequal(answer, caseAttr)}</conditionvar>${qtiScore(100)}</respcondition>`);
+      });
+      break;
+    }
+    case 'essay':
+      response = `<response_str ident="${QTI_RESPONSE}" rcardinality="Single"><render_fib rows="15"/></response_str>`;
+      conditions.push('<respcondition continue="No"><conditionvar><other/></conditionvar></respcondition>');
+      break;
+    default:
+      return null;
+  }
+
+  if (question.explanation) {
+    feedbacks.push(qtiFeedback(QTI_GENERAL_FEEDBACK, question.explanation));
+    conditions.unshift(`<respcondition continue="Yes"><conditionvar><other/></conditionvar><displayfeedback feedbacktype="Response" linkrefid="${QTI_GENERAL_FEEDBACK}"/></respcondition>`);
+  }
+
+  return [
+    `    <item ident="${ident}" title="Question ${index + 1}">`,
+    `      <itemmetadata><qtimetadata>${qtiMetadataField('cc_profile', profile)}${qtiMetadataField('cc_weighting', formatNumber(question.points || 1))}</qtimetadata></itemmetadata>`,
+    `      <presentation>${qtiMaterial(question.questionText)}${response}</presentation>`,
+    `      <resprocessing>${outcomes}${conditions.join('')}</resprocessing>`,
+    ...feedbacks.map(f => `      ${f}`),
+    '    </item>'
+  ].join('\n');
+};
+
+/**
+ * Render questions as a Common Cartridge QTI 1.2 assessment or question bank.
+ * Numeric, matching and ordering questions have no Common Cartridge type and are skipped.
+ * @param {Array} questions
+ * @param {Object} options
+ * @param {String} options.identifier - Unique within the package
+ * @param {String} options.title
+ * @param {String} [options.kind] - 'assessment' (default) or 'question_bank'
+ * @param {Number} [options.timeLimitMinutes] - Assessments only
+ * @param {Number} [options.maxAttempts] - Assessments only
+ * @returns {{ content: String, skipped: Array }}
+ */
+function exportQti(questions, { identifier, title, kind = 'assessment', timeLimitMinutes, maxAttempts } = {}) {
+  const skipped = [];
+  const items = [];
+
+  (questions || []).forEach((question, index) => {
+    const item = renderQtiItem(question, index);
+    if (item) {
+      items.push(item);
+    } else {
+      const type = getQuestionType(question);
+      skipped.push({ index: index + 1, questionType: type, reason: `Common Cartridge has no ${type} question type` });
+    }
+  });
+
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<questestinterop xmlns="http://www.imsglobal.org/xsd/ims_qtiasiv1p2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/ims_qtiasiv1p2 http://www.imsglobal.org/profile/cc/ccv1p3/ccv1p3_qtiasiv1p2p1_v1p0.xsd">'
+  ];
+
+  if (kind === 'question_bank') {
+    out.push(`  <objectbank ident="${escapeXml(identifier)}">`);
+    out.push(`  <qtimetadata>${qtiMetadataField('cc_profile', 'cc.question_bank.v0p1')}</qtimetadata>`);
+    out.push(...items, '  </objectbank>');
+  } else {
+    const metadata = [
+      qtiMetadataField('cc_profile', 'cc.exam.v0p1'),
+      qtiMetadataField('qmd_assessmenttype', 'Examination'),
+      qtiMetadataField('qmd_scoretype', 'Percentage')
+    ];
+    if (timeLimitMinutes) metadata.push(qtiMetadataField('qmd_timelimit', timeLimitMinutes));
+    if (maxAttempts) metadata.push(qtiMetadataField('cc_maxattempts', maxAttempts));
+    out.push(`  <assessment ident="${escapeXml(identifier)}" title="${escapeXml(title)}">`);
+    out.push(`  <qtimetadata>${metadata.join('')}</qtimetadata>`);
+    out.push('  <section ident="root_section">', ...items, '  </section>', '  </assessment>');
+  }
+
+  out.push('</questestinterop>');
+  return { content: `${out.join('\n')}\n`, skipped };
+}
+
+const qtiText = (material) => {
+  const texts = [].concat(material || []).flatMap(m => [].concat(m.mattext || []));
+  return texts.map((t) => {
+    const text = nodeText(t);
+    return t && typeof t === 'object' && /html/i.test(t['@_texttype'] || '') ? stripHtml(text) : text.trim();
+  }).filter(Boolean).join('\n');
+};
+
+const qtiMetadata = (node) => {
+  const fields = (node && node.qtimetadatafield) || [];
+  return Object.fromEntries(fields.map(f => [nodeText(f.fieldlabel).trim(), nodeText(f.fieldentry).trim()]));
+};
+
+// Items of an assessment are in (possibly nested) sections
+const collectQtiItems = (node) => {
+  if (!node || typeof node !== 'object') return [];
+  return [
+    ...(node.item || []),
+    ...(node.section || []).flatMap(collectQtiItems)
+  ];
+};
+
+const varequalValues = (conditionvar) => (conditionvar && conditionvar.varequal ? conditionvar.varequal : []);
+
+// Profile of an item exported without cc_profile metadata
+const inferQtiProfile = (presentation, labels) => {
+  if (presentation.response_str) return 'cc.fib.v0p1';
+  if (!presentation.response_lid) return null;
+  if (presentation.response_lid['@_rcardinality'] === 'Multiple') return CC_PROFILES.multi_select;
+  const texts = labels.map(l => qtiText(l.material).toLowerCase()).sort();
+  return texts.length === 2 && texts[0] === 'false' && texts[1] === 'true'
+    ? CC_PROFILES.true_false
+    : CC_PROFILES.single_choice;
+};
+
+const parseQtiItem = (item) => {
+  const metadata = qtiMetadata(item.itemmetadata && item.itemmetadata.qtimetadata);
+  const presentation = item.presentation || {};
+  const flow = presentation.flow || {};
+  const response = presentation.response_lid || flow.response_lid || presentation.response_str || flow.response_str || {};
+  const labels = ((response.render_choice || {}).response_label) || [];
+  const conditions = (item.resprocessing && item.resprocessing.respcondition) || [];
+  const profile = metadata.cc_profile || inferQtiProfile({ ...flow, ...presentation }, labels);
+
+  const questionText = qtiText(presentation.material) || qtiText(flow.material);
+  if (!questionText) return { reason: 'Question text is empty' };
+
+  const weighting = Number(metadata.cc_weighting);
+  const question = { questionText, points: weighting > 0 ? weighting : 1 };
+
+  const feedbackById = Object.fromEntries((item.itemfeedback || []).map(f => [
+    f['@_ident'],
+    qtiText((f.flow_mat || {}).material) || qtiText(f.material)
+  ]));
+  if (feedbackById[QTI_GENERAL_FEEDBACK]) question.explanation = feedbackById[QTI_GENERAL_FEEDBACK];
+
+  // Identifiers a respcondition gives points to
+  const scoring = conditions.filter(c => Number(nodeText(c.setvar)) > 0);
+  const correctIdents = new Set(scoring.flatMap(c => varequalValues(c.conditionvar).map(v => nodeText(v).trim())));
+  scoring.forEach((c) => {
+    const and = c.conditionvar && c.conditionvar.and;
+    if (and) varequalValues(and).forEach(v => correctIdents.add(nodeText(v).trim()));
+  });
+
+  const optionFeedback = (ident) => {
+    const condition = conditions.find(c => (
+      varequalValues(c.conditionvar).length === 1
+      && nodeText(varequalValues(c.conditionvar)[0]).trim() === ident
+      && c.displayfeedback
+    ));
+    const link = condition && condition.displayfeedback[0]['@_linkrefid'];
+    return (link && link !== QTI_GENERAL_FEEDBACK && feedbackById[link]) || '';
+  };
+
+  switch (profile) {
+    case CC_PROFILES.single_choice:
+    case CC_PROFILES.multi_select: {
+      const options = labels.map((label) => {
+        const option = { optionText: qtiText(label.material), isCorrect: correctIdents.has(label['@_ident']) };
+        const feedback = optionFeedback(label['@_ident']);
+        if (feedback) option.feedback = feedback;
+        return option;
+      });
+      if (!options.some(o => o.isCorrect)) return { reason: 'Choice question has no correct answer' };
+      const questionType = profile === CC_PROFILES.multi_select ? 'multi_select' : 'single_choice';
+      return { question: { ...question, questionType, options } };
+    }
+    case CC_PROFILES.true_false: {
+      const correct = labels.find(l => correctIdents.has(l['@_ident']));
+      if (!correct) return { reason: 'True/false question has no correct answer' };
+      return { question: { ...question, questionType: 'true_false', correctBoolean: qtiText(correct.material).toLowerCase() === 'true' } };
+    }
+    case CC_PROFILES.short_answer: {
+      const answers = scoring.flatMap(c => varequalValues(c.conditionvar));
+      if (!answers.length) return { question: { ...question, questionType: 'essay' } };
+      return {
+        question: {
+          ...question,
+          questionType: 'short_answer',
+          caseSensitive: answers.some(a => typeof a === 'object' && a['@_case'] === 'Yes'),
+          acceptedAnswers: answers.map(a => nodeText(a).trim()).filter(Boolean)
+        }
+      };
+    }
+    case CC_PROFILES.essay:
+      return { question: { ...question, questionType: 'essay' } };
+    default:
+      return { reason: profile ? `Unsupported question profile "${profile}"` : 'Unknown question type' };
+  }
+};
+
+/**
+ * Parse a Common Cartridge QTI 1.2 assessment or question bank
+ * @param {String} xml
+ * @returns {{ title: String, timeLimitMinutes: Number|null, maxAttempts: Number|null,
+ *   questions: Array, rejected: Array<{ line: Number, text: String, reason: String }> }}
+ */
+function parseQti(xml) {
+  const source = String(xml || '').replace(/^﻿/, '');
+  const empty = { title: '', timeLimitMinutes: null, maxAttempts: null, questions: [] };
+  const validation = XMLValidator.validate(source);
+  if (validation !== true) {
+    return { ...empty, rejected: [{ line: validation.err.line, text: '', reason: `File is not valid XML: ${validation.err.msg}` }] };
+  }
+
+  const root = qtiParser.parse(source).questestinterop;
+  const container = root && (root.assessment || root.objectbank);
+  if (!container) {
+    return { ...empty, rejected: [{ line: 1, text: '', reason: 'Missing <assessment> or <objectbank> element' }] };
+  }
+
+  const metadata = qtiMetadata(container.qtimetadata);
+  const lineStarts = [];
+  const tagPattern = /<([\w-]+:)?item[\s>]/g;
+  let match;
+  while ((match = tagPattern.exec(source)) !== null) {
+    lineStarts.push(source.slice(0, match.index).split('\n').length);
+  }
+
+  const questions = [];
+  const rejected = [];
+  collectQtiItems(container).forEach((item, index) => {
+    const line = lineStarts[index] || null;
+    const { question, reason } = parseQtiItem(item);
+    if (question) {
+      questions.push({ ...question, sourceLine: line });
+    } else {
+      rejected.push({ line, text: item['@_title'] || item['@_ident'] || '', reason });
+    }
+  });
+
+  const timeLimit = Number(metadata.qmd_timelimit);
+  const attempts = Number(metadata.cc_maxattempts);
+  return {
+    title: container['@_title'] || '',
+    timeLimitMinutes: timeLimit > 0 ? timeLimit : null,
+    maxAttempts: Number.isInteger(attempts) && attempts > 0 ? attempts : null,
+    questions,
+    rejected
+  };
+}
+
+/**
+ * Guess the format of an uploaded question file
+ * @param {String} content
+ * @param {String} [filename]
+ * @returns {String} 'gift' | 'moodle_xml'
+ */
+function detectFormat(content, filename = '') {
+  if (/\.xml$/i.test(filename)) return 'moodle_xml';
+  if (/\.(gift|txt)$/i.test(filename)) return 'gift';
+  return /^\s*(<\?xml|<quiz[\s>])/.test(String(content || '').replace(/^﻿/, '')) ? 'moodle_xml' : 'gift';
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  parseGift,
+  exportGift,
+  parseMoodleXml,
+  exportMoodleXml,
+  parseQti,
+  exportQti,
+  detectFormat
+};
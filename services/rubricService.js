@@ -0,0 +1,120 @@
+/**
+ * Rubric grading for assignments and projects: validating rubric criteria
+ * and turning the level an instructor picks per criterion into a grade.
+ */
+
+const MAX_CRITERIA = 50;
+const MAX_LEVELS = 10;
+const MAX_COMMENT_LENGTH = 2000;
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+const criterionMaxPoints = (criterion) =>
+  Math.max(0, ...(criterion.levels || []).map(level => level.points || 0));
+
+/**
+ * Validate rubric criteria sent by an instructor
+ * @param {Array} criteria - [{ title, description, levels: [{ title, description, points }] }]
+ * @returns {String|null} Error message, or null when valid
+ */
+function validateRubricCriteria(criteria) {
+  if (!Array.isArray(criteria) || criteria.length === 0) return 'A rubric needs at least one criterion';
+  if (criteria.length > MAX_CRITERIA) return `A rubric cannot have more than ${MAX_CRITERIA} criteria`;
+
+  for (let i = 0; i < criteria.length; i++) {
+    const criterion = criteria[i] || {};
+    const label = `Criterion ${i + 1}`;
+
+    if (!criterion.title || !String(criterion.title).trim()) return `${label} needs a title`;
+    if (!Array.isArray(criterion.levels) || criterion.levels.length === 0) {
+      return `${label} needs at least one performance level`;
+    }
+    if (criterion.levels.length > MAX_LEVELS) return `${label} cannot have more than ${MAX_LEVELS} levels`;
+
+    for (let j = 0; j < criterion.levels.length; j++) {
+      const level = criterion.levels[j] || {};
+      if (!level.title || !String(level.title).trim()) return `${label}, level ${j + 1} needs a title`;
+      const points = Number(level.points);
+      if (level.points === undefined || level.points === null || !Number.isFinite(points) || points < 0) {
+        return `${label}, level ${j + 1} needs points of 0 or more`;
+      }
+    }
+  }
+
+  const maxPoints = criteria.reduce((sum, criterion) => sum + criterionMaxPoints(criterion), 0);
+  if (maxPoints <= 0) return 'A rubric must be worth more than 0 points';
+  return null;
+}
+
+/**
+ * Score a submission against a rubric
+ * @param {Object} rubric - Rubric document (title, criteria)
+ * @param {Array} selections - [{ criterion, level, comment }], one per criterion
+ * @returns {{ error: String|null, gradePercent: Number|null, assessment: Object|null }}
+ *   assessment is the snapshot stored on StudentContentGrade.rubricAssessment
+ */
+function scoreRubric(rubric, selections) {
+  if (!Array.isArray(selections)) {
+    return { error: 'rubricScores must be an array', gradePercent: null, assessment: null };
+  }
+
+  const plain = toPlain(rubric);
+  const byCriterion = new Map();
+  for (const selection of selections) {
+    const key = selection && selection.criterion ? String(selection.criterion) : '';
+    if (!plain.criteria.some(c => c._id.toString() === key)) {
+      return { error: 'rubricScores references a criterion that is not part of this rubric', gradePercent: null, assessment: null };
+    }
+    if (byCriterion.has(key)) {
+      return { error: 'Each criterion can only be scored once', gradePercent: null, assessment: null };
+    }
+    byCriterion.set(key, selection);
+  }
+
+  const criteria = [];
+  for (const criterion of plain.criteria) {
+    const selection = byCriterion.get(criterion._id.toString());
+    if (!selection) {
+      return { error: `Pick a level for "${criterion.title}"`, gradePercent: null, assessment: null };
+    }
+
+    const level = criterion.levels.find(l => l._id.toString() === String(selection.level));
+    if (!level) {
+      return { error: `The level picked for "${criterion.title}" is not one of its levels`, gradePercent: null, assessment: null };
+    }
+
+    const comment = selection.comment ? String(selection.comment).trim() : '';
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      return {
+        error: `The comment on "${criterion.title}" cannot exceed ${MAX_COMMENT_LENGTH} characters`,
+        gradePercent: null,
+        assessment: null
+      };
+    }
+
+    criteria.push({
+      criterion: criterion._id,
+      title: criterion.title,
+      level: level._id,
+      levelTitle: level.title,
+      points: level.points,
+      maxPoints: criterionMaxPoints(criterion),
+      comment
+    });
+  }
+
+  const totalPoints = criteria.reduce((sum, c) => sum + c.points, 0);
+  const maxPoints = criteria.reduce((sum, c) => sum + c.maxPoints, 0);
+  const gradePercent = maxPoints > 0 ? Math.round((totalPoints / maxPoints) * 10000) / 100 : 0;
+
+  return {
+    error: null,
+    gradePercent,
+    assessment: { rubric: plain._id, title: plain.title, criteria, totalPoints, maxPoints }
+  };
+}
+
+module.exports = {
+  validateRubricCriteria,
+  scoreRubric
+};
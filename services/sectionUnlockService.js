@@ -0,0 +1,271 @@
+/**
+ * Section unlock rules: prerequisites a student must meet before a section's
+ * content opens, on top of payment. Every rule on a section must be met.
+ *
+ *  - pass_test:          best graded attempt on an active test reaches minScore
+ *                        (the test's passing score when not set)
+ *  - complete_section:   every published item and active test of another
+ *                        section is completed
+ *  - assignments_graded: every published assignment of a section is graded
+ */
+const mongoose = require('mongoose');
+const Section = require('../models/Section');
+const Content = require('../models/Content');
+const ActiveTest = require('../models/ActiveTest');
+const TestAttempt = require('../models/TestAttempt');
+const StudentContentGrade = require('../models/StudentContentGrade');
+
+const UNLOCK_RULE_TYPES = ['pass_test', 'complete_section', 'assignments_graded'];
+
+// StudentContentGrade statuses that count an item as completed, per content type
+const COMPLETED_STATUSES = {
+  lecture: ['watched'],
+  assignment: ['submitted_ungraded', 'graded'],
+  project: ['watched', 'submitted_ungraded', 'graded']
+};
+
+const idOf = (value) => (value && value._id ? value._id.toString() : String(value));
+
+/**
+ * Find a cycle of section prerequisites that would keep sections locked forever
+ * @param {String} sectionId - Section whose rules are being changed
+ * @param {Array} rules - Its new rules
+ * @param {Array} otherSections - Other sections of the group ({ _id, unlockRules })
+ * @returns {Array<String>|null} Section ids forming the cycle, or null
+ */
+function findRuleCycle(sectionId, rules, otherSections) {
+  const edges = new Map();
+  otherSections.forEach((s) => {
+    edges.set(idOf(s._id), (s.unlockRules || []).filter(r => r.section).map(r => idOf(r.section)));
+  });
+  edges.set(String(sectionId), (rules || []).filter(r => r.section).map(r => idOf(r.section)));
+
+  // Three-colour DFS: a section on the current path closes a cycle, a
+  // finished one is known to lead to none and is not explored again
+  const onPath = [];
+  const finished = new Set();
+  const visit = (id) => {
+    const index = onPath.indexOf(id);
+    if (index !== -1) return [...onPath.slice(index), id];
+    if (finished.has(id)) return null;
+    onPath.push(id);
+    for (const next of edges.get(id) || []) {
+      const cycle = visit(next);
+      if (cycle) return cycle;
+    }
+    onPath.pop();
+    finished.add(id);
+    return null;
+  };
+  return visit(String(sectionId));
+}
+
+/**
+ * Validate unlock rules sent by an instructor for a section
+ * @param {Array} rules - Rule payloads
+ * @param {Object} section - Section document the rules belong to
+ * @returns {Promise<{ error: String|null, rules: Array }>}
+ */
+async function validateUnlockRules(rules, section) {
+  if (!Array.isArray(rules)) return { error: 'unlockRules must be an array', rules: [] };
+
+  const normalized = [];
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i] || {};
+    const label = `Unlock rule ${i + 1}`;
+
+    if (!UNLOCK_RULE_TYPES.includes(rule.type)) {
+      return { error: `${label} must have a type of: ${UNLOCK_RULE_TYPES.join(', ')}`, rules: [] };
+    }
+
+    if (rule.type === 'pass_test') {
+      if (!mongoose.isValidObjectId(rule.test)) return { error: `${label} must reference a test`, rules: [] };
+      const test = await ActiveTest.findOne({ _id: rule.test, group: section.group }).select('section');
+      if (!test) return { error: `${label} references a test that is not part of this group`, rules: [] };
+      if (test.section.toString() === section._id.toString()) {
+        return { error: `${label} cannot require a test of the section it unlocks`, rules: [] };
+      }
+
+      let minScore = null;
+      if (rule.minScore !== undefined && rule.minScore !== null && rule.minScore !== '') {
+        minScore = Number(rule.minScore);
+        if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+          return { error: `${label} minimum score must be between 0 and 100`, rules: [] };
+        }
+      }
+      normalized.push({ type: rule.type, test: test._id, minScore });
+      continue;
+    }
+
+    if (!mongoose.isValidObjectId(rule.section)) return { error: `${label} must reference a section`, rules: [] };
+    if (String(rule.section) === section._id.toString()) {
+      return { error: `${label} cannot require the section it unlocks`, rules: [] };
+    }
+    const required = await Section.findOne({ _id: rule.section, group: section.group }).select('_id');
+    if (!required) return { error: `${label} references a section that is not part of this group`, rules: [] };
+    normalized.push({ type: rule.type, section: required._id });
+  }
+
+  const others = await Section.find({ group: section.group, _id: { $ne: section._id } }).select('unlockRules');
+  if (findRuleCycle(section._id, normalized, others)) {
+    return { error: 'Unlock rules would make sections require each other, so none could ever unlock', rules: [] };
+  }
+
+  return { error: null, rules: normalized };
+}
+
+/**
+ * Evaluate unlock rules against what is known about a student
+ * @param {Array} rules - Section unlock rules
+ * @param {Object} facts
+ * @param {Map} facts.tests - testId -> { title, passingScore, bestScore }
+ * @param {Map} facts.sections - sectionId -> { name, completed, total, assignmentsGraded, assignmentsTotal }
+ * @returns {{ unlocked: Boolean, rules: Array }}
+ */
+function evaluateUnlockRules(rules, facts) {
+  const results = (rules || []).map((rule) => {
+    if (rule.type === 'pass_test') {
+      const test = facts.tests.get(idOf(rule.test)) || { title: 'a removed test', passingScore: 0, bestScore: null };
+      const minScore = rule.minScore !== null && rule.minScore !== undefined ? rule.minScore : test.passingScore;
+      const met = test.bestScore !== null && test.bestScore >= minScore;
+      return {
+        type: rule.type,
+        test: rule.test,
+        minScore,
+        bestScore: test.bestScore,
+        met,
+        message: met ? null : `Score at least ${minScore}% on "${test.title}"`
+      };
+    }
+
+    const section = facts.sections.get(idOf(rule.section)) ||
+      { name: 'a removed section', completed: 0, total: 0, assignmentsGraded: 0, assignmentsTotal: 0 };
+
+    if (rule.type === 'complete_section') {
+      const met = section.completed >= section.total;
+      return {
+        type: rule.type,
+        section: rule.section,
+        completed: section.completed,
+        total: section.total,
+        met,
+        message: met ? null : `Complete section "${section.name}" (${section.completed}/${section.total} done)`
+      };
+    }
+
+    const met = section.assignmentsGraded >= section.assignmentsTotal;
+    return {
+      type: rule.type,
+      section: rule.section,
+      graded: section.assignmentsGraded,
+      total: section.assignmentsTotal,
+      met,
+      message: met ? null : `Wait until all assignments in "${section.name}" are graded (${section.assignmentsGraded}/${section.assignmentsTotal})`
+    };
+  });
+
+  return { unlocked: results.every(r => r.met), rules: results };
+}
+
+const loadTestFacts = async (testIds, studentId) => {
+  const facts = new Map();
+  if (testIds.length === 0) return facts;
+
+  const [tests, attempts] = await Promise.all([
+    ActiveTest.find({ _id: { $in: testIds } }).select('title passingScore'),
+    TestAttempt.find({ test: { $in: testIds }, student: studentId, status: 'graded' }).select('test score')
+  ]);
+
+  tests.forEach((test) => {
+    facts.set(test._id.toString(), { title: test.title, passingScore: test.passingScore, bestScore: null });
+  });
+  attempts.forEach((attempt) => {
+    const fact = facts.get(attempt.test.toString());
+    if (fact && (fact.bestScore === null || attempt.score > fact.bestScore)) fact.bestScore = attempt.score;
+  });
+  return facts;
+};
+
+const loadSectionFacts = async (sectionIds, studentId) => {
+  const facts = new Map();
+  if (sectionIds.length === 0) return facts;
+
+  const [sections, contents, tests] = await Promise.all([
+    Section.find({ _id: { $in: sectionIds } }).select('name'),
+    Content.find({ section: { $in: sectionIds }, isPublished: true, deletionStatus: { $ne: 'deleted' } }).select('section type'),
+    ActiveTest.find({ section: { $in: sectionIds }, isActive: true }).select('section')
+  ]);
+
+  const [grades, attempts] = await Promise.all([
+    StudentContentGrade.find({ student: studentId, content: { $in: contents.map(c => c._id) } }).select('content status'),
+    TestAttempt.find({ test: { $in: tests.map(t => t._id) }, student: studentId, status: 'graded' }).select('test')
+  ]);
+
+  const statusByContent = new Map(grades.map(g => [g.content.toString(), g.status]));
+  const attemptedTests = new Set(attempts.map(a => a.test.toString()));
+
+  sections.forEach((section) => {
+    facts.set(section._id.toString(), { name: section.name, completed: 0, total: 0, assignmentsGraded: 0, assignmentsTotal: 0 });
+  });
+  contents.forEach((content) => {
+    const fact = facts.get(content.section.toString());
+    if (!fact) return;
+    const status = statusByContent.get(content._id.toString());
+    fact.total += 1;
+    if ((COMPLETED_STATUSES[content.type] || []).includes(status)) fact.completed += 1;
+    if (content.type === 'assignment') {
+      fact.assignmentsTotal += 1;
+      if (status === 'graded') fact.assignmentsGraded += 1;
+    }
+  });
+  tests.forEach((test) => {
+    const fact = facts.get(test.section.toString());
+    if (!fact) return;
+    fact.total += 1;
+    if (attemptedTests.has(test._id.toString())) fact.completed += 1;
+  });
+  return facts;
+};
+
+/**
+ * Whether a student meets a section's unlock rules
+ * @param {Object} section - Section document (unlockRules)
+ * @param {String} studentId
+ * @returns {Promise<{ unlocked: Boolean, rules: Array }>}
+ */
+async function getSectionUnlockStatus(section, studentId) {
+  const rules = section.unlockRules || [];
+  if (rules.length === 0) return { unlocked: true, rules: [] };
+
+  const testIds = [...new Set(rules.filter(r => r.test).map(r => idOf(r.test)))];
+  const sectionIds = [...new Set(rules.filter(r => r.section).map(r => idOf(r.section)))];
+  const [tests, sections] = await Promise.all([
+    loadTestFacts(testIds, studentId),
+    loadSectionFacts(sectionIds, studentId)
+  ]);
+
+  return evaluateUnlockRules(rules, { tests, sections });
+}
+
+/**
+ * Response body for a request blocked by unlock rules
+ * @param {Object} status - Result of getSectionUnlockStatus
+ * @returns {Object}
+ */
+function lockedResponse(status) {
+  return {
+    success: false,
+    message: 'This section is locked until its prerequisites are met',
+    locked: true,
+    unmetRules: status.rules.filter(r => !r.met)
+  };
+}
+
+module.exports = {
+  UNLOCK_RULE_TYPES,
+  findRuleCycle,
+  validateUnlockRules,
+  evaluateUnlockRules,
+  getSectionUnlockStatus,
+  lockedResponse
+};
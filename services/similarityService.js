@@ -0,0 +1,402 @@
+/**
+ * Similarity detection between the submissions of one assignment/project.
+ * Text is pulled out of each submission (plain text and code files, PDFs,
+ * and both inside .zip archives), split into word tokens, and fingerprinted
+ * with winnowing: every run of K_GRAM tokens is hashed and the smallest
+ * hash of each WINDOW consecutive hashes is kept. Two submissions are as
+ * similar as the share of fingerprints they have in common, and matching
+ * fingerprints are merged back into the overlapping passages. Fingerprints
+ * found in more than half of the submissions are treated as starter code
+ * and ignored. Everything runs locally; nothing is sent to outside services.
+ */
+const path = require('path');
+const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
+const { PDFParse } = require('pdf-parse');
+const StudentContentGrade = require('../models/StudentContentGrade');
+const { downloadTelegramFile } = require('./telegramFileService');
+
+const K_GRAM = 5;
+const WINDOW = 4;
+const MAX_PAIRS = 50;
+const MAX_PASSAGES = 10;
+const MAX_PASSAGE_CHARS = 600;
+const MAX_FILE_BYTES = 20 * 1024 * 1024;
+const MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+const MAX_ARCHIVE_ENTRIES = 500;
+const MAX_TEXT_CHARS = 1000000;
+// Starter code is only recognised with enough submissions to tell it apart
+const MIN_SUBMISSIONS_FOR_COMMON_FILTER = 4;
+
+const TEXT_EXTENSIONS = new Set([
+  '.txt', '.md', '.csv', '.json', '.xml', '.html', '.htm', '.css', '.scss', '.tex',
+  '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.py', '.ipynb', '.java', '.kt', '.kts',
+  '.scala', '.c', '.h', '.cc', '.cpp', '.hpp', '.cs', '.go', '.rs', '.rb', '.php', '.swift',
+  '.dart', '.r', '.m', '.sql', '.sh', '.yml', '.yaml'
+]);
+
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+/gu;
+const PDF_PAGE_MARKER = /^-- \d+ of \d+ --$/gm;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Split text into lowercase word tokens with their character offsets
+ * @param {String} text
+ * @returns {Array<{ value: String, start: Number, end: Number }>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+    tokens.push({ value: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// 32-bit FNV-1a
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Winnow k-gram hashes: keep the rightmost smallest hash of every window
+ * @param {Array<Number>} hashes - Hash of the k-gram starting at each token
+ * @param {Number} windowSize
+ * @returns {Array<{ hash: Number, position: Number }>} In position order
+ */
+function winnow(hashes, windowSize) {
+  if (hashes.length === 0) return [];
+  const picked = new Map();
+  const lastStart = Math.max(0, hashes.length - windowSize);
+  for (let start = 0; start <= lastStart; start++) {
+    const end = Math.min(hashes.length, start + windowSize);
+    let minPos = start;
+    for (let i = start + 1; i < end; i++) {
+      if (hashes[i] <= hashes[minPos]) minPos = i;
+    }
+    picked.set(minPos, hashes[minPos]);
+  }
+  return [...picked.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([position, hash]) => ({ hash, position }));
+}
+
+/**
+ * Fingerprint a submission's text
+ * @param {String} text
+ * @param {Array<{ name: String, start: Number }>} [files] - Where each file starts in text
+ * @returns {{ text: String, files: Array, tokens: Array, fingerprints: Array, positions: Map<Number, Array<Number>> }}
+ *   positions maps each fingerprint hash to the token positions it occurs at
+ */
+function fingerprintText(text, files = []) {
+  const tokens = tokenize(text);
+  const hashes = [];
+  for (let i = 0; i + K_GRAM <= tokens.length; i++) {
+    hashes.push(hashString(tokens.slice(i, i + K_GRAM).map(t => t.value).join(' ')));
+  }
+
+  const fingerprints = winnow(hashes, WINDOW);
+  const positions = new Map();
+  fingerprints.forEach(({ hash, position }) => {
+    if (!positions.has(hash)) positions.set(hash, []);
+    positions.get(hash).push(position);
+  });
+  return { text, files, tokens, fingerprints, positions };
+}
+
+const fileAt = (files, offset) => {
+  let name = null;
+  for (const file of files) {
+    if (file.start > offset) break;
+    name = file.name;
+  }
+  return name;
+};
+
+const excerpt = (doc, startToken, endToken) => {
+  const start = doc.tokens[startToken].start;
+  const end = doc.tokens[endToken - 1].end;
+  const text = doc.text.slice(start, end);
+  return text.length > MAX_PASSAGE_CHARS ? `${text.slice(0, MAX_PASSAGE_CHARS)}…` : text;
+};
+
+/**
+ * Merge shared fingerprints of two documents into overlapping passages
+ * @param {Object} a - Result of fingerprintText
+ * @param {Object} b - Result of fingerprintText
+ * @param {Set<Number>} shared - Hashes both documents contain
+ * @returns {Array<{ fileA, textA, fileB, textB, tokens }>} Longest first
+ */
+function findPassages(a, b, shared) {
+  const matches = a.fingerprints.filter(f => shared.has(f.hash));
+  const runs = [];
+  let run = null;
+
+  matches.forEach(({ hash, position }) => {
+    const candidates = b.positions.get(hash) || [];
+    const continuing = run
+      ? candidates.find(pb => position <= run.endA + K_GRAM && pb >= run.startB && pb <= run.endB + K_GRAM)
+      : undefined;
+
+    if (continuing !== undefined) {
+      run.endA = Math.max(run.endA, position + K_GRAM);
+      run.endB = Math.max(run.endB, continuing + K_GRAM);
+      return;
+    }
+    run = { startA: position, endA: position + K_GRAM, startB: candidates[0], endB: candidates[0] + K_GRAM };
+    runs.push(run);
+  });
+
+  return runs
+    .map((r) => ({ ...r, tokens: r.endA - r.startA }))
+    .sort((x, y) => y.tokens - x.tokens)
+    .slice(0, MAX_PASSAGES)
+    .map((r) => ({
+      fileA: fileAt(a.files, a.tokens[r.startA].start),
+      textA: excerpt(a, r.startA, r.endA),
+      fileB: fileAt(b.files, b.tokens[r.startB].start),
+      textB: excerpt(b, r.startB, r.endB),
+      tokens: r.tokens
+    }));
+}
+
+/**
+ * Compare every pair of submissions
+ * @param {Array<{ id: String, text: String, files?: Array }>} documents
+ * @param {Object} [options]
+ * @param {Number} [options.maxPairs] - Most similar pairs to keep
+ * @returns {Array<{ a, b, similarityPercent, containmentA, containmentB, sharedFingerprints, passages }>}
+ *   Most similar first; pairs without anything in common are left out
+ */
+function buildSimilarityReport(documents, { maxPairs = MAX_PAIRS } = {}) {
+  const docs = documents
+    .map(d => ({ id: d.id, ...fingerprintText(d.text, d.files || []) }))
+    .filter(d => d.fingerprints.length > 0);
+
+  let common = new Set();
+  if (docs.length >= MIN_SUBMISSIONS_FOR_COMMON_FILTER) {
+    const counts = new Map();
+    docs.forEach(d => d.positions.forEach((_, hash) => counts.set(hash, (counts.get(hash) || 0) + 1)));
+    common = new Set([...counts].filter(([, count]) => count > docs.length / 2).map(([hash]) => hash));
+  }
+  docs.forEach((d) => {
+    d.hashes = new Set([...d.positions.keys()].filter(hash => !common.has(hash)));
+  });
+
+  const pairs = [];
+  for (let i = 0; i < docs.length; i++) {
+    for (let j = i + 1; j < docs.length; j++) {
+      const a = docs[i];
+      const b = docs[j];
+      if (a.hashes.size === 0 || b.hashes.size === 0) continue;
+      const [small, large] = a.hashes.size <= b.hashes.size ? [a.hashes, b.hashes] : [b.hashes, a.hashes];
+      const shared = new Set([...small].filter(hash => large.has(hash)));
+      if (shared.size === 0) continue;
+
+      pairs.push({
+        a,
+        b,
+        shared,
+        similarityPercent: round2((shared.size / (a.hashes.size + b.hashes.size - shared.size)) * 100),
+        containmentA: round2((shared.size / a.hashes.size) * 100),
+        containmentB: round2((shared.size / b.hashes.size) * 100)
+      });
+    }
+  }
+
+  return pairs
+    .sort((x, y) => y.similarityPercent - x.similarityPercent || y.shared.size - x.shared.size)
+    .slice(0, maxPairs)
+    .map(pair => ({
+      a: pair.a.id,
+      b: pair.b.id,
+      similarityPercent: pair.similarityPercent,
+      containmentA: pair.containmentA,
+      containmentB: pair.containmentB,
+      sharedFingerprints: pair.shared.size,
+      passages: findPassages(pair.a, pair.b, pair.shared)
+    }));
+}
+
+const pdfText = async (buffer) => {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText();
+    return result.text.replace(PDF_PAGE_MARKER, '');
+  } finally {
+    await parser.destroy();
+  }
+};
+
+/**
+ * Pull comparable text out of a submitted file
+ * @param {Buffer} buffer
+ * @param {String} filename
+ * @returns {Promise<{ parts: Array<{ name: String, text: String }>, skipped: Array<{ file: String, reason: String }> }>}
+ */
+async function extractSubmissionText(buffer, filename) {
+  const parts = [];
+  const skipped = [];
+
+  const readFile = async (data, name) => {
+    const extension = path.extname(name).toLowerCase();
+    if (extension === '.pdf') {
+      try {
+        parts.push({ name, text: await pdfText(data) });
+      } catch (error) {
+        skipped.push({ file: name, reason: 'The PDF could not be read' });
+      }
+    } else if (TEXT_EXTENSIONS.has(extension)) {
+      parts.push({ name, text: data.toString('utf8').replace(/^\uFEFF/, '') });
+    } else if (extension === '.rar') {
+      skipped.push({ file: name, reason: 'RAR archives cannot be read; only .zip archives are compared' });
+    } else if (extension === '.zip') {
+      skipped.push({ file: name, reason: 'Archives inside archives are not compared' });
+    } else {
+      skipped.push({ file: name, reason: 'Unsupported file type' });
+    }
+  };
+
+  if (path.extname(filename).toLowerCase() !== '.zip') {
+    await readFile(buffer, filename);
+    return { parts, skipped };
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    skipped.push({ file: filename, reason: 'The archive could not be opened' });
+    return { parts, skipped };
+  }
+
+  const files = entries.filter((entry) => {
+    const name = entry.entryName;
+    return !entry.isDirectory && !name.startsWith('__MACOSX/') && !path.basename(name).startsWith('.');
+  }).sort((a, b) => a.entryName.localeCompare(b.entryName));
+  if (files.length > MAX_ARCHIVE_ENTRIES) {
+    skipped.push({ file: filename, reason: `Only the first ${MAX_ARCHIVE_ENTRIES} files of the archive are compared` });
+  }
+
+  for (const entry of files.slice(0, MAX_ARCHIVE_ENTRIES)) {
+    if (entry.header.size > MAX_ENTRY_BYTES) {
+      skipped.push({ file: entry.entryName, reason: 'File is too large to compare' });
+      continue;
+    }
+    await readFile(entry.getData(), entry.entryName);
+  }
+  return { parts, skipped };
+}
+
+// Latest file of a submission: the reupload when one was used
+const submissionFileOf = (grade) =>
+  (grade.reuploadUsed && grade.reuploadSubmissionFile ? grade.reuploadSubmissionFile : grade.submissionFile);
+
+/**
+ * Read a stored submission file into memory
+ * @param {Object} fileMeta - StudentContentGrade.submissionFile
+ * @returns {Promise<Buffer>}
+ */
+async function loadSubmissionBuffer(fileMeta) {
+  if (fileMeta.storageType === 'telegram' && fileMeta.telegramFileId) {
+    return downloadTelegramFile(fileMeta.telegramFileId, { maxBytes: MAX_FILE_BYTES });
+  }
+
+  const fileSource = fileMeta.path || fileMeta.url;
+  if (!fileSource) throw new Error('No submission file stored');
+  let filePath;
+  if (fileSource.startsWith('/uploads/')) {
+    filePath = path.resolve(__dirname, '..', fileSource.substring(1));
+  } else if (path.isAbsolute(fileSource)) {
+    filePath = fileSource;
+  } else {
+    filePath = path.resolve(__dirname, '..', fileSource);
+  }
+
+  const stats = await fs.stat(filePath);
+  if (stats.size > MAX_FILE_BYTES) throw new Error('Submission file is too large to compare');
+  return fs.readFile(filePath);
+}
+
+/**
+ * Compare the submissions of a content item and fill in a running report
+ * @param {Object} report - SimilarityReport document with status 'running'
+ * @returns {Promise<Object>} The completed (or failed) report
+ */
+async function runSimilarityReport(report) {
+  try {
+    const grades = await StudentContentGrade.find({
+      content: report.content,
+      status: { $in: ['submitted_ungraded', 'graded'] }
+    }).select('student submissionFile reuploadUsed reuploadSubmissionFile');
+
+    const documents = [];
+    const skipped = [];
+    for (const grade of grades) {
+      const fileMeta = submissionFileOf(grade);
+      if (!fileMeta) continue;
+      const filename = fileMeta.originalName || fileMeta.storedName || 'submission';
+      try {
+        const buffer = await loadSubmissionBuffer(fileMeta);
+        const extracted = await extractSubmissionText(buffer, filename);
+        extracted.skipped.forEach(s => skipped.push({ student: grade.student, ...s }));
+
+        let text = '';
+        const files = [];
+        for (const part of extracted.parts) {
+          if (text.length >= MAX_TEXT_CHARS) break;
+          files.push({ name: part.name, start: text.length });
+          text += `${part.text.slice(0, MAX_TEXT_CHARS - text.length)}\n\n`;
+        }
+        if (text.trim()) documents.push({ id: grade.student.toString(), text, files });
+      } catch (error) {
+        skipped.push({ student: grade.student, file: filename, reason: error.message || 'The file could not be read' });
+      }
+    }
+
+    report.pairs = buildSimilarityReport(documents).map(({ a, b, ...pair }) => ({ studentA: a, studentB: b, ...pair }));
+    report.skipped = skipped;
+    report.submissionsChecked = documents.length;
+    report.status = 'completed';
+  } catch (error) {
+    console.error('Similarity report error:', error);
+    report.status = 'failed';
+    report.error = error.message;
+  }
+  report.completedAt = new Date();
+  await report.save();
+  return report;
+}
+
+/**
+ * Highest similarity of each student in a report
+ * @param {Object|null} report - SimilarityReport
+ * @returns {Map<String, { similarityPercent: Number, student: * }>} studentId -> closest match
+ */
+function highestMatches(report) {
+  const best = new Map();
+  (report ? report.pairs : []).forEach((pair) => {
+    [[pair.studentA, pair.studentB], [pair.studentB, pair.studentA]].forEach(([student, other]) => {
+      const key = (student._id || student).toString();
+      if (!best.has(key) || best.get(key).similarityPercent < pair.similarityPercent) {
+        best.set(key, { similarityPercent: pair.similarityPercent, student: other });
+      }
+    });
+  });
+  return best;
+}
+
+module.exports = {
+  tokenize,
+  winnow,
+  fingerprintText,
+  buildSimilarityReport,
+  extractSubmissionText,
+  runSimilarityReport,
+  highestMatches
+};
@@ -1,4 +1,5 @@
 const https = require('https');
+const axios = require('axios');
 const { URL } = require('url');
 
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
@@ -245,7 +246,26 @@ async function streamTelegramFile(fileId, res, options = {}) {
   return sendError(502, 'Failed to retrieve file. Please try again.');
 }
 
+/**
+ * Download a Telegram-hosted file into memory, for server-side processing
+ * @param {String} fileId - Telegram file id
+ * @param {Object} [options]
+ * @param {Number} [options.maxBytes] - Refuse files larger than this
+ * @returns {Promise<Buffer>}
+ */
+async function downloadTelegramFile(fileId, { maxBytes } = {}) {
+  const filePath = await resolveTelegramFilePath(fileId);
+  const response = await axios.get(buildTelegramFileUrl(filePath), {
+    responseType: 'arraybuffer',
+    httpsAgent: TELEGRAM_AGENT,
+    timeout: 120_000,
+    ...(maxBytes ? { maxContentLength: maxBytes } : {})
+  });
+  return Buffer.from(response.data);
+}
+
 module.exports = {
   resolveTelegramFilePath,
-  streamTelegramFile
+  streamTelegramFile,
+  downloadTelegramFile
 };
@@ -0,0 +1,75 @@
+const TestAccommodation = require('../models/TestAccommodation');
+
+const OVERRIDE_FIELDS = ['timeLimitMinutes', 'timeMultiplier', 'maxAttempts', 'startDate', 'endDate', 'passingScore'];
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+/**
+ * Apply accommodations to a test's settings. The test-level accommodation
+ * wins over the group-level one for every field it sets.
+ * @param {Object} test - ActiveTest document
+ * @param {Array} accommodations - Accommodations for one student, any order
+ * @returns {Object} { timeLimitMinutes, maxAttempts, startDate, endDate, passingScore, accommodated }
+ */
+function applyAccommodations(test, accommodations = []) {
+  const groupLevel = accommodations.find(a => !a.test) || {};
+  const testLevel = accommodations.find(a => a.test) || {};
+  const pick = (field) => (hasValue(testLevel[field]) ? testLevel[field] : groupLevel[field]);
+
+  let timeLimitMinutes = test.timeLimitMinutes;
+  const absoluteLimit = pick('timeLimitMinutes');
+  const multiplier = pick('timeMultiplier');
+  if (hasValue(absoluteLimit)) {
+    timeLimitMinutes = absoluteLimit;
+  } else if (hasValue(multiplier)) {
+    timeLimitMinutes = Math.ceil(test.timeLimitMinutes * multiplier);
+  }
+
+  const settings = {
+    timeLimitMinutes,
+    maxAttempts: hasValue(pick('maxAttempts')) ? pick('maxAttempts') : test.maxAttempts,
+    startDate: hasValue(pick('startDate')) ? pick('startDate') : test.startDate,
+    endDate: hasValue(pick('endDate')) ? pick('endDate') : test.endDate,
+    passingScore: hasValue(pick('passingScore')) ? pick('passingScore') : test.passingScore
+  };
+
+  settings.accommodated = OVERRIDE_FIELDS.some(field => hasValue(pick(field)));
+  return settings;
+}
+
+/**
+ * Effective test settings for a student, taking their accommodations into account
+ * @param {Object} test - ActiveTest document
+ * @param {String|ObjectId} studentId
+ * @returns {Promise<Object>} See applyAccommodations
+ */
+async function getEffectiveTestSettings(test, studentId) {
+  const accommodations = await TestAccommodation.find({
+    student: studentId,
+    group: test.group?._id || test.group,
+    test: { $in: [null, test._id] }
+  }).lean();
+
+  return applyAccommodations(test, accommodations);
+}
+
+/**
+ * Snapshot of the override fields of an accommodation, for audit logging
+ * @param {Object} accommodation - TestAccommodation document
+ * @returns {Object}
+ */
+function accommodationState(accommodation) {
+  if (!accommodation) return null;
+  const state = { test: accommodation.test || null, group: accommodation.group, reason: accommodation.reason };
+  OVERRIDE_FIELDS.forEach((field) => {
+    state[field] = hasValue(accommodation[field]) ? accommodation[field] : null;
+  });
+  return state;
+}
+
+module.exports = {
+  OVERRIDE_FIELDS,
+  applyAccommodations,
+  getEffectiveTestSettings,
+  accommodationState
+};
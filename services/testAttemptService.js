@@ -0,0 +1,187 @@
+const TestAttempt = require('../models/TestAttempt');
+const { scoreAnswer, scoreAnswers, findAnswerOrder, hasPendingReview } = require('./testScoringService');
+const { getAttemptQuestions } = require('./questionBankService');
+const { updateSectionGrade, calculateCourseGrade } = require('./gradingService');
+const { getEffectiveTestSettings } = require('./testAccommodationService');
+
+// Submissions arriving this long after endTime are still accepted as sent,
+// to absorb network latency on the final submit
+const SUBMIT_GRACE_SECONDS = 30;
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+/**
+ * Seconds left before an attempt's time limit is reached, computed from the
+ * server clock
+ * @param {Object} attempt - TestAttempt document
+ * @param {Date} [now]
+ * @returns {Number|null} Remaining seconds (0 when expired), null without a limit
+ */
+function getRemainingSeconds(attempt, now = new Date()) {
+  if (!attempt.endTime) return null;
+  return Math.max(0, Math.floor((new Date(attempt.endTime) - now) / 1000));
+}
+
+/**
+ * Whether an in-progress attempt has run past its time limit
+ * @param {Object} attempt - TestAttempt document
+ * @param {Date} [now]
+ * @param {Number} [graceSeconds]
+ * @returns {Boolean}
+ */
+function isAttemptExpired(attempt, now = new Date(), graceSeconds = 0) {
+  if (!attempt.endTime) return false;
+  return now.getTime() > new Date(attempt.endTime).getTime() + graceSeconds * 1000;
+}
+
+/**
+ * Merge newly saved answers into the answers already stored on an attempt.
+ * Answers are normalized per question type; answers for questions that are
+ * not part of the attempt are ignored. No correctness is recorded until the
+ * attempt is submitted.
+ * @param {Array} questions - Questions of the attempt (fixed and drawn)
+ * @param {Array} existing - Answers already saved on the attempt
+ * @param {Array} incoming - Answers sent by the student
+ * @param {Array} [answerOrders] - The attempt's answer orders, used to read
+ *   matching and ordering tokens
+ * @returns {Array} Merged answers, in question order
+ */
+function mergeSavedAnswers(questions, existing, incoming, answerOrders) {
+  const byQuestion = new Map();
+
+  (existing || []).forEach((answer) => {
+    const plain = toPlain(answer);
+    if (plain && plain.questionId) byQuestion.set(String(plain.questionId), plain);
+  });
+
+  const questionMap = new Map(questions.map(q => [q._id.toString(), q]));
+  (Array.isArray(incoming) ? incoming : []).forEach((answer) => {
+    if (!answer || !answer.questionId) return;
+    const question = questionMap.get(String(answer.questionId));
+    if (!question) return;
+    const { isCorrect, pointsEarned, reviewStatus, ...saved } = scoreAnswer(question, answer, findAnswerOrder(answerOrders, question._id));
+    byQuestion.set(String(answer.questionId), { ...saved, questionId: question._id });
+  });
+
+  return questions
+    .map(q => byQuestion.get(q._id.toString()))
+    .filter(Boolean)
+    .map(({ _id, isCorrect, pointsEarned, ...answer }) => answer);
+}
+
+/**
+ * Grade an in-progress attempt and refresh the student's grades. Attempts
+ * with essay answers go to pending_review and are only counted once an
+ * instructor has graded every essay (see completeReview).
+ * @param {Object} attempt - TestAttempt document (status in_progress)
+ * @param {Object} test - ActiveTest document the attempt belongs to
+ * @param {Array} answers - Answers to grade
+ * @param {Object} [options]
+ * @param {Boolean} [options.autoSubmitted] - Submitted by the server on expiry
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} The saved attempt
+ */
+async function finalizeAttempt(attempt, test, answers, { autoSubmitted = false, now = new Date() } = {}) {
+  const { gradedAnswers, pointsEarned } = scoreAnswers(getAttemptQuestions(test, attempt), answers);
+
+  const { passingScore } = await getEffectiveTestSettings(test, attempt.student);
+  const score = attempt.totalPoints > 0
+    ? Math.round((pointsEarned / attempt.totalPoints) * 100)
+    : 0;
+
+  const needsReview = hasPendingReview(gradedAnswers);
+
+  attempt.answers = gradedAnswers;
+  // An expired attempt ends at its time limit, not when the server noticed
+  attempt.submitTime = autoSubmitted && attempt.endTime && now > attempt.endTime ? attempt.endTime : now;
+  attempt.status = needsReview ? 'pending_review' : 'graded';
+  // Until review finishes the score only covers the auto-scored questions
+  attempt.score = score;
+  attempt.pointsEarned = pointsEarned;
+  attempt.passed = needsReview ? false : score >= passingScore;
+  attempt.autoSubmitted = autoSubmitted;
+
+  await attempt.save();
+
+  if (needsReview) return attempt;
+
+  try {
+    await updateSectionGrade(attempt.student.toString(), test.section);
+  } catch (gradeError) {
+    console.error('Error updating section grade after test submission:', gradeError);
+  }
+
+  return attempt;
+}
+
+/**
+ * Finish the review of a pending_review attempt once no essay is left to
+ * grade: compute the final score and passed flag and refresh the student's
+ * section and course grades
+ * @param {Object} attempt - TestAttempt document
+ * @param {Object} test - ActiveTest document the attempt belongs to
+ * @returns {Promise<Boolean>} Whether the review was completed
+ */
+async function completeReview(attempt, test) {
+  if (attempt.status !== 'pending_review' || hasPendingReview(attempt.answers)) return false;
+
+  const pointsEarned = Math.round(attempt.answers.reduce((sum, a) => sum + (a.pointsEarned || 0), 0) * 100) / 100;
+  const { passingScore } = await getEffectiveTestSettings(test, attempt.student);
+  const score = attempt.totalPoints > 0
+    ? Math.min(100, Math.round((pointsEarned / attempt.totalPoints) * 100))
+    : 0;
+
+  attempt.pointsEarned = pointsEarned;
+  attempt.score = score;
+  attempt.passed = score >= passingScore;
+  attempt.status = 'graded';
+  attempt.reviewCompletedAt = new Date();
+  await attempt.save();
+
+  const studentId = attempt.student._id ? attempt.student._id.toString() : attempt.student.toString();
+  try {
+    await updateSectionGrade(studentId, test.section);
+    await calculateCourseGrade(studentId, test.course);
+  } catch (gradeError) {
+    console.error('Error updating grades after test review:', gradeError);
+  }
+
+  return true;
+}
+
+/**
+ * Auto-submit every in-progress attempt whose time limit has passed, grading
+ * whatever answers were saved
+ * @returns {Promise<Number>} Number of attempts submitted
+ */
+async function autoSubmitExpiredAttempts() {
+  const cutoff = new Date(Date.now() - SUBMIT_GRACE_SECONDS * 1000);
+  const expired = await TestAttempt.find({
+    status: 'in_progress',
+    endTime: { $lt: cutoff }
+  }).populate('test');
+
+  let submitted = 0;
+  for (const attempt of expired) {
+    try {
+      if (!attempt.test) continue;
+      await finalizeAttempt(attempt, attempt.test, attempt.answers.map(a => a.toObject()), { autoSubmitted: true });
+      await calculateCourseGrade(attempt.student.toString(), attempt.test.course).catch(() => {});
+      submitted += 1;
+    } catch (error) {
+      console.error(`Failed to auto-submit test attempt ${attempt._id}:`, error.message);
+    }
+  }
+
+  return submitted;
+}
+
+module.exports = {
+  SUBMIT_GRACE_SECONDS,
+  getRemainingSeconds,
+  isAttemptExpired,
+  mergeSavedAnswers,
+  finalizeAttempt,
+  completeReview,
+  autoSubmitExpiredAttempts
+};
@@ -0,0 +1,193 @@
+/**
+ * Integrity signals for in-progress test attempts: focus loss, tab switches,
+ * copy/paste and reconnects reported over socket.io, plus IP changes detected
+ * by the server. Events are stored on the attempt and folded into a
+ * suspicion score (0-100) that instructors see next to the attempt.
+ */
+const mongoose = require('mongoose');
+const TestAttempt = require('../models/TestAttempt');
+
+// Events the client may report
+const CLIENT_EVENT_TYPES = ['window_blur', 'tab_hidden', 'copy', 'paste', 'reconnect'];
+
+// Points added to the suspicion score per occurrence
+const EVENT_WEIGHTS = {
+  window_blur: 2,
+  tab_hidden: 3,
+  copy: 2,
+  paste: 4,
+  reconnect: 1,
+  ip_change: 15
+};
+
+// Time away from the test adds one point per interval, up to a cap per event
+const AWAY_SECONDS_PER_POINT = 15;
+const MAX_AWAY_POINTS_PER_EVENT = 10;
+
+// Attempts at or above this score are flagged for instructors
+const FLAG_THRESHOLD = 30;
+
+// Stop storing events past this many, so a misbehaving client cannot grow the
+// attempt document without bound. The attempt is flagged well before this.
+const MAX_EVENTS_PER_ATTEMPT = 500;
+
+// Integrity fields are excluded from attempt queries by default
+const INTEGRITY_FIELDS = 'startIp lastIp integrityEvents suspicionScore flagged';
+const INTEGRITY_SELECT = INTEGRITY_FIELDS.split(' ').map(field => `+${field}`).join(' ');
+
+/**
+ * Compute the suspicion score of a list of integrity events
+ * @param {Array} events - Stored integrity events
+ * @returns {{ score: Number, flagged: Boolean, counts: Object, awaySeconds: Number }}
+ */
+function computeSuspicionScore(events) {
+  const counts = {};
+  let awaySeconds = 0;
+  let points = 0;
+
+  (events || []).forEach((event) => {
+    const weight = EVENT_WEIGHTS[event.type];
+    if (weight === undefined) return;
+    counts[event.type] = (counts[event.type] || 0) + 1;
+    points += weight;
+
+    if (event.durationSeconds > 0) {
+      awaySeconds += event.durationSeconds;
+      points += Math.min(MAX_AWAY_POINTS_PER_EVENT, Math.floor(event.durationSeconds / AWAY_SECONDS_PER_POINT));
+    }
+  });
+
+  const score = Math.min(100, points);
+  return { score, flagged: score >= FLAG_THRESHOLD, counts, awaySeconds: Math.round(awaySeconds) };
+}
+
+/**
+ * Validate an event sent by the client and normalize it for storage.
+ * The client timestamp is kept only when it falls inside the attempt window.
+ * @param {Object} payload - { type, occurredAt, durationSeconds }
+ * @param {Object} attempt - TestAttempt (startTime, endTime)
+ * @param {Date} [now]
+ * @returns {{ error: String|null, event: Object|null }}
+ */
+function normalizeClientEvent(payload, attempt, now = new Date()) {
+  if (!payload || !CLIENT_EVENT_TYPES.includes(payload.type)) {
+    return { error: `type must be one of: ${CLIENT_EVENT_TYPES.join(', ')}`, event: null };
+  }
+
+  let occurredAt = payload.occurredAt ? new Date(payload.occurredAt) : now;
+  const earliest = attempt.startTime ? new Date(attempt.startTime) : null;
+  if (Number.isNaN(occurredAt.getTime()) || occurredAt > now || (earliest && occurredAt < earliest)) {
+    occurredAt = now;
+  }
+
+  let durationSeconds = null;
+  if (['window_blur', 'tab_hidden'].includes(payload.type) && payload.durationSeconds !== undefined) {
+    const duration = Number(payload.durationSeconds);
+    if (Number.isFinite(duration) && duration >= 0) {
+      // Cannot have been away longer than the attempt has been running
+      const elapsed = earliest ? Math.max(0, (now - earliest) / 1000) : duration;
+      durationSeconds = Math.round(Math.min(duration, elapsed));
+    }
+  }
+
+  return { error: null, event: { type: payload.type, occurredAt, durationSeconds } };
+}
+
+/**
+ * Record an integrity event for a student's in-progress attempt. When the
+ * event arrives from a different IP than the attempt last used, an ip_change
+ * event is recorded as well.
+ * @param {Object} params
+ * @param {String} params.attemptId
+ * @param {String} params.studentId - Must own the attempt
+ * @param {Object} params.payload - Event sent by the client
+ * @param {String} [params.ip]
+ * @param {String} [params.userAgent]
+ * @param {Date} [params.now]
+ * @returns {Promise<{ error: String|null, attempt: Object|null, newlyFlagged: Boolean }>}
+ */
+async function recordIntegrityEvent({ attemptId, studentId, payload, ip = null, userAgent = null, now = new Date() }) {
+  if (!mongoose.isValidObjectId(attemptId)) return { error: 'Attempt not found', attempt: null, newlyFlagged: false };
+
+  const attempt = await TestAttempt.findOne({ _id: attemptId, student: studentId })
+    .select(`test status startTime endTime ${INTEGRITY_FIELDS}`);
+
+  if (!attempt) return { error: 'Attempt not found', attempt: null, newlyFlagged: false };
+  if (attempt.status !== 'in_progress') {
+    return { error: 'Attempt is no longer in progress', attempt: null, newlyFlagged: false };
+  }
+
+  const { error, event } = normalizeClientEvent(payload, attempt, now);
+  if (error) return { error, attempt: null, newlyFlagged: false };
+
+  const knownIp = attempt.lastIp || attempt.startIp;
+  const events = [];
+  if (ip && knownIp && ip !== knownIp) {
+    events.push({ type: 'ip_change', occurredAt: now, receivedAt: now, ip, previousIp: knownIp, userAgent });
+  }
+  events.push({ ...event, receivedAt: now, ip, userAgent });
+
+  const stored = attempt.integrityEvents.length;
+  if (stored + events.length > MAX_EVENTS_PER_ATTEMPT) {
+    return { error: null, attempt, newlyFlagged: false };
+  }
+
+  // Push atomically so events sent in quick succession are all kept and
+  // autosave writes to the same attempt are not overwritten; the score is
+  // then computed from everything stored
+  const update = { $push: { integrityEvents: { $each: events } } };
+  if (ip) update.$set = { lastIp: ip };
+  const updated = await TestAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in_progress' },
+    update,
+    { new: true, projection: `test student ${INTEGRITY_FIELDS}` }
+  );
+
+  if (!updated) return { error: 'Attempt is no longer in progress', attempt: null, newlyFlagged: false };
+
+  const { score, flagged } = computeSuspicionScore(updated.integrityEvents);
+  updated.suspicionScore = score;
+  updated.flagged = flagged;
+  await TestAttempt.updateOne({ _id: updated._id }, { $set: { suspicionScore: score, flagged } });
+
+  return { error: null, attempt: updated, newlyFlagged: !attempt.flagged && updated.flagged };
+}
+
+/**
+ * Integrity summary of an attempt for instructor views
+ * @param {Object} attempt - TestAttempt selected with the integrity fields
+ * @param {Object} [options]
+ * @param {Boolean} [options.includeEvents] - Include the event timeline
+ * @returns {Object}
+ */
+function summarizeIntegrity(attempt, { includeEvents = false } = {}) {
+  const events = attempt.integrityEvents || [];
+  const { counts, awaySeconds } = computeSuspicionScore(events);
+  const summary = {
+    suspicionScore: attempt.suspicionScore || 0,
+    flagged: !!attempt.flagged,
+    eventCount: events.length,
+    counts,
+    awaySeconds,
+    startIp: attempt.startIp || null,
+    lastIp: attempt.lastIp || null
+  };
+  if (includeEvents) {
+    summary.events = events
+      .map(e => (typeof e.toObject === 'function' ? e.toObject() : e))
+      .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+  }
+  return summary;
+}
+
+module.exports = {
+  CLIENT_EVENT_TYPES,
+  EVENT_WEIGHTS,
+  FLAG_THRESHOLD,
+  MAX_EVENTS_PER_ATTEMPT,
+  INTEGRITY_SELECT,
+  computeSuspicionScore,
+  normalizeClientEvent,
+  recordIntegrityEvent,
+  summarizeIntegrity
+};
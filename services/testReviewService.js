@@ -0,0 +1,218 @@
+/**
+ * Post-test review: when a student may review an attempt, and the
+ * per-question review showing their answer, the correct answer, the
+ * explanation, per-option feedback and the lecture to revisit.
+ */
+const mongoose = require('mongoose');
+const Content = require('../models/Content');
+const TestAttempt = require('../models/TestAttempt');
+const { getQuestionType } = require('./testScoringService');
+const { getEffectiveTestSettings } = require('./testAccommodationService');
+
+const REVIEW_TIMINGS = ['immediately', 'after_end_date', 'after_last_attempt'];
+
+const COMPLETED_STATUSES = ['pending_review', 'graded'];
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+/**
+ * Decide whether the review of a test is open to a student
+ * @param {Object} test - ActiveTest (reviewTiming)
+ * @param {Object} settings - Effective settings for the student (endDate, maxAttempts)
+ * @param {Number} completedAttempts - Attempts the student has submitted
+ * @param {Date} [now]
+ * @returns {{ available: Boolean, availableAt: Date|null, reason: String|null }}
+ */
+function getReviewAvailability(test, settings, completedAttempts, now = new Date()) {
+  if (completedAttempts < 1) {
+    return { available: false, availableAt: null, reason: 'Submit the test to review it' };
+  }
+
+  switch (test.reviewTiming || 'immediately') {
+    case 'after_end_date': {
+      // Tests that never close can be reviewed right away
+      if (!settings.endDate || now > new Date(settings.endDate)) {
+        return { available: true, availableAt: null, reason: null };
+      }
+      return {
+        available: false,
+        availableAt: new Date(settings.endDate),
+        reason: 'The review opens after the test closes'
+      };
+    }
+    case 'after_last_attempt':
+      if (completedAttempts >= settings.maxAttempts) {
+        return { available: true, availableAt: null, reason: null };
+      }
+      return {
+        available: false,
+        availableAt: null,
+        reason: 'The review opens once you have used all your attempts'
+      };
+    default:
+      return { available: true, availableAt: null, reason: null };
+  }
+}
+
+/**
+ * Review availability for a student, taking accommodations into account
+ * @param {Object} test - ActiveTest document
+ * @param {String} studentId
+ * @param {Date} [now]
+ * @returns {Promise<{ available: Boolean, availableAt: Date|null, reason: String|null }>}
+ */
+async function resolveReviewAvailability(test, studentId, now = new Date()) {
+  const [settings, completedAttempts] = await Promise.all([
+    getEffectiveTestSettings(test, studentId),
+    TestAttempt.countDocuments({ test: test._id, student: studentId, status: { $in: COMPLETED_STATUSES } })
+  ]);
+  return getReviewAvailability(test, settings, completedAttempts, now);
+}
+
+/**
+ * Check that questions only reference lecture content of the test's course
+ * @param {Array} questions - Question payloads
+ * @param {String} courseId
+ * @returns {Promise<String|null>} Error message, or null when valid
+ */
+async function validateReferenceContents(questions, courseId) {
+  const referenced = (questions || [])
+    .map((q, index) => ({ index, id: q && q.referenceContent }))
+    .filter(r => r.id);
+  if (referenced.length === 0) return null;
+
+  const invalid = referenced.find(r => !mongoose.isValidObjectId(r.id));
+  if (invalid) return `Question ${invalid.index + 1} references an invalid lecture`;
+
+  const ids = [...new Set(referenced.map(r => String(r.id)))];
+  const found = await Content.find({ _id: { $in: ids }, course: courseId }).select('_id');
+  const foundIds = new Set(found.map(c => c._id.toString()));
+  const missing = referenced.find(r => !foundIds.has(String(r.id)));
+  return missing ? `Question ${missing.index + 1} references a lecture that is not part of this course` : null;
+}
+
+/**
+ * Load the lectures referenced by questions
+ * @param {Array} questions
+ * @param {String} courseId - Only content of this course is returned
+ * @returns {Promise<Map<String, Object>>} Content by id
+ */
+async function loadReferenceContents(questions, courseId) {
+  const ids = [...new Set(questions.map(q => q.referenceContent).filter(Boolean).map(String))];
+  if (ids.length === 0) return new Map();
+  const contents = await Content.find({ _id: { $in: ids }, course: courseId }).select('title type section');
+  return new Map(contents.map(c => [c._id.toString(), { _id: c._id, title: c.title, type: c.type, section: c.section }]));
+}
+
+const pickAnswer = (type, question, answer) => {
+  if (!answer) return null;
+  switch (type) {
+    case 'true_false':
+      return answer.booleanAnswer;
+    case 'numeric':
+      return answer.numericAnswer;
+    case 'short_answer':
+      return answer.textAnswer;
+    case 'essay':
+      return answer.essayAnswer;
+    case 'matching':
+      return (question.matchingPairs || []).map((pair, promptIdx) => {
+        const chosen = (answer.matchingAnswer || [])[promptIdx];
+        const match = Number.isInteger(chosen) && question.matchingPairs[chosen];
+        return { prompt: pair.prompt, match: match ? match.match : null };
+      });
+    case 'ordering':
+      return (answer.orderingAnswer || [])
+        .map(index => (question.orderingItems || [])[index])
+        .filter(item => item !== undefined);
+    default:
+      return null;
+  }
+};
+
+const pickCorrectAnswer = (type, question) => {
+  switch (type) {
+    case 'true_false':
+      return question.correctBoolean;
+    case 'numeric':
+      return { value: question.numericAnswer, tolerance: question.numericTolerance || 0 };
+    case 'short_answer':
+      return question.acceptedAnswers || [];
+    case 'matching':
+      return (question.matchingPairs || []).map(p => ({ prompt: p.prompt, match: p.match }));
+    case 'ordering':
+      return question.orderingItems || [];
+    default:
+      return null;
+  }
+};
+
+/**
+ * Build the review of a submitted attempt
+ * @param {Array} questions - Questions of the attempt (fixed and drawn)
+ * @param {Object} attempt - Submitted TestAttempt
+ * @param {Object} [options]
+ * @param {Boolean} [options.showCorrectAnswers] - Reveal answer keys,
+ *   explanations and per-option feedback
+ * @param {Map} [options.contents] - Referenced lectures by id
+ * @returns {Array} One entry per question
+ */
+function buildAttemptReview(questions, attempt, { showCorrectAnswers = true, contents = new Map() } = {}) {
+  const answers = new Map((attempt.answers || []).map((a) => {
+    const plain = toPlain(a);
+    return [String(plain.questionId), plain];
+  }));
+
+  return questions.map((raw, position) => {
+    const question = toPlain(raw);
+    const type = getQuestionType(question);
+    const answer = answers.get(question._id.toString()) || null;
+    const reference = question.referenceContent ? contents.get(String(question.referenceContent)) || null : null;
+
+    const item = {
+      position: position + 1,
+      questionId: question._id,
+      questionText: question.questionText,
+      questionType: type,
+      points: question.points || 1,
+      answered: !!answer,
+      pointsEarned: answer ? answer.pointsEarned || 0 : 0,
+      isCorrect: answer ? !!answer.isCorrect : false,
+      reviewStatus: answer ? answer.reviewStatus || 'not_required' : 'not_required',
+      yourAnswer: pickAnswer(type, question, answer),
+      correctAnswer: showCorrectAnswers ? pickCorrectAnswer(type, question) : null,
+      explanation: showCorrectAnswers ? question.explanation || '' : '',
+      reference,
+      instructorFeedback: answer ? answer.feedback || '' : ''
+    };
+
+    if (type === 'single_choice' || type === 'multi_select') {
+      const selected = type === 'single_choice'
+        ? [answer ? answer.selectedOptionIndex : null]
+        : (answer && answer.selectedOptionIndexes) || [];
+
+      item.options = (question.options || []).map((option, index) => {
+        const chosen = selected.includes(index);
+        return {
+          index,
+          optionText: option.optionText,
+          selected: chosen,
+          isCorrect: showCorrectAnswers ? !!option.isCorrect : undefined,
+          feedback: showCorrectAnswers ? option.feedback || '' : ''
+        };
+      });
+      item.yourAnswer = selected.filter(index => Number.isInteger(index));
+    }
+
+    return item;
+  });
+}
+
+module.exports = {
+  REVIEW_TIMINGS,
+  getReviewAvailability,
+  resolveReviewAvailability,
+  validateReferenceContents,
+  loadReferenceContents,
+  buildAttemptReview
+};
@@ -0,0 +1,605 @@
+/**
+ * Per-question-type logic for active tests: validation of instructor input,
+ * scoring of student answers and stripping answer keys before questions are
+ * sent to students.
+ */
+
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value ?? '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+const shuffle = (items) => {
+  const arr = [...items];
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+};
+
+// Question types whose answers are arranged from a shuffled list
+const ARRANGED_TYPES = ['matching', 'ordering'];
+
+const countArrangedItems = (question) => {
+  const type = getQuestionType(question);
+  if (type === 'matching') return (question.matchingPairs || []).length;
+  if (type === 'ordering') return (question.orderingItems || []).length;
+  return 0;
+};
+
+// Students answer matching and ordering questions with tokens: positions in
+// the order the matches or items were shown to their attempt. order[token]
+// is the original index. Without an order, tokens are the original indexes.
+const fromTokens = (tokens, order) => (
+  order ? tokens.map(token => (Number.isInteger(order[token]) ? order[token] : -1)) : tokens
+);
+const toTokens = (indexes, order) => (order ? indexes.map(index => order.indexOf(index)) : indexes);
+
+/**
+ * Resolve the type of a question, treating legacy questions (created before
+ * question types existed) as single choice.
+ * @param {Object} question - ActiveTest question
+ * @returns {String} Question type
+ */
+function getQuestionType(question) {
+  return (question && question.questionType) || 'single_choice';
+}
+
+/**
+ * Validate an instructor-supplied question
+ * @param {Object} question - Question payload
+ * @param {Number} index - Zero-based position, used in messages
+ * @returns {String|null} Error message, or null when the question is valid
+ */
+function validateQuestion(question, index) {
+  const label = `Question ${index + 1}`;
+  const type = getQuestionType(question);
+
+  if (!question || typeof question.questionText !== 'string' || !question.questionText.trim()) {
+    return `${label} must have question text`;
+  }
+
+  switch (type) {
+    case 'single_choice':
+    case 'multi_select': {
+      if (!Array.isArray(question.options) || question.options.length < 2) {
+        return `${label} must have at least 2 options`;
+      }
+      const correctCount = question.options.filter(opt => opt && opt.isCorrect).length;
+      if (correctCount === 0) {
+        return `${label} must have at least one correct answer`;
+      }
+      return null;
+    }
+
+    case 'true_false':
+      if (typeof question.correctBoolean !== 'boolean') {
+        return `${label} must specify whether the statement is true or false`;
+      }
+      return null;
+
+    case 'numeric': {
+      const answer = Number(question.numericAnswer);
+      if (question.numericAnswer === null || question.numericAnswer === undefined || question.numericAnswer === '' || !Number.isFinite(answer)) {
+        return `${label} must have a numeric answer`;
+      }
+      if (question.numericTolerance !== undefined && question.numericTolerance !== null) {
+        const tolerance = Number(question.numericTolerance);
+        if (!Number.isFinite(tolerance) || tolerance < 0) {
+          return `${label} tolerance must be a non-negative number`;
+        }
+      }
+      return null;
+    }
+
+    case 'short_answer': {
+      const accepted = Array.isArray(question.acceptedAnswers)
+        ? question.acceptedAnswers.filter(a => typeof a === 'string' && a.trim())
+        : [];
+      if (accepted.length === 0) {
+        return `${label} must have at least one accepted answer`;
+      }
+      return null;
+    }
+
+    case 'matching': {
+      const pairs = Array.isArray(question.matchingPairs) ? question.matchingPairs : [];
+      if (pairs.length < 2) {
+        return `${label} must have at least 2 matching pairs`;
+      }
+      const incomplete = pairs.some(p => !p || !String(p.prompt || '').trim() || !String(p.match || '').trim());
+      if (incomplete) {
+        return `${label} has a matching pair without a prompt or match`;
+      }
+      return null;
+    }
+
+    case 'ordering': {
+      const items = Array.isArray(question.orderingItems)
+        ? question.orderingItems.filter(i => typeof i === 'string' && i.trim())
+        : [];
+      if (items.length < 2) {
+        return `${label} must have at least 2 items to order`;
+      }
+      return null;
+    }
+
+    case 'essay':
+      if (question.maxWords !== undefined && question.maxWords !== null &&
+          !(Number.isInteger(Number(question.maxWords)) && Number(question.maxWords) > 0)) {
+        return `${label} word limit must be a positive whole number`;
+      }
+      return null;
+
+    default:
+      return `${label} has an unsupported question type '${type}'`;
+  }
+}
+
+/**
+ * Validate a full list of questions
+ * @param {Array} questions - Question payloads
+ * @returns {String|null} First error message, or null when all are valid
+ */
+function validateQuestions(questions) {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return 'Test must have at least one question';
+  }
+  for (let i = 0; i < questions.length; i++) {
+    const error = validateQuestion(questions[i], i);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Fraction of a multi-part answer that is correct, honouring partialCredit
+ * @returns {Number} Fraction between 0 and 1
+ */
+function partialFraction(correctParts, totalParts, partialCredit) {
+  if (totalParts <= 0) return 0;
+  if (correctParts >= totalParts) return 1;
+  return partialCredit === false ? 0 : Math.max(0, correctParts / totalParts);
+}
+
+/**
+ * Score a single answer against its question
+ * @param {Object} question - ActiveTest question
+ * @param {Object} answer - Raw answer payload submitted by the student
+ * @param {Array<Number>} [order] - Answer order of the question in the
+ *   student's attempt; matching and ordering answers are then read as tokens
+ *   and recorded as original indexes
+ * @returns {Object} Normalized answer record for TestAttempt.answers
+ */
+function scoreAnswer(question, answer = {}, order = null) {
+  const type = getQuestionType(question);
+  const maxPoints = question.points || 1;
+  const record = { questionId: answer.questionId };
+  let fraction = 0;
+
+  switch (type) {
+    case 'single_choice': {
+      const idx = Number.isInteger(answer.selectedOptionIndex) ? answer.selectedOptionIndex : null;
+      record.selectedOptionIndex = idx;
+      const selectedOption = idx !== null ? question.options[idx] : null;
+      fraction = selectedOption && selectedOption.isCorrect ? 1 : 0;
+      break;
+    }
+
+    case 'multi_select': {
+      const selected = Array.isArray(answer.selectedOptionIndexes)
+        ? [...new Set(answer.selectedOptionIndexes.filter(i => Number.isInteger(i) && i >= 0 && i < question.options.length))]
+        : [];
+      record.selectedOptionIndexes = selected;
+      const correctIndexes = question.options
+        .map((opt, i) => (opt.isCorrect ? i : null))
+        .filter(i => i !== null);
+      const hits = selected.filter(i => question.options[i].isCorrect).length;
+      const misses = selected.length - hits;
+      if (hits === correctIndexes.length && misses === 0) {
+        fraction = 1;
+      } else if (question.partialCredit !== false) {
+        // Wrong selections cancel out right ones so "select everything" earns nothing
+        fraction = Math.max(0, (hits - misses) / correctIndexes.length);
+      }
+      break;
+    }
+
+    case 'true_false': {
+      const value = typeof answer.booleanAnswer === 'boolean' ? answer.booleanAnswer : null;
+      record.booleanAnswer = value;
+      fraction = value !== null && value === question.correctBoolean ? 1 : 0;
+      break;
+    }
+
+    case 'numeric': {
+      const raw = answer.numericAnswer;
+      const value = raw === null || raw === undefined || raw === '' ? NaN : Number(raw);
+      record.numericAnswer = Number.isFinite(value) ? value : null;
+      const tolerance = Math.abs(question.numericTolerance || 0);
+      fraction = Number.isFinite(value) && Math.abs(value - question.numericAnswer) <= tolerance + 1e-9 ? 1 : 0;
+      break;
+    }
+
+    case 'short_answer': {
+      const text = typeof answer.textAnswer === 'string' ? answer.textAnswer.slice(0, 1000) : null;
+      record.textAnswer = text;
+      if (text && text.trim()) {
+        const given = normalizeText(text, question.caseSensitive);
+        fraction = (question.acceptedAnswers || []).some(a => normalizeText(a, question.caseSensitive) === given) ? 1 : 0;
+      }
+      break;
+    }
+
+    case 'matching': {
+      const pairs = question.matchingPairs || [];
+      const chosen = Array.isArray(answer.matchingAnswer)
+        ? answer.matchingAnswer.slice(0, pairs.length).map(i => (Number.isInteger(i) ? i : -1))
+        : [];
+      record.matchingAnswer = fromTokens(chosen, order);
+      const correctParts = record.matchingAnswer.filter((matchIdx, promptIdx) => matchIdx === promptIdx).length;
+      fraction = partialFraction(correctParts, pairs.length, question.partialCredit);
+      break;
+    }
+
+    case 'essay': {
+      const text = typeof answer.essayAnswer === 'string' ? answer.essayAnswer.slice(0, 20000) : null;
+      record.essayAnswer = text;
+      // Blank essays earn nothing without bothering the instructor
+      record.reviewStatus = text && text.trim() ? 'pending' : 'not_required';
+      break;
+    }
+
+    case 'ordering': {
+      const items = question.orderingItems || [];
+      const arranged = Array.isArray(answer.orderingAnswer)
+        ? answer.orderingAnswer.slice(0, items.length).map(i => (Number.isInteger(i) ? i : -1))
+        : [];
+      record.orderingAnswer = fromTokens(arranged, order);
+      const correctParts = record.orderingAnswer.filter((itemIdx, position) => itemIdx === position).length;
+      fraction = partialFraction(correctParts, items.length, question.partialCredit);
+      break;
+    }
+
+    default:
+      fraction = 0;
+  }
+
+  record.isCorrect = fraction >= 1;
+  record.pointsEarned = roundPoints(fraction * maxPoints);
+  return record;
+}
+
+/**
+ * Score a full submission. Answers for unknown questions are kept but earn
+ * nothing; duplicate answers for the same question only count once.
+ * @param {Array} questions - Questions of the attempt (fixed and drawn)
+ * @param {Array} answers - Raw answers submitted by the student
+ * @returns {{ gradedAnswers: Array, pointsEarned: Number }}
+ */
+function scoreAnswers(questions, answers) {
+  const questionMap = new Map(questions.map(q => [q._id.toString(), q]));
+  const seen = new Set();
+  let pointsEarned = 0;
+
+  const gradedAnswers = (Array.isArray(answers) ? answers : []).reduce((acc, answer) => {
+    if (!answer || !answer.questionId) return acc;
+    const key = String(answer.questionId);
+    if (seen.has(key)) return acc;
+    seen.add(key);
+
+    const question = questionMap.get(key);
+    if (!question) {
+      acc.push({
+        questionId: answer.questionId,
+        selectedOptionIndex: Number.isInteger(answer.selectedOptionIndex) ? answer.selectedOptionIndex : null,
+        isCorrect: false,
+        pointsEarned: 0
+      });
+      return acc;
+    }
+
+    const graded = scoreAnswer(question, answer);
+    pointsEarned += graded.pointsEarned;
+    acc.push(graded);
+    return acc;
+  }, []);
+
+  return { gradedAnswers, pointsEarned: roundPoints(pointsEarned) };
+}
+
+/**
+ * Shuffle the matches of a matching question or the items of an ordering
+ * question for one attempt
+ * @param {Object} question - ActiveTest question
+ * @returns {Array<Number>} Original indexes in the order they are shown
+ */
+function createAnswerOrder(question) {
+  return shuffle([...Array(countArrangedItems(question)).keys()]);
+}
+
+/**
+ * Answer orders for the matching and ordering questions of a new attempt,
+ * stored on TestAttempt.answerOrders
+ * @param {Array} questions - Questions of the attempt (fixed and drawn)
+ * @returns {Array<{ questionId, order: Array<Number> }>}
+ */
+function buildAnswerOrders(questions) {
+  return questions
+    .filter(q => ARRANGED_TYPES.includes(getQuestionType(q)))
+    .map(q => ({ questionId: q._id, order: createAnswerOrder(q) }));
+}
+
+/**
+ * Look up the answer order of a question in an attempt's answer orders
+ * @param {Array} answerOrders - TestAttempt.answerOrders
+ * @param {*} questionId
+ * @returns {Array<Number>|null}
+ */
+function findAnswerOrder(answerOrders, questionId) {
+  const entry = (answerOrders || []).find(o => String(o.questionId) === String(questionId));
+  return entry ? [...entry.order] : null;
+}
+
+/**
+ * Remove answer keys from a question before it is sent to a student.
+ * Matching answers and ordering items are shown in the given answer order
+ * and exposed only by their token (position in that order), which is what
+ * students submit back.
+ * @param {Object} question - ActiveTest question (document or plain object)
+ * @param {Object} [options]
+ * @param {Array<Number>} [options.order] - The attempt's answer order; a
+ *   fresh one is drawn when missing
+ * @returns {Object} Plain question safe for students
+ */
+function sanitizeQuestionForStudent(question, { order } = {}) {
+  const q = { ...toPlain(question) };
+  const type = getQuestionType(q);
+  q.questionType = type;
+
+  q.options = (q.options || []).map(({ isCorrect, feedback, ...rest }) => rest);
+  delete q.correctBoolean;
+  delete q.numericAnswer;
+  delete q.numericTolerance;
+  delete q.acceptedAnswers;
+  delete q.caseSensitive;
+  delete q.gradingNotes;
+  delete q.explanation;
+  delete q.referenceContent;
+
+  const shown = Array.isArray(order) && order.length === countArrangedItems(q)
+    ? order
+    : createAnswerOrder(q);
+
+  if (type === 'matching') {
+    const pairs = q.matchingPairs || [];
+    q.matchingPrompts = pairs.map((p, index) => ({ index, text: p.prompt }));
+    q.matchingOptions = shown.map((original, token) => ({ index: token, text: pairs[original].match }));
+  }
+  delete q.matchingPairs;
+
+  if (type === 'ordering') {
+    const items = q.orderingItems || [];
+    q.orderingItems = shown.map((original, token) => ({ index: token, text: items[original] }));
+  } else {
+    delete q.orderingItems;
+  }
+
+  return q;
+}
+
+/**
+ * Sanitize the questions of an attempt, showing matching and ordering
+ * questions in the attempt's answer order
+ * @param {Array} questions - Questions of the attempt
+ * @param {Object} attempt - TestAttempt (document or plain object)
+ * @returns {Array} Plain questions safe for students
+ */
+function sanitizeQuestionsForAttempt(questions, attempt) {
+  const { answerOrders } = toPlain(attempt) || {};
+  return (questions || []).map(q => sanitizeQuestionForStudent(q, { order: findAnswerOrder(answerOrders, q._id) }));
+}
+
+/**
+ * Remove answer keys from the questions drawn for an attempt before the
+ * attempt is sent to a student. Saved matching and ordering answers are
+ * turned back into the tokens the student submitted.
+ * @param {Object} attempt - TestAttempt (document or plain object)
+ * @returns {Object} Plain attempt safe for students
+ */
+function sanitizeAttemptForStudent(attempt) {
+  const { answerOrders, ...attemptObj } = toPlain(attempt);
+  attemptObj.drawnQuestions = sanitizeQuestionsForAttempt(attemptObj.drawnQuestions, { answerOrders });
+  attemptObj.answers = (attemptObj.answers || []).map((answer) => {
+    const order = findAnswerOrder(answerOrders, answer.questionId);
+    if (!order) return answer;
+    return {
+      ...answer,
+      matchingAnswer: toTokens(answer.matchingAnswer || [], order),
+      orderingAnswer: toTokens(answer.orderingAnswer || [], order)
+    };
+  });
+  return attemptObj;
+}
+
+/**
+ * Build per-question statistics from graded attempts
+ * @param {Array} questions - Fixed test questions
+ * @param {Array} attempts - Graded TestAttempt documents; questions they drew
+ *   from banks are included as well
+ * @returns {Array} One entry per question
+ */
+function buildQuestionStatistics(questions, attempts) {
+  const stats = new Map();
+  const allQuestions = [...questions];
+  const known = new Set(questions.map(q => q._id.toString()));
+  attempts.forEach((attempt) => {
+    (attempt.drawnQuestions || []).forEach((q) => {
+      if (!known.has(q._id.toString())) {
+        known.add(q._id.toString());
+        allQuestions.push(q);
+      }
+    });
+  });
+
+  allQuestions.forEach((question) => {
+    const type = getQuestionType(question);
+    const entry = {
+      questionId: question._id,
+      sourceBank: question.sourceBank || null,
+      questionText: question.questionText,
+      questionType: type,
+      points: question.points || 1,
+      responses: 0,
+      correctCount: 0,
+      partialCount: 0,
+      incorrectCount: 0,
+      averagePoints: 0,
+      _pointsSum: 0
+    };
+
+    if (type === 'single_choice' || type === 'multi_select') {
+      entry.optionCounts = question.options.map((opt, index) => ({
+        index,
+        optionText: opt.optionText,
+        isCorrect: !!opt.isCorrect,
+        count: 0
+      }));
+    } else if (type === 'true_false') {
+      entry.booleanCounts = { true: 0, false: 0 };
+    } else if (type === 'numeric' || type === 'short_answer') {
+      entry._wrongAnswers = new Map();
+    } else if (type === 'matching') {
+      entry.itemAccuracy = (question.matchingPairs || []).map((p, index) => ({ index, prompt: p.prompt, correct: 0 }));
+    } else if (type === 'ordering') {
+      entry.itemAccuracy = (question.orderingItems || []).map((text, index) => ({ index, item: text, correct: 0 }));
+    }
+
+    stats.set(question._id.toString(), entry);
+  });
+
+  attempts.forEach((attempt) => {
+    (attempt.answers || []).forEach((answer) => {
+      const entry = stats.get(answer.questionId && answer.questionId.toString());
+      if (!entry) return;
+
+      entry.responses += 1;
+      entry._pointsSum += answer.pointsEarned || 0;
+      if (answer.isCorrect) entry.correctCount += 1;
+      else if ((answer.pointsEarned || 0) > 0) entry.partialCount += 1;
+      else entry.incorrectCount += 1;
+
+      switch (entry.questionType) {
+        case 'single_choice': {
+          const option = entry.optionCounts[answer.selectedOptionIndex];
+          if (option) option.count += 1;
+          break;
+        }
+        case 'multi_select':
+          (answer.selectedOptionIndexes || []).forEach((i) => {
+            if (entry.optionCounts[i]) entry.optionCounts[i].count += 1;
+          });
+          break;
+        case 'true_false':
+          if (typeof answer.booleanAnswer === 'boolean') {
+            entry.booleanCounts[String(answer.booleanAnswer)] += 1;
+          }
+          break;
+        case 'numeric':
+        case 'short_answer': {
+          if (answer.isCorrect) break;
+          const raw = entry.questionType === 'numeric' ? answer.numericAnswer : answer.textAnswer;
+          if (raw === null || raw === undefined || raw === '') break;
+          const key = entry.questionType === 'numeric' ? String(raw) : normalizeText(raw, false);
+          entry._wrongAnswers.set(key, (entry._wrongAnswers.get(key) || 0) + 1);
+          break;
+        }
+        case 'matching':
+          (answer.matchingAnswer || []).forEach((matchIdx, promptIdx) => {
+            if (matchIdx === promptIdx && entry.itemAccuracy[promptIdx]) entry.itemAccuracy[promptIdx].correct += 1;
+          });
+          break;
+        case 'ordering':
+          (answer.orderingAnswer || []).forEach((itemIdx, position) => {
+            if (itemIdx === position && entry.itemAccuracy[position]) entry.itemAccuracy[position].correct += 1;
+          });
+          break;
+        default:
+          break;
+      }
+    });
+  });
+
+  return Array.from(stats.values()).map((entry) => {
+    const { _pointsSum, _wrongAnswers, ...rest } = entry;
+    rest.averagePoints = rest.responses > 0 ? roundPoints(_pointsSum / rest.responses) : 0;
+    rest.correctRate = rest.responses > 0 ? roundPoints((rest.correctCount / rest.responses) * 100) : 0;
+    if (_wrongAnswers) {
+      rest.commonWrongAnswers = Array.from(_wrongAnswers.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([answer, count]) => ({ answer, count }));
+    }
+    return rest;
+  });
+}
+
+/**
+ * Whether any answer still waits for manual review
+ * @param {Array} answers - TestAttempt answers
+ * @returns {Boolean}
+ */
+function hasPendingReview(answers) {
+  return (answers || []).some(a => a && a.reviewStatus === 'pending');
+}
+
+/**
+ * Keep the instructor's grade on essay answers that were re-scored (e.g. on
+ * regrade) as long as the essay itself did not change
+ * @param {Array} gradedAnswers - Freshly scored answers
+ * @param {Array} previousAnswers - Answers stored on the attempt before
+ * @returns {Array} gradedAnswers with manual grades restored
+ */
+function carryOverManualGrades(gradedAnswers, previousAnswers) {
+  const previous = new Map((previousAnswers || []).map((a) => {
+    const plain = toPlain(a);
+    return [String(plain.questionId), plain];
+  }));
+
+  return gradedAnswers.map((answer) => {
+    const before = previous.get(String(answer.questionId));
+    if (!before || before.reviewStatus !== 'graded' || answer.reviewStatus !== 'pending') return answer;
+    if ((before.essayAnswer || '') !== (answer.essayAnswer || '')) return answer;
+    return {
+      ...answer,
+      reviewStatus: 'graded',
+      pointsEarned: before.pointsEarned,
+      isCorrect: before.isCorrect,
+      feedback: before.feedback,
+      gradedBy: before.gradedBy,
+      gradedAt: before.gradedAt
+    };
+  });
+}
+
+module.exports = {
+  getQuestionType,
+  validateQuestion,
+  validateQuestions,
+  scoreAnswer,
+  scoreAnswers,
+  createAnswerOrder,
+  buildAnswerOrders,
+  findAnswerOrder,
+  sanitizeQuestionForStudent,
+  sanitizeQuestionsForAttempt,
+  sanitizeAttemptForStudent,
+  buildQuestionStatistics,
+  hasPendingReview,
+  carryOverManualGrades
+};
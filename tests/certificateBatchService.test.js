@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifyEligibility } = require('../services/certificateBatchService');
+const { ELIGIBILITY_STATUSES } = require('../services/certificateEligibilityService');
+
+const eligibleResult = (status) => ({ status, eligible: true, details: { overallGrade: 88 } });
+
+test('classifyEligibility issues to every eligible status', () => {
+  [
+    ELIGIBILITY_STATUSES.AUTO_GRANT,
+    ELIGIBILITY_STATUSES.CAN_REQUEST,
+    ELIGIBILITY_STATUSES.GROUP_COMPLETED_AND_ELIGIBLE
+  ].forEach((status) => {
+    assert.deepEqual(classifyEligibility(eligibleResult(status), null), { issue: true, reason: null, message: null });
+  });
+
+  // A pending request is issued rather than skipped
+  assert.equal(classifyEligibility(eligibleResult(ELIGIBILITY_STATUSES.CAN_REQUEST), { status: 'requested' }).issue, true);
+});
+
+test('classifyEligibility explains why a student is skipped', () => {
+  const eligible = eligibleResult(ELIGIBILITY_STATUSES.AUTO_GRANT);
+
+  assert.equal(classifyEligibility(eligible, { status: 'issued' }).reason, 'ALREADY_ISSUED');
+  assert.equal(classifyEligibility(eligible, { status: 'revoked' }).reason, 'REVOKED');
+  assert.equal(classifyEligibility(null, null).reason, 'ELIGIBILITY_ERROR');
+
+  assert.deepEqual(
+    classifyEligibility({ status: ELIGIBILITY_STATUSES.GROUP_NOT_COMPLETED, eligible: false, details: { completedItems: 3, totalItems: 8 } }, null),
+    { issue: false, reason: 'GROUP_NOT_COMPLETED', message: 'Completed 3 of 8 items' }
+  );
+  assert.equal(
+    classifyEligibility({ status: ELIGIBILITY_STATUSES.GROUP_NOT_COMPLETED, eligible: false, details: { reason: 'NOT_ENROLLED' } }, null).reason,
+    'NOT_ENROLLED'
+  );
+  assert.deepEqual(
+    classifyEligibility({ status: ELIGIBILITY_STATUSES.GROUP_COMPLETED_BUT_GRADE_TOO_LOW, eligible: false, details: { overallGrade: 54.6, passingGrade: 60 } }, null),
+    { issue: false, reason: 'GRADE_TOO_LOW', message: 'Grade 55% is below the passing grade of 60%' }
+  );
+  assert.equal(
+    classifyEligibility({ status: ELIGIBILITY_STATUSES.CERTIFICATES_DISABLED, eligible: false, details: {} }, null).reason,
+    'CERTIFICATES_DISABLED'
+  );
+});
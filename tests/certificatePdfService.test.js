@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_CERTIFICATE_TEMPLATE,
+  validateCertificateTemplate,
+  renderCertificateText,
+  generateVerificationCode,
+  buildVerificationUrl,
+  renderCertificatePdf
+} = require('../services/certificatePdfService');
+
+test('validateCertificateTemplate only accepts known placeholders', () => {
+  assert.equal(validateCertificateTemplate(''), null);
+  assert.equal(validateCertificateTemplate('{studentName} finished {courseName} on {date}'), null);
+  assert.match(validateCertificateTemplate('Well done {firstName}'), /Unknown placeholder \{firstName\}/);
+  assert.match(validateCertificateTemplate(42), /string/);
+  assert.match(validateCertificateTemplate('x'.repeat(1001)), /1000 characters/);
+});
+
+test('renderCertificateText fills placeholders and falls back to the default', () => {
+  assert.equal(
+    renderCertificateText('{studentName} passed {courseName} ({grade}) {gradeLabel}', {
+      studentName: 'Lina',
+      courseName: 'Algebra',
+      grade: '91%',
+      gradeLabel: ''
+    }),
+    'Lina passed Algebra (91%)'
+  );
+  assert.equal(
+    renderCertificateText('   ', { courseName: 'Algebra', grade: '75%' }),
+    DEFAULT_CERTIFICATE_TEMPLATE.replace('{courseName}', 'Algebra').replace('{grade}', '75%')
+  );
+  assert.equal(renderCertificateText('Keep {unknown}', {}), 'Keep {unknown}');
+});
+
+test('generateVerificationCode gives distinct readable codes', () => {
+  const codes = new Set(Array.from({ length: 50 }, generateVerificationCode));
+  assert.equal(codes.size, 50);
+  codes.forEach(code => assert.match(code, /^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/));
+  assert.match(buildVerificationUrl('ABCD-EFGH-JKLM'), /\/certificates\/verify\/ABCD-EFGH-JKLM$/);
+});
+
+test('renderCertificatePdf produces a PDF', async () => {
+  const pdf = await renderCertificatePdf({
+    studentName: 'Lina Haddad',
+    courseName: 'Algebra I',
+    grade: 88.4,
+    gradeLabel: 'B+',
+    issuedAt: new Date('2026-03-01'),
+    instructorName: 'Omar',
+    platformName: 'EduFlow Academy',
+    verificationCode: 'ABCD-EFGH-JKLM',
+    verificationUrl: 'http://localhost:3000/certificates/verify/ABCD-EFGH-JKLM',
+    template: '',
+    signature: 'Dean of Studies'
+  });
+
+  assert.ok(Buffer.isBuffer(pdf));
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.ok(pdf.length > 1000);
+});
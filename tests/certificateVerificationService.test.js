@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeSerial, toVerificationResult } = require('../services/certificateVerificationService');
+
+test('normalizeSerial accepts serials typed loosely', () => {
+  assert.equal(normalizeSerial('7KQ2-M9XD-P4TA'), '7KQ2-M9XD-P4TA');
+  assert.equal(normalizeSerial(' 7kq2 m9xd p4ta '), '7KQ2-M9XD-P4TA');
+  assert.equal(normalizeSerial('7KQ2M9XDP4TA'), '7KQ2-M9XD-P4TA');
+  assert.equal(normalizeSerial('7KQ2-M9XD'), null);
+  assert.equal(normalizeSerial(undefined), null);
+});
+
+test('toVerificationResult shows valid certificates without private details', () => {
+  const issuedAt = new Date('2026-05-01');
+  const result = toVerificationResult({
+    verificationCode: '7KQ2-M9XD-P4TA',
+    status: 'issued',
+    student: { name: 'Lina Haddad', email: 'lina@example.com' },
+    course: { name: 'Algebra I' },
+    group: { name: 'Spring' },
+    issuedAt,
+    courseGrade: 91
+  });
+
+  assert.deepEqual(result, {
+    serial: '7KQ2-M9XD-P4TA',
+    status: 'valid',
+    holderName: 'Lina Haddad',
+    course: 'Algebra I',
+    group: 'Spring',
+    issuedAt,
+    revokedAt: null,
+    revocationReason: null,
+    replacedBy: null
+  });
+});
+
+test('toVerificationResult reports revocations and the replacement serial', () => {
+  const revokedAt = new Date('2026-06-01');
+  const result = toVerificationResult({
+    verificationCode: '7KQ2-M9XD-P4TA',
+    status: 'revoked',
+    student: { name: 'Lina Haddad' },
+    course: { name: 'Algebra I' },
+    issuedAt: new Date('2026-05-01'),
+    revokedAt,
+    revocationReason: 'Reissued: name misspelled',
+    replacedBy: { verificationCode: 'ABCD-EFGH-JKLM', status: 'issued' }
+  });
+
+  assert.equal(result.status, 'revoked');
+  assert.equal(result.revokedAt, revokedAt);
+  assert.equal(result.revocationReason, 'Reissued: name misspelled');
+  assert.equal(result.replacedBy, 'ABCD-EFGH-JKLM');
+  assert.equal(result.group, null);
+
+  const replacementRevoked = toVerificationResult({
+    status: 'revoked',
+    replacedBy: { verificationCode: 'ABCD-EFGH-JKLM', status: 'revoked' }
+  });
+  assert.equal(replacementRevoked.replacedBy, null);
+});
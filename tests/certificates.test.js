@@ -4,6 +4,7 @@ const app = require('../index');
 const User = require('../models/User');
 const Course = require('../models/Course');
 const Section = require('../models/Section');
+const Group = require('../models/Group');
 const CertificateRequest = require('../models/CertificateRequest');
 const Enrollment = require('../models/Enrollment');
 const StudentContentGrade = require('../models/StudentContentGrade');
@@ -174,6 +175,34 @@ describe('Certificate System Tests', () => {
       expect(res.body.message).toContain('already');
     });
 
+    it('should not issue a new certificate after a revocation', async () => {
+      await StudentContentGrade.create({
+        student: studentUser._id,
+        content: content._id,
+        section: section._id,
+        course: course._id,
+        status: 'watched',
+        gradePercent: 90
+      });
+      await CertificateRequest.create({
+        student: studentUser._id,
+        course: course._id,
+        status: 'revoked',
+        courseGrade: 90,
+        revokedAt: new Date(),
+        revocationReason: 'Academic misconduct'
+      });
+
+      const res = await request(app)
+        .post('/api/certificates/request')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ courseId: course._id.toString() });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toContain('revoked');
+      expect(await CertificateRequest.countDocuments({ student: studentUser._id })).toBe(1);
+    });
+
     it('should reject request if not enrolled', async () => {
       // Delete enrollment
       await Enrollment.deleteMany({ student: studentUser._id });
@@ -274,7 +303,7 @@ describe('Certificate System Tests', () => {
       expect(res.body.request.issuedAt).toBeDefined();
     });
 
-    it('should reject approval without certificate file', async () => {
+    it('should render the certificate when no file is uploaded', async () => {
       const certRequest = await CertificateRequest.create({
         student: studentUser._id,
         course: course._id,
@@ -286,8 +315,11 @@ describe('Certificate System Tests', () => {
         .post(`/api/certificates/${certRequest._id}/approve`)
         .set('Authorization', `Bearer ${adminToken}`);
 
-      expect(res.status).toBe(400);
-      expect(res.body.message).toContain('required');
+      expect(res.status).toBe(200);
+      expect(res.body.request.status).toBe('issued');
+      expect(res.body.request.certificateFile.generated).toBe(true);
+      expect(res.body.request.certificateFile.mimeType).toBe('application/pdf');
+      expect(res.body.request.verificationCode).toBeDefined();
     });
 
     it('should only accept .rar files for certificates', async () => {
@@ -372,6 +404,39 @@ describe('Certificate System Tests', () => {
     });
   });
 
+  describe('GET /api/certificates/my-eligibility', () => {
+    it('should report a revoked certificate without issuing a new one', async () => {
+      const group = await Group.create({
+        name: 'Test Group',
+        course: course._id,
+        level: 'beginner',
+        instructor: instructorUser._id,
+        startDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+        endDate: new Date()
+      });
+      await Enrollment.updateOne({ student: studentUser._id }, { $set: { group: group._id, status: 'completed' } });
+      await Course.updateOne({ _id: course._id }, { $set: { offersCertificate: true, certificateMode: 'automatic' } });
+      await CertificateRequest.create({
+        student: studentUser._id,
+        course: course._id,
+        group: group._id,
+        status: 'revoked',
+        courseGrade: 90,
+        revokedAt: new Date(),
+        revocationReason: 'Academic misconduct'
+      });
+
+      const res = await request(app)
+        .get('/api/certificates/my-eligibility')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.enrolledCourses[0].certificateStatus).toBe('revoked');
+      expect(await CertificateRequest.countDocuments({ student: studentUser._id })).toBe(1);
+      await Group.deleteMany({});
+    });
+  });
+
   describe('GET /api/certificates/my', () => {
     it('should list student issued certificates', async () => {
       await CertificateRequest.create({
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Content = require('../models/Content');
+const {
+  validateReleaseRule,
+  getReleaseDate,
+  evaluateRelease,
+  toUnreleasedItem,
+  unreleasedResponse,
+  findReleasesBetween
+} = require('../services/contentReleaseService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+test('validateReleaseRule checks each rule type', () => {
+  assert.deepEqual(validateReleaseRule(null), { error: null, release: { type: 'immediate', date: null, days: 0 } });
+  assert.deepEqual(validateReleaseRule({ type: 'fixed_date', date: '2026-03-01T09:00:00Z' }).release, {
+    type: 'fixed_date',
+    date: new Date('2026-03-01T09:00:00Z'),
+    days: 0
+  });
+  assert.equal(validateReleaseRule({ type: 'after_enrollment', days: '7' }).release.days, 7);
+  assert.equal(validateReleaseRule({ type: 'after_group_start', days: -3 }).release.days, -3);
+
+  assert.equal(validateReleaseRule([]).error, 'Release rule must be an object');
+  assert.match(validateReleaseRule({ type: 'weekly' }).error, /^type must be one of/);
+  assert.equal(validateReleaseRule({ type: 'fixed_date' }).error, 'date must be a valid date');
+  assert.equal(validateReleaseRule({ type: 'fixed_date', date: 'soon' }).error, 'date must be a valid date');
+  assert.match(validateReleaseRule({ type: 'after_enrollment', days: -1 }).error, /between 0 and 365/);
+  assert.match(validateReleaseRule({ type: 'after_group_start', days: 1.5 }).error, /between -365 and 365/);
+});
+
+test('getReleaseDate counts from the fixed date, the enrollment or the group start', () => {
+  const facts = {
+    enrolledAt: new Date('2026-02-10T12:00:00Z'),
+    groupStartDate: new Date('2026-02-01T00:00:00Z')
+  };
+
+  assert.deepEqual(getReleaseDate(null, facts), { scheduled: false, releaseDate: null });
+  assert.deepEqual(getReleaseDate({ type: 'immediate' }, facts), { scheduled: false, releaseDate: null });
+  assert.deepEqual(getReleaseDate({ type: 'fixed_date', date: '2026-03-01T00:00:00Z' }, facts).releaseDate, new Date('2026-03-01T00:00:00Z'));
+  assert.deepEqual(getReleaseDate({ type: 'after_enrollment', days: 7 }, facts).releaseDate, new Date('2026-02-17T12:00:00Z'));
+  assert.deepEqual(getReleaseDate({ type: 'after_group_start', days: -2 }, facts).releaseDate, new Date('2026-01-30T00:00:00Z'));
+  assert.deepEqual(getReleaseDate({ type: 'after_enrollment', days: 7 }, {}), { scheduled: true, releaseDate: null });
+});
+
+test('evaluateRelease keeps items closed until their date, or while it is unknown', () => {
+  const now = new Date('2026-02-15T00:00:00Z');
+  const facts = { enrolledAt: new Date('2026-02-10T00:00:00Z'), groupStartDate: new Date('2026-02-01T00:00:00Z') };
+
+  assert.deepEqual(evaluateRelease(null, facts, now), { released: true, releaseDate: null });
+  assert.equal(evaluateRelease({ type: 'after_group_start', days: 14 }, facts, now).released, true);
+  assert.deepEqual(evaluateRelease({ type: 'after_enrollment', days: 7 }, facts, now), {
+    released: false,
+    releaseDate: new Date('2026-02-17T00:00:00Z')
+  });
+  assert.deepEqual(evaluateRelease({ type: 'after_enrollment', days: 7 }, {}, now), { released: false, releaseDate: null });
+});
+
+test('students only see the title and release date of unreleased items', () => {
+  const item = new Content({
+    title: 'Week 3 lecture',
+    description: 'Secret notes',
+    type: 'lecture',
+    section: id(),
+    group: id(),
+    course: id(),
+    createdBy: id(),
+    video: { storageType: 'youtube', youtubeVideoId: 'abc' },
+    release: { type: 'fixed_date', date: new Date('2026-03-01T00:00:00Z') }
+  });
+  const status = evaluateRelease(item.release, {}, new Date('2026-02-01T00:00:00Z'));
+  const hidden = toUnreleasedItem(item, status);
+
+  assert.equal(hidden.title, 'Week 3 lecture');
+  assert.equal(hidden.released, false);
+  assert.deepEqual(hidden.releaseDate, new Date('2026-03-01T00:00:00Z'));
+  assert.equal(hidden.description, undefined);
+  assert.equal(hidden.video, undefined);
+
+  assert.equal(unreleasedResponse(status).message, 'This content will be available on 2026-03-01T00:00:00.000Z');
+  assert.equal(unreleasedResponse({ released: false, releaseDate: null }).message, 'This content is not available yet');
+});
+
+test('findReleasesBetween picks the enrolled students an item opened for in the window', () => {
+  const [early, late, dropped, joinedAfter] = [id(), id(), id(), id()];
+  const group = {
+    startDate: new Date('2026-02-01T00:00:00Z'),
+    students: [
+      { student: early, status: 'enrolled', enrollmentDate: new Date('2026-02-01T00:00:00Z') },
+      { student: late, status: 'enrolled', enrollmentDate: new Date('2026-02-05T00:00:00Z') },
+      { student: dropped, status: 'dropped', enrollmentDate: new Date('2026-02-01T00:00:00Z') },
+      { student: joinedAfter, status: 'enrolled', enrollmentDate: new Date('2026-02-09T00:00:00Z') }
+    ]
+  };
+  const from = new Date('2026-02-07T23:45:00Z');
+  const to = new Date('2026-02-08T00:00:00Z');
+
+  const perStudent = findReleasesBetween({ type: 'after_enrollment', days: 7 }, group, new Date('2026-02-11T23:45:00Z'), new Date('2026-02-12T00:00:00Z'));
+  assert.deepEqual(perStudent, [{ student: late.toString(), releaseDate: new Date('2026-02-12T00:00:00Z') }]);
+
+  const groupWide = findReleasesBetween({ type: 'after_group_start', days: 7 }, group, from, to);
+  assert.deepEqual(groupWide.map(r => r.student), [early.toString(), late.toString()]);
+
+  // Already sent up to the release date
+  assert.deepEqual(findReleasesBetween({ type: 'fixed_date', date: to }, group, to, new Date(to.getTime() + 15 * 60 * 1000)), []);
+});
@@ -0,0 +1,250 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Group = require('../models/Group');
+const Section = require('../models/Section');
+const Content = require('../models/Content');
+const ActiveTest = require('../models/ActiveTest');
+const {
+  DAY_MS,
+  resolveDateOffset,
+  shiftDate,
+  buildIdMap,
+  remapId,
+  toMappingReport,
+  buildGroupCopy,
+  buildSectionCopy,
+  buildContentCopy,
+  buildTestCopy,
+  buildCourseCopy
+} = require('../services/courseCloneService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+test('resolveDateOffset moves dates to a new start date or by a number of days', () => {
+  const sourceStart = new Date('2026-01-05T00:00:00Z');
+
+  assert.deepEqual(resolveDateOffset({ startDate: '2026-09-07T00:00:00Z' }, sourceStart), {
+    error: null,
+    offsetMs: 245 * DAY_MS
+  });
+  assert.deepEqual(resolveDateOffset({ offsetDays: '-7' }, sourceStart), { error: null, offsetMs: -7 * DAY_MS });
+  assert.deepEqual(resolveDateOffset({}, sourceStart), { error: null, offsetMs: 0 });
+
+  assert.equal(resolveDateOffset({ startDate: 'next monday' }, sourceStart).error, 'startDate must be a valid date');
+  assert.equal(resolveDateOffset({ offsetDays: 'soon' }, sourceStart).error, 'offsetDays must be a number');
+  assert.match(resolveDateOffset({ startDate: '2026-09-07' }, null).error, /offsetDays/);
+});
+
+test('shiftDate keeps missing dates missing', () => {
+  assert.equal(shiftDate(null, DAY_MS), null);
+  assert.equal(shiftDate(undefined, DAY_MS), null);
+  assert.equal(shiftDate('not a date', DAY_MS), null);
+  assert.deepEqual(shiftDate('2026-03-01T10:00:00Z', 2 * DAY_MS), new Date('2026-03-03T10:00:00Z'));
+});
+
+test('remapId points references inside the clone at the copies and keeps the others', () => {
+  const inside = id();
+  const outside = id();
+  const map = buildIdMap([{ _id: inside }]);
+
+  assert.notEqual(remapId(map, inside).toString(), inside.toString());
+  assert.equal(remapId(map, inside.toString()), map.get(inside.toString()));
+  assert.equal(remapId(map, outside), outside);
+  assert.equal(remapId(map, null), null);
+  assert.deepEqual(toMappingReport(map), { [inside.toString()]: map.get(inside.toString()).toString() });
+});
+
+test('group copies keep the settings and drop the students', () => {
+  const courseId = id();
+  const sectionId = id();
+  const group = new Group({
+    name: 'Spring cohort with a long name that fills the limit',
+    course: id(),
+    level: 'B1',
+    instructor: id(),
+    startDate: new Date('2026-02-01T00:00:00Z'),
+    endDate: new Date('2026-05-01T00:00:00Z'),
+    schedule: { days: ['monday'], time: { start: '09:00', end: '11:00' } },
+    paymentType: 'monthly',
+    sections: [{ sectionId, title: 'Week 1', price: 0, order: 1 }],
+    students: [{ student: id(), status: 'enrolled' }],
+    isArchived: true
+  });
+  const ids = {
+    groups: buildIdMap([group]),
+    sections: buildIdMap([{ _id: sectionId }])
+  };
+  const userId = id();
+
+  const copy = buildGroupCopy(group, { ids, offsetMs: 7 * DAY_MS, course: courseId, userId });
+
+  assert.equal(copy._id, ids.groups.get(group._id.toString()));
+  assert.equal(copy.name.length, 50);
+  assert.equal(copy.course, courseId);
+  assert.equal(copy.createdBy, userId);
+  assert.deepEqual(copy.startDate, new Date('2026-02-08T00:00:00Z'));
+  assert.deepEqual(copy.endDate, new Date('2026-05-08T00:00:00Z'));
+  assert.equal(copy.paymentType, 'monthly');
+  assert.deepEqual(copy.schedule.days, ['monday']);
+  assert.equal(copy.sections[0].sectionId, ids.sections.get(sectionId.toString()));
+  assert.deepEqual(copy.students, []);
+  assert.equal(copy.currentStudents, 0);
+  assert.equal(copy.isArchived, false);
+  assert.equal(copy.createdAt, undefined);
+
+  assert.equal(buildGroupCopy(group, { ids, offsetMs: 0, course: courseId, userId, name: 'Autumn' }).name, 'Autumn');
+});
+
+test('section copies point their unlock rules at the copied tests and sections', () => {
+  const previous = id();
+  const testId = id();
+  const otherTest = id();
+  const section = new Section({
+    name: 'Week 2',
+    group: id(),
+    course: id(),
+    createdBy: id(),
+    unlockRules: [
+      { type: 'pass_test', test: testId, minScore: 70 },
+      { type: 'complete_section', section: previous },
+      { type: 'pass_test', test: otherTest }
+    ]
+  });
+  const ids = {
+    groups: buildIdMap([{ _id: section.group }]),
+    sections: buildIdMap([section, { _id: previous }]),
+    tests: buildIdMap([{ _id: testId }])
+  };
+
+  const copy = buildSectionCopy(section, { ids, course: id(), userId: id() });
+
+  assert.equal(copy._id, ids.sections.get(section._id.toString()));
+  assert.equal(copy.group, ids.groups.get(section.group.toString()));
+  assert.equal(copy.unlockRules[0].test, ids.tests.get(testId.toString()));
+  assert.equal(copy.unlockRules[0].minScore, 70);
+  assert.equal(copy.unlockRules[1].section, ids.sections.get(previous.toString()));
+  assert.equal(copy.unlockRules[2].test.toString(), otherTest.toString());
+});
+
+test('content copies share the media and shift the due date', () => {
+  const rubricId = id();
+  const content = new Content({
+    title: 'Final project',
+    type: 'project',
+    section: id(),
+    group: id(),
+    course: id(),
+    createdBy: id(),
+    video: { storageType: 'youtube', youtubeVideoId: 'abc123', youtubeUrl: 'https://youtu.be/abc123' },
+    file: { path: 'uploads/files/starter.zip', storageType: 'local' },
+    materials: [{ title: 'Docs', url: 'https://example.com' }],
+    rubric: rubricId,
+    peerReview: {
+      enabled: true,
+      reviewersPerSubmission: 2,
+      assignedAt: new Date(),
+      closesAt: new Date()
+    },
+    dueDate: new Date('2026-04-01T23:59:00Z'),
+    release: { type: 'fixed_date', date: new Date('2026-03-20T08:00:00Z'), notifiedAt: new Date('2026-03-01T00:00:00Z') },
+    version: 3,
+    parentContent: id()
+  });
+  const ids = {
+    groups: buildIdMap([{ _id: content.group }]),
+    sections: buildIdMap([{ _id: content.section }]),
+    contents: buildIdMap([content]),
+    rubrics: new Map()
+  };
+
+  const copy = buildContentCopy(content, { ids, offsetMs: DAY_MS, course: id(), userId: id() });
+
+  assert.equal(copy._id, ids.contents.get(content._id.toString()));
+  assert.equal(copy.section, ids.sections.get(content.section.toString()));
+  assert.equal(copy.video.youtubeVideoId, 'abc123');
+  assert.equal(copy.file.path, 'uploads/files/starter.zip');
+  assert.equal(copy.materials[0].url, 'https://example.com');
+  assert.equal(copy.rubric.toString(), rubricId.toString());
+  assert.deepEqual(copy.dueDate, new Date('2026-04-02T23:59:00Z'));
+  assert.equal(copy.peerReview.enabled, true);
+  assert.equal(copy.peerReview.reviewersPerSubmission, 2);
+  assert.equal(copy.peerReview.assignedAt, null);
+  assert.equal(copy.peerReview.closesAt, null);
+  assert.deepEqual(copy.release.date, new Date('2026-03-21T08:00:00Z'));
+  assert.ok(copy.release.notifiedAt > new Date('2026-03-01T00:00:00Z'));
+  assert.equal(copy.version, 1);
+  assert.equal(copy.parentContent, undefined);
+  assert.equal(copy.isLatestVersion, true);
+});
+
+test('test copies shift their window and draw from copied banks', () => {
+  const bankId = id();
+  const sharedBank = id();
+  const instructor = id();
+  const activeTest = new ActiveTest({
+    title: 'Midterm',
+    section: id(),
+    course: id(),
+    group: id(),
+    instructor: id(),
+    timeLimitMinutes: 45,
+    questionDraws: [{ bank: bankId, count: 5 }, { bank: sharedBank, count: 2 }],
+    startDate: new Date('2026-03-10T08:00:00Z'),
+    endDate: null
+  });
+  const ids = {
+    groups: buildIdMap([{ _id: activeTest.group }]),
+    sections: buildIdMap([{ _id: activeTest.section }]),
+    tests: buildIdMap([activeTest]),
+    questionBanks: buildIdMap([{ _id: bankId }])
+  };
+
+  const copy = buildTestCopy(activeTest, { ids, offsetMs: -DAY_MS, course: id(), instructor });
+
+  assert.equal(copy._id, ids.tests.get(activeTest._id.toString()));
+  assert.equal(copy.instructor, instructor);
+  assert.equal(copy.timeLimitMinutes, 45);
+  assert.deepEqual(copy.startDate, new Date('2026-03-09T08:00:00Z'));
+  assert.equal(copy.endDate, null);
+  assert.equal(copy.questionDraws[0].bank, ids.questionBanks.get(bankId.toString()));
+  assert.equal(copy.questionDraws[1].bank.toString(), sharedBank.toString());
+  assert.equal(copy.totalPoints, undefined);
+});
+
+test('course copies start unpublished, unrated and without a discount', () => {
+  const course = {
+    _id: id(),
+    name: 'Spanish for beginners',
+    description: 'From zero to A2',
+    instructor: id(),
+    groups: [id()],
+    assignments: [{ title: 'Essay', dueDate: new Date('2026-01-10T00:00:00Z'), order: 1 }],
+    averageRating: 4.7,
+    totalRatings: 31,
+    isPublished: true,
+    discount: { status: 'approved', percentage: 20 },
+    approvalStatus: 'approved',
+    latePolicy: { penaltyPercentPerDay: 10 }
+  };
+  const ids = { courses: buildIdMap([course]) };
+  const userId = id();
+
+  const pending = buildCourseCopy(course, { ids, offsetMs: 10 * DAY_MS, approved: false, userId });
+  assert.equal(pending._id, ids.courses.get(course._id.toString()));
+  assert.equal(pending.name, 'Spanish for beginners (copy)');
+  assert.deepEqual(pending.groups, []);
+  assert.deepEqual(pending.assignments[0].dueDate, new Date('2026-01-20T00:00:00Z'));
+  assert.equal(pending.averageRating, 0);
+  assert.equal(pending.totalRatings, 0);
+  assert.equal(pending.isPublished, false);
+  assert.equal(pending.discount, undefined);
+  assert.equal(pending.approvalStatus, 'pending');
+  assert.deepEqual(pending.latePolicy, course.latePolicy);
+
+  const approved = buildCourseCopy(course, { ids, offsetMs: 0, approved: true, userId, name: 'Spanish 2027' });
+  assert.equal(approved.name, 'Spanish 2027');
+  assert.equal(approved.approvalStatus, 'approved');
+  assert.equal(approved.approvedBy, userId);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+const {
+  RESOURCE_TYPES,
+  safeFileName,
+  resolvePackagePath,
+  renderManifest,
+  renderLecturePage,
+  renderAssignmentXml,
+  parseManifest,
+  classifyResourceType,
+  parseAssignmentXml,
+  parseWeblinkXml,
+  importCoursePackage
+} = require('../services/coursePackageService');
+
+test('package paths stay inside the package', () => {
+  assert.equal(safeFileName('../../etc/passwd'), 'passwd');
+  assert.equal(safeFileName('Week 1 slides (final).pdf'), 'Week_1_slides_final_.pdf');
+  assert.equal(safeFileName('', 'video.mp4'), 'video.mp4');
+
+  assert.equal(resolvePackagePath('files/My%20notes.pdf', 'RC_1/'), 'RC_1/files/My notes.pdf');
+  assert.equal(resolvePackagePath('./a/../b.html?x=1'), 'b.html');
+  assert.equal(resolvePackagePath('../outside.txt', 'RC_1'), 'outside.txt');
+  assert.equal(resolvePackagePath('../../outside.txt', 'RC_1'), null);
+  assert.equal(resolvePackagePath('/etc/passwd'), null);
+  assert.equal(resolvePackagePath('%E0%A4%A'), null);
+});
+
+test('the manifest round-trips its modules and resources', () => {
+  const xml = renderManifest({
+    identifier: 'M_1',
+    title: 'Spanish <A1> & more',
+    description: 'From zero',
+    modules: [
+      { identifier: 'IS_1', title: 'Week 1', items: [{ identifier: 'IC_1', identifierref: 'RC_1', title: 'Hola' }] },
+      { identifier: 'IS_2', title: 'Week 2', items: [] }
+    ],
+    resources: [
+      { identifier: 'RC_1', type: RESOURCE_TYPES.webcontent, href: 'RC_1/index.html', files: ['RC_1/index.html', 'RC_1/hola.mp4'] }
+    ]
+  });
+  const manifest = parseManifest(xml);
+
+  assert.equal(manifest.error, null);
+  assert.equal(manifest.title, 'Spanish <A1> & more');
+  assert.equal(manifest.description, 'From zero');
+  assert.deepEqual(manifest.modules, [
+    { identifier: 'IS_1', title: 'Week 1', items: [{ identifier: 'IC_1', title: 'Hola', identifierref: 'RC_1' }] },
+    { identifier: 'IS_2', title: 'Week 2', items: [] }
+  ]);
+  assert.deepEqual(manifest.resources.get('RC_1'), {
+    identifier: 'RC_1',
+    type: 'webcontent',
+    href: 'RC_1/index.html',
+    files: ['RC_1/index.html', 'RC_1/hola.mp4']
+  });
+});
+
+test('parseManifest flattens nested folders and gathers loose items', () => {
+  const { modules, resources } = parseManifest(`<?xml version="1.0"?>
+<manifest identifier="x" xmlns="http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1">
+  <organizations><organization identifier="o">
+    <item identifier="intro" identifierref="R1"><title>Welcome</title></item>
+    <item identifier="unit"><title>Unit 1</title>
+      <item identifier="sub"><title>Part A</title>
+        <item identifier="a" identifierref="R2"><title>Reading</title></item>
+      </item>
+    </item>
+  </organization></organizations>
+  <resources>
+    <resource identifier="R1" type="imswl_xmlv1p1"><file href="R1.xml"/></resource>
+    <resource identifier="R2" type="webcontent" href="reading.html" xml:base="unit1/"><file href="reading.html"/></resource>
+  </resources>
+</manifest>`);
+
+  assert.deepEqual(modules.map(m => [m.title, m.items.map(i => i.identifierref)]), [
+    ['General', ['R1']],
+    ['Unit 1', ['R2']]
+  ]);
+  assert.equal(resources.get('R2').href, 'unit1/reading.html');
+  assert.match(parseManifest('<manifest>').error, /not valid XML/);
+});
+
+test('resource types of every Common Cartridge version are recognised', () => {
+  assert.equal(classifyResourceType(RESOURCE_TYPES.assessment), 'assessment');
+  assert.equal(classifyResourceType('imsqti_xmlv1p2/imscc_xmlv1p1/assessment'), 'assessment');
+  assert.equal(classifyResourceType('imsqti_xmlv1p2/imscc_xmlv1p2/question-bank'), 'questionBank');
+  assert.equal(classifyResourceType('imswl_xmlv1p2'), 'weblink');
+  assert.equal(classifyResourceType('imsdt_xmlv1p3'), 'discussion');
+  assert.equal(classifyResourceType('imsbasiclti_xmlv1p0'), 'lti');
+  assert.equal(classifyResourceType('associatedcontent/imscc_xmlv1p1/learning-application-resource'), 'unknown');
+});
+
+test('assignment documents round-trip their text, points and attachments', () => {
+  const xml = renderAssignmentXml({
+    identifier: 'RC_2',
+    title: 'Essay <draft>',
+    description: 'Write 300 words.\n\nUse the template & the rubric.',
+    maxScore: 20,
+    attachments: ['template.docx'],
+    materials: [{ title: 'Guide', url: 'https://example.com/guide' }]
+  });
+
+  assert.deepEqual(parseAssignmentXml(xml), {
+    title: 'Essay <draft>',
+    description: 'Write 300 words.\nUse the template & the rubric.\nMaterials\nGuide',
+    maxScore: 20,
+    attachments: ['template.docx']
+  });
+  assert.equal(parseAssignmentXml('<assignment>'), null);
+});
+
+test('lecture pages escape their text and link the packaged files', () => {
+  const html = renderLecturePage({
+    title: 'Intro <script>',
+    description: 'Line one\nLine two',
+    videoHref: 'intro.mp4',
+    fileHref: 'notes.pdf',
+    fileName: 'Notes.pdf'
+  });
+
+  assert.match(html, /<title>Intro &lt;script&gt;<\/title>/);
+  assert.match(html, /<video controls="controls" src="intro.mp4">/);
+  assert.match(html, /<p>Line one<br\/>Line two<\/p>/);
+  assert.match(html, /<a href="notes.pdf">Notes.pdf<\/a>/);
+});
+
+test('parseWeblinkXml reads the link target', () => {
+  const xml = `<?xml version="1.0"?>
+<webLink xmlns="http://www.imsglobal.org/xsd/imsccv1p3/imswl_v1p3">
+  <title>Lesson video</title>
+  <url href="https://www.youtube.com/watch?v=dQw4w9WgXcQ" target="_blank"/>
+</webLink>`;
+
+  assert.deepEqual(parseWeblinkXml(xml), { title: 'Lesson video', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' });
+  assert.equal(parseWeblinkXml('<webLink><title>x</title></webLink>'), null);
+});
+
+test('importCoursePackage counts the bytes it unzips, not the sizes the archive declares', async () => {
+  const zip = new AdmZip();
+  zip.addFile('imsmanifest.xml', Buffer.from(renderManifest({
+    identifier: 'M_1',
+    title: 'Bomb',
+    description: '',
+    modules: [],
+    resources: []
+  })));
+  zip.getEntry('imsmanifest.xml').header.method = 0;
+  const buffer = zip.toBuffer();
+  // Understate the entry's size in the central directory
+  const centralHeader = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  buffer.writeUInt32LE(10, centralHeader + 24);
+
+  const packagePath = path.join(os.tmpdir(), `package-test-${process.pid}.imscc`);
+  fs.writeFileSync(packagePath, buffer);
+  try {
+    const result = await importCoursePackage(packagePath, { userId: null, instructor: null });
+    assert.equal(result.error, 'The package is too large once unzipped');
+  } finally {
+    fs.unlinkSync(packagePath);
+  }
+});
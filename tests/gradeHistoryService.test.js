@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const {
+  MAX_REGRADE_REQUESTS,
+  snapshotGrade,
+  buildHistoryEntry,
+  buildHistoryQuery,
+  canRequestRegrade
+} = require('../services/gradeHistoryService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+test('snapshotGrade keeps status and both grades', () => {
+  assert.equal(snapshotGrade(null), null);
+  assert.deepEqual(
+    snapshotGrade({ status: 'graded', gradePercent: 72, rawGradePercent: 80, instructorFeedback: 'ok' }),
+    { status: 'graded', gradePercent: 72, rawGradePercent: 80 }
+  );
+  assert.deepEqual(snapshotGrade({ status: 'submitted_ungraded' }), {
+    status: 'submitted_ungraded',
+    gradePercent: null,
+    rawGradePercent: null
+  });
+});
+
+test('buildHistoryEntry records the values before and after', () => {
+  const grade = { student: id(), content: id(), course: id(), section: id(), status: 'graded', gradePercent: 90, rawGradePercent: 90 };
+  const instructor = id();
+
+  const entry = buildHistoryEntry(
+    { status: 'graded', gradePercent: 70, rawGradePercent: 70 },
+    grade,
+    { action: 'regraded', changedBy: instructor, feedback: 'Better', reason: 'Missed a section' }
+  );
+
+  assert.equal(entry.student, grade.student);
+  assert.equal(entry.action, 'regraded');
+  assert.equal(entry.changedBy, instructor);
+  assert.equal(entry.previousGradePercent, 70);
+  assert.equal(entry.newGradePercent, 90);
+  assert.equal(entry.feedback, 'Better');
+  assert.equal(entry.reason, 'Missed a section');
+  assert.equal(entry.regradeRequest, null);
+});
+
+test('buildHistoryEntry starts first submissions from nothing', () => {
+  const grade = { student: { _id: id() }, content: id(), course: id(), status: 'submitted_ungraded', gradePercent: 50, rawGradePercent: 50 };
+  const entry = buildHistoryEntry(null, grade, { action: 'submitted', changedBy: grade.student._id });
+
+  assert.equal(entry.student, grade.student._id);
+  assert.equal(entry.previousStatus, null);
+  assert.equal(entry.previousGradePercent, null);
+  assert.equal(entry.newStatus, 'submitted_ungraded');
+});
+
+test('buildHistoryEntry skips penalty recalculations that changed nothing', () => {
+  const grade = { student: id(), content: id(), course: id(), status: 'graded', gradePercent: 80, rawGradePercent: 80 };
+  const before = snapshotGrade(grade);
+
+  assert.equal(buildHistoryEntry(before, grade, { action: 'late_penalty' }), null);
+  assert.equal(buildHistoryEntry(before, grade, { action: 'peer_review_penalty' }), null);
+  assert.equal(buildHistoryEntry(before, grade, { action: 'regrade_rejected' }).action, 'regrade_rejected');
+  assert.equal(
+    buildHistoryEntry(before, { ...grade, gradePercent: 70 }, { action: 'late_penalty' }).changedBy,
+    null
+  );
+});
+
+test('buildHistoryQuery validates filters', () => {
+  const courseId = id().toString();
+  const { error, query } = buildHistoryQuery({
+    courseId,
+    action: 'graded,regraded',
+    from: '2026-01-01',
+    to: '2026-02-01'
+  });
+
+  assert.equal(error, null);
+  assert.equal(query.course.toString(), courseId);
+  assert.deepEqual(query.action, { $in: ['graded', 'regraded'] });
+  assert.deepEqual(query.timestamp, { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01') });
+
+  assert.deepEqual(buildHistoryQuery({}).query, {});
+  assert.equal(buildHistoryQuery({ action: 'graded' }).query.action, 'graded');
+  assert.match(buildHistoryQuery({ studentId: 'nope' }).error, /studentId/);
+  assert.match(buildHistoryQuery({ action: 'deleted' }).error, /Unknown action/);
+  assert.match(buildHistoryQuery({ from: 'yesterday' }).error, /from/);
+});
+
+test('canRequestRegrade needs a graded item, no pending request and a free slot', () => {
+  const graded = { status: 'graded' };
+
+  assert.equal(canRequestRegrade(null).allowed, false);
+  assert.equal(canRequestRegrade({ status: 'submitted_ungraded' }).allowed, false);
+  assert.equal(canRequestRegrade(graded, []).allowed, true);
+  assert.match(canRequestRegrade(graded, [{ status: 'pending' }]).message, /already waiting/);
+
+  const used = Array.from({ length: MAX_REGRADE_REQUESTS }, () => ({ status: 'rejected' }));
+  assert.match(canRequestRegrade(graded, used).message, /at most/);
+  assert.equal(canRequestRegrade(graded, [{ status: 'withdrawn' }, { status: 'withdrawn' }]).allowed, true);
+});
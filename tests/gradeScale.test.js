@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validateGradeScaleLevels,
+  mapGradeToScale,
+  gradeLabelOf,
+  getScalePassingPercent
+} = require('../utils/gradeUtils');
+const { buildGradebookColumns } = require('../services/gradebookService');
+
+const LETTERS = {
+  name: 'A-F',
+  levels: [
+    { label: 'F', minPercent: 0, passing: false },
+    { label: 'A', minPercent: 90 },
+    { label: 'C', minPercent: 70 },
+    { label: 'B', minPercent: 80 },
+    { label: 'D', minPercent: 60 }
+  ]
+};
+
+test('validateGradeScaleLevels sorts levels and defaults them to passing', () => {
+  const { error, levels } = validateGradeScaleLevels(LETTERS.levels);
+
+  assert.equal(error, null);
+  assert.deepEqual(levels.map(l => l.label), ['A', 'B', 'C', 'D', 'F']);
+  assert.deepEqual(levels.map(l => l.passing), [true, true, true, true, false]);
+});
+
+test('validateGradeScaleLevels rejects scales that cannot label every grade', () => {
+  const check = (levels) => validateGradeScaleLevels(levels).error;
+
+  assert.match(check([{ label: 'Pass', minPercent: 50 }]), /at least two/);
+  assert.match(check([{ label: 'A', minPercent: 50 }, { label: 'B', minPercent: 10 }]), /start at 0%/);
+  assert.match(check([{ label: 'A', minPercent: 50 }, { label: 'B', minPercent: 50 }, { label: 'C', minPercent: 0 }]), /same percentage/);
+  assert.match(check([{ label: 'A', minPercent: 50 }, { label: 'a', minPercent: 0 }]), /unique/);
+  assert.match(check([{ label: 'A', minPercent: 120 }, { label: 'B', minPercent: 0 }]), /between 0 and 100/);
+  assert.match(
+    check([{ label: 'A', minPercent: 80, passing: false }, { label: 'B', minPercent: 0 }]),
+    /cannot pass/
+  );
+  assert.match(
+    check([{ label: 'A', minPercent: 50, passing: false }, { label: 'B', minPercent: 0, passing: false }]),
+    /passing/
+  );
+});
+
+test('mapGradeToScale picks the highest level a grade reaches', () => {
+  assert.deepEqual(mapGradeToScale(89.99, LETTERS), { label: 'B', passing: true, minPercent: 80 });
+  assert.equal(gradeLabelOf(90, LETTERS), 'A');
+  assert.equal(gradeLabelOf(0, LETTERS), 'F');
+  assert.equal(gradeLabelOf(null, LETTERS), null);
+  assert.equal(gradeLabelOf(75, null), null);
+});
+
+test('local scales map and decide passing the same way', () => {
+  const arabic = {
+    name: 'تقدير',
+    levels: validateGradeScaleLevels([
+      { label: 'ممتاز', minPercent: 85 },
+      { label: 'جيد جدا', minPercent: 75 },
+      { label: 'جيد', minPercent: 65 },
+      { label: 'مقبول', minPercent: 50 },
+      { label: 'راسب', minPercent: 0, passing: false }
+    ]).levels
+  };
+
+  assert.equal(gradeLabelOf(78, arabic), 'جيد جدا');
+  assert.equal(getScalePassingPercent(arabic), 50);
+  assert.equal(getScalePassingPercent(LETTERS), 60);
+  assert.equal(getScalePassingPercent(null), null);
+});
+
+test('the gradebook gets an overall label column only with a grade scale', () => {
+  const sections = [{ _id: 'aaaaaaaaaaaaaaaaaaaaaaaa', name: 'Intro' }];
+  const plain = buildGradebookColumns({ sections, contents: [], tests: [] });
+  const scaled = buildGradebookColumns({ sections, contents: [], tests: [], gradeScale: LETTERS });
+
+  assert.equal(plain.at(-1).key, 'overall');
+  assert.equal(scaled.at(-1).key, 'overall_label');
+  assert.equal(scaled.at(-1).header, 'Overall grade (A-F)');
+  assert.equal(scaled.at(-1).importable, false);
+});
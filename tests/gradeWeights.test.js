@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validateGradeWeights,
+  resolveGradingPolicy,
+  combineCategoryScores
+} = require('../services/gradingService');
+
+const categories = {
+  lectures: { score: 100, count: 4 },
+  assignments: { score: 60, count: 2 },
+  projects: { score: 0, count: 0 },
+  tests: { score: 80, count: 1 }
+};
+
+test('validateGradeWeights fills missing categories and rejects bad input', () => {
+  assert.deepEqual(validateGradeWeights({ assignments: '40', tests: 60 }), {
+    error: null,
+    weights: { lectures: 0, assignments: 40, projects: 0, tests: 60 }
+  });
+  assert.deepEqual(validateGradeWeights(null), { error: null, weights: null });
+  assert.match(validateGradeWeights({ quizzes: 10 }).error, /Unknown grade category "quizzes"/);
+  assert.match(validateGradeWeights({ tests: 120 }).error, /between 0 and 100/);
+  assert.match(validateGradeWeights({ tests: 0 }).error, /above 0/);
+  assert.match(validateGradeWeights([10]).error, /must be an object/);
+});
+
+test('combineCategoryScores averages equally without weights', () => {
+  assert.equal(combineCategoryScores(categories, null), 80);
+  assert.equal(combineCategoryScores({}, null), 0);
+});
+
+test('combineCategoryScores scales weights over the categories present', () => {
+  // projects has no items, so its weight is dropped: (100*10 + 60*30 + 80*40) / 80
+  const weights = { lectures: 10, assignments: 30, projects: 20, tests: 40 };
+  assert.equal(combineCategoryScores(categories, weights), 75);
+});
+
+test('combineCategoryScores falls back to equal weights when nothing present is weighted', () => {
+  const weights = { lectures: 0, assignments: 0, projects: 100, tests: 0 };
+  assert.equal(combineCategoryScores(categories, weights), 80);
+});
+
+test('resolveGradingPolicy prefers section weights, then course weights', () => {
+  const course = { gradeWeights: { lectures: 0, assignments: 50, projects: 0, tests: 50 }, countMissingAsZero: false };
+  const section = { gradeWeights: { lectures: 100, assignments: 0, projects: 0, tests: 0 } };
+
+  assert.deepEqual(resolveGradingPolicy(course, section), {
+    weights: section.gradeWeights,
+    source: 'section',
+    countMissingAsZero: false
+  });
+  assert.equal(resolveGradingPolicy(course, { gradeWeights: null }).source, 'course');
+  assert.deepEqual(resolveGradingPolicy({ gradeWeights: null }, null), {
+    weights: null,
+    source: 'default',
+    countMissingAsZero: true
+  });
+});
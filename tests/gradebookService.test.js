@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const {
+  buildGradebookColumns,
+  gradebookToTable,
+  tableToCsv,
+  tableToXlsx,
+  parseCsv,
+  readSpreadsheet,
+  planGradeImport
+} = require('../services/gradebookService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const section = { _id: id(), name: 'Week 1' };
+const lecture = { _id: id(), title: 'Intro', type: 'lecture', section: section._id };
+const essay = { _id: id(), title: 'Essay, part 1', type: 'assignment', section: section._id };
+const build = { _id: id(), title: 'Build', type: 'project', section: section._id };
+const quiz = { _id: id(), title: 'Quiz', section: section._id };
+
+const columns = buildGradebookColumns({ sections: [section], contents: [lecture, essay, build], tests: [quiz] });
+const [ana, ben] = [id().toString(), id().toString()];
+const values = (essayGrade, buildGrade) => Object.fromEntries(columns.map((c) => {
+  if (c.id && c.id.equals(essay._id)) return [c.key, essayGrade];
+  if (c.id && c.id.equals(build._id)) return [c.key, buildGrade];
+  return [c.key, null];
+}));
+
+const gradebook = {
+  columns,
+  rows: [
+    { studentId: ana, name: '=Ana', email: 'ana@example.com', group: 'A', values: values(80, null) },
+    { studentId: ben, name: 'Ben', email: 'ben@example.com', group: 'A', values: values(null, null) }
+  ],
+  currentGrades: new Map([
+    [`${ana}:${essay._id}`, { status: 'graded', regradeUsed: false }],
+    [`${ana}:${build._id}`, { status: 'graded', regradeUsed: true }]
+  ])
+};
+
+test('buildGradebookColumns lists items per section and marks gradable ones', () => {
+  assert.deepEqual(columns.map(c => c.kind), ['lecture', 'assignment', 'project', 'test', 'section', 'overall']);
+  assert.deepEqual(columns.filter(c => c.importable).map(c => c.title), ['Essay, part 1', 'Build']);
+  assert.equal(columns[1].header, `Assignment: Essay, part 1 [${essay._id}]`);
+});
+
+test('CSV export escapes formulas and round-trips through the parser', () => {
+  const table = gradebookToTable(gradebook);
+  const csv = tableToCsv(table);
+  const parsed = parseCsv(csv);
+
+  assert.match(csv, /'=Ana/);
+  assert.equal(parsed.length, 3);
+  assert.equal(parsed[0][5], columns[1].header);
+  assert.equal(parsed[1][5], '80');
+  assert.equal(parsed[2][5], '');
+});
+
+test('XLSX export can be read back', async () => {
+  const table = gradebookToTable(gradebook);
+  const rows = await readSpreadsheet(await tableToXlsx(table, 'Course: 1/2'), 'grades.xlsx');
+
+  assert.deepEqual(rows[0], table[0]);
+  assert.equal(rows[1][5], 80);
+  assert.equal(rows[2][1], 'Ben');
+});
+
+test('planGradeImport reports changes, unchanged cells and row errors', () => {
+  const header = ['Email', 'Name', columns[1].header, columns[2].header, columns[3].header];
+  const { changes, errors, unchanged, ignoredColumns } = planGradeImport([
+    header,
+    ['ana@example.com', 'Ana', '80', '95', '70'],
+    ['BEN@example.com', 'Ben', '91.5%', '', ''],
+    ['nobody@example.com', '', '50', '', ''],
+    ['ben@example.com', 'Ben again', '60', '', ''],
+    ['', '', '', '', '']
+  ], gradebook);
+
+  assert.equal(unchanged, 1);
+  assert.deepEqual(ignoredColumns, [columns[3].header]);
+  assert.deepEqual(changes.map(c => [c.row, c.studentName, c.contentTitle, c.from, c.to]), [
+    [3, 'Ben', 'Essay, part 1', null, 91.5]
+  ]);
+  assert.deepEqual(errors.map(e => [e.row, e.message]), [
+    [2, 'Regrade already performed for this assignment or project'],
+    [4, 'No enrolled student matches "nobody@example.com"'],
+    [5, 'Ben appears more than once']
+  ]);
+});
+
+test('planGradeImport rejects files it cannot match', () => {
+  assert.match(planGradeImport([['Name']], gradebook).errors[0].message, /"Student ID" or "Email"/);
+
+  const foreign = `Assignment: Other [${id()}]`;
+  const { errors } = planGradeImport([['Student ID', foreign], [ana, '101']], gradebook);
+  assert.deepEqual(errors.map(e => e.message), ['Column does not match an item of this course']);
+
+  const outOfRange = planGradeImport([['Student ID', columns[1].header], [ana, '101']], gradebook);
+  assert.match(outOfRange.errors[0].message, /"101" is not a grade between 0 and 100/);
+});
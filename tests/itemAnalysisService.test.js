@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildItemAnalysis, itemAnalysisToCsv, cronbachAlpha } = require('../services/itemAnalysisService');
+
+const questions = [
+  {
+    _id: 'q1',
+    questionText: 'Capital of France, Paris?',
+    points: 1,
+    options: [{ optionText: 'Paris', isCorrect: true }, { optionText: 'Rome' }, { optionText: 'Oslo' }]
+  },
+  { _id: 'q2', questionText: '2 + 2 = 4', questionType: 'true_false', correctBoolean: true, points: 1 }
+];
+
+const attempt = (q1Index, q2Answer) => {
+  const q1 = q1Index === 0 ? 1 : 0;
+  const q2 = q2Answer === true ? 1 : 0;
+  return {
+    answers: [
+      { questionId: 'q1', selectedOptionIndex: q1Index, isCorrect: !!q1, pointsEarned: q1 },
+      { questionId: 'q2', booleanAnswer: q2Answer, isCorrect: !!q2, pointsEarned: q2 }
+    ]
+  };
+};
+
+test('computes difficulty, distractor usage and reliability', () => {
+  const attempts = [attempt(0, true), attempt(0, true), attempt(1, false), attempt(1, true), attempt(2, false)];
+  const analysis = buildItemAnalysis(questions, attempts);
+
+  const [q1, q2] = analysis.items;
+  assert.equal(analysis.attemptCount, 5);
+  assert.equal(q1.pValue, 0.4);
+  assert.equal(q2.pValue, 0.6);
+  assert.deepEqual(q1.distractors.map(d => d.count), [2, 2, 1]);
+  assert.ok(q1.pointBiserial > 0);
+  assert.notEqual(analysis.reliability.kr20, null);
+  assert.equal(analysis.reliability.kr20, analysis.reliability.cronbachAlpha);
+});
+
+test('drawn questions are analysed only over the attempts that received them', () => {
+  const drawn = { _id: 'b1', questionText: 'Drawn', questionType: 'numeric', numericAnswer: 1, points: 2, sourceBank: 'bank' };
+  const withDrawn = { ...attempt(0, true), drawnQuestions: [drawn] };
+  withDrawn.answers.push({ questionId: 'b1', numericAnswer: 1, isCorrect: true, pointsEarned: 2 });
+
+  const analysis = buildItemAnalysis(questions, [withDrawn, attempt(1, false)]);
+  const item = analysis.items.find(i => i.questionId === 'b1');
+
+  assert.equal(item.responses, 1);
+  assert.equal(item.pValue, 1);
+  assert.match(analysis.reliability.note, /fixed questions only/);
+});
+
+test('cronbachAlpha needs variance and at least two items', () => {
+  assert.equal(cronbachAlpha([[1], [0]]), null);
+  assert.equal(cronbachAlpha([[1, 1], [1, 1]]), null);
+});
+
+test('CSV export quotes question text and lists option frequencies', () => {
+  const csv = itemAnalysisToCsv(buildItemAnalysis(questions, [attempt(0, true), attempt(1, false), attempt(0, false)]));
+  const lines = csv.split('\n');
+
+  assert.match(lines[0], /^Question #,Question ID,Question/);
+  assert.match(lines[1], /"Capital of France, Paris\?"/);
+  assert.match(lines[1], /A\*: 2 \(67%\); B: 1 \(33%\); C: 0 \(0%\)/);
+  assert.ok(lines.some(line => line.startsWith('Cronbach Alpha,')));
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validateLatePolicy,
+  resolveLatePolicy,
+  evaluateLateSubmission,
+  applyLatePenalty
+} = require('../services/latePolicyService');
+
+const due = new Date('2026-03-01T12:00:00Z');
+const hoursAfterDue = (hours) => new Date(due.getTime() + hours * 60 * 60 * 1000);
+
+const policy = { gracePeriodHours: 2, penaltyPercentPerDay: 10, maxPenaltyPercent: 25, hardCutoff: false };
+
+test('validateLatePolicy fills defaults and rejects out of range values', () => {
+  assert.deepEqual(validateLatePolicy({ penaltyPercentPerDay: '5' }), {
+    error: null,
+    policy: { gracePeriodHours: 0, penaltyPercentPerDay: 5, maxPenaltyPercent: 100, hardCutoff: false }
+  });
+  assert.deepEqual(validateLatePolicy(null), { error: null, policy: null });
+  assert.match(validateLatePolicy({ gracePeriodHours: 1000 }).error, /gracePeriodHours must be between 0 and 720/);
+  assert.match(validateLatePolicy({ hardCutoff: 'yes' }).error, /hardCutoff must be true or false/);
+});
+
+test('resolveLatePolicy prefers the content policy over the course policy', () => {
+  const course = { latePolicy: policy };
+  const content = { latePolicy: { ...policy, hardCutoff: true } };
+
+  assert.equal(resolveLatePolicy(course, content).hardCutoff, true);
+  assert.equal(resolveLatePolicy(course, { latePolicy: null }).hardCutoff, false);
+  assert.equal(resolveLatePolicy(null, null), null);
+});
+
+test('evaluateLateSubmission counts started days after the grace period', () => {
+  assert.equal(evaluateLateSubmission(due, hoursAfterDue(2), policy).late, false);
+
+  const oneDay = evaluateLateSubmission(due, hoursAfterDue(3), policy);
+  assert.deepEqual([oneDay.late, oneDay.daysLate, oneDay.penaltyPercent], [true, 1, 10]);
+
+  const capped = evaluateLateSubmission(due, hoursAfterDue(24 * 5), policy);
+  assert.deepEqual([capped.daysLate, capped.penaltyPercent], [5, 25]);
+});
+
+test('evaluateLateSubmission rejects past a hard cutoff and ignores missing due dates', () => {
+  const cutoff = evaluateLateSubmission(due, hoursAfterDue(3), { ...policy, hardCutoff: true });
+  assert.equal(cutoff.rejected, true);
+  assert.equal(cutoff.penaltyPercent, 0);
+
+  const noPolicy = evaluateLateSubmission(due, hoursAfterDue(30), null);
+  assert.deepEqual([noPolicy.late, noPolicy.daysLate, noPolicy.penaltyPercent, noPolicy.rejected], [true, 2, 0, false]);
+
+  assert.equal(evaluateLateSubmission(null, hoursAfterDue(300), policy).late, false);
+});
+
+test('applyLatePenalty takes a percentage off the grade', () => {
+  assert.equal(applyLatePenalty(80, 25), 60);
+  assert.equal(applyLatePenalty(87.5, 10), 78.75);
+  assert.equal(applyLatePenalty(90, 0), 90);
+  assert.equal(applyLatePenalty(90, 150), 0);
+});
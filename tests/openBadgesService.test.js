@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const {
+  OB_CONTEXT,
+  parseOpenBadgeId,
+  buildIssuer,
+  buildGamificationBadgeClass,
+  buildRecipient,
+  buildAssertion,
+  signAssertion,
+  bakePng,
+  readBakedPng,
+  bakeSvg,
+  renderBadgeSvg,
+  renderBadgePng
+} = require('../services/openBadgesService');
+
+const objectId = '64b7f0c2a1b2c3d4e5f60718';
+
+test('parseOpenBadgeId accepts the four kinds of IDs', () => {
+  assert.deepEqual(parseOpenBadgeId(`certificate-${objectId}`), { kind: 'certificate', objectId });
+  assert.deepEqual(parseOpenBadgeId(`badge-${objectId}`), { kind: 'badge', objectId });
+  assert.equal(parseOpenBadgeId(`user-${objectId}`), null);
+  assert.equal(parseOpenBadgeId('certificate-123'), null);
+});
+
+test('buildIssuer links the key and revocation list only when signing', () => {
+  const hosted = buildIssuer({ platformName: 'EduFlow', platformEmail: 'hi@eduflow.test' }, false);
+  assert.equal(hosted['@context'], OB_CONTEXT);
+  assert.equal(hosted.type, 'Issuer');
+  assert.equal(hosted.email, 'hi@eduflow.test');
+  assert.equal(hosted.publicKey, undefined);
+
+  const signing = buildIssuer({ platformName: 'EduFlow' }, true);
+  assert.match(signing.publicKey, /\/api\/open-badges\/issuer\/key$/);
+  assert.match(signing.revocationList, /\/api\/open-badges\/issuer\/revocations$/);
+});
+
+test('buildGamificationBadgeClass describes the badge condition', () => {
+  const badgeClass = buildGamificationBadgeClass({
+    _id: objectId,
+    title: 'Streak Master',
+    description: 'Learn every day',
+    conditionType: 'streak',
+    threshold: 7
+  });
+  assert.equal(badgeClass.type, 'BadgeClass');
+  assert.match(badgeClass.id, new RegExp(`/badges/badge-${objectId}$`));
+  assert.equal(badgeClass.criteria.narrative, 'Keep a learning streak of 7 days.');
+  assert.match(badgeClass.image, /\/image$/);
+});
+
+test('buildRecipient hashes the email with a stable salt', () => {
+  const recipient = buildRecipient('Lina@Example.com ', 'certificate-1');
+  const expected = crypto.createHash('sha256').update(`lina@example.com${recipient.salt}`).digest('hex');
+
+  assert.equal(recipient.hashed, true);
+  assert.equal(recipient.identity, `sha256$${expected}`);
+  assert.deepEqual(buildRecipient('lina@example.com', 'certificate-1'), recipient);
+  assert.notEqual(buildRecipient('lina@example.com', 'certificate-2').salt, recipient.salt);
+});
+
+test('buildAssertion marks hosted, signed and revoked assertions', () => {
+  const data = {
+    assertionId: `certificate-${objectId}`,
+    email: 'lina@example.com',
+    badgeClassId: `course-${objectId}`,
+    issuedOn: new Date('2026-05-01T00:00:00Z')
+  };
+
+  const hosted = buildAssertion(data);
+  assert.equal(hosted.type, 'Assertion');
+  assert.deepEqual(hosted.verification, { type: 'HostedBadge' });
+  assert.equal(hosted.issuedOn, '2026-05-01T00:00:00.000Z');
+  assert.equal(hosted.revoked, undefined);
+
+  const signed = buildAssertion({ ...data, signed: true, revoked: true, revocationReason: 'Fraud' });
+  assert.equal(signed.verification.type, 'SignedBadge');
+  assert.match(signed.verification.creator, /\/issuer\/key$/);
+  assert.equal(signed.revoked, true);
+  assert.equal(signed.revocationReason, 'Fraud');
+});
+
+test('signAssertion produces an RS256 JWS the public key verifies', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const assertion = { type: 'Assertion', id: 'https://example.test/a/1' };
+
+  const jws = signAssertion(assertion, privateKey);
+  const [header, payload, signature] = jws.split('.');
+
+  assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url')), { alg: 'RS256' });
+  assert.deepEqual(JSON.parse(Buffer.from(payload, 'base64url')), assertion);
+  assert.ok(crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${header}.${payload}`),
+    publicKey,
+    Buffer.from(signature, 'base64url')
+  ));
+});
+
+test('bakePng stores the assertion in an iTXt chunk before IEND', () => {
+  const png = renderBadgePng({ id: `badge-${objectId}`, icon: '🏅' });
+  assert.equal(readBakedPng(png), null);
+
+  const baked = bakePng(png, 'https://example.test/assertions/1');
+  assert.equal(readBakedPng(baked), 'https://example.test/assertions/1');
+  assert.equal(baked.subarray(-8, -4).toString('latin1'), 'IEND');
+
+  // Baking again replaces the earlier assertion
+  assert.equal(readBakedPng(bakePng(baked, 'eyJ.eyJ.sig')), 'eyJ.eyJ.sig');
+  assert.throws(() => bakePng(Buffer.from('nope'), 'x'), /Not a PNG/);
+});
+
+test('bakeSvg adds the openbadges namespace and assertion element', () => {
+  const svg = renderBadgeSvg({ id: `badge-${objectId}`, title: 'Quiz <Champion>', icon: '🏆' });
+  assert.match(svg, /Quiz &lt;Champion&gt;/);
+
+  const hosted = bakeSvg(svg, 'https://example.test/assertions/1');
+  assert.match(hosted, /^<svg [^>]*xmlns:openbadges="http:\/\/openbadges.org">/);
+  assert.match(hosted, /<openbadges:assertion verify="https:\/\/example.test\/assertions\/1"><\/openbadges:assertion>/);
+
+  const signed = bakeSvg(svg, 'a.b.c', { id: 'x' });
+  assert.match(signed, /verify="a.b.c"><!\[CDATA\[\{"id":"x"\}\]\]>/);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validatePeerReviewSettings,
+  buildPeerAssignments,
+  getSkipPenalty,
+  summarizePeerScores,
+  getPeerReviewPhase
+} = require('../services/peerReviewService');
+
+// Deterministic stand-in for Math.random
+const seeded = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+test('validatePeerReviewSettings merges onto defaults and current settings', () => {
+  assert.deepEqual(validatePeerReviewSettings({ enabled: true }).settings, {
+    enabled: true,
+    reviewersPerSubmission: 3,
+    reviewWindowHours: 168,
+    skipPenaltyPercent: 0
+  });
+
+  const { settings } = validatePeerReviewSettings(
+    { skipPenaltyPercent: 12.5 },
+    { enabled: true, reviewersPerSubmission: 2, reviewWindowHours: 48, skipPenaltyPercent: 0 }
+  );
+  assert.deepEqual(settings, { enabled: true, reviewersPerSubmission: 2, reviewWindowHours: 48, skipPenaltyPercent: 12.5 });
+
+  assert.match(validatePeerReviewSettings({ reviewersPerSubmission: 11 }).error, /between 1 and 10/);
+  assert.match(validatePeerReviewSettings({ reviewWindowHours: 2.5 }).error, /whole number/);
+  assert.match(validatePeerReviewSettings({ enabled: 'yes' }).error, /true or false/);
+  assert.match(validatePeerReviewSettings(null).error, /object/);
+});
+
+test('buildPeerAssignments balances reviews and never self-assigns', () => {
+  const students = ['a', 'b', 'c', 'd', 'e'];
+  const pairs = buildPeerAssignments(students, 3, seeded(42));
+
+  assert.equal(pairs.length, 15);
+  assert.ok(pairs.every(p => p.author !== p.reviewer));
+  students.forEach((student) => {
+    assert.equal(pairs.filter(p => p.reviewer === student).length, 3);
+    const reviewers = pairs.filter(p => p.author === student).map(p => p.reviewer);
+    assert.equal(new Set(reviewers).size, 3);
+  });
+});
+
+test('buildPeerAssignments caps reviewers at the other submitters', () => {
+  assert.equal(buildPeerAssignments(['a', 'b', 'c'], 5, seeded(7)).length, 6);
+  assert.deepEqual(buildPeerAssignments(['a'], 3), []);
+  assert.deepEqual(buildPeerAssignments([], 3), []);
+});
+
+test('getSkipPenalty charges each missed review, capped at the whole grade', () => {
+  assert.deepEqual(getSkipPenalty(3, 2, 10), { assigned: 3, missed: 2, penaltyPercent: 20 });
+  assert.equal(getSkipPenalty(3, 3, 40).penaltyPercent, 100);
+  assert.equal(getSkipPenalty(3, 0, 10), null);
+  assert.equal(getSkipPenalty(3, 2, 0), null);
+});
+
+test('summarizePeerScores only counts submitted reviews', () => {
+  const summary = summarizePeerScores([
+    { status: 'submitted', gradePercent: 80 },
+    { status: 'submitted', gradePercent: 65.5 },
+    { status: 'missed', gradePercent: null },
+    { status: 'assigned', gradePercent: null }
+  ]);
+
+  assert.deepEqual(summary, { count: 2, assigned: 4, average: 72.75, min: 65.5, max: 80 });
+  assert.equal(summarizePeerScores([{ status: 'missed' }]).average, null);
+});
+
+test('getPeerReviewPhase follows the settings timestamps', () => {
+  assert.equal(getPeerReviewPhase(null), 'off');
+  assert.equal(getPeerReviewPhase({ enabled: false }), 'off');
+  assert.equal(getPeerReviewPhase({ enabled: true, assignedAt: null }), 'waiting');
+  assert.equal(getPeerReviewPhase({ enabled: true, assignedAt: new Date() }), 'open');
+  assert.equal(getPeerReviewPhase({ enabled: true, assignedAt: new Date(), closedAt: new Date() }), 'closed');
+});
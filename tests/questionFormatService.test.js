@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseGift,
+  exportGift,
+  parseMoodleXml,
+  exportMoodleXml,
+  exportQti,
+  parseQti,
+  detectFormat
+} = require('../services/questionFormatService');
+
+const GIFT = `// Sample quiz
+$CATEGORY: Geography
+
+::Q1:: What is 2+2? {=4 ~3 ~5}
+
+::TF:: The sun is a star {T####It emits its own light}
+
+Pi to two decimals {#3.14:0.005}
+
+Pick primes {
+~%50%2
+~%50%3
+~%-100%4
+}
+
+::M:: Match {
+=cat -> feline
+=dog -> canine
+}
+
+Write an essay {}
+
+Escaped \\{braces\\} and a\\: colon {=yes#good ~no#bad}
+`;
+
+test('parseGift maps GIFT question kinds and reports rejected lines', () => {
+  const { questions, rejected } = parseGift(`${GIFT}\nA bare description\n`);
+
+  assert.deepEqual(questions.map(q => q.questionType), [
+    'single_choice', 'true_false', 'numeric', 'multi_select', 'matching', 'essay', 'single_choice'
+  ]);
+  assert.equal(questions[2].numericTolerance, 0.005);
+  assert.deepEqual(questions[3].options.map(o => o.isCorrect), [true, true, false]);
+  assert.equal(questions[5].questionText, 'Write an essay');
+  assert.equal(questions[6].questionText, 'Escaped {braces} and a: colon');
+  assert.equal(questions[1].explanation, 'It emits its own light');
+  assert.deepEqual(questions[6].options.map(o => o.feedback), ['good', 'bad']);
+  assert.deepEqual(rejected.map(r => r.line), [25]);
+  assert.match(rejected[0].reason, /Descriptions/);
+});
+
+test('GIFT export round-trips through the parser', () => {
+  const { questions } = parseGift(GIFT);
+  const { content, skipped } = exportGift([
+    ...questions,
+    { questionType: 'ordering', questionText: 'Sort', orderingItems: ['a', 'b'] }
+  ]);
+  const reparsed = parseGift(content);
+
+  assert.equal(skipped.length, 1);
+  assert.deepEqual(reparsed.rejected, []);
+  assert.deepEqual(
+    reparsed.questions.map(({ sourceLine, ...q }) => q),
+    questions.map(({ sourceLine, ...q }) => q)
+  );
+});
+
+test('Moodle XML export round-trips including ordering and points', () => {
+  const questions = [
+    ...parseGift(GIFT).questions.map(({ sourceLine, ...q }) => q),
+    { questionType: 'ordering', questionText: 'Order <a> & b', orderingItems: ['1', '2', '3'], points: 2 },
+    { questionType: 'short_answer', questionText: 'City?', acceptedAnswers: ['NYC'], caseSensitive: true, points: 1 },
+    { questionType: 'essay', questionText: 'Discuss', maxWords: 300, gradingNotes: 'Look for <thesis>', points: 5 }
+  ];
+  const { content } = exportMoodleXml(questions, { category: 'Quiz' });
+  const parsed = parseMoodleXml(content);
+
+  assert.deepEqual(parsed.rejected, []);
+  assert.deepEqual(parsed.questions.map(({ sourceLine, ...q }) => q), questions);
+});
+
+test('parseMoodleXml strips HTML and reports unsupported questions with their line', () => {
+  const xml = `<?xml version="1.0"?>
+<quiz>
+  <question type="multichoice">
+    <name><text>X</text></name>
+    <questiontext format="html"><text><![CDATA[<p>What &amp; <b>why</b></p>]]></text></questiontext>
+    <answer fraction="100"><text>a</text></answer>
+    <answer fraction="0"><text>b</text></answer>
+  </question>
+  <question type="calculated"><name><text>Calc</text></name></question>
+</quiz>`;
+  const { questions, rejected } = parseMoodleXml(xml);
+
+  assert.equal(questions[0].questionText, 'What & why');
+  assert.equal(questions[0].sourceLine, 3);
+  assert.deepEqual(rejected, [{ line: 9, text: 'Calc', reason: 'Unsupported Moodle question type "calculated"' }]);
+});
+
+test('invalid XML is reported instead of throwing', () => {
+  const { questions, rejected } = parseMoodleXml('<quiz>\n<question>\n</quiz>');
+
+  assert.equal(questions.length, 0);
+  assert.equal(rejected[0].line, 3);
+  assert.equal(detectFormat('<?xml version="1.0"?><quiz/>'), 'moodle_xml');
+  assert.equal(detectFormat('Q {T}', 'quiz.txt'), 'gift');
+});
+
+test('Common Cartridge QTI export round-trips the CC question profiles', () => {
+  const questions = [
+    {
+      questionText: 'Capital of France?',
+      points: 2,
+      explanation: 'Geography',
+      questionType: 'single_choice',
+      options: [{ optionText: 'Paris', isCorrect: true, feedback: 'Yes' }, { optionText: 'Rome', isCorrect: false }]
+    },
+    {
+      questionText: 'Primes',
+      points: 1,
+      questionType: 'multi_select',
+      options: [{ optionText: '2', isCorrect: true }, { optionText: '3', isCorrect: true }, { optionText: '4', isCorrect: false }]
+    },
+    { questionText: 'The sun is a star', points: 1, questionType: 'true_false', correctBoolean: true },
+    { questionText: 'Say hi', points: 1, questionType: 'short_answer', caseSensitive: true, acceptedAnswers: ['hi', 'hello'] },
+    { questionText: 'Discuss <a> & b', points: 5, questionType: 'essay' }
+  ];
+  const { content, skipped } = exportQti(
+    [...questions, { questionText: 'Pi', questionType: 'numeric', numericAnswer: 3.14 }],
+    { identifier: 'RT_1', title: 'Quiz', timeLimitMinutes: 30, maxAttempts: 2 }
+  );
+  const parsed = parseQti(content);
+
+  assert.deepEqual(skipped, [{ index: 6, questionType: 'numeric', reason: 'Common Cartridge has no numeric question type' }]);
+  assert.equal(parsed.title, 'Quiz');
+  assert.equal(parsed.timeLimitMinutes, 30);
+  assert.equal(parsed.maxAttempts, 2);
+  assert.deepEqual(parsed.rejected, []);
+  assert.deepEqual(parsed.questions.map(({ sourceLine, ...q }) => q), questions);
+});
+
+test('QTI question banks parse like assessments', () => {
+  const { content } = exportQti([{ questionText: 'Sky is blue', questionType: 'true_false', correctBoolean: false }], {
+    identifier: 'RQ_1',
+    title: 'Bank',
+    kind: 'question_bank'
+  });
+
+  assert.match(content, /<objectbank/);
+  assert.equal(parseQti(content).questions[0].correctBoolean, false);
+  assert.equal(parseQti('<questestinterop><item>').questions.length, 0);
+});
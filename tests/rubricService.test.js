@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { validateRubricCriteria, scoreRubric } = require('../services/rubricService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const level = (title, points) => ({ _id: id(), title, points });
+const rubric = {
+  _id: id(),
+  title: 'Essay rubric',
+  criteria: [
+    { _id: id(), title: 'Thesis', levels: [level('Missing', 0), level('Clear', 4), level('Strong', 6)] },
+    { _id: id(), title: 'Sources', levels: [level('None', 0), level('Cited', 4)] }
+  ]
+};
+
+test('validateRubricCriteria requires titled criteria with scored levels', () => {
+  assert.equal(validateRubricCriteria(rubric.criteria), null);
+  assert.match(validateRubricCriteria([]), /at least one criterion/);
+  assert.match(validateRubricCriteria([{ title: 'A', levels: [] }]), /Criterion 1 needs at least one performance level/);
+  assert.match(validateRubricCriteria([{ title: 'A', levels: [{ title: 'x', points: -1 }] }]), /level 1 needs points/);
+  assert.match(validateRubricCriteria([{ title: 'A', levels: [{ title: 'x', points: 0 }] }]), /more than 0 points/);
+});
+
+test('scoreRubric turns picked levels into a grade and a snapshot', () => {
+  const [thesis, sources] = rubric.criteria;
+  const { error, gradePercent, assessment } = scoreRubric(rubric, [
+    { criterion: sources._id.toString(), level: sources.levels[1]._id.toString() },
+    { criterion: thesis._id.toString(), level: thesis.levels[1]._id.toString(), comment: '  Needs focus ' }
+  ]);
+
+  assert.equal(error, null);
+  assert.equal(gradePercent, 80);
+  assert.equal(assessment.totalPoints, 8);
+  assert.equal(assessment.maxPoints, 10);
+  assert.deepEqual(assessment.criteria.map(c => [c.title, c.levelTitle, c.points, c.maxPoints, c.comment]), [
+    ['Thesis', 'Clear', 4, 6, 'Needs focus'],
+    ['Sources', 'Cited', 4, 4, '']
+  ]);
+});
+
+test('scoreRubric rejects missing, duplicate and foreign selections', () => {
+  const [thesis, sources] = rubric.criteria;
+  const pick = (criterion, index) => ({ criterion: criterion._id, level: criterion.levels[index]._id });
+
+  assert.match(scoreRubric(rubric, [pick(thesis, 0)]).error, /Pick a level for "Sources"/);
+  assert.match(scoreRubric(rubric, [pick(thesis, 0), pick(thesis, 1), pick(sources, 0)]).error, /only be scored once/);
+  assert.match(scoreRubric(rubric, [pick(thesis, 0), { criterion: id(), level: id() }]).error, /not part of this rubric/);
+  assert.match(scoreRubric(rubric, [pick(thesis, 0), { criterion: sources._id, level: thesis.levels[0]._id }]).error, /not one of its levels/);
+  assert.match(scoreRubric(rubric, {}).error, /must be an array/);
+});
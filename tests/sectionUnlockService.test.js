@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findRuleCycle, evaluateUnlockRules } = require('../services/sectionUnlockService');
+
+test('findRuleCycle detects sections requiring each other', () => {
+  const others = [
+    { _id: 'b', unlockRules: [{ type: 'complete_section', section: 'c' }] },
+    { _id: 'c', unlockRules: [] }
+  ];
+
+  assert.equal(findRuleCycle('a', [{ type: 'complete_section', section: 'b' }], others), null);
+
+  others[1].unlockRules = [{ type: 'assignments_graded', section: 'a' }];
+  assert.deepEqual(findRuleCycle('a', [{ type: 'complete_section', section: 'b' }], others), ['a', 'b', 'c', 'a']);
+  assert.equal(findRuleCycle('a', [{ type: 'pass_test', test: 't1' }], others), null);
+});
+
+test('findRuleCycle visits each section once', () => {
+  // Every section requires all the ones after it: exponential without memoising
+  const ids = Array.from({ length: 40 }, (_, i) => `s${i}`);
+  const requireAfter = i => ids.slice(i + 1).map(section => ({ type: 'complete_section', section }));
+  const others = ids.slice(1).map((id, i) => ({ _id: id, unlockRules: requireAfter(i + 1) }));
+
+  assert.equal(findRuleCycle('s0', requireAfter(0), others), null);
+
+  others[others.length - 1].unlockRules = [{ type: 'complete_section', section: 's0' }];
+  assert.deepEqual(findRuleCycle('s0', requireAfter(0), others), [...ids, 's0']);
+});
+
+const facts = {
+  tests: new Map([['t1', { title: 'Quiz 1', passingScore: 60, bestScore: 65 }]]),
+  sections: new Map([['s1', { name: 'Intro', completed: 3, total: 4, assignmentsGraded: 1, assignmentsTotal: 1 }]])
+};
+
+test('pass_test uses the rule score or falls back to the test passing score', () => {
+  assert.equal(evaluateUnlockRules([{ type: 'pass_test', test: 't1', minScore: null }], facts).unlocked, true);
+
+  const { unlocked, rules } = evaluateUnlockRules([{ type: 'pass_test', test: 't1', minScore: 70 }], facts);
+  assert.equal(unlocked, false);
+  assert.equal(rules[0].message, 'Score at least 70% on "Quiz 1"');
+});
+
+test('section rules report progress towards completion', () => {
+  const { unlocked, rules } = evaluateUnlockRules([
+    { type: 'complete_section', section: 's1' },
+    { type: 'assignments_graded', section: 's1' }
+  ], facts);
+
+  assert.equal(unlocked, false);
+  assert.deepEqual(rules.map(r => r.met), [false, true]);
+  assert.match(rules[0].message, /3\/4 done/);
+  assert.deepEqual(evaluateUnlockRules([], facts), { unlocked: true, rules: [] });
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+
+const {
+  tokenize,
+  winnow,
+  buildSimilarityReport,
+  extractSubmissionText
+} = require('../services/similarityService');
+
+const SOLUTION = `def add(a, b):
+    return a + b
+
+def multiply(a, b):
+    result = 0
+    for _ in range(b):
+        result = add(result, a)
+    return result
+
+print(multiply(6, 7))
+`;
+
+const ESSAY = 'The Roman republic grew through alliances, roads and colonies long before the first emperor took power in Rome.';
+
+test('tokenize keeps offsets and handles non-Latin text', () => {
+  const tokens = tokenize('Hello, مرحبا world_1');
+
+  assert.deepEqual(tokens.map(t => t.value), ['hello', 'مرحبا', 'world_1']);
+  assert.deepEqual(tokens[1], { value: 'مرحبا', start: 7, end: 12 });
+});
+
+test('winnow keeps the rightmost minimum of every window', () => {
+  assert.deepEqual(winnow([5, 3, 3, 9, 8, 1], 3), [
+    { hash: 3, position: 2 },
+    { hash: 1, position: 5 }
+  ]);
+  assert.deepEqual(winnow([4, 2], 4), [{ hash: 2, position: 1 }]);
+  assert.deepEqual(winnow([], 4), []);
+});
+
+test('copied submissions rank first with their shared passages', () => {
+  const pairs = buildSimilarityReport([
+    { id: 'original', text: SOLUTION, files: [{ name: 'main.py', start: 0 }] },
+    { id: 'copy', text: `# my solution\n${SOLUTION.replace('print(multiply(6, 7))', 'print(multiply(2, 3))')}` },
+    { id: 'essay', text: ESSAY }
+  ]);
+
+  assert.equal(pairs.length, 1);
+  assert.equal(pairs[0].a, 'original');
+  assert.equal(pairs[0].b, 'copy');
+  assert.ok(pairs[0].similarityPercent >= 50);
+  assert.equal(pairs[0].passages[0].fileA, 'main.py');
+  assert.match(pairs[0].passages[0].textA, /result = add\(result, a\)/);
+  assert.match(pairs[0].passages[0].textB, /result = add\(result, a\)/);
+});
+
+test('code most submissions share is ignored as starter code', () => {
+  const starter = 'import sys\nimport math\n\ndef main():\n    data = sys.stdin.read().split()\n';
+  const pairs = buildSimilarityReport([
+    { id: 'a', text: `${starter}${ESSAY}` },
+    { id: 'b', text: `${starter}${SOLUTION}` },
+    { id: 'c', text: `${starter}print("hello from a completely separate answer to the task")` },
+    { id: 'd', text: `${starter}while True: break  # nothing in common with the other answers here` }
+  ]);
+
+  assert.deepEqual(pairs, []);
+});
+
+test('extractSubmissionText reads text files inside a zip and reports the rest', async () => {
+  const zip = new AdmZip();
+  zip.addFile('src/main.py', Buffer.from(SOLUTION));
+  zip.addFile('notes.txt', Buffer.from('\uFEFFplain notes'));
+  zip.addFile('__MACOSX/src/._main.py', Buffer.from('junk'));
+  zip.addFile('image.png', Buffer.from([137, 80, 78, 71]));
+  zip.addFile('old.rar', Buffer.from('Rar!'));
+
+  const { parts, skipped } = await extractSubmissionText(zip.toBuffer(), 'submission.zip');
+
+  assert.deepEqual(parts.map(p => p.name), ['notes.txt', 'src/main.py']);
+  assert.equal(parts[0].text, 'plain notes');
+  assert.deepEqual(skipped.map(s => s.file), ['image.png', 'old.rar']);
+  assert.match(skipped[1].reason, /RAR/);
+
+  const rar = await extractSubmissionText(Buffer.from('Rar!'), 'submission.rar');
+  assert.equal(rar.parts.length, 0);
+  assert.match(rar.skipped[0].reason, /only \.zip/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyAccommodations } = require('../services/testAccommodationService');
+
+const activeTest = {
+  _id: 't1',
+  timeLimitMinutes: 40,
+  maxAttempts: 1,
+  startDate: null,
+  endDate: new Date('2024-03-01T00:00:00Z'),
+  passingScore: 60
+};
+
+test('without accommodations the test settings apply', () => {
+  const settings = applyAccommodations(activeTest, []);
+
+  assert.equal(settings.timeLimitMinutes, 40);
+  assert.equal(settings.maxAttempts, 1);
+  assert.equal(settings.accommodated, false);
+});
+
+test('test level overrides win over group level ones field by field', () => {
+  const groupLevel = { test: null, timeMultiplier: 1.5, maxAttempts: 2 };
+  const testLevel = { test: 't1', maxAttempts: 3, endDate: new Date('2024-03-08T00:00:00Z') };
+
+  const settings = applyAccommodations(activeTest, [testLevel, groupLevel]);
+
+  assert.equal(settings.timeLimitMinutes, 60);
+  assert.equal(settings.maxAttempts, 3);
+  assert.equal(settings.endDate.toISOString(), '2024-03-08T00:00:00.000Z');
+  assert.equal(settings.passingScore, 60);
+  assert.equal(settings.accommodated, true);
+});
+
+test('an absolute time limit takes precedence over a multiplier', () => {
+  const settings = applyAccommodations(activeTest, [{ test: 't1', timeMultiplier: 2, timeLimitMinutes: 45 }]);
+
+  assert.equal(settings.timeLimitMinutes, 45);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getRemainingSeconds,
+  isAttemptExpired,
+  mergeSavedAnswers
+} = require('../services/testAttemptService');
+
+const questions = [
+  { _id: 'q1', questionType: 'true_false', correctBoolean: true },
+  { _id: 'q2', questionType: 'numeric', numericAnswer: 4 }
+];
+
+test('mergeSavedAnswers keeps earlier answers and overwrites re-answered questions', () => {
+  const first = mergeSavedAnswers(questions, [], [{ questionId: 'q2', numericAnswer: '3' }]);
+  const merged = mergeSavedAnswers(questions, first, [
+    { questionId: 'q1', booleanAnswer: true },
+    { questionId: 'q2', numericAnswer: 4 },
+    { questionId: 'other', booleanAnswer: false }
+  ]);
+
+  assert.deepEqual(merged.map(a => a.questionId), ['q1', 'q2']);
+  assert.equal(merged[1].numericAnswer, 4);
+  assert.equal(merged[0].isCorrect, undefined);
+  assert.equal(merged[0].pointsEarned, undefined);
+});
+
+test('remaining time and expiry use the attempt end time', () => {
+  const now = new Date('2024-01-01T10:00:00Z');
+  const attempt = { endTime: new Date('2024-01-01T10:01:30Z') };
+
+  assert.equal(getRemainingSeconds(attempt, now), 90);
+  assert.equal(isAttemptExpired(attempt, now), false);
+  assert.equal(getRemainingSeconds(attempt, new Date('2024-01-01T10:05:00Z')), 0);
+  assert.equal(isAttemptExpired(attempt, new Date('2024-01-01T10:01:40Z')), true);
+  assert.equal(isAttemptExpired(attempt, new Date('2024-01-01T10:01:40Z'), 30), false);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  FLAG_THRESHOLD,
+  computeSuspicionScore,
+  normalizeClientEvent,
+  summarizeIntegrity
+} = require('../services/testIntegrityService');
+
+const attempt = { startTime: new Date('2026-01-01T10:00:00Z') };
+const now = new Date('2026-01-01T10:10:00Z');
+
+test('suspicion score weighs event types and time away', () => {
+  const { score, flagged, counts, awaySeconds } = computeSuspicionScore([
+    { type: 'window_blur', durationSeconds: 45 },
+    { type: 'paste' },
+    { type: 'unknown' }
+  ]);
+
+  assert.equal(score, 2 + 3 + 4);
+  assert.equal(flagged, false);
+  assert.deepEqual(counts, { window_blur: 1, paste: 1 });
+  assert.equal(awaySeconds, 45);
+});
+
+test('an IP change alone gets close to the flag threshold and the score is capped', () => {
+  assert.ok(computeSuspicionScore([{ type: 'ip_change' }, { type: 'paste' }, { type: 'tab_hidden', durationSeconds: 300 }]).score >= FLAG_THRESHOLD);
+  assert.equal(computeSuspicionScore(Array(100).fill({ type: 'ip_change' })).score, 100);
+});
+
+test('client events are validated and timestamps clamped to the attempt', () => {
+  assert.match(normalizeClientEvent({ type: 'ip_change' }, attempt, now).error, /type must be one of/);
+
+  const future = normalizeClientEvent({ type: 'copy', occurredAt: '2030-01-01' }, attempt, now).event;
+  assert.equal(future.occurredAt.getTime(), now.getTime());
+
+  const valid = normalizeClientEvent({ type: 'tab_hidden', occurredAt: '2026-01-01T10:05:00Z', durationSeconds: 9999 }, attempt, now).event;
+  assert.equal(valid.occurredAt.toISOString(), '2026-01-01T10:05:00.000Z');
+  assert.equal(valid.durationSeconds, 600);
+
+  assert.equal(normalizeClientEvent({ type: 'copy', durationSeconds: 20 }, attempt, now).event.durationSeconds, null);
+});
+
+test('summarizeIntegrity lists events in order only when asked', () => {
+  const stored = {
+    suspicionScore: 35,
+    flagged: true,
+    startIp: '1.1.1.1',
+    lastIp: '2.2.2.2',
+    integrityEvents: [
+      { type: 'paste', occurredAt: new Date('2026-01-01T10:02:00Z') },
+      { type: 'ip_change', occurredAt: new Date('2026-01-01T10:01:00Z') }
+    ]
+  };
+
+  assert.equal(summarizeIntegrity(stored).events, undefined);
+  const summary = summarizeIntegrity(stored, { includeEvents: true });
+  assert.equal(summary.eventCount, 2);
+  assert.deepEqual(summary.events.map(e => e.type), ['ip_change', 'paste']);
+});
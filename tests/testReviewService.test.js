@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getReviewAvailability, buildAttemptReview } = require('../services/testReviewService');
+
+const now = new Date('2026-03-01T12:00:00Z');
+
+test('review timing follows the test setting and effective settings', () => {
+  const settings = { endDate: new Date('2026-03-02T00:00:00Z'), maxAttempts: 2 };
+
+  assert.equal(getReviewAvailability({ reviewTiming: 'immediately' }, settings, 0, now).available, false);
+  assert.equal(getReviewAvailability({ reviewTiming: 'immediately' }, settings, 1, now).available, true);
+
+  const beforeEnd = getReviewAvailability({ reviewTiming: 'after_end_date' }, settings, 1, now);
+  assert.equal(beforeEnd.available, false);
+  assert.equal(beforeEnd.availableAt.toISOString(), '2026-03-02T00:00:00.000Z');
+  assert.equal(getReviewAvailability({ reviewTiming: 'after_end_date' }, { maxAttempts: 2 }, 1, now).available, true);
+
+  assert.equal(getReviewAvailability({ reviewTiming: 'after_last_attempt' }, settings, 1, now).available, false);
+  assert.equal(getReviewAvailability({ reviewTiming: 'after_last_attempt' }, settings, 2, now).available, true);
+});
+
+const questions = [
+  {
+    _id: 'q1',
+    questionText: 'Pick A',
+    explanation: 'A is the first letter',
+    referenceContent: 'c1',
+    options: [
+      { optionText: 'A', isCorrect: true, feedback: 'Right' },
+      { optionText: 'B', feedback: 'B comes second' }
+    ]
+  },
+  { _id: 'q2', questionText: 'Order', questionType: 'ordering', orderingItems: ['x', 'y'] }
+];
+const attempt = {
+  answers: [
+    { questionId: 'q1', selectedOptionIndex: 1, isCorrect: false, pointsEarned: 0 },
+    { questionId: 'q2', orderingAnswer: [1, 0], isCorrect: false, pointsEarned: 0 }
+  ]
+};
+const contents = new Map([['c1', { _id: 'c1', title: 'Lecture 1' }]]);
+
+test('review shows the choice, answer key, explanation and lecture', () => {
+  const [q1, q2] = buildAttemptReview(questions, attempt, { contents });
+
+  assert.deepEqual(q1.yourAnswer, [1]);
+  assert.deepEqual(q1.options.map(o => [o.selected, o.isCorrect, o.feedback]), [[false, true, 'Right'], [true, false, 'B comes second']]);
+  assert.equal(q1.explanation, 'A is the first letter');
+  assert.equal(q1.reference.title, 'Lecture 1');
+  assert.deepEqual(q2.yourAnswer, ['y', 'x']);
+  assert.deepEqual(q2.correctAnswer, ['x', 'y']);
+});
+
+test('review hides the answer key when correct answers are not shown', () => {
+  const [q1, q2] = buildAttemptReview(questions, attempt, { showCorrectAnswers: false, contents });
+
+  assert.equal(q1.options[0].isCorrect, undefined);
+  assert.equal(q1.options[1].feedback, '');
+  assert.equal(q1.explanation, '');
+  assert.equal(q1.isCorrect, false);
+  assert.equal(q2.correctAnswer, null);
+});
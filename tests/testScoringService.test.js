@@ -0,0 +1,226 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const TestAttempt = require('../models/TestAttempt');
+
+const {
+  validateQuestion,
+  scoreAnswer,
+  scoreAnswers,
+  sanitizeQuestionForStudent,
+  sanitizeAttemptForStudent,
+  hasPendingReview,
+  carryOverManualGrades
+} = require('../services/testScoringService');
+
+test('single choice questions without a type are scored as before', () => {
+  const question = {
+    questionText: 'Pick B',
+    points: 2,
+    options: [{ optionText: 'A' }, { optionText: 'B', isCorrect: true }]
+  };
+
+  assert.equal(scoreAnswer(question, { questionId: 'q1', selectedOptionIndex: 1 }).pointsEarned, 2);
+  assert.equal(scoreAnswer(question, { questionId: 'q1', selectedOptionIndex: 0 }).isCorrect, false);
+});
+
+test('multi select awards partial credit and penalises wrong picks', () => {
+  const question = {
+    questionType: 'multi_select',
+    points: 4,
+    options: [
+      { optionText: 'A', isCorrect: true },
+      { optionText: 'B', isCorrect: true },
+      { optionText: 'C' },
+      { optionText: 'D' }
+    ]
+  };
+
+  assert.equal(scoreAnswer(question, { selectedOptionIndexes: [0, 1] }).pointsEarned, 4);
+  assert.equal(scoreAnswer(question, { selectedOptionIndexes: [0] }).pointsEarned, 2);
+  assert.equal(scoreAnswer(question, { selectedOptionIndexes: [0, 1, 2, 3] }).pointsEarned, 0);
+  assert.equal(scoreAnswer({ ...question, partialCredit: false }, { selectedOptionIndexes: [0] }).pointsEarned, 0);
+});
+
+test('numeric answers honour the tolerance', () => {
+  const question = { questionType: 'numeric', numericAnswer: 3.14, numericTolerance: 0.01, points: 1 };
+
+  assert.equal(scoreAnswer(question, { numericAnswer: '3.15' }).isCorrect, true);
+  assert.equal(scoreAnswer(question, { numericAnswer: 3.2 }).isCorrect, false);
+  assert.equal(scoreAnswer(question, { numericAnswer: '' }).numericAnswer, null);
+});
+
+test('short answers match accepted variants ignoring case and spacing', () => {
+  const question = { questionType: 'short_answer', acceptedAnswers: ['New York', 'NYC'], points: 1 };
+
+  assert.equal(scoreAnswer(question, { textAnswer: '  new   york ' }).isCorrect, true);
+  assert.equal(scoreAnswer({ ...question, caseSensitive: true }, { textAnswer: 'nyc' }).isCorrect, false);
+});
+
+test('matching and ordering give credit per correctly placed item', () => {
+  const matching = {
+    questionType: 'matching',
+    points: 3,
+    matchingPairs: [
+      { prompt: 'a', match: '1' },
+      { prompt: 'b', match: '2' },
+      { prompt: 'c', match: '3' }
+    ]
+  };
+  assert.equal(scoreAnswer(matching, { matchingAnswer: [0, 2, 1] }).pointsEarned, 1);
+
+  const ordering = { questionType: 'ordering', points: 2, orderingItems: ['x', 'y'] };
+  assert.equal(scoreAnswer(ordering, { orderingAnswer: [0, 1] }).isCorrect, true);
+  assert.equal(scoreAnswer(ordering, { orderingAnswer: [1, 0] }).pointsEarned, 0);
+});
+
+test('scoreAnswers scores fixed and drawn questions once each', () => {
+  const questions = [
+    { _id: 'fixed', questionType: 'true_false', correctBoolean: true, points: 1 },
+    { _id: 'drawn', questionType: 'numeric', numericAnswer: 7, points: 3, sourceBank: 'bank' }
+  ];
+
+  const { gradedAnswers, pointsEarned } = scoreAnswers(questions, [
+    { questionId: 'fixed', booleanAnswer: true },
+    { questionId: 'drawn', numericAnswer: 7 },
+    { questionId: 'drawn', numericAnswer: 7 },
+    { questionId: 'unknown', selectedOptionIndex: 0 }
+  ]);
+
+  assert.equal(pointsEarned, 4);
+  assert.equal(gradedAnswers.length, 3);
+  assert.equal(gradedAnswers[2].pointsEarned, 0);
+});
+
+test('validateQuestion reports type specific problems', () => {
+  assert.equal(validateQuestion({ questionText: 'T/F', questionType: 'true_false' }, 0), 'Question 1 must specify whether the statement is true or false');
+  assert.equal(validateQuestion({ questionText: 'T/F', questionType: 'true_false', correctBoolean: false }, 0), null);
+  assert.match(validateQuestion({ questionText: 'Q', questionType: 'essay_v2' }, 2), /unsupported question type/);
+});
+
+test('sanitizeQuestionForStudent strips answer keys', () => {
+  const safe = sanitizeQuestionForStudent({
+    questionText: 'Match',
+    questionType: 'matching',
+    matchingPairs: [{ prompt: 'a', match: '1' }, { prompt: 'b', match: '2' }],
+    acceptedAnswers: ['secret'],
+    explanation: 'Because',
+    options: [{ optionText: 'A', isCorrect: true, feedback: 'Correct' }]
+  });
+
+  assert.equal(safe.explanation, undefined);
+  assert.equal(safe.options[0].feedback, undefined);
+
+  assert.equal(safe.matchingPairs, undefined);
+  assert.equal(safe.acceptedAnswers, undefined);
+  assert.equal(safe.options[0].isCorrect, undefined);
+  assert.deepEqual(safe.matchingPrompts.map(p => p.text), ['a', 'b']);
+  assert.equal(safe.matchingOptions.length, 2);
+});
+
+test('matching and ordering tokens are read through the attempt answer order', () => {
+  const matching = {
+    _id: 'm1',
+    questionType: 'matching',
+    points: 3,
+    matchingPairs: [
+      { prompt: 'a', match: '1' },
+      { prompt: 'b', match: '2' },
+      { prompt: 'c', match: '3' }
+    ]
+  };
+  const order = [2, 0, 1];
+  const safe = sanitizeQuestionForStudent(matching, { order });
+  assert.deepEqual(safe.matchingOptions, [{ index: 0, text: '3' }, { index: 1, text: '1' }, { index: 2, text: '2' }]);
+
+  // Submitting the tokens in order no longer matches every prompt
+  const identity = safe.matchingOptions.map(o => o.index);
+  assert.equal(scoreAnswer(matching, { matchingAnswer: identity }, order).pointsEarned, 0);
+
+  const chosen = safe.matchingPrompts.map(p => safe.matchingOptions.find(o => o.text === String(p.index + 1)).index);
+  const graded = scoreAnswer(matching, { matchingAnswer: chosen }, order);
+  assert.equal(graded.pointsEarned, 3);
+  assert.deepEqual(graded.matchingAnswer, [0, 1, 2]);
+
+  const ordering = { _id: 'o1', questionType: 'ordering', points: 2, orderingItems: ['x', 'y', 'z'] };
+  const orderingOrder = [1, 2, 0];
+  const shown = sanitizeQuestionForStudent(ordering, { order: orderingOrder }).orderingItems;
+  assert.equal(scoreAnswer(ordering, { orderingAnswer: shown.map(i => i.index) }, orderingOrder).pointsEarned, 0);
+
+  const attempt = sanitizeAttemptForStudent({
+    answerOrders: [{ questionId: 'm1', order }],
+    answers: [{ questionId: 'm1', matchingAnswer: graded.matchingAnswer }]
+  });
+  assert.equal(attempt.answerOrders, undefined);
+  assert.deepEqual(attempt.answers[0].matchingAnswer, chosen);
+});
+
+test('sanitizeAttemptForStudent strips the answer keys of drawn questions', () => {
+  const attempt = new TestAttempt({
+    test: new mongoose.Types.ObjectId(),
+    student: new mongoose.Types.ObjectId(),
+    attemptNumber: 1,
+    drawnQuestions: [
+      {
+        questionText: 'Pick one',
+        questionType: 'single_choice',
+        options: [{ optionText: 'A', isCorrect: true, feedback: 'Yes' }, { optionText: 'B', isCorrect: false }],
+        explanation: 'Because'
+      },
+      { questionText: 'Sky is blue', questionType: 'true_false', correctBoolean: true },
+      { questionText: '2 + 2', questionType: 'numeric', numericAnswer: 4, numericTolerance: 0 },
+      { questionText: 'Capital of France', questionType: 'short_answer', acceptedAnswers: ['Paris'] }
+    ]
+  });
+  const safe = sanitizeAttemptForStudent(attempt);
+
+  assert.equal(safe.drawnQuestions.length, 4);
+  safe.drawnQuestions.forEach((q) => {
+    assert.equal(q.explanation, undefined);
+    assert.equal(q.correctBoolean, undefined);
+    assert.equal(q.numericAnswer, undefined);
+    assert.equal(q.acceptedAnswers, undefined);
+    q.options.forEach((o) => {
+      assert.equal(o.isCorrect, undefined);
+      assert.equal(o.feedback, undefined);
+    });
+  });
+  assert.deepEqual(safe.drawnQuestions[0].options.map(o => o.optionText), ['A', 'B']);
+  assert.equal(JSON.stringify(safe).includes('Paris'), false);
+  // The stored attempt keeps its answer keys for scoring
+  assert.equal(attempt.drawnQuestions[0].options[0].isCorrect, true);
+});
+
+test('essays wait for review unless left blank', () => {
+  const questions = [
+    { _id: 'e1', questionType: 'essay', points: 5 },
+    { _id: 'e2', questionType: 'essay', points: 5 }
+  ];
+  const { gradedAnswers, pointsEarned } = scoreAnswers(questions, [
+    { questionId: 'e1', essayAnswer: 'My essay', reviewStatus: 'graded', pointsEarned: 5 },
+    { questionId: 'e2', essayAnswer: '   ' }
+  ]);
+
+  assert.equal(pointsEarned, 0);
+  assert.deepEqual(gradedAnswers.map(a => a.reviewStatus), ['pending', 'not_required']);
+  assert.equal(hasPendingReview(gradedAnswers), true);
+  assert.equal(hasPendingReview(gradedAnswers.slice(1)), false);
+});
+
+test('carryOverManualGrades keeps grades only for unchanged essays', () => {
+  const rescored = [
+    { questionId: 'e1', essayAnswer: 'Same', reviewStatus: 'pending', pointsEarned: 0 },
+    { questionId: 'e2', essayAnswer: 'Edited', reviewStatus: 'pending', pointsEarned: 0 }
+  ];
+  const previous = [
+    { questionId: 'e1', essayAnswer: 'Same', reviewStatus: 'graded', pointsEarned: 4, feedback: 'Good' },
+    { questionId: 'e2', essayAnswer: 'Original', reviewStatus: 'graded', pointsEarned: 3 }
+  ];
+  const [kept, reset] = carryOverManualGrades(rescored, previous);
+
+  assert.equal(kept.reviewStatus, 'graded');
+  assert.equal(kept.pointsEarned, 4);
+  assert.equal(kept.feedback, 'Good');
+  assert.equal(reset.reviewStatus, 'pending');
+});
@@ -16,6 +16,10 @@ function checkConfig() {
     warnings.push('File size limits not fully configured (MAX_VIDEO_SIZE_MB, MAX_FILE_SIZE_MB). Defaults will be used; set explicit limits for production.');
   }
 
+  if (!process.env.OPEN_BADGES_PRIVATE_KEY) {
+    warnings.push('OPEN_BADGES_PRIVATE_KEY is missing. Open Badges can only be exported as hosted assertions, not signed ones.');
+  }
+
   if (warnings.length) {
     console.warn('--- Config Sanity Warnings (development) ---');
     for (const w of warnings) console.warn('•', w);
@@ -0,0 +1,31 @@
+/**
+ * Minimal CSV helpers for report downloads.
+ */
+
+/**
+ * Quote a value when it contains a delimiter, quote or line break
+ * @param {*} value
+ * @returns {String}
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document from a header row and data rows
+ * @param {Array<String>} header
+ * @param {Array<Array>} rows
+ * @returns {String}
+ */
+function toCsv(header, rows) {
+  return [header, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\n');
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsv
+};
@@ -2,6 +2,7 @@ const Section = require('../models/Section');
 const Enrollment = require('../models/Enrollment');
 const StudentSectionGrade = require('../models/StudentSectionGrade');
 const SectionPayment = require('../models/SectionPayment');
+const Course = require('../models/Course');
 
 const toNumeric = (value) => {
   if (value === null || value === undefined) {
@@ -52,6 +53,98 @@ const calculateOverallGrade = (grades) => {
   return Number(average.toFixed(2));
 };
 
+/**
+ * Validate the levels of a grade scale
+ * @param {Array} levels - [{ label, minPercent, passing }]
+ * @returns {{ error: String|null, levels: Array }} Levels sorted from the highest minPercent
+ */
+const validateGradeScaleLevels = (levels) => {
+  if (!Array.isArray(levels) || levels.length < 2) {
+    return { error: 'A grade scale needs at least two levels', levels: [] };
+  }
+
+  const normalized = [];
+  for (let i = 0; i < levels.length; i++) {
+    const level = levels[i] || {};
+    const label = String(level.label || '').trim();
+    const minPercent = Number(level.minPercent);
+    if (!label) return { error: `Level ${i + 1} needs a label`, levels: [] };
+    if (level.minPercent === undefined || level.minPercent === null || level.minPercent === '' ||
+      !Number.isFinite(minPercent) || minPercent < 0 || minPercent > 100) {
+      return { error: `Level "${label}" needs a minimum percentage between 0 and 100`, levels: [] };
+    }
+    normalized.push({ label, minPercent, passing: level.passing !== false });
+  }
+
+  normalized.sort((a, b) => b.minPercent - a.minPercent);
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].minPercent === normalized[i - 1].minPercent) {
+      return { error: `Levels "${normalized[i - 1].label}" and "${normalized[i].label}" start at the same percentage`, levels: [] };
+    }
+    if (normalized[i].passing && !normalized[i - 1].passing) {
+      return { error: `Level "${normalized[i].label}" cannot pass when the higher level "${normalized[i - 1].label}" fails`, levels: [] };
+    }
+  }
+  const labels = new Set(normalized.map(l => l.label.toLowerCase()));
+  if (labels.size !== normalized.length) return { error: 'Level labels must be unique', levels: [] };
+  if (normalized[normalized.length - 1].minPercent !== 0) {
+    return { error: 'The lowest level must start at 0% so every grade has a label', levels: [] };
+  }
+  if (!normalized.some(l => l.passing)) return { error: 'At least one level must be passing', levels: [] };
+
+  return { error: null, levels: normalized };
+};
+
+/**
+ * Map a percentage grade onto a grade scale
+ * @param {Number|null} percent
+ * @param {Object|null} scale - GradeScale (levels)
+ * @returns {{ label: String, passing: Boolean, minPercent: Number }|null} null without a grade or scale
+ */
+const mapGradeToScale = (percent, scale) => {
+  if (!scale || !Array.isArray(scale.levels) || typeof percent !== 'number' || Number.isNaN(percent)) {
+    return null;
+  }
+  const level = [...scale.levels]
+    .sort((a, b) => b.minPercent - a.minPercent)
+    .find(l => percent >= l.minPercent);
+  return level ? { label: level.label, passing: level.passing !== false, minPercent: level.minPercent } : null;
+};
+
+/**
+ * Label of the scale level a percentage grade falls in
+ * @param {Number|null} percent
+ * @param {Object|null} scale
+ * @returns {String|null}
+ */
+const gradeLabelOf = (percent, scale) => {
+  const level = mapGradeToScale(percent, scale);
+  return level ? level.label : null;
+};
+
+/**
+ * Lowest percentage that maps to a passing level of a scale
+ * @param {Object} scale - GradeScale (levels)
+ * @returns {Number|null}
+ */
+const getScalePassingPercent = (scale) => {
+  const passing = (scale && scale.levels ? scale.levels : []).filter(l => l.passing !== false);
+  return passing.length ? Math.min(...passing.map(l => l.minPercent)) : null;
+};
+
+/**
+ * Active grade scale picked by a course
+ * @param {String} courseId
+ * @returns {Promise<Object|null>} { _id, name, levels } or null
+ */
+const loadCourseGradeScale = async (courseId) => {
+  const course = await Course.findById(courseId)
+    .select('gradeScale')
+    .populate({ path: 'gradeScale', select: 'name levels isActive' });
+  const scale = course && course.gradeScale;
+  return scale && scale.isActive ? { _id: scale._id, name: scale.name, levels: scale.levels.map(l => l.toObject()) } : null;
+};
+
 const loadCourseSections = async (courseId) => {
   return Section.find({ course: courseId, isActive: true })
     .sort('order')
@@ -215,5 +308,10 @@ module.exports = {
   getSectionGradesForStudents,
   getStudentEnrollment,
   loadCourseSections,
-  toPlainPayment
+  toPlainPayment,
+  validateGradeScaleLevels,
+  mapGradeToScale,
+  gradeLabelOf,
+  getScalePassingPercent,
+  loadCourseGradeScale
 };